@@ -36,10 +36,30 @@ const categorySchema = new mongoose.Schema({
         default: 0,
         index: true
     },
+    // Position among siblings
     order: {
         type: Number,
         default: 0,
         index: true
+    },
+    // ========================================
+    // HIERARCHY
+    // ========================================
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Materialized path of ids, root first and ending with this category
+    // ("<root>/<child>/<this>"). Categories saved before subcategories
+    // have none and are roots.
+    path: {
+        type: String,
+        index: true
+    },
+    depth: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
@@ -49,13 +69,23 @@ const categorySchema = new mongoose.Schema({
 // INDEXES
 // ========================================
 categorySchema.index({ isActive: 1, order: 1 });
+categorySchema.index({ parent: 1, order: 1 });
 categorySchema.index({ name: 'text', description: 'text' });
 
+const MAX_DEPTH = 4;
+
+const pathOf = (category) => category.path || String(category._id);
+
+// Anchored, so it can use the path index
+const descendantsPattern = (path) => new RegExp(`^${path}/`);
+
+// Remember the stored path so a move can re-root the subtree
+categorySchema.post('init', function () {
+    this.$locals.previousPath = pathOf(this);
+});
+
 // ========================================
-// PRE-SAVE: Generate slug
-// ========================================
-// ========================================
-// PRE-SAVE: Generate slug
+// PRE-SAVE: Generate slug, place in the tree
 // ========================================
 categorySchema.pre('save', async function () {
     if (this.isModified('name') && !this.slug) {
@@ -64,6 +94,54 @@ categorySchema.pre('save', async function () {
             .replace(/[^\w\s-]/g, '')
             .replace(/\s+/g, '-');
     }
+
+    if (!this.isNew && !this.isModified('parent') && this.path) return;
+
+    if (!this.parent) {
+        this.path = String(this._id);
+        this.depth = 0;
+        return;
+    }
+
+    const parent = await this.constructor.findById(this.parent)
+        .select('path depth')
+        .session(this.$session())
+        .lean();
+    if (!parent) {
+        throw new Error('Parent category not found');
+    }
+
+    const parentPath = pathOf(parent);
+    if (parentPath.split('/').includes(String(this._id))) {
+        throw new Error('A category cannot be moved under itself or its subcategories');
+    }
+
+    this.path = `${parentPath}/${this._id}`;
+    this.depth = parentPath.split('/').length;
+    if (this.depth >= MAX_DEPTH) {
+        throw new Error(`Categories can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+});
+
+// ========================================
+// POST-SAVE: Re-root subcategories after a move
+// ========================================
+categorySchema.post('save', async function () {
+    const previousPath = this.$locals.previousPath;
+    this.$locals.previousPath = this.path;
+    if (!previousPath || previousPath === this.path) return;
+
+    await this.constructor.updateMany(
+        { path: descendantsPattern(previousPath) },
+        [{
+            $set: {
+                path: { $concat: [this.path, { $substrCP: ['$path', previousPath.length, 10000] }] }
+            }
+        }, {
+            $set: { depth: { $subtract: [{ $size: { $split: ['$path', '/'] } }, 1] } }
+        }],
+        { session: this.$session() }
+    );
 });
 
 // ========================================
@@ -71,12 +149,100 @@ categorySchema.pre('save', async function () {
 // ========================================
 categorySchema.methods.updateProductCount = async function () {
     const { Product } = require('./Product');
-    const count = await Product.countDocuments({ category: this._id });
+    const count = await Product.countDocuments({ category: this._id, isActive: true });
     this.productCount = count;
     await this.save();
     return this;
 };
 
+// ========================================
+// STATIC METHODS
+// ========================================
+
+/**
+ * Ids of the given categories and every subcategory below them
+ */
+categorySchema.statics.withDescendantIds = async function (categoryIds) {
+    const ids = [].concat(categoryIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return [];
+
+    const categories = await this.find({ _id: mongoose.trusted({ $in: ids }) })
+        .select('path')
+        .lean()
+        .maxTimeMS(3000);
+    if (categories.length === 0) return [];
+
+    const descendants = await this.find({ $or: categories.map(c => ({ path: descendantsPattern(pathOf(c)) })) })
+        .select('_id')
+        .lean()
+        .maxTimeMS(5000);
+
+    const all = new Map([...categories, ...descendants].map(c => [String(c._id), c._id]));
+    return [...all.values()];
+};
+
+/**
+ * Root-to-category trail of { _id, name, slug }
+ */
+categorySchema.statics.breadcrumbs = async function (categoryId) {
+    if (!categoryId) return [];
+    const category = await this.findById(categoryId).select('path').lean();
+    if (!category) return [];
+
+    const ids = pathOf(category).split('/');
+    const trail = await this.find({ _id: mongoose.trusted({ $in: ids }) })
+        .select('name slug')
+        .lean()
+        .maxTimeMS(3000);
+    const byId = new Map(trail.map(c => [String(c._id), c]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Nested categories ordered within each parent. Each node has its own
+ * productCount and totalProductCount including subcategories. With
+ * activeOnly, an inactive category hides its whole branch.
+ */
+categorySchema.statics.tree = async function ({ activeOnly = true } = {}) {
+    const categories = await this.find({})
+        .select('name slug description image icon isActive productCount order parent path depth')
+        .sort({ order: 1, name: 1 })
+        .lean()
+        .maxTimeMS(5000);
+
+    const nodes = new Map(categories.map(c => [String(c._id), { ...c, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        if (parent) parent.children.push(node);
+        else roots.push(node);
+    }
+
+    const finish = (list) => list
+        .filter(node => !activeOnly || node.isActive)
+        .map(node => {
+            node.children = finish(node.children);
+            node.totalProductCount = node.children.reduce((sum, child) => sum + child.totalProductCount, node.productCount || 0);
+            return node;
+        });
+
+    return finish(roots);
+};
+
+/**
+ * Recount active products directly in each category
+ */
+categorySchema.statics.refreshProductCounts = async function (categoryIds, session = null) {
+    const { Product } = require('./Product');
+    const ids = [...new Set((categoryIds || []).filter(id => id && mongoose.Types.ObjectId.isValid(id)).map(String))];
+
+    for (const id of ids) {
+        const count = await Product.countDocuments({ category: id, isActive: true }).session(session);
+        await this.updateOne({ _id: id }, { $set: { productCount: count } }, { session });
+    }
+};
+
 // ========================================
 // JSON TRANSFORMATION
 // ========================================
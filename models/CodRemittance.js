@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// COD REMITTANCE SCHEMA
+// ========================================
+// One document per courier settlement file uploaded by an admin
+// (services/codRemittanceService). Matched rows are recorded on the orders
+// themselves (Order.codRemittance); the file keeps the report of what
+// could not be settled.
+// ========================================
+
+const REMITTANCE_PROVIDERS = ['shiprocket', 'icarry', 'other'];
+
+const codRemittanceSchema = new mongoose.Schema({
+    fileName: String,
+    // sha256 of the file; the same file can't be imported twice
+    fileHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        enum: REMITTANCE_PROVIDERS,
+        default: 'other'
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    totals: {
+        rows: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        // Orders this file finished paying
+        settled: { type: Number, default: 0 },
+        alreadyRecorded: { type: Number, default: 0 },
+        unmatched: { type: Number, default: 0 },
+        short: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+    // Rows that didn't land on a COD order
+    unmatched: [{
+        _id: false,
+        row: Number,
+        awb: String,
+        orderId: String,
+        amount: Number,
+        reference: String,
+        reason: String
+    }],
+    // Orders still owed money after this file
+    short: [{
+        _id: false,
+        row: Number,
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        orderId: String,
+        awb: String,
+        expected: Number,
+        remitted: Number,
+        shortBy: Number,
+        reference: String
+    }]
+}, {
+    timestamps: true
+});
+
+codRemittanceSchema.index({ createdAt: -1 });
+
+const CodRemittance = mongoose.model('CodRemittance', codRemittanceSchema);
+
+module.exports = CodRemittance;
+module.exports.REMITTANCE_PROVIDERS = REMITTANCE_PROVIDERS;
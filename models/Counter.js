@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// COUNTER SCHEMA
+// ========================================
+// Named sequences (e.g. invoice numbers per financial year). Incremented
+// atomically; pass a session so an aborted transaction leaves no gap.
+// ========================================
+const counterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// ========================================
+// STATIC METHODS
+// ========================================
+
+/**
+ * Next value of a sequence (starts at 1)
+ */
+counterSchema.statics.next = async function (key, session = null) {
+    const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// COUPON SCHEMA
+// ========================================
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        index: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'flat'],
+        required: true
+    },
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Upper bound for percentage coupons (e.g. 20% up to ₹150)
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Global cap across all customers (null = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    validFrom: Date,
+    validUntil: Date,
+    // Empty scope = whole cart is eligible
+    applicableCategories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    firstOrderOnly: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+// ========================================
+// INDEXES
+// ========================================
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+// ========================================
+// VIRTUAL PROPERTIES
+// ========================================
+couponSchema.virtual('isExpired').get(function () {
+    return !!this.validUntil && this.validUntil < new Date();
+});
+
+couponSchema.virtual('isExhausted').get(function () {
+    return this.usageLimit != null && this.usedCount >= this.usageLimit;
+});
+
+// ========================================
+// INSTANCE METHODS
+// ========================================
+
+/**
+ * Check validity window against a point in time
+ */
+couponSchema.methods.isWithinValidity = function (at = new Date()) {
+    if (this.validFrom && at < this.validFrom) return false;
+    if (this.validUntil && at > this.validUntil) return false;
+    return true;
+};
+
+/**
+ * Check whether a cart line falls inside the coupon scope
+ */
+couponSchema.methods.appliesTo = function (productId, categoryId) {
+    const hasProductScope = this.applicableProducts && this.applicableProducts.length > 0;
+    const hasCategoryScope = this.applicableCategories && this.applicableCategories.length > 0;
+
+    if (!hasProductScope && !hasCategoryScope) return true;
+
+    const productMatch = hasProductScope &&
+        this.applicableProducts.some(id => id.toString() === String(productId));
+    const categoryMatch = hasCategoryScope && categoryId &&
+        this.applicableCategories.some(id => id.toString() === String(categoryId));
+
+    return productMatch || categoryMatch;
+};
+
+/**
+ * Calculate discount for the eligible subtotal
+ */
+couponSchema.methods.calculateDiscount = function (eligibleSubtotal) {
+    let discount = 0;
+
+    if (this.discountType === 'percentage') {
+        discount = (eligibleSubtotal * this.discountValue) / 100;
+        if (this.maxDiscount) {
+            discount = Math.min(discount, this.maxDiscount);
+        }
+    } else {
+        discount = this.discountValue;
+    }
+
+    // Never discount more than the eligible amount
+    discount = Math.min(discount, eligibleSubtotal);
+    return Math.round(discount * 100) / 100;
+};
+
+// ========================================
+// STATIC METHODS
+// ========================================
+
+/**
+ * Find coupon by code (case-insensitive)
+ */
+couponSchema.statics.findByCode = function (code) {
+    return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+// ========================================
+// JSON TRANSFORMATION
+// ========================================
+couponSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// COUPON USAGE SCHEMA
+// ========================================
+// Uses of a coupon per customer. Claimed with a guarded $inc inside the
+// order transaction (services/couponService.redeemCoupon) so parallel
+// checkouts can't both spend a customer's last use.
+// ========================================
+const couponUsageSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
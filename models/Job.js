@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// JOB SCHEMA
+// ========================================
+// Background work that must survive a restart (services/jobQueue). Any
+// instance can pick up a due job; the lock stops two running it at once.
+// ========================================
+
+const JOB_STATUSES = [
+    'pending',    // Waiting for runAt
+    'running',    // Locked by a worker
+    'completed',
+    'failed',     // Last attempt threw; retried at runAt
+    'dead',       // Out of attempts; needs an admin
+    'cancelled'
+];
+
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Optional; a second enqueue with the same key returns the first job
+    key: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'pending',
+        index: true
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5,
+        min: 1
+    },
+
+    // Worker holding the job and until when; an expired lock is taken over
+    lockedBy: String,
+    lockedUntil: Date,
+
+    lastError: String,
+    failedAt: Date,
+    completedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    history: [{
+        _id: false,
+        status: String,
+        note: String,
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// ========================================
+// INDEXES
+// ========================================
+// Next due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Admin list
+jobSchema.index({ status: 1, createdAt: -1 });
+
+// Completed jobs are kept for a week
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// NDR CASE SCHEMA
+// ========================================
+// One document per failed delivery attempt reported by the courier (NDR =
+// non-delivery report). The customer picks what should happen next through
+// a tokenised link; an admin pushes that action to the courier.
+// ========================================
+
+const NDR_STATUSES = [
+    'open',        // Waiting for the customer
+    'responded',   // Customer chose an action
+    'actioned',    // Action pushed to the courier
+    'escalated',   // Too many attempts; needs a call from the team
+    'resolved',    // Delivered after all
+    'closed'       // Superseded by a later attempt, returned to origin or closed by an admin
+];
+
+// Cases still waiting on someone
+const NDR_ACTIVE_STATUSES = ['open', 'responded', 'actioned', 'escalated'];
+
+const NDR_ACTIONS = ['reattempt', 'reschedule', 'update_address', 'return'];
+
+const ndrCaseSchema = new mongoose.Schema({
+    // order + attempt (or courier time when no attempt number is sent);
+    // makes repeated courier reports of the same attempt land on one case
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    orderId: {
+        type: String,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    provider: String,
+    awb: String,
+    attempt: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    reason: String,
+    occurredAt: Date,
+    status: {
+        type: String,
+        enum: NDR_STATUSES,
+        default: 'open',
+        index: true
+    },
+
+    // sha256 of the token in the customer's link
+    responseToken: {
+        type: String,
+        index: true,
+        sparse: true
+    },
+    responseTokenExpire: Date,
+
+    customerResponse: {
+        action: { type: String, enum: NDR_ACTIONS },
+        preferredDate: Date,
+        address: {
+            street: String,
+            city: String,
+            state: String,
+            zip: String
+        },
+        phone: String,
+        note: String,
+        respondedAt: Date
+    },
+
+    courierAction: {
+        action: { type: String, enum: NDR_ACTIONS },
+        // true when done from the courier panel rather than the API
+        manual: Boolean,
+        pushedAt: Date,
+        pushedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        error: String
+    },
+
+    escalatedAt: Date,
+    closedAt: Date,
+    resolution: String,
+    history: [{
+        _id: false,
+        status: String,
+        note: String,
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+ndrCaseSchema.index({ status: 1, createdAt: -1 });
+
+const NdrCase = mongoose.model('NdrCase', ndrCaseSchema);
+
+module.exports = NdrCase;
+module.exports.NDR_STATUSES = NDR_STATUSES;
+module.exports.NDR_ACTIVE_STATUSES = NDR_ACTIVE_STATUSES;
+module.exports.NDR_ACTIONS = NDR_ACTIONS;
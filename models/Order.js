@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const withTransaction = require('../utils/withTransaction');
 
 // ========================================
 // PERFORMANCE OPTIMIZATIONS ADDED:
@@ -13,6 +15,32 @@ const mongoose = require('mongoose');
 // ========================================
 // SUB-SCHEMAS
 // ========================================
+// Packs a combo line ships, per combo (stock is deducted from these)
+const orderComponentSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variantId: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    name: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Per-pack parcel data for the packing calculator
+    weight: String,
+    netWeightGrams: Number,
+    grossWeightGrams: Number,
+    dimensions: {
+        lengthCm: Number,
+        breadthCm: Number,
+        heightCm: Number
+    }
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
@@ -34,15 +62,33 @@ const orderItemSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Variant key (resolved server-side at order time)
+    variantId: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    // GST snapshot from the pricing engine (price is GST-inclusive)
+    hsnCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    taxAmount: Number,
     // Store product snapshot at order time
     image: String,
-    weight: String
+    weight: String,
+    // Per-unit parcel data for the packing calculator
+    netWeightGrams: Number,
+    grossWeightGrams: Number,
+    dimensions: {
+        lengthCm: Number,
+        breadthCm: Number,
+        heightCm: Number
+    },
+    // Combo lines only
+    components: [orderComponentSchema]
 }, { _id: true });
 
 const trackingStepSchema = new mongoose.Schema({
     status: {
         type: String,
-        enum: ['Ordered', 'Processing', 'Shipped', 'Out for Delivery', 'Delivered', 'Cancelled'],
+        enum: ['Ordered', 'Processing', 'Shipped', 'Out for Delivery', 'Delivered', 'Cancelled', 'Returned to Origin'],
         required: true
     },
     date: {
@@ -60,6 +106,147 @@ const trackingStepSchema = new mongoose.Schema({
     }
 }, { _id: true });
 
+// Courier scan event (see services/shipping/tracking)
+const shippingEventSchema = new mongoose.Schema({
+    rawStatus: String,
+    // Normalised to the shipping.status values; empty when unrecognised
+    status: String,
+    description: String,
+    location: String,
+    // Courier's timestamp for the scan
+    occurredAt: Date,
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    source: {
+        type: String,
+        enum: ['webhook', 'poll', 'manual']
+    },
+    provider: String,
+    // Hash of provider + AWB + status + time + location, for de-duplication
+    key: String,
+    payload: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Razorpay payment details. gatewayOrderId is how webhooks and the
+// reconciliation job find the order. Amounts are in rupees.
+const paymentSchema = new mongoose.Schema({
+    gateway: {
+        type: String,
+        enum: ['razorpay'],
+        default: 'razorpay'
+    },
+    gatewayOrderId: {
+        type: String,
+        index: true,
+        sparse: true
+    },
+    // One gateway payment pays for one order
+    paymentId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    // card / upi / netbanking / wallet / emi
+    method: String,
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    amount: {
+        type: Number,
+        min: 0
+    },
+    // Gateway fee and the GST on it, as reported by Razorpay
+    fee: {
+        type: Number,
+        min: 0
+    },
+    tax: {
+        type: Number,
+        min: 0
+    },
+    // Payment creation time at the gateway (may be before the order)
+    initiatedAt: Date,
+    capturedAt: Date,
+    failedAt: Date,
+    failureReason: String,
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Set by reconciliation, or on an underpaid capture, when a payment
+    // needs a human
+    needsReview: {
+        type: Boolean,
+        default: false
+    },
+    reviewReason: String,
+    reviewedAt: Date,
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastReconciledAt: Date
+}, { _id: false });
+
+const refundItemSchema = new mongoose.Schema({
+    // _id of the order line being refunded
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: String,
+    // Empty for amount-only (goodwill / shipping) refunds
+    items: [refundItemSchema],
+    // 'gateway' refunds go through Razorpay; 'manual' is bank transfer / cash (COD)
+    mode: {
+        type: String,
+        enum: ['gateway', 'manual'],
+        default: 'gateway'
+    },
+    gatewayRefundId: {
+        type: String,
+        index: true,
+        sparse: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    failureReason: String,
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set when the refund settles a return (RMA)
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+    },
+    processedAt: Date
+}, { _id: true, timestamps: true });
+
 // ========================================
 // ORDER SCHEMA WITH OPTIMIZED INDEXES
 // ========================================
@@ -87,15 +274,66 @@ const orderSchema = new mongoose.Schema({
         min: 0,
         index: true // For revenue queries
     },
+    // Coupon applied at checkout (total is already net of discount)
+    couponCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        index: true,
+        sparse: true
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Snapshot from services/pricingService (total = items - discount + shipping)
+    shippingCharge: {
+        type: Number,
+        min: 0
+    },
+    tax: {
+        intraState: Boolean,
+        taxable: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        total: Number
+    },
     paymentStatus: {
         type: String,
-        enum: ['Paid', 'Failed', 'Pending'],
+        // 'Under Review': money was captured but short of the total; an
+        // admin settles it to Paid or Failed
+        enum: ['Paid', 'Failed', 'Pending', 'Under Review'],
         default: 'Pending',
         index: true // For payment tracking
     },
+    // Gateway payment details (online orders only)
+    payment: paymentSchema,
+    // Cash collected by the courier and paid over to us (COD orders only,
+    // from settlement files; services/codRemittanceService)
+    codRemittance: {
+        amount: Number,
+        // When the remittances covered the order total
+        settledAt: Date,
+        reference: String,
+        entries: [{
+            _id: false,
+            // reference + row identity; stops a row being counted twice
+            key: String,
+            reference: String,
+            amount: Number,
+            remittedAt: Date,
+            provider: String,
+            upload: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'CodRemittance'
+            }
+        }]
+    },
     orderStatus: {
         type: String,
-        enum: ['Ordered', 'Processing', 'Shipped', 'Out for Delivery', 'Delivered', 'Cancelled', 'Closed'],
+        enum: ['Ordered', 'Processing', 'Shipped', 'Out for Delivery', 'Delivered', 'Cancelled', 'Returned to Origin', 'Closed'],
         default: 'Ordered',
         index: true // Critical for order filtering
     },
@@ -140,7 +378,13 @@ const orderSchema = new mongoose.Schema({
 
     // Shiprocket Integration
     shipping: {
-        srOrderId: String,
+        // Which courier integration handled the shipment (services/shipping)
+        provider: {
+            type: String,
+            enum: ['shiprocket', 'icarry', 'fake']
+        },
+        providerOrderId: String,
+        srOrderId: String, // Shiprocket order id (kept alongside providerOrderId)
         shipmentId: String,
         awb: { type: String, index: true },
         courierId: String,
@@ -149,11 +393,52 @@ const orderSchema = new mongoose.Schema({
         invoiceUrl: String,
         status: {
             type: String,
-            enum: ['pending', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'rto_initiated', 'returned'],
+            enum: ['pending', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'rto_initiated', 'returned', 'cancelled'],
             default: 'pending'
         },
+        // Box and weights declared to the courier (services/shipping/packing)
+        parcel: {
+            profile: String,
+            lengthCm: Number,
+            breadthCm: Number,
+            heightCm: Number,
+            netWeightKg: Number,
+            deadWeightKg: Number,
+            volumetricWeightKg: Number,
+            chargeableWeightKg: Number,
+            oversize: Boolean
+        },
+        // What the courier charged for the forward leg, where it quotes one
+        freightCharge: Number,
+        pickupScheduledAt: Date,
+        // When shipOrder finished booking; puts the order on that day's manifest
+        bookedAt: Date,
+        cancelledAt: Date,
+        error: String,
         lastUpdate: Date,
-        trackingUrl: String
+        trackingUrl: String,
+        // Courier timeline, oldest first
+        events: [shippingEventSchema]
+    },
+
+    // Refunds (full or partial). Failed attempts are kept for audit.
+    refunds: [refundSchema],
+
+    // Shipment returned to origin (services/rtoService)
+    rto: {
+        initiatedAt: Date,
+        returnedAt: Date,
+        restockedAt: Date,
+        refundStartedAt: Date,
+        refund: mongoose.Schema.Types.ObjectId, // refunds[] entry
+        forwardFreight: Number,
+        returnFreight: Number,
+        // true until the courier's actual RTO charge is entered
+        returnFreightEstimated: Boolean,
+        gatewayFee: Number,
+        // Freight both ways plus the gateway fee we don't get back
+        lossAmount: Number,
+        error: String
     },
 
     // Additional tracking fields
@@ -171,8 +456,13 @@ const orderSchema = new mongoose.Schema({
         delivered: { type: Boolean, default: false }
     },
 
-    // Invoice
-    invoiceNumber: String,
+    // Invoice (sequential per financial year, see generateInvoice)
+    invoiceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    invoiceDate: Date,
     invoiceGenerated: { type: Boolean, default: false }
 }, {
     timestamps: true,
@@ -208,6 +498,9 @@ orderSchema.index({ createdAt: -1, orderStatus: 1 });
 // Text index for order ID search
 orderSchema.index({ orderId: 'text' });
 
+// Day's pickup manifest
+orderSchema.index({ 'shipping.bookedAt': 1 }, { sparse: true });
+
 // ========================================
 // VIRTUAL PROPERTIES
 // ========================================
@@ -241,6 +534,18 @@ orderSchema.virtual('daysUntilDelivery').get(function () {
     return diffDays;
 });
 
+// Virtual for money refunded or on its way back (failed refunds excluded)
+orderSchema.virtual('refundedTotal').get(function () {
+    return (this.refunds || [])
+        .filter(r => r.status !== 'failed')
+        .reduce((sum, r) => sum + r.amount, 0);
+});
+
+// Virtual for what can still be refunded
+orderSchema.virtual('refundableAmount').get(function () {
+    return Math.max(0, this.total - this.refundedTotal);
+});
+
 // Virtual for order age (in days)
 orderSchema.virtual('orderAge').get(function () {
     const now = new Date();
@@ -263,8 +568,11 @@ orderSchema.methods.updateStatus = async function (newStatus, notes = '', update
     const currentStatusIndex = statusOrder.indexOf(this.orderStatus);
     const newStatusIndex = statusOrder.indexOf(newStatus);
 
+    // Cancelled and Returned to Origin sit outside the forward flow
+    const endStatuses = ['Cancelled', 'Returned to Origin'];
+
     // Validation
-    if (newStatus !== 'Cancelled' && this.orderStatus !== 'Cancelled' && newStatusIndex < currentStatusIndex) {
+    if (!endStatuses.includes(newStatus) && !endStatuses.includes(this.orderStatus) && newStatusIndex < currentStatusIndex) {
         throw new Error(`Cannot revert status from ${this.orderStatus} to ${newStatus}`);
     }
 
@@ -281,6 +589,17 @@ orderSchema.methods.updateStatus = async function (newStatus, notes = '', update
         this.cancelledAt = new Date();
         if (updatedBy) this.cancelledBy = updatedBy;
         if (notes) this.cancellationReason = notes;
+    } else if (newStatus === 'Returned to Origin') {
+        // Orders created before this status existed have no step for it
+        let rtoStep = this.trackingSteps.find(s => s.status === 'Returned to Origin');
+        if (!rtoStep) {
+            this.trackingSteps.push({ status: 'Returned to Origin' });
+            rtoStep = this.trackingSteps[this.trackingSteps.length - 1];
+        }
+        rtoStep.completed = true;
+        rtoStep.date = new Date();
+        if (notes) rtoStep.notes = notes;
+        if (updatedBy) rtoStep.updatedBy = updatedBy;
     } else if (newStatusIndex !== -1) {
         // Mark all steps up to new status as completed
         this.trackingSteps.forEach(step => {
@@ -354,22 +673,49 @@ orderSchema.methods.getCurrentStep = function () {
  * Check if order can be cancelled
  */
 orderSchema.methods.canBeCancelled = function () {
-    const nonCancellableStatuses = ['Delivered', 'Cancelled', 'Shipped'];
+    const nonCancellableStatuses = ['Shipped', 'Out for Delivery', 'Delivered', 'Cancelled', 'Returned to Origin', 'Closed'];
     return !nonCancellableStatuses.includes(this.orderStatus);
 };
 
 /**
- * Generate invoice number
+ * Generate invoice number (gap-free per financial year, e.g. INV/25-26/00042)
  */
 orderSchema.methods.generateInvoice = async function () {
-    if (!this.invoiceNumber) {
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        this.invoiceNumber = `INV-${year}${month}-${this.orderId}`;
-        this.invoiceGenerated = true;
-        await this.save();
+    if (this.invoiceNumber) {
+        return this.invoiceNumber;
     }
+
+    // Financial year runs April-March (IST), e.g. 25-26
+    const date = new Date();
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const fyStart = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    const fy = `${String(fyStart).slice(-2)}-${String(fyStart + 1).slice(-2)}`;
+
+    // Number and order update commit together, so a failure never leaves
+    // a gap; a concurrent request conflicts on the counter and retries.
+    const invoice = await withTransaction(async (session) => {
+        const current = await this.constructor.findById(this._id)
+            .select('invoiceNumber invoiceDate')
+            .session(session);
+
+        if (current.invoiceNumber) {
+            return { invoiceNumber: current.invoiceNumber, invoiceDate: current.invoiceDate };
+        }
+
+        const seq = await Counter.next(`invoice-${fy}`, session);
+        const invoiceNumber = `INV/${fy}/${String(seq).padStart(5, '0')}`;
+
+        await this.constructor.updateOne(
+            { _id: this._id },
+            { $set: { invoiceNumber, invoiceDate: date, invoiceGenerated: true } },
+            { session }
+        );
+        return { invoiceNumber, invoiceDate: date };
+    });
+
+    this.invoiceNumber = invoice.invoiceNumber;
+    this.invoiceDate = invoice.invoiceDate;
+    this.invoiceGenerated = true;
     return this.invoiceNumber;
 };
 
@@ -429,7 +775,7 @@ orderSchema.statics.getRevenue = async function (startDate, endDate) {
         {
             $match: {
                 createdAt: { $gte: startDate, $lte: endDate },
-                orderStatus: { $ne: 'Cancelled' }
+                orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] }
             }
         },
         {
@@ -457,11 +803,11 @@ orderSchema.statics.getStats = async function () {
                     { $group: { _id: '$orderStatus', count: { $sum: 1 } } }
                 ],
                 revenue: [
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     { $group: { _id: null, total: { $sum: '$total' } } }
                 ],
                 avgOrderValue: [
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     { $group: { _id: null, avg: { $avg: '$total' } } }
                 ]
             }
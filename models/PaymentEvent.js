@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// PAYMENT EVENT SCHEMA
+// ========================================
+// One document per Razorpay webhook delivery, keyed on the event id
+// (X-Razorpay-Event-Id) so retried deliveries are processed once.
+// ========================================
+const paymentEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    event: {
+        type: String,
+        required: true,
+        index: true
+    },
+    gatewayOrderId: {
+        type: String,
+        index: true
+    },
+    paymentId: String,
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'unmatched', 'failed'],
+        default: 'received',
+        index: true
+    },
+    error: String,
+    payload: mongoose.Schema.Types.Mixed,
+    processedAt: Date
+}, {
+    timestamps: true
+});
+
+// Keep raw deliveries for 90 days
+paymentEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
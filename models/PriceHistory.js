@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// PRICE HISTORY SCHEMA
+// ========================================
+// One document per price change applied to a product or variant, so what
+// a product cost on a given day can be looked up later. Written by
+// services/priceScheduler.
+// ========================================
+
+const PRICE_CHANGE_REASONS = ['schedule_applied', 'schedule_reverted'];
+
+const priceHistorySchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    // Values after the change
+    price: Number,
+    offerPrice: Number,
+    offerText: String,
+    // Values before it
+    previousPrice: Number,
+    previousOfferPrice: Number,
+    reason: {
+        type: String,
+        enum: PRICE_CHANGE_REASONS,
+        required: true
+    },
+    schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceSchedule'
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+priceHistorySchema.index({ product: 1, changedAt: -1 });
+
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+module.exports = PriceHistory;
+module.exports.PRICE_CHANGE_REASONS = PRICE_CHANGE_REASONS;
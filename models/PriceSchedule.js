@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// PRICE SCHEDULE SCHEMA
+// ========================================
+// A price or offer change for one product (or one of its variants) that
+// services/priceScheduler applies at startAt and undoes at endAt. Without
+// an endAt the change is permanent.
+// ========================================
+
+const SCHEDULE_STATUSES = [
+    'scheduled', // Waiting for startAt
+    'active',    // Applied; waiting for endAt
+    'completed', // Reverted, or applied for good
+    'cancelled',
+    'failed'     // Could not be applied; see error
+];
+
+const priceScheduleSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        index: true
+    },
+    // Variant _id; required when the product is priced per variant
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    // What to set; at least one of price / offerPrice
+    price: { type: Number, min: 0 },
+    offerPrice: { type: Number, min: 0 },
+    offerText: String,
+    startAt: {
+        type: Date,
+        required: true
+    },
+    endAt: Date,
+    status: {
+        type: String,
+        enum: SCHEDULE_STATUSES,
+        default: 'scheduled'
+    },
+    // Values the schedule replaced, restored at endAt
+    previous: {
+        price: Number,
+        offerPrice: Number,
+        offerText: String,
+        isOffer: Boolean
+    },
+    note: String,
+    appliedAt: Date,
+    revertedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    error: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Scheduler claims
+priceScheduleSchema.index({ status: 1, startAt: 1 });
+priceScheduleSchema.index({ status: 1, endAt: 1 });
+// Per-product listing and overlap checks
+priceScheduleSchema.index({ product: 1, startAt: -1 });
+
+const PriceSchedule = mongoose.model('PriceSchedule', priceScheduleSchema);
+
+module.exports = PriceSchedule;
+module.exports.SCHEDULE_STATUSES = SCHEDULE_STATUSES;
@@ -10,6 +10,13 @@ const mongoose = require('mongoose');
 // 6. Sparse indexes for optional fields
 // ========================================
 
+// Packed size of one unit, for choosing the shipping box
+const dimensionsSchema = new mongoose.Schema({
+    lengthCm: { type: Number, min: 0 },
+    breadthCm: { type: Number, min: 0 },
+    heightCm: { type: Number, min: 0 }
+}, { _id: false });
+
 // ========================================
 // PRODUCT SCHEMA
 // ========================================
@@ -54,6 +61,7 @@ const productSchema = new mongoose.Schema({
         required: true
     },
     images: [String],
+    // On-hand quantity (physically in the warehouse)
     stock: {
         type: Number,
         required: true,
@@ -61,14 +69,35 @@ const productSchema = new mongoose.Schema({
         min: 0,
         index: true
     },
+    // Held by active cart reservations (see StockReservation)
+    reservedStock: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     weight: String,
+    // Parcel data for products without variants (see services/shipping/packing)
+    netWeightGrams: { type: Number, min: 0 },
+    grossWeightGrams: { type: Number, min: 0 },
+    dimensions: dimensionsSchema,
+    // GST (prices are inclusive). gstRate falls back to Setting.defaultGstRate.
+    hsnCode: String,
+    gstRate: {
+        type: Number,
+        min: 0
+    },
     variants: [{
         weight: String,
         price: Number,
         offerPrice: Number,
         originalPrice: Number,
         stock: Number,
-        sku: String
+        reserved: { type: Number, default: 0 },
+        sku: String,
+        // Contents only / as packed by us (pouch, jar), before the outer box
+        netWeightGrams: { type: Number, min: 0 },
+        grossWeightGrams: { type: Number, min: 0 },
+        dimensions: dimensionsSchema
     }],
     unit: String,
     nutritionalInfo: {
@@ -210,19 +239,24 @@ productSchema.virtual('discountPercentage').get(function () {
     return 0;
 });
 
+// Virtual for sellable quantity (on-hand minus cart reservations)
+productSchema.virtual('availableStock').get(function () {
+    return Math.max(0, (this.stock || 0) - (this.reservedStock || 0));
+});
+
 // Virtual for in stock status
 productSchema.virtual('inStock').get(function () {
-    return this.stock > 0;
+    return this.availableStock > 0;
 });
 
 // Virtual for low stock warning
 productSchema.virtual('lowStock').get(function () {
-    return this.stock > 0 && this.stock <= 10;
+    return this.availableStock > 0 && this.availableStock <= 10;
 });
 
 // Virtual for out of stock
 productSchema.virtual('outOfStock').get(function () {
-    return this.stock === 0;
+    return this.availableStock === 0;
 });
 
 // Virtual for savings amount
@@ -240,8 +274,8 @@ productSchema.virtual('ratingDisplay').get(function () {
 
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function () {
-    if (this.stock === 0) return 'Out of Stock';
-    if (this.stock <= 10) return 'Low Stock';
+    if (this.availableStock === 0) return 'Out of Stock';
+    if (this.availableStock <= 10) return 'Low Stock';
     return 'In Stock';
 });
 
@@ -255,22 +289,63 @@ productSchema.virtual('popularityScore').get(function () {
 // ========================================
 
 /**
- * Update stock
+ * Update stock (atomic - never drops below reserved quantity)
  */
 productSchema.methods.updateStock = async function (quantity, operation = 'decrease') {
+    let result;
+
     if (operation === 'decrease') {
-        if (this.stock < quantity) {
+        // sanitizeFilter is enabled globally, so the $expr guard must be trusted
+        result = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                $expr: mongoose.trusted({
+                    $gte: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, quantity]
+                })
+            },
+            { $inc: { stock: -quantity } },
+            { new: true }
+        );
+        if (!result) {
             throw new Error('Insufficient stock');
         }
-        this.stock -= quantity;
     } else {
-        this.stock += quantity;
-        this.lastRestocked = new Date();
+        result = await this.constructor.findByIdAndUpdate(
+            this._id,
+            { $inc: { stock: quantity }, $set: { lastRestocked: new Date() } },
+            { new: true }
+        );
     }
-    await this.save();
+
+    this.stock = result.stock;
+    if (result.lastRestocked) this.lastRestocked = result.lastRestocked;
     return this;
 };
 
+/**
+ * Resolve a variant by its id or SKU.
+ * Legacy cart/order lines without either key fall back to the weight label.
+ */
+productSchema.methods.findVariant = function ({ variantId, sku, weight } = {}) {
+    if (!this.variants || this.variants.length === 0) return null;
+
+    if (variantId) {
+        const byId = this.variants.find(v => v._id && v._id.toString() === String(variantId));
+        if (byId) return byId;
+    }
+
+    if (sku) {
+        const bySku = this.variants.find(v => v.sku && v.sku === sku);
+        if (bySku) return bySku;
+    }
+
+    if (!variantId && !sku && weight) {
+        return this.variants.find(v => v.weight === weight) || null;
+    }
+
+    return null;
+};
+
 /**
  * Increment view count
  */
@@ -303,7 +378,7 @@ productSchema.methods.updateRating = async function (newRating, newReviewCount)
  * Check if product is available
  */
 productSchema.methods.isAvailable = function (quantity = 1) {
-    return this.isActive && this.stock >= quantity;
+    return this.isActive && this.availableStock >= quantity;
 };
 
 /**
@@ -600,6 +675,19 @@ productSchema.pre('save', async function () {
         this.sku = `${prefix}-${Date.now()}-${randomNum}`;
     }
 
+    // 2b. Generate variant SKUs (cart & order lines are keyed by them)
+    if (this.variants && this.variants.length > 0 && this.sku) {
+        const used = new Set(this.variants.map(v => v.sku).filter(Boolean));
+        this.variants.forEach((variant, index) => {
+            if (variant.sku) return;
+            const suffix = (variant.weight || `V${index + 1}`).replace(/\s+/g, '').toUpperCase();
+            let candidate = `${this.sku}-${suffix}`;
+            if (used.has(candidate)) candidate = `${candidate}-${index + 1}`;
+            variant.sku = candidate;
+            used.add(candidate);
+        });
+    }
+
     // 3. Set original price
     if (!this.originalPrice && this.isNew) {
         this.originalPrice = this.price;
@@ -629,6 +717,69 @@ productSchema.post('save', function (doc, next) {
     next();
 });
 
+// ========================================
+// CATEGORY PRODUCT COUNTS
+// ========================================
+// Category.productCount is the number of active products directly in it,
+// recounted whenever a product is added, moved, (de)activated or removed.
+// A failed recount is logged, not thrown: the next change corrects it.
+
+const recountCategories = async (ids, session = null) => {
+    try {
+        const Category = require('./Category');
+        await Category.refreshProductCounts(ids, session);
+    } catch (error) {
+        console.error('[CATEGORY] Product count refresh failed:', error.message);
+    }
+};
+
+const COUNTED_FIELDS = ['category', 'isActive'];
+
+productSchema.post('init', function () {
+    this.$locals.savedCategory = this.category;
+});
+
+productSchema.pre('save', function () {
+    if (this.isNew || COUNTED_FIELDS.some(field => this.isModified(field))) {
+        this.$locals.recountCategories = [this.$locals.savedCategory, this.category];
+    }
+});
+
+productSchema.post('save', async function () {
+    const ids = this.$locals.recountCategories;
+    if (!ids) return;
+    this.$locals.recountCategories = null;
+    this.$locals.savedCategory = this.category;
+
+    // Partially loaded (e.g. a status toggle): look the category up
+    if (!this.category) {
+        const saved = await this.constructor.findById(this._id).select('category').session(this.$session()).lean();
+        ids.push(saved?.category);
+    }
+    await recountCategories(ids, this.$session());
+});
+
+productSchema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate() || {};
+    const touched = COUNTED_FIELDS.some(field => field in update || field in (update.$set || {}));
+    if (!touched) return;
+
+    const before = await this.model.findOne(this.getFilter())
+        .select('category')
+        .session(this.getOptions().session || null)
+        .lean();
+    this._recountCategories = [before?.category, update.category, update.$set?.category];
+});
+
+productSchema.post('findOneAndUpdate', async function (doc) {
+    if (!this._recountCategories) return;
+    await recountCategories([...this._recountCategories, doc?.category], this.getOptions().session);
+});
+
+productSchema.post('findOneAndDelete', async function (doc) {
+    if (doc) await recountCategories([doc.category], this.getOptions().session);
+});
+
 // ========================================
 // PRE-REMOVE MIDDLEWARE
 // ========================================
@@ -695,11 +846,34 @@ productSchema.set('toObject', {
 // ========================================
 // COMBO SCHEMA (DISCRIMINATOR)
 // ========================================
+// A combo holds no stock of its own: availability and deductions come
+// from its components (services/comboService)
+const comboComponentSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Pack size, required when the component has variants
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: String,
+    quantity: {
+        type: Number,
+        min: 1,
+        default: 1
+    }
+}, { _id: false });
+
 const comboSchema = new mongoose.Schema({
+    // Component ids, kept in step with `components` for populate()
     products: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product'
     }],
+    components: [comboComponentSchema],
     comboPrice: {
         type: Number,
         required: true,
@@ -707,6 +881,23 @@ const comboSchema = new mongoose.Schema({
     }
 });
 
+/**
+ * Combos created before per-component quantities list each product
+ * once in `products`; turn those into components
+ */
+comboSchema.pre('validate', function () {
+    if ((!this.components || this.components.length === 0) && this.products && this.products.length > 0) {
+        const counts = new Map();
+        for (const id of this.products) {
+            counts.set(String(id), (counts.get(String(id)) || 0) + 1);
+        }
+        this.components = Array.from(counts, ([product, quantity]) => ({ product, quantity }));
+    }
+
+    const ids = new Set((this.components || []).map(c => String(c.product)));
+    this.products = Array.from(ids);
+});
+
 // ========================================
 // EXPORT MODELS
 // ========================================
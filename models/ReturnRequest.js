@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// RETURN REQUEST (RMA) SCHEMA
+// ========================================
+// Customer-initiated return for a delivered order. Lifecycle:
+// requested -> approved -> pickup_scheduled -> picked_up -> received -> refunded
+// with rejected / cancelled as terminal side exits.
+// ========================================
+
+const RETURN_STATUSES = [
+    'requested',
+    'approved',
+    'rejected',
+    'cancelled',
+    'pickup_scheduled',
+    'picked_up',
+    'received',
+    'refunded'
+];
+
+const RETURN_REASONS = ['damaged', 'wrong_item', 'missing_item', 'quality_issue', 'expired', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+    // Order line (_id of the Order.items entry)
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    variantId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    sku: String,
+    weight: String,
+    price: Number,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Combo lines: packs per combo, restocked on receipt
+    components: [{
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        variantId: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        name: String,
+        quantity: Number,
+        weight: String,
+        netWeightGrams: Number,
+        grossWeightGrams: Number,
+        dimensions: {
+            lengthCm: Number,
+            breadthCm: Number,
+            heightCm: Number
+        }
+    }]
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: RETURN_STATUSES
+    },
+    note: String,
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+    rmaNumber: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    orderId: String,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: [(val) => val && val.length > 0, 'A return needs at least one item']
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: true
+    },
+    description: {
+        type: String,
+        maxlength: 1000
+    },
+    // Cloudinary URLs uploaded through /api/upload
+    images: [String],
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        default: 'requested',
+        index: true
+    },
+    history: [historySchema],
+    adminNote: String,
+    rejectionReason: String,
+
+    // Reverse pickup (courier return order, see services/shipping)
+    pickup: {
+        provider: String,
+        providerOrderId: String,
+        shipmentId: String,
+        awb: String,
+        courierName: String,
+        error: String,
+        scheduledAt: Date,
+        pickedUpAt: Date
+    },
+
+    receivedAt: Date,
+    restocked: {
+        type: Boolean,
+        default: false
+    },
+
+    // Order.refunds entry that settled this return
+    refund: mongoose.Schema.Types.ObjectId,
+    // Set while a refund is in flight so it can't be issued twice
+    refundStartedAt: Date,
+    refundAmount: Number
+}, {
+    timestamps: true
+});
+
+// ========================================
+// INDEXES
+// ========================================
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+
+// ========================================
+// METHODS
+// ========================================
+
+/**
+ * Move to a new status and record it in the history
+ */
+returnRequestSchema.methods.transition = function (status, { note, by } = {}) {
+    this.status = status;
+    this.history.push({ status, note, by, at: new Date() });
+    return this;
+};
+
+/**
+ * Still counts against the order lines (not rejected / cancelled)
+ */
+returnRequestSchema.virtual('isOpen').get(function () {
+    return !['rejected', 'cancelled'].includes(this.status);
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
+module.exports.RETURN_STATUSES = RETURN_STATUSES;
+module.exports.RETURN_REASONS = RETURN_REASONS;
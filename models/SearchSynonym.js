@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SEARCH SYNONYM SCHEMA
+// ========================================
+// Admin-managed dictionary for product search (services/productSearch):
+// a word customers type - Tamil, transliterated or colloquial ("ulundu",
+// "உளுந்து") - and what it should find: catalog words ("urad") and/or
+// specific products.
+// ========================================
+
+/**
+ * Lowercase, punctuation stripped, single spaces. Keeps Tamil letters and
+ * vowel signs.
+ */
+const normaliseTerm = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const searchSynonymSchema = new mongoose.Schema({
+    term: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Catalog words the term stands for
+    matches: [String],
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    note: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+searchSynonymSchema.pre('validate', function () {
+    this.term = normaliseTerm(this.term);
+    this.matches = [...new Set((this.matches || []).map(normaliseTerm).filter(Boolean))];
+
+    if (this.matches.length === 0 && (!this.products || this.products.length === 0)) {
+        this.invalidate('matches', 'A synonym needs words or products to match');
+    }
+});
+
+const SearchSynonym = mongoose.model('SearchSynonym', searchSynonymSchema);
+
+module.exports = SearchSynonym;
+module.exports.normaliseTerm = normaliseTerm;
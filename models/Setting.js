@@ -32,13 +32,75 @@ const settingSchema = new mongoose.Schema({
     },
     metaDescription: String,
     metaKeywords: [String],
+    // Pricing (read by services/pricingService)
     freeShippingThreshold: {
         type: Number,
-        default: 0
+        default: 750
     },
     defaultShippingCharge: {
         type: Number,
-        default: 0
+        default: 50
+    },
+    // GST. Prices are GST-inclusive; these drive the tax breakdown.
+    gstin: String,
+    businessState: {
+        type: String,
+        default: 'Tamil Nadu'
+    },
+    defaultGstRate: {
+        type: Number,
+        default: 5,
+        min: 0
+    },
+    shippingGstRate: {
+        type: Number,
+        default: 18,
+        min: 0
+    },
+    // Courier selection (read by services/shipping). Rules are tried in
+    // order and the first match wins; otherwise shippingProvider is used.
+    shippingProvider: {
+        type: String,
+        enum: ['shiprocket', 'icarry', 'fake'],
+        default: 'shiprocket'
+    },
+    shippingRules: [{
+        _id: false,
+        provider: {
+            type: String,
+            enum: ['shiprocket', 'icarry', 'fake'],
+            required: true
+        },
+        // Empty matches every pincode
+        pincodePrefixes: [String],
+        // Unset matches both COD and prepaid
+        cod: Boolean,
+        minWeightKg: Number,
+        maxWeightKg: Number
+    }],
+    // Boxes orders are packed in (read by services/shipping/packing). The
+    // smallest box the items fit is used.
+    packagingProfiles: [{
+        _id: false,
+        code: {
+            type: String,
+            required: true
+        },
+        name: String,
+        lengthCm: { type: Number, required: true, min: 0 },
+        breadthCm: { type: Number, required: true, min: 0 },
+        heightCm: { type: Number, required: true, min: 0 },
+        // Empty box plus filler
+        tareWeightGrams: { type: Number, default: 0, min: 0 },
+        // Heaviest contents the box takes; unset means no limit
+        maxWeightGrams: { type: Number, min: 0 },
+        isActive: { type: Boolean, default: true }
+    }],
+    // cm³ per kg couriers divide by for volumetric weight
+    volumetricDivisor: {
+        type: Number,
+        default: 5000,
+        min: 1
     }
 }, { timestamps: true });
 
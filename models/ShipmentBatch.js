@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SHIPMENT BATCH SCHEMA
+// ========================================
+// A set of shipped orders handed to the couriers together (one pickup
+// day, or one bulk-ship run). The manifest, merged labels and pick list
+// are built from the orders whenever they are downloaded
+// (services/shipping/manifest).
+// ========================================
+
+const BATCH_SOURCES = ['bulk_ship', 'manual'];
+
+const shipmentBatchSchema = new mongoose.Schema({
+    // MAN-YYYYMMDD-NNN
+    batchId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // IST day the batch is for
+    pickupDate: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    orders: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }],
+    source: {
+        type: String,
+        enum: BATCH_SOURCES,
+        default: 'manual'
+    },
+    summary: {
+        orders: Number,
+        units: Number,
+        couriers: [String],
+        codOrders: Number,
+        codAmount: Number
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+shipmentBatchSchema.index({ createdAt: -1 });
+
+const ShipmentBatch = mongoose.model('ShipmentBatch', shipmentBatchSchema);
+
+module.exports = ShipmentBatch;
+module.exports.BATCH_SOURCES = BATCH_SOURCES;
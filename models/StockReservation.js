@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// STOCK RESERVATION SCHEMA
+// ========================================
+// One active reservation per user + product + variant. Quantities held here
+// are mirrored in Product.reservedStock / variants.reserved so storefront
+// availability is simply on-hand minus reserved.
+// ========================================
+const stockReservationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        index: true
+    },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Combo holds: the component packs held per combo (the combo itself
+    // has no stock). Kept as taken so a later combo edit can't release
+    // the wrong packs.
+    components: [{
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        quantity: Number
+    }],
+    status: {
+        type: String,
+        enum: ['active', 'committed', 'released', 'expired'],
+        default: 'active',
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    // Set once the reservation leaves 'active'; drives TTL cleanup
+    closedAt: Date
+}, {
+    timestamps: true
+});
+
+// ========================================
+// INDEXES
+// ========================================
+// Only one active hold per cart line
+stockReservationSchema.index(
+    { user: 1, product: 1, variantId: 1 },
+    { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Expiry sweep
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Keep closed reservations for a week for debugging, then drop them
+stockReservationSchema.index({ closedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ========================================
+// INSTANCE METHODS
+// ========================================
+
+/**
+ * Close reservation with a final status
+ */
+stockReservationSchema.methods.close = async function (status, orderId = null) {
+    this.status = status;
+    this.closedAt = new Date();
+    if (orderId) this.order = orderId;
+    await this.save();
+    return this;
+};
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
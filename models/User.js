@@ -45,6 +45,10 @@ const cartItemSchema = new mongoose.Schema({
         enum: ['product', 'combo'],
         required: true
     },
+    // Variant key - a product can sit in the cart once per pack size
+    variantId: String,
+    sku: String,
+    weight: String,
     quantity: {
         type: Number,
         required: true,
@@ -262,7 +266,7 @@ userSchema.methods.updateLastLogin = async function () {
  */
 userSchema.methods.addToCart = async function (item) {
     const existingItemIndex = this.cart.findIndex(
-        i => i.id === item.id && i.type === item.type
+        i => i.id === item.id && i.type === item.type && (i.variantId || null) === (item.variantId || null)
     );
 
     if (existingItemIndex > -1) {
@@ -277,9 +281,9 @@ userSchema.methods.addToCart = async function (item) {
 /**
  * Remove item from cart
  */
-userSchema.methods.removeFromCart = async function (itemId, itemType) {
+userSchema.methods.removeFromCart = async function (itemId, itemType, variantId = null) {
     this.cart = this.cart.filter(
-        item => !(item.id === itemId && item.type === itemType)
+        item => !(item.id === itemId && item.type === itemType && (!variantId || item.variantId === variantId))
     );
     return await this.save();
 };
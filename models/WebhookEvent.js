@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// WEBHOOK EVENT SCHEMA
+// ========================================
+// One document per courier webhook delivery (rejected ones included),
+// keyed on provider, topic and a hash of the raw body so retried
+// deliveries are processed once. Stored payloads can be replayed.
+// Deliveries that fail verification keep only metadata, no body.
+// ========================================
+const webhookEventSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true,
+        index: true
+    },
+    topic: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'unmatched', 'invalid', 'rejected', 'failed'],
+        default: 'received',
+        index: true
+    },
+    message: String,
+    error: String,
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        index: true
+    },
+    // Request metadata for debugging; auth headers are never stored
+    headers: mongoose.Schema.Types.Mixed,
+    ip: String,
+    // Body length in bytes
+    size: Number,
+    rawBody: String,
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    processedAt: Date,
+    replayedAt: Date,
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, createdAt: -1 });
+
+// Keep raw deliveries for 90 days
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
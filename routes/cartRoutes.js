@@ -1,8 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const { protect } = require('../middleware/authMiddleware');
 const { Product, Combo } = require('../models/Product');
+const pricingService = require('../services/pricingService');
+const stockReservation = require('../services/stockReservation');
 
 // ========================================
 // PERFORMANCE OPTIMIZATIONS ADDED:
@@ -13,6 +16,20 @@ const { Product, Combo } = require('../models/Product');
 // 5. Better error handling
 // ========================================
 
+// ========================================
+// HELPERS
+// ========================================
+// A cart line is identified by product id + variant. Lines without a
+// variantId (simple products, legacy carts) match on id alone.
+const lineKey = (item) => `${item.id}:${item.variantId || ''}`;
+
+const lineMatch = (id, variantId) => {
+    const match = { id };
+    if (variantId) match.variantId = variantId;
+    // sanitizeFilter is enabled globally, so $elemMatch must be trusted
+    return { cart: mongoose.trusted({ $elemMatch: match }) };
+};
+
 // ========================================
 // GET USER CART - OPTIMIZED
 // ========================================
@@ -37,51 +54,76 @@ router.get('/', protect, async (req, res) => {
 // ========================================
 router.post('/add', protect, async (req, res) => {
     try {
-        const { id, type, quantity, price, name, image } = req.body;
+        const { id, price, name, image } = req.body;
+        const quantity = Number(req.body.quantity);
 
-        if (!id || !type || !quantity || !price || !name) {
+        if (!id || !req.body.quantity || !price || !name) {
             return res.status(400).json({ message: 'Missing required fields' });
         }
 
+        // Goes straight into the stock hold and the cart $inc
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({ message: 'Valid quantity required' });
+        }
+
         // ========================================
-        // STOCK MANAGEMENT: CHECK & DEDUCT
+        // STOCK MANAGEMENT: RESERVE (TIME-BOXED)
         // ========================================
-        const Model = type === 'combo' ? Combo : Product;
-        const product = await Model.findById(id);
+        const product = await Product.findById(id);
 
         if (!product) {
             return res.status(404).json({ message: 'Product not found' });
         }
 
+        // The stored document says whether this is a combo, not the client
+        const type = product instanceof Combo ? 'combo' : 'product';
+
+        let variant = null;
+
         if (product.variants && product.variants.length > 0) {
-            // Check global stock first (Master Switch)
-            if (product.stock < quantity) {
-                return res.status(400).json({ message: `Insufficient stock for ${name}` });
+            // Variant products must be added with a variant key
+            variant = product.findVariant(req.body);
+            if (!variant) {
+                return res.status(400).json({ message: `Please select a pack size for ${name}` });
             }
+        }
 
-            // Variant stock check (validation only)
-            const variant = product.variants.find(v => v.price === price);
-            if (variant && variant.stock < quantity) {
-                return res.status(400).json({ message: `Insufficient stock for ${name}` });
-            }
+        const variantId = variant ? variant._id.toString() : undefined;
 
-        } else {
-            if (product.stock < quantity) {
-                return res.status(400).json({ message: `Insufficient stock for ${name}` });
-            }
+        // Hold the stock for this line; expires if the cart is abandoned
+        const reserved = await stockReservation.reserveLine(req.user._id, { id, variantId }, quantity);
+        if (!reserved) {
+            return res.status(400).json({ message: `Insufficient stock for ${name}` });
         }
 
-        // OPTIMIZATION: Use findOneAndUpdate with arrayFilters for atomic operation
-        // Removed premature stock deduction
+        // If line already exists (same product + variant), update quantity
+        const updatedUser = await User.findOneAndUpdate(
+            { _id: req.user._id, ...lineMatch(id, variantId) },
+            { $inc: { 'cart.$.quantity': quantity } },
+            { new: true, select: 'cart' }
+        )
+            .maxTimeMS(5000)
+            .exec();
+
+        if (updatedUser) {
+            return res.json(updatedUser.cart);
+        }
 
-        const user = await User.findOneAndUpdate(
-            {
-                _id: req.user._id,
-                'cart.id': { $ne: id } // Item not in cart
-            },
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
             {
                 $push: {
-                    cart: { id, type, quantity, price, name, image }
+                    cart: {
+                        id,
+                        type,
+                        quantity,
+                        price,
+                        name,
+                        image,
+                        variantId,
+                        sku: variant ? variant.sku : undefined,
+                        weight: variant ? variant.weight : product.weight
+                    }
                 }
             },
             { new: true, select: 'cart' }
@@ -89,25 +131,7 @@ router.post('/add', protect, async (req, res) => {
             .maxTimeMS(5000)
             .exec();
 
-        // If item already exists, update quantity instead
-        if (!user) {
-            const updatedUser = await User.findOneAndUpdate(
-                {
-                    _id: req.user._id,
-                    'cart.id': id
-                },
-                {
-                    $inc: { 'cart.$.quantity': quantity }
-                },
-                { new: true, select: 'cart' }
-            )
-                .maxTimeMS(5000)
-                .exec();
-
-            return res.json(updatedUser?.cart || []);
-        }
-
-        res.json(user.cart);
+        res.json(user?.cart || []);
     } catch (error) {
         console.error('[ERROR] Add to cart:', error);
         res.status(500).json({ message: error.message });
@@ -119,17 +143,33 @@ router.post('/add', protect, async (req, res) => {
 // ========================================
 router.put('/update/:itemId', protect, async (req, res) => {
     try {
-        const { quantity } = req.body;
+        const quantity = Number(req.body.quantity);
+        const variantId = req.body.variantId || req.query.variantId;
 
-        if (!quantity || quantity < 1) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
             return res.status(400).json({ message: 'Valid quantity required' });
         }
 
+        // Only hold stock for a line that is actually in the cart
+        const inCart = await User.exists({ _id: req.user._id, ...lineMatch(req.params.itemId, variantId) });
+        if (!inCart) {
+            return res.status(404).json({ message: 'Item not found in cart' });
+        }
+
+        const reserved = await stockReservation.setLineReservation(
+            req.user._id,
+            { id: req.params.itemId, variantId },
+            quantity
+        );
+        if (!reserved) {
+            return res.status(400).json({ message: 'Insufficient stock for the requested quantity' });
+        }
+
         // OPTIMIZATION: Use positional operator for direct update
         const user = await User.findOneAndUpdate(
             {
                 _id: req.user._id,
-                'cart.id': req.params.itemId
+                ...lineMatch(req.params.itemId, variantId)
             },
             {
                 $set: { 'cart.$.quantity': quantity }
@@ -140,6 +180,8 @@ router.put('/update/:itemId', protect, async (req, res) => {
             .exec();
 
         if (!user) {
+            // Removed in the meantime: don't keep the hold just taken
+            await stockReservation.setLineReservation(req.user._id, { id: req.params.itemId, variantId }, 0);
             return res.status(404).json({ message: 'Item not found in cart' });
         }
 
@@ -156,10 +198,11 @@ router.put('/update/:itemId', protect, async (req, res) => {
 router.delete('/remove/:itemId', protect, async (req, res) => {
     try {
         // OPTIMIZATION: Use $pull to remove item
+        const variantId = req.query.variantId;
         const user = await User.findByIdAndUpdate(
             req.user._id,
             {
-                $pull: { cart: { id: req.params.itemId } }
+                $pull: { cart: variantId ? { id: req.params.itemId, variantId } : { id: req.params.itemId } }
             },
             { new: true, select: 'cart' }
         )
@@ -170,6 +213,9 @@ router.delete('/remove/:itemId', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        // Give the held stock back
+        await stockReservation.setLineReservation(req.user._id, { id: req.params.itemId, variantId }, 0);
+
         res.json(user.cart);
     } catch (error) {
         console.error('[ERROR] Remove from cart:', error);
@@ -191,7 +237,7 @@ router.put('/', protect, async (req, res) => {
         // ========================================
         // STOCK SYNC LOGIC
         // ========================================
-        const user = await User.findById(req.user._id).select('cart');
+        const user = await User.findById(req.user._id).select('cart').lean();
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
@@ -199,64 +245,12 @@ router.put('/', protect, async (req, res) => {
         const oldCart = user.cart || [];
         const newCart = cart;
 
-        // 1. Handle increments (Reserve Stock)
-        for (const newItem of newCart) {
-            const oldItem = oldCart.find(i => i.id === newItem.id);
-            let quantityToDeduct = 0;
-
-            if (!oldItem) {
-                // New item added directly to list
-                quantityToDeduct = newItem.quantity;
-            } else if (newItem.quantity > oldItem.quantity) {
-                // Quantity increased
-                quantityToDeduct = newItem.quantity - oldItem.quantity;
-            }
-
-            if (quantityToDeduct > 0) {
-                const Model = newItem.type === 'combo' ? Combo : Product;
-                const product = await Model.findById(newItem.id);
-                if (product) {
-                    if (product.stock >= quantityToDeduct) {
-                        product.stock -= quantityToDeduct;
-                        await product.save();
-                    } else if (product.variants && product.variants.length > 0) {
-                        // If variants exist, root stock might be 0 but variants have stock.
-                        // Trust the frontend/add-to-cart logic for now and just deduct what we can or ignore.
-                        // Ideally we sync specific variants.
-                        // For now, suppress warning for variant products.
-                        product.stock = Math.max(0, product.stock - quantityToDeduct);
-                        await product.save();
-                    } else {
-                        // If insufficient stock, we might need to reject or just cap it.
-                        // For bulk sync, capping is safer to avoid blocking ui.
-                        console.warn(`[WARN] Insufficient stock during sync for ${product.name}`);
-                    }
-                }
-            }
-        }
-
-        // 2. Handle decrements (Restore Stock)
-        for (const oldItem of oldCart) {
-            const newItem = newCart.find(i => i.id === oldItem.id);
-            let quantityToRestore = 0;
-
-            if (!newItem) {
-                // Item removed
-                quantityToRestore = oldItem.quantity;
-            } else if (newItem.quantity < oldItem.quantity) {
-                // Quantity decreased
-                quantityToRestore = oldItem.quantity - newItem.quantity;
-            }
-
-            if (quantityToRestore > 0) {
-                const Model = oldItem.type === 'combo' ? Combo : Product;
-                const product = await Model.findById(oldItem.id);
-                if (product) {
-                    product.stock += quantityToRestore;
-                    await product.save();
-                }
-            }
-        }
+        // Re-point holds at the new cart; lines that can't be held are
+        // kept (the order step re-checks stock) but logged.
+        const shortfalls = await stockReservation.syncCartReservations(req.user._id, oldCart, newCart);
+        shortfalls.forEach(item => {
+            console.warn(`[WARN] Insufficient stock during sync for ${item.name || item.id}`);
+        });
 
         // OPTIMIZATION: Direct update with validation
         const updatedUser = await User.findByIdAndUpdate(
@@ -284,19 +278,11 @@ router.put('/', protect, async (req, res) => {
 router.delete('/', protect, async (req, res) => {
     try {
         // ========================================
-        // STOCK RESTORATION FOR ALL ITEMS
+        // RELEASE ALL STOCK HOLDS
         // ========================================
-        const user = await User.findById(req.user._id).select('cart');
-        if (user && user.cart.length > 0) {
-            for (const item of user.cart) {
-                const Model = item.type === 'combo' ? Combo : Product;
-                const product = await Model.findById(item.id);
-                if (product) {
-                    product.stock += item.quantity;
-                    await product.save();
-                    console.log(`[STOCK] Restored ${item.quantity} for ${product.name} (Cart cleared)`);
-                }
-            }
+        const released = await stockReservation.releaseUserReservations(req.user._id);
+        if (released > 0) {
+            console.log(`[STOCK] Released ${released} reservation(s) (Cart cleared)`);
         }
 
         // OPTIMIZATION: Use updateOne for simple operation
@@ -315,44 +301,117 @@ router.delete('/', protect, async (req, res) => {
 });
 
 // ========================================
-// GET CART SUMMARY - OPTIMIZED
+// GET CART SUMMARY
 // ========================================
+// Priced from the catalog, not from the prices stored on cart lines.
 router.get('/summary', protect, async (req, res) => {
     try {
-        // OPTIMIZATION: Use aggregation for cart summary
-        const summary = await User.aggregate([
-            { $match: { _id: req.user._id } },
-            { $unwind: { path: '$cart', preserveNullAndEmptyArrays: true } },
-            {
-                $group: {
-                    _id: null,
-                    totalItems: { $sum: '$cart.quantity' },
-                    totalPrice: {
-                        $sum: { $multiply: ['$cart.price', '$cart.quantity'] }
-                    },
-                    items: { $push: '$cart' }
-                }
-            },
-            {
-                $project: {
-                    _id: 0,
-                    totalItems: { $ifNull: ['$totalItems', 0] },
-                    totalPrice: { $ifNull: [{ $round: ['$totalPrice', 2] }, 0] },
-                    itemCount: { $size: { $ifNull: ['$items', []] } }
-                }
-            }
-        ])
-            .maxTimeMS(5000)
+        const user = await User.findById(req.user._id)
+            .select('cart')
+            .lean()
+            .maxTimeMS(3000)
             .exec();
 
-        res.json(summary[0] || {
-            totalItems: 0,
-            totalPrice: 0,
-            itemCount: 0
+        const cart = user?.cart || [];
+        if (cart.length === 0) {
+            return res.json({ totalItems: 0, totalPrice: 0, itemCount: 0 });
+        }
+
+        const quote = await pricingService.priceCart(cart, { userId: req.user._id });
+
+        res.json({
+            totalItems: quote.items.reduce((sum, i) => sum + i.quantity, 0),
+            totalPrice: quote.subtotal,
+            itemCount: quote.items.length,
+            shipping: quote.shipping.charge,
+            total: quote.total
         });
     } catch (error) {
         console.error('[ERROR] Get cart summary:', error);
-        res.status(500).json({ message: error.message });
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ========================================
+// PRICE QUOTE
+// ========================================
+// Body: { items?, couponCode?, deliveryState? }. Uses the saved cart when
+// no items are sent. Same engine as POST /api/orders, so the total shown
+// here is the total charged.
+router.post('/quote', protect, async (req, res) => {
+    try {
+        const { couponCode, deliveryState } = req.body;
+
+        let lines = req.body.items;
+        if (!Array.isArray(lines) || lines.length === 0) {
+            const user = await User.findById(req.user._id)
+                .select('cart')
+                .lean()
+                .maxTimeMS(3000)
+                .exec();
+            lines = user?.cart || [];
+        }
+
+        if (lines.length === 0) {
+            return res.status(400).json({ message: 'Your cart is empty' });
+        }
+
+        const quote = await pricingService.priceCart(lines, {
+            userId: req.user._id,
+            couponCode,
+            deliveryState
+        });
+
+        res.json(quote);
+    } catch (error) {
+        console.error('[ERROR] Cart quote:', error);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ========================================
+// APPLY COUPON (VALIDATION ONLY)
+// ========================================
+// Nothing is persisted here; POST /api/orders recomputes the discount.
+router.post('/apply-coupon', protect, async (req, res) => {
+    try {
+        const { code, items } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Coupon code is required' });
+        }
+
+        // Prefer the items sent by checkout, fall back to the saved cart
+        let lines = items;
+        if (!Array.isArray(lines) || lines.length === 0) {
+            const user = await User.findById(req.user._id)
+                .select('cart')
+                .lean()
+                .maxTimeMS(3000)
+                .exec();
+            lines = user?.cart || [];
+        }
+
+        if (lines.length === 0) {
+            return res.status(400).json({ message: 'Your cart is empty' });
+        }
+
+        const quote = await pricingService.priceCart(lines, {
+            userId: req.user._id,
+            couponCode: code,
+            strictCoupon: true
+        });
+
+        res.json({
+            valid: true,
+            code: quote.coupon.code,
+            description: quote.coupon.description,
+            subtotal: quote.subtotal,
+            discount: quote.discount,
+            total: Math.max(0, quote.subtotal - quote.discount)
+        });
+    } catch (error) {
+        res.status(400).json({ valid: false, message: error.message });
     }
 });
 
@@ -377,35 +436,28 @@ router.post('/merge', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Merge carts (deduplicate by id, sum quantities)
+        // Merge carts (deduplicate by product + variant, sum quantities)
         const cartMap = new Map();
 
         // Add existing cart items
         user.cart.forEach(item => {
-            cartMap.set(item.id, item);
+            cartMap.set(lineKey(item), item);
         });
 
         // ========================================
-        // STOCK DEDUCTION FOR GUEST ITEMS
+        // STOCK RESERVATION FOR GUEST ITEMS
         // ========================================
         for (const guestItem of guestCart) {
-            const Model = guestItem.type === 'combo' ? Combo : Product;
-            const product = await Model.findById(guestItem.id);
-
-            if (product) {
-                if (product.stock >= guestItem.quantity) {
-                    product.stock -= guestItem.quantity;
-                    await product.save();
-                } else {
-                    console.warn(`[WARN] Insufficient stock during merge for ${product.name}, merging anyway`);
-                }
+            const reserved = await stockReservation.reserveLine(req.user._id, guestItem, guestItem.quantity);
+            if (!reserved) {
+                console.warn(`[WARN] Insufficient stock during merge for ${guestItem.name || guestItem.id}, merging anyway`);
             }
 
-            if (cartMap.has(guestItem.id)) {
-                const existing = cartMap.get(guestItem.id);
+            if (cartMap.has(lineKey(guestItem))) {
+                const existing = cartMap.get(lineKey(guestItem));
                 existing.quantity += guestItem.quantity;
             } else {
-                cartMap.set(guestItem.id, guestItem);
+                cartMap.set(lineKey(guestItem), guestItem);
             }
         }
 
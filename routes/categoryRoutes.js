@@ -1,7 +1,9 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Category = require('../models/Category');
 const { protect, admin, checkPermission } = require('../middleware/authMiddleware');
+const { clearProductCache } = require('../utils/productCache');
 
 // ========================================
 // CATEGORY ROUTES - FIXED VERSION
@@ -52,6 +54,23 @@ const clearCategoryCache = () => {
         }
     }
     console.log(`[CACHE] Cleared ${cleared} category cache entries`);
+
+    // Category product listings and breadcrumbs follow the tree
+    clearProductCache();
+};
+
+const LIST_FIELDS = 'name slug description isActive productCount parent order path depth';
+
+/**
+ * Parent from a request body: '' / null makes a top-level category
+ */
+const parentFrom = (value) => {
+    if (value === undefined) return undefined;
+    if (!value) return null;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Parent category not found');
+    }
+    return value;
 };
 
 // ========================================
@@ -60,7 +79,7 @@ const clearCategoryCache = () => {
 router.get('/', cacheMiddleware(1800000), async (req, res) => {
     try {
         const categories = await Category.find({})
-            .select('name slug description isActive productCount')
+            .select(LIST_FIELDS)
             .sort({ name: 1 })
             .lean()
             .maxTimeMS(5000)
@@ -79,7 +98,7 @@ router.get('/', cacheMiddleware(1800000), async (req, res) => {
 router.get('/active', cacheMiddleware(1800000), async (req, res) => {
     try {
         const categories = await Category.find({ isActive: true })
-            .select('name slug description productCount')
+            .select('name slug description productCount parent order path depth')
             .sort({ name: 1 })
             .lean()
             .maxTimeMS(5000)
@@ -92,6 +111,33 @@ router.get('/active', cacheMiddleware(1800000), async (req, res) => {
     }
 });
 
+// ========================================
+// CATEGORY TREE
+// ========================================
+// Nested categories, ordered within each parent, with productCount (own)
+// and totalProductCount (including subcategories). Counts change with
+// products, hence the shorter cache.
+router.get('/tree', cacheMiddleware(300000), async (req, res) => {
+    try {
+        const tree = await Category.tree({ activeOnly: true });
+        res.json(tree);
+    } catch (error) {
+        console.error('[ERROR] Get category tree:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Admin view: inactive branches included
+router.get('/tree/all', protect, checkPermission('categories', 'view'), async (req, res) => {
+    try {
+        const tree = await Category.tree({ activeOnly: false });
+        res.json(tree);
+    } catch (error) {
+        console.error('[ERROR] Get full category tree:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // ========================================
 // GET SINGLE CATEGORY
 // ========================================
@@ -102,7 +148,7 @@ router.get('/:id', cacheMiddleware(1800000), async (req, res) => {
         // Try by ID first
         if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
             category = await Category.findById(req.params.id)
-                .select('name slug description isActive productCount')
+                .select(LIST_FIELDS)
                 .lean()
                 .maxTimeMS(3000)
                 .exec();
@@ -111,7 +157,7 @@ router.get('/:id', cacheMiddleware(1800000), async (req, res) => {
         // If not found by ID, try by slug
         if (!category) {
             category = await Category.findOne({ slug: req.params.id })
-                .select('name slug description isActive productCount')
+                .select(LIST_FIELDS)
                 .lean()
                 .maxTimeMS(3000)
                 .exec();
@@ -121,7 +167,17 @@ router.get('/:id', cacheMiddleware(1800000), async (req, res) => {
             return res.status(404).json({ message: 'Category not found' });
         }
 
-        res.json(category);
+        const [breadcrumbs, children] = await Promise.all([
+            Category.breadcrumbs(category._id),
+            Category.find({ parent: category._id, isActive: true })
+                .select('name slug productCount order')
+                .sort({ order: 1, name: 1 })
+                .lean()
+                .maxTimeMS(3000)
+                .exec()
+        ]);
+
+        res.json({ ...category, breadcrumbs, children });
     } catch (error) {
         console.error('[ERROR] Get single category:', error);
         res.status(500).json({ message: error.message });
@@ -135,7 +191,7 @@ router.post('/', protect, checkPermission('categories', 'limited'), async (req,
     try {
         console.log('[CATEGORY] Create request:', req.body);
 
-        const { name, slug, description } = req.body;
+        const { name, slug, description, order } = req.body;
 
         // Validation
         if (!name || !slug) {
@@ -160,10 +216,13 @@ router.post('/', protect, checkPermission('categories', 'limited'), async (req,
         }
 
         // Create category
+        // Placed in the tree (path, depth) by the model
         const category = await Category.create({
             name,
             slug,
-            description: description || ''
+            description: description || '',
+            parent: parentFrom(req.body.parent) || null,
+            order: Number(order) || 0
         });
 
         console.log('[CATEGORY] Created:', category);
@@ -209,11 +268,13 @@ router.put('/:id', protect, checkPermission('categories', 'limited'), async (req
         if (req.body.slug !== undefined) updateData.slug = req.body.slug;
         if (req.body.description !== undefined) updateData.description = req.body.description;
         if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive;
+        if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
+        if (req.body.parent !== undefined) updateData.parent = parentFrom(req.body.parent);
 
         // Check if updating to existing name/slug
         if (updateData.name || updateData.slug) {
             const existingCategory = await Category.findOne({
-                _id: { $ne: req.params.id },
+                _id: mongoose.trusted({ $ne: req.params.id }),
                 $or: [
                     updateData.name ? { name: updateData.name } : {},
                     updateData.slug ? { slug: updateData.slug } : {}
@@ -231,15 +292,9 @@ router.put('/:id', protect, checkPermission('categories', 'limited'), async (req
             }
         }
 
-        const category = await Category.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            {
-                new: true,
-                runValidators: true,
-                select: '-__v'
-            }
-        )
+        // Saved (not updated in place) so a move re-roots its subcategories
+        const category = await Category.findById(req.params.id)
+            .select('-__v')
             .maxTimeMS(5000)
             .exec();
 
@@ -247,6 +302,9 @@ router.put('/:id', protect, checkPermission('categories', 'limited'), async (req
             return res.status(404).json({ message: 'Category not found' });
         }
 
+        category.set(updateData);
+        await category.save();
+
         console.log('[CATEGORY] Updated:', category);
 
         // Clear cache
@@ -282,6 +340,16 @@ router.delete('/:id', protect, checkPermission('categories', 'full'), async (req
     try {
         console.log('[CATEGORY] Delete request:', req.params.id);
 
+        const childCount = await Category.countDocuments({ parent: req.params.id })
+            .maxTimeMS(3000)
+            .exec();
+
+        if (childCount > 0) {
+            return res.status(400).json({
+                message: 'Move or delete its subcategories first'
+            });
+        }
+
         const category = await Category.findByIdAndDelete(req.params.id)
             .maxTimeMS(5000)
             .exec();
@@ -0,0 +1,155 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router();
+const CodRemittance = require('../models/CodRemittance');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const codRemittanceService = require('../services/codRemittanceService');
+
+// ========================================
+// COD REMITTANCES (ADMIN)
+// ========================================
+// Upload courier settlement files and see what is still owed
+// (services/codRemittanceService).
+// ========================================
+
+const ALLOWED_EXTENSIONS = /\.(csv|xlsx|xls)$/i;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_EXTENSIONS.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV and Excel files are allowed'), false);
+        }
+    }
+});
+
+const errorStatus = (error) => {
+    if (error.message === 'Remittance not found') return 404;
+    if (error.message === 'This file has already been imported') return 409;
+    return 400;
+};
+
+// ========================================
+// UPLOAD SETTLEMENT FILE
+// ========================================
+// multipart/form-data: file, provider (shiprocket | icarry | other)
+router.post('/', protect, checkPermission('orders', 'full'), (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) return res.status(400).json({ message: err.message });
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const result = await codRemittanceService.importFile({
+            buffer: req.file.buffer,
+            fileName: req.file.originalname,
+            provider: req.body?.provider ? String(req.body.provider) : undefined,
+            uploadedBy: req.user._id
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('[ERROR] Import COD remittance:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// LIST UPLOADS
+// ========================================
+router.get('/', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const [remittances, total] = await Promise.all([
+            CodRemittance.find()
+                .select('-unmatched -short -fileHash -__v')
+                .populate('uploadedBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+                .maxTimeMS(15000)
+                .exec(),
+            CodRemittance.countDocuments()
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            remittances,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + remittances.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get COD remittances:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// DELIVERED, NOT YET REMITTED
+// ========================================
+// COD orders delivered ?days= (default COD_REMITTANCE_DAYS) or more ago
+router.get('/overdue', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const days = parseInt(req.query.days);
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+        const overdue = await codRemittanceService.findOverdue({
+            days: days >= 0 ? days : codRemittanceService.DEFAULT_OVERDUE_DAYS,
+            limit
+        });
+        res.json(overdue);
+    } catch (error) {
+        console.error('[ERROR] Get overdue COD remittances:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// GET SINGLE UPLOAD (WITH REPORT)
+// ========================================
+router.get('/:id', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Remittance not found' });
+        }
+
+        const remittance = await CodRemittance.findById(req.params.id)
+            .select('-__v')
+            .populate('uploadedBy', 'name email')
+            .lean()
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!remittance) {
+            return res.status(404).json({ message: 'Remittance not found' });
+        }
+
+        res.json(remittance);
+    } catch (error) {
+        console.error('[ERROR] Get COD remittance:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
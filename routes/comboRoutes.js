@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { Product, Combo } = require('../models/Product');
 const { protect, admin, checkPermission } = require('../middleware/authMiddleware');
+const comboService = require('../services/comboService');
 
 // ========================================
 // PERFORMANCE OPTIMIZATIONS ADDED:
@@ -54,6 +55,26 @@ const clearComboCache = () => {
     console.log(`[CACHE] Cleared ${cleared} combo cache entries`);
 };
 
+// Combo stock is derived from its components (services/comboService)
+const DERIVED_FIELDS = ['stock', 'reservedStock', 'products', 'components'];
+
+/**
+ * Combo fields from a request body, with components validated.
+ * Legacy clients send `products: [id]`, one of each.
+ */
+const comboFields = async (body = {}) => {
+    const data = { ...body };
+    for (const field of DERIVED_FIELDS) delete data[field];
+
+    const input = body.components || body.products;
+    if (input !== undefined) {
+        data.components = await comboService.validateComponents(
+            [].concat(input).map(c => (typeof c === 'string' ? { product: c } : c))
+        );
+    }
+    return data;
+};
+
 // ========================================
 // GET ALL COMBOS (OPTIMIZED WITH PAGINATION)
 // ========================================
@@ -66,7 +87,7 @@ router.get('/', cacheMiddleware(600000), async (req, res) => {
         // OPTIMIZATION: Use Promise.all and lean()
         const [combos, total] = await Promise.all([
             Combo.find({ isActive: true })
-                .select('name slug originalPrice comboPrice image images isFeatured stock')
+                .select('name slug originalPrice comboPrice image images isFeatured products components')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(limit)
@@ -78,6 +99,8 @@ router.get('/', cacheMiddleware(600000), async (req, res) => {
                 .exec()
         ]);
 
+        await comboService.withComboDetails(combos);
+
         res.json({
             combos,
             pagination: {
@@ -106,13 +129,15 @@ router.get('/featured', cacheMiddleware(1800000), async (req, res) => {
             isFeatured: true,
             isActive: true
         })
-            .select('name slug originalPrice comboPrice image images stock')
+            .select('name slug originalPrice comboPrice image images products components')
             .limit(limit)
             .sort({ createdAt: -1 })
             .lean()
             .maxTimeMS(5000)
             .exec();
 
+        await comboService.withComboDetails(combos);
+
         res.json(combos);
     } catch (error) {
         console.error('[ERROR] Get featured combos:', error);
@@ -128,13 +153,15 @@ router.get('/active', cacheMiddleware(600000), async (req, res) => {
         const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
         const combos = await Combo.find({ isActive: true })
-            .select('name slug originalPrice comboPrice image stock')
+            .select('name slug originalPrice comboPrice image products components')
             .limit(limit)
             .sort({ createdAt: -1 })
             .lean()
             .maxTimeMS(5000)
             .exec();
 
+        await comboService.withComboDetails(combos);
+
         res.json(combos);
     } catch (error) {
         console.error('[ERROR] Get active combos:', error);
@@ -173,6 +200,9 @@ router.get('/:id', cacheMiddleware(600000), async (req, res) => {
             return res.status(404).json({ message: 'Combo not found' });
         }
 
+        // Per-component availability and the discount against buying them separately
+        await comboService.withComboDetails(combo, { expand: true });
+
         res.json(combo);
     } catch (error) {
         console.error('[ERROR] Get single combo:', error);
@@ -185,7 +215,12 @@ router.get('/:id', cacheMiddleware(600000), async (req, res) => {
 // ========================================
 router.post('/', protect, checkPermission('combos', 'limited'), async (req, res) => {
     try {
-        const combo = new Combo(req.body);
+        const data = await comboFields(req.body);
+        if (!data.components) {
+            return res.status(400).json({ message: 'A combo needs at least one component product' });
+        }
+
+        const combo = new Combo(data);
         const createdCombo = await combo.save();
 
         // Clear cache after creating
@@ -203,15 +238,8 @@ router.post('/', protect, checkPermission('combos', 'limited'), async (req, res)
 // ========================================
 router.put('/:id', protect, checkPermission('combos', 'limited'), async (req, res) => {
     try {
-        const combo = await Combo.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            {
-                new: true,
-                runValidators: true,
-                select: '-__v'
-            }
-        )
+        const combo = await Combo.findById(req.params.id)
+            .select('-__v')
             .maxTimeMS(5000)
             .exec();
 
@@ -219,6 +247,16 @@ router.put('/:id', protect, checkPermission('combos', 'limited'), async (req, re
             return res.status(404).json({ message: 'Combo not found' });
         }
 
+        const data = await comboFields(req.body);
+        combo.set(data);
+
+        // Components may have been switched off since the combo was created
+        if (combo.isActive && !data.components) {
+            await comboService.assertComponentsActive(combo.toObject());
+        }
+
+        await combo.save();
+
         // Clear cache after update
         clearComboCache();
 
@@ -253,37 +291,11 @@ router.delete('/:id', protect, checkPermission('combos', 'full'), async (req, re
 });
 
 // ========================================
-// UPDATE COMBO STOCK (ADMIN) - OPTIMIZED
+// UPDATE COMBO STOCK (ADMIN)
 // ========================================
-router.patch('/:id/stock', protect, checkPermission('combos', 'limited'), async (req, res) => {
-    try {
-        const { stock } = req.body;
-
-        if (stock === undefined || stock < 0) {
-            return res.status(400).json({ message: 'Valid stock quantity required' });
-        }
-
-        const result = await Combo.updateOne(
-            { _id: req.params.id },
-            { $set: { stock } }
-        )
-            .maxTimeMS(3000)
-            .exec();
-
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ message: 'Combo not found' });
-        }
-
-        clearComboCache();
-
-        res.json({
-            message: 'Stock updated successfully',
-            stock
-        });
-    } catch (error) {
-        console.error('[ERROR] Update combo stock:', error);
-        res.status(500).json({ message: error.message });
-    }
+// Kept so old admin clients get a clear answer
+router.patch('/:id/stock', protect, checkPermission('combos', 'limited'), (req, res) => {
+    res.status(400).json({ message: 'Combo stock comes from its component products; update their stock instead' });
 });
 
 // ========================================
@@ -321,6 +333,24 @@ router.patch('/:id/active', protect, checkPermission('combos', 'limited'), async
     try {
         const { isActive } = req.body;
 
+        if (isActive) {
+            const existing = await Combo.findById(req.params.id)
+                .select('products components')
+                .lean()
+                .maxTimeMS(3000)
+                .exec();
+
+            if (!existing) {
+                return res.status(404).json({ message: 'Combo not found' });
+            }
+
+            try {
+                await comboService.assertComponentsActive(existing);
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+        }
+
         const combo = await Combo.findByIdAndUpdate(
             req.params.id,
             { $set: { isActive: !!isActive } },
@@ -0,0 +1,194 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+
+// ========================================
+// COUPON ROUTES (ADMIN)
+// ========================================
+// Customers validate codes via POST /api/cart/apply-coupon;
+// everything here is for managing campaigns.
+// ========================================
+
+// ========================================
+// GET ALL COUPONS
+// ========================================
+router.get('/', protect, checkPermission('offers', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (req.query.active === 'true') query.isActive = true;
+        if (req.query.active === 'false') query.isActive = false;
+        if (req.query.search) query.code = mongoose.trusted({ $regex: req.query.search, $options: 'i' });
+
+        const [coupons, total] = await Promise.all([
+            Coupon.find(query)
+                .select('-__v')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+                .maxTimeMS(10000)
+                .exec(),
+            Coupon.countDocuments(query)
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            coupons,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + coupons.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get coupons:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// GET SINGLE COUPON
+// ========================================
+router.get('/:id', protect, checkPermission('offers', 'view'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('applicableCategories', 'name slug')
+            .populate('applicableProducts', 'name slug')
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        res.json(coupon);
+    } catch (error) {
+        console.error('[ERROR] Get coupon:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// CREATE COUPON
+// ========================================
+router.post('/', protect, checkPermission('offers', 'limited'), async (req, res) => {
+    try {
+        const { code, discountType, discountValue } = req.body;
+
+        if (!code || !discountType || discountValue === undefined) {
+            return res.status(400).json({ message: 'Code, discount type and discount value are required' });
+        }
+
+        if (discountType === 'percentage' && discountValue > 100) {
+            return res.status(400).json({ message: 'Percentage discount cannot exceed 100' });
+        }
+
+        // usedCount is owned by order placement
+        const { usedCount, ...data } = req.body;
+        const coupon = await Coupon.create(data);
+
+        res.status(201).json(coupon);
+    } catch (error) {
+        console.error('[ERROR] Create coupon:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A coupon with this code already exists' });
+        }
+
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ========================================
+// UPDATE COUPON
+// ========================================
+router.put('/:id', protect, checkPermission('offers', 'limited'), async (req, res) => {
+    try {
+        const { usedCount, ...updates } = req.body;
+
+        if (updates.discountType === 'percentage' && updates.discountValue > 100) {
+            return res.status(400).json({ message: 'Percentage discount cannot exceed 100' });
+        }
+
+        const coupon = await Coupon.findByIdAndUpdate(
+            req.params.id,
+            updates,
+            {
+                new: true,
+                runValidators: true,
+                select: '-__v'
+            }
+        )
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        res.json(coupon);
+    } catch (error) {
+        console.error('[ERROR] Update coupon:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A coupon with this code already exists' });
+        }
+
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ========================================
+// TOGGLE COUPON ACTIVE STATUS
+// ========================================
+router.patch('/:id/active', protect, checkPermission('offers', 'limited'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndUpdate(
+            req.params.id,
+            { $set: { isActive: !!req.body.isActive } },
+            { new: true, select: '-__v' }
+        )
+            .maxTimeMS(3000)
+            .exec();
+
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        res.json(coupon);
+    } catch (error) {
+        console.error('[ERROR] Toggle coupon:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// DELETE COUPON
+// ========================================
+router.delete('/:id', protect, checkPermission('offers', 'full'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id)
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        res.json({ message: 'Coupon removed successfully' });
+    } catch (error) {
+        console.error('[ERROR] Delete coupon:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Job = require('../models/Job');
+const { JOB_STATUSES } = require('../models/Job');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const jobQueue = require('../services/jobQueue');
+
+// ========================================
+// BACKGROUND JOBS (ADMIN)
+// ========================================
+// Inspect the job queue (services/jobQueue) and retry or cancel jobs that
+// failed.
+// ========================================
+
+const errorStatus = (error) => {
+    if (error.message === 'Job not found') return 404;
+    return 400;
+};
+
+// ========================================
+// LIST JOBS
+// ========================================
+// Failed and dead jobs by default; ?status=all for everything, ?type= to filter
+router.get('/', protect, checkPermission('settings', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+        const { status, type } = req.query;
+
+        const query = {};
+        if (!status) query.status = mongoose.trusted({ $in: ['failed', 'dead'] });
+        else if (status !== 'all') {
+            if (!JOB_STATUSES.includes(status)) {
+                return res.status(400).json({ message: 'Invalid status' });
+            }
+            query.status = status;
+        }
+        if (type) query.type = String(type);
+
+        const [jobs, total, counts] = await Promise.all([
+            Job.find(query)
+                .select('-history -result -__v')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+                .maxTimeMS(15000)
+                .exec(),
+            Job.countDocuments(query)
+                .maxTimeMS(5000)
+                .exec(),
+            Job.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]).exec()
+        ]);
+
+        res.json({
+            jobs,
+            counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + jobs.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get jobs:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// GET SINGLE JOB
+// ========================================
+router.get('/:id', protect, checkPermission('settings', 'view'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const job = await Job.findById(req.params.id)
+            .populate('history.by', 'name email')
+            .lean()
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        console.error('[ERROR] Get job:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// RETRY / CANCEL
+// ========================================
+router.post('/:id/retry', protect, checkPermission('settings', 'full'), async (req, res) => {
+    try {
+        const job = await jobQueue.retryJob(req.params.id, req.user._id);
+        res.json(job);
+    } catch (error) {
+        console.error('[ERROR] Retry job:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+router.post('/:id/cancel', protect, checkPermission('settings', 'full'), async (req, res) => {
+    try {
+        const job = await jobQueue.cancelJob(req.params.id, req.user._id);
+        res.json(job);
+    } catch (error) {
+        console.error('[ERROR] Cancel job:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+module.exports = router;
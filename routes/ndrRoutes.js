@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const NdrCase = require('../models/NdrCase');
+const { NDR_ACTIVE_STATUSES } = require('../models/NdrCase');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const ndrService = require('../services/ndrService');
+
+// ========================================
+// FAILED DELIVERIES (NDR)
+// ========================================
+// Couriers report failed attempts through the webhooks; each one becomes
+// an NdrCase. The customer answers through the link they were sent (no
+// login needed, the token is the auth) and an admin pushes the action to
+// the courier.
+// ========================================
+
+const errorStatus = (error) => {
+    if (error.message === 'NDR case not found' || error.message === 'Order not found') return 404;
+    if (error.message.startsWith('This link has expired')) return 410;
+    if (error.message.startsWith('Courier rejected')) return 502;
+    return 400;
+};
+
+// ========================================
+// CUSTOMER LINK
+// ========================================
+router.get('/respond/:token', async (req, res) => {
+    try {
+        const ndrCase = await ndrService.getCaseForToken(req.params.token);
+
+        res.json({
+            orderId: ndrCase.orderId,
+            attempt: ndrCase.attempt,
+            reason: ndrCase.reason,
+            status: ndrCase.status,
+            customerResponse: ndrCase.customerResponse,
+            deliveryAddress: ndrCase.order?.deliveryAddress,
+            items: ndrCase.order?.items,
+            expiresAt: ndrCase.responseTokenExpire
+        });
+    } catch (error) {
+        console.error('[ERROR] Get NDR link:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// Body: { action: reattempt|reschedule|update_address|return, preferredDate?, address?, phone?, note? }
+router.post('/respond/:token', async (req, res) => {
+    try {
+        const { action, preferredDate, address, phone, note } = req.body;
+        const ndrCase = await ndrService.respond(req.params.token, { action, preferredDate, address, phone, note });
+
+        res.json({
+            message: 'Thank you! We will pass this on to the courier.',
+            status: ndrCase.status,
+            customerResponse: ndrCase.customerResponse
+        });
+    } catch (error) {
+        console.error('[ERROR] NDR response:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// LIST NDR CASES (ADMIN)
+// ========================================
+// Open cases by default; ?status=all for everything
+router.get('/', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+        const { status, search } = req.query;
+
+        const query = {};
+        if (!status) query.status = mongoose.trusted({ $in: NDR_ACTIVE_STATUSES });
+        else if (status !== 'all') query.status = String(status);
+        if (search) {
+            const escaped = String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { orderId: mongoose.trusted({ $regex: escaped, $options: 'i' }) },
+                { awb: mongoose.trusted({ $regex: escaped, $options: 'i' }) }
+            ];
+        }
+
+        const [cases, total] = await Promise.all([
+            NdrCase.find(query)
+                .select('-responseToken -__v')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user', 'name email phone whatsapp')
+                .lean()
+                .maxTimeMS(15000)
+                .exec(),
+            NdrCase.countDocuments(query)
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            cases,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + cases.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get NDR cases:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// GET SINGLE NDR CASE (ADMIN)
+// ========================================
+router.get('/:id', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'NDR case not found' });
+        }
+
+        const ndrCase = await NdrCase.findById(req.params.id)
+            .select('-responseToken -__v')
+            .populate('user', 'name email phone whatsapp')
+            .populate('order', 'orderId orderStatus paymentMethod total deliveryAddress shipping.awb shipping.provider shipping.status')
+            .lean()
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!ndrCase) {
+            return res.status(404).json({ message: 'NDR case not found' });
+        }
+
+        res.json(ndrCase);
+    } catch (error) {
+        console.error('[ERROR] Get NDR case:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// PUSH ACTION TO COURIER (ADMIN)
+// ========================================
+// Body: { action?, preferredDate?, address?, phone?, note?, manual? }
+// Without an action the customer's choice is sent. manual: true records an
+// action already taken in the courier panel.
+router.post('/:id/action', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const { action, preferredDate, address, phone, note, manual } = req.body;
+        const ndrCase = await ndrService.pushAction(req.params.id, req.user._id, {
+            action,
+            preferredDate,
+            address,
+            phone,
+            note,
+            manual: manual === true
+        });
+
+        res.json(ndrCase);
+    } catch (error) {
+        console.error('[ERROR] NDR action:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// CLOSE NDR CASE (ADMIN)
+// ========================================
+router.put('/:id/close', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const ndrCase = await ndrService.closeCase(req.params.id, req.user._id, req.body.resolution || 'Closed by admin');
+        res.json(ndrCase);
+    } catch (error) {
+        console.error('[ERROR] Close NDR case:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -3,12 +3,23 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const Order = require('../models/Order');
 const User = require('../models/User');
-const { Product, Combo } = require('../models/Product');
-const whatsappService = require('../utils/WhatsAppService');
 const { protect, admin, checkPermission } = require('../middleware/authMiddleware');
 const notificationService = require('../utils/notificationService');
 const crypto = require('crypto'); // REQUIRED FOR SIGNATURE VERIFICATION
-const shiprocketService = require('../services/shiprocket');
+const shipping = require('../services/shipping');
+const couponService = require('../services/couponService');
+const stockReservation = require('../services/stockReservation');
+const withTransaction = require('../utils/withTransaction');
+const refundService = require('../services/refundService');
+const paymentService = require('../services/paymentService');
+const pricingService = require('../services/pricingService');
+const invoiceService = require('../services/invoiceService');
+const rtoService = require('../services/rtoService');
+const jobQueue = require('../services/jobQueue');
+const manifest = require('../services/shipping/manifest');
+
+// Live courier poll on /:id/track when the last update is older than this
+const TRACK_REFRESH_MS = 30 * 60 * 1000;
 
 // ========================================
 // PERFORMANCE OPTIMIZATIONS ADDED:
@@ -22,29 +33,31 @@ const shiprocketService = require('../services/shiprocket');
 // ========================================
 
 // ========================================
-// SHIPROCKET BULK SHIPPING
+// BULK SHIPPING
 // ========================================
-router.post('/shiprocket', protect, checkPermission('orders', 'edit'), async (req, res) => {
+// Body: { orderIds, provider? } - provider overrides the selection policy.
+// The orders shipped go into a pickup batch (GET /api/shipping/batches/:batchId/...)
+router.post('/shiprocket', protect, checkPermission('orders', 'limited'), async (req, res) => {
     try {
-        const { orderIds } = req.body;
+        const { orderIds, provider } = req.body;
 
         if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
             return res.status(400).json({ message: 'No orders provided for shipping' });
         }
 
-        const ordersToShip = await Order.find({ _id: { $in: orderIds } });
+        const ordersToShip = await Order.find({ _id: mongoose.trusted({ $in: orderIds.filter(id => mongoose.Types.ObjectId.isValid(id)) }) });
         const results = [];
 
         for (const order of ordersToShip) {
-            if (['Shipped', 'Out for Delivery', 'Delivered', 'Cancelled'].includes(order.orderStatus)) {
+            if (['Shipped', 'Out for Delivery', 'Delivered', 'Cancelled', 'Returned to Origin'].includes(order.orderStatus)) {
                 results.push({ orderId: order._id, success: false, error: `Order is already ${order.orderStatus}` });
                 continue;
             }
 
             try {
-                const result = await shiprocketService.automateShipping(order._id);
+                const result = await shipping.shipOrder(order._id, { provider });
                 if (result.success) {
-                    results.push({ orderId: order._id, success: true, awb: result.awb });
+                    results.push({ orderId: order._id, success: true, awb: result.awb, provider: result.provider });
                 } else {
                     results.push({ orderId: order._id, success: false, error: result.error });
                 }
@@ -53,10 +66,25 @@ router.post('/shiprocket', protect, checkPermission('orders', 'edit'), async (re
             }
         }
 
-        res.json({ message: 'Bulk shipping process completed', results });
+        let batchId = null;
+        const shipped = results.filter(r => r.success).map(r => r.orderId);
+        if (shipped.length > 0) {
+            try {
+                const { batch } = await manifest.createBatch({
+                    orderIds: shipped,
+                    source: 'bulk_ship',
+                    createdBy: req.user._id
+                });
+                batchId = batch.batchId;
+            } catch (batchErr) {
+                console.error('[ERROR] Creating pickup batch failed:', batchErr.message);
+            }
+        }
+
+        res.json({ message: 'Bulk shipping process completed', results, batchId });
 
     } catch (error) {
-        console.error('Shiprocket Bulk Integration Error:', error);
+        console.error('Bulk Shipping Error:', error);
         res.status(500).json({ message: error.message || 'Internal Server Error' });
     }
 });
@@ -66,13 +94,42 @@ router.post('/shiprocket', protect, checkPermission('orders', 'edit'), async (re
 // ========================================
 router.post('/', protect, async (req, res) => {
     try {
-        const { items, total, paymentMethod, deliveryAddress, paymentInfo } = req.body;
+        const { items, total, paymentMethod, deliveryAddress, paymentInfo, couponCode } = req.body;
 
         // Basic validation
         if (!items || items.length === 0) {
             return res.status(400).json({ message: 'No order items' });
         }
 
+        // ========================================
+        // 0-2. SECURITY: PRICE THE ORDER FROM THE DB
+        // ========================================
+        // Lines, prices, coupon discount, shipping and GST all come from the
+        // pricing engine - the same code behind POST /api/cart/quote - so the
+        // variant key, SKU, weight snapshot and amounts can't be spoofed by the
+        // client. Nothing is written until everything has been validated.
+        const quote = await pricingService.priceCart(items, {
+            userId: req.user._id,
+            couponCode,
+            strictCoupon: true,
+            deliveryState: deliveryAddress?.state
+        });
+
+        // ========================================
+        // 2b. DELIVERY: REFUSE PINCODES WE CAN'T SHIP TO
+        // ========================================
+        // Same check as GET /api/shipping/estimate, before anything is
+        // written. If no courier can be reached the order goes through and
+        // shipping sorts it out later.
+        const estimate = await shipping.estimateDelivery({
+            pincode: deliveryAddress?.zip,
+            weight: (await shipping.packOrder({ items: quote.items })).chargeableWeightKg,
+            cod: paymentMethod === 'Cash on Delivery'
+        });
+        if (estimate.available === false) {
+            return res.status(400).json({ message: estimate.message, estimate });
+        }
+
         // Generate a custom Order ID
         const orderId = `ORD${Date.now()}${Math.floor(Math.random() * 1000)}`;
 
@@ -89,81 +146,28 @@ router.post('/', protect, async (req, res) => {
             { status: 'Delivered', completed: false }
         ];
 
-        // ========================================
-        // 1. SECURITY: RECALCULATE TOTAL FROM DB
-        // ========================================
-        let dbTotal = 0;
-
-        // ========================================
-        // 2. STOCK MANAGEMENT: DEDUCT ON ORDER
-        // ========================================
-        for (const item of items) {
-            const Model = item.type === 'combo' ? Combo : Product;
-            const product = await Model.findById(item.product || item.id);
-
-            if (!product) {
-                throw new Error(`Product ${item.name} not found`); // Will be caught by catch block
-            }
-
-            let price = product.price; // Default to base price
-
-            if (product.variants && product.variants.length > 0) {
-                // Find variant by price OR properties (using price for now as it's consistent with cart)
-                const variant = product.variants.find(v => v.price === item.price);
-
-                if (variant) {
-                    price = variant.price; // Use variant price
-                    if (variant.stock < item.quantity) {
-                        throw new Error(`Insufficient stock for ${item.name} (Variant)`);
-                    }
-                    variant.stock -= item.quantity;
-                } else {
-                    // Fallback/Edge Case: Item price in cart doesn't match any variant.
-                    // This implies potential price tampering or stale data.
-                    // For security, we SHOULD fail, but for now let's use the item's price IF it matches base
-                    if (item.price === product.price) {
-                        // Matches base price, okay
-                    }
-                    // Ideally throw error if no match found to prevent price manipulation
-                }
-
-                // Deduct root stock too
-                if (product.stock < item.quantity) {
-                    throw new Error(`Insufficient stock for ${item.name}`);
-                }
-                product.stock -= item.quantity;
-                product.markModified('variants');
-
-            } else {
-                // Simple Product
-                if (product.stock < item.quantity) {
-                    throw new Error(`Insufficient stock for ${item.name}`);
-                }
-                product.stock -= item.quantity;
-            }
-
-            // Add to server-calculated total
-            dbTotal += (item.price * item.quantity);
-
-            await product.save();
-        }
-
-        // ========================================
-        // 4. SHIPPING CALCULATION (Server Side)
-        // ========================================
-        // SHIPPING REMOVED AS PER REQUIREMENT
-        const SHIPPING_THRESHOLD = 750;
-        const SHIPPING_CHARGE = 50;
-        let shippingCharge = 0;
-
-        // Calculate shipping based on ITEM total (dbTotal)
-        if (dbTotal < SHIPPING_THRESHOLD) {
-            shippingCharge = SHIPPING_CHARGE;
-        }
+        const orderItems = quote.items.map(item => ({
+            product: item.product,
+            name: item.name,
+            quantity: item.quantity,
+            price: item.unitPrice,
+            image: item.image,
+            variantId: item.variantId,
+            sku: item.sku,
+            weight: item.weight,
+            netWeightGrams: item.netWeightGrams,
+            grossWeightGrams: item.grossWeightGrams,
+            dimensions: item.dimensions,
+            hsnCode: item.hsnCode,
+            gstRate: item.gstRate,
+            taxableValue: item.taxableValue,
+            taxAmount: item.taxAmount,
+            components: item.components
+        }));
 
         // Final authoritative total
-        // We trust our DB prices + our shipping logic
-        const finalTotal = dbTotal + shippingCharge;
+        const discount = quote.discount;
+        const finalTotal = quote.total;
 
         // Validate Client Total (Optional Warning)
         if (Math.abs(finalTotal - total) > 1.0) {
@@ -174,12 +178,14 @@ router.post('/', protect, async (req, res) => {
         // 3. SECURITY: VERIFY PAYMENT SIGNATURE
         // ========================================
         let verifiedPaymentStatus = 'Pending';
-        let verifiedPaymentInfo = null;
+        let payment;
 
         if (paymentMethod === 'Online' || paymentInfo) {
             if (!paymentInfo || !paymentInfo.id || !paymentInfo.orderId || !paymentInfo.signature) {
+                // Place-then-pay: the order stays Pending until
+                // /api/payment/create-order + the Razorpay webhook settle it
                 if (paymentMethod === 'Online') {
-                    throw new Error('Payment information missing for online order');
+                    payment = { gateway: 'razorpay' };
                 }
             } else {
                 const sign = paymentInfo.orderId + "|" + paymentInfo.id;
@@ -189,8 +195,39 @@ router.post('/', protect, async (req, res) => {
                     .digest("hex");
 
                 if (paymentInfo.signature === expectedSign) {
-                    verifiedPaymentStatus = 'Paid';
-                    verifiedPaymentInfo = paymentInfo;
+                    // The signature proves the ids; status, amount and fees
+                    // come from Razorpay itself
+                    const gatewayPayment = await paymentService.fetchPayment(paymentInfo.id);
+                    if (gatewayPayment && gatewayPayment.order_id !== paymentInfo.orderId) {
+                        throw new Error('Payment does not belong to this Razorpay order');
+                    }
+                    if (gatewayPayment && !['captured', 'authorized'].includes(gatewayPayment.status)) {
+                        throw new Error('Payment has not been completed');
+                    }
+
+                    payment = {
+                        ...(gatewayPayment ? paymentService.toPaymentFields(gatewayPayment) : {}),
+                        gateway: 'razorpay',
+                        gatewayOrderId: paymentInfo.orderId,
+                        paymentId: paymentInfo.id,
+                        capturedAt: new Date()
+                    };
+
+                    // The Razorpay order amount is set by the client, so check it.
+                    // A short or unconfirmed payment is not Paid until an admin
+                    // settles it.
+                    if (!gatewayPayment) {
+                        verifiedPaymentStatus = 'Under Review';
+                        payment.needsReview = true;
+                        payment.reviewReason = 'Could not confirm the payment with Razorpay';
+                    } else if (payment.amount + 1 < finalTotal) {
+                        console.warn(`[WARN] Underpayment! Paid: ${payment.amount}, Order total: ${finalTotal}`);
+                        verifiedPaymentStatus = 'Under Review';
+                        payment.needsReview = true;
+                        payment.reviewReason = `Paid ₹${payment.amount} against order total ₹${finalTotal}`;
+                    } else {
+                        verifiedPaymentStatus = 'Paid';
+                    }
                 } else {
                     throw new Error('Payment verification failed! Invalid signature.');
                 }
@@ -200,67 +237,100 @@ router.post('/', protect, async (req, res) => {
             verifiedPaymentStatus = 'Pending';
         }
 
-        const order = new Order({
-            user: req.user._id,
-            orderId,
-            items,
-            total: finalTotal, // Enforce server-side pricing
-            paymentMethod,
-            deliveryAddress,
-            orderStatus: 'Ordered',
-            paymentStatus: verifiedPaymentStatus,
-            paymentInfo: verifiedPaymentInfo,
-            trackingSteps
-        });
-
-        // Save order
-        const createdOrder = await order.save();
-
         // ========================================
-        // CRITICAL STOCK MANAGEMENT
+        // 5. COMMIT: STOCK, COUPON, ORDER & USER IN ONE TRANSACTION
         // ========================================
-        // Clear user's cart in DB immediately and update lifetime statistics.
-        // This prevents 'restore stock' logic from triggering when frontend calls clearCart().
-        // OPTIMIZATION: Use findByIdAndUpdate because req.user is lean() (no save() method)
-        await User.findByIdAndUpdate(req.user._id, { 
-            $set: { cart: [] },
-            $inc: { totalOrders: 1, totalSpent: finalTotal },
-            $set: { lastOrderDate: new Date() }
+        // Stock deductions, the coupon claim, the order insert, cart clear
+        // and lifetime stats either all commit or all abort. The callback
+        // is retried on transient write conflicts, so the order document
+        // is built inside it.
+        const createdOrder = await withTransaction(async (session) => {
+            const order = new Order({
+                user: req.user._id,
+                orderId,
+                items: orderItems,
+                total: finalTotal, // Enforce server-side pricing
+                discount,
+                couponCode: quote.coupon ? quote.coupon.code : undefined,
+                shippingCharge: quote.shipping.charge,
+                tax: {
+                    intraState: quote.tax.intraState,
+                    taxable: quote.tax.taxable,
+                    cgst: quote.tax.cgst,
+                    sgst: quote.tax.sgst,
+                    igst: quote.tax.igst,
+                    total: quote.tax.total
+                },
+                paymentMethod,
+                deliveryAddress,
+                orderStatus: 'Ordered',
+                paymentStatus: verifiedPaymentStatus,
+                payment,
+                trackingSteps
+            });
+
+            // A payment pays for one order (the unique index backs this up)
+            if (payment && payment.paymentId
+                && await Order.exists({ 'payment.paymentId': payment.paymentId }).session(session)) {
+                throw new Error('This payment has already been used for another order');
+            }
+
+            // Claim the coupon use atomically (global cap and per-customer limits)
+            if (quote.coupon) {
+                await couponService.redeemCoupon(quote.coupon.id, req.user._id, session);
+            }
+
+            // Convert cart holds into deductions
+            await stockReservation.commitOrderLines(req.user._id, orderItems, order._id, session);
+
+            await order.save({ session });
+
+            // Clear user's cart and update lifetime statistics.
+            // This prevents 'restore stock' logic from triggering when frontend calls clearCart().
+            await User.updateOne(
+                { _id: req.user._id },
+                {
+                    $set: { cart: [], lastOrderDate: new Date() },
+                    $inc: { totalOrders: 1, totalSpent: finalTotal }
+                },
+                { session }
+            );
+
+            return order;
         });
 
+        // Anything still held (lines not in this order) goes back on sale
+        stockReservation.releaseUserReservations(req.user._id)
+            .catch(err => console.error('[ERROR] Releasing leftover holds failed:', err));
+
         // ========================================
-        // OPTIMIZATION: TRULY NON-BLOCKING NOTIFICATION
-        // Previous code used setImmediate but still awaited Promise.allSettled
-        // Now we don't await anything - fire and forget
+        // BACKGROUND WORK (services/jobQueue)
         // ========================================
-        process.nextTick(() => {
-            notificationService.sendOrderPlaced(createdOrder, req.user)
-                .catch(err => console.error('[ERROR] Order notification failed:', err));
-
-            // Botbiz WhatsApp Confirmation
-            whatsappService.sendOrderConfirmation(createdOrder, req.user)
-                .catch(err => console.error('[ERROR] WhatsApp Order confirmation failed:', err));
-
-            // Loyalty Tagger
-            const categories = [...new Set(items.map(item => item.categoryName))].filter(Boolean);
-            if (categories.length > 0) {
-                whatsappService.assignLabels(req.user.whatsapp || req.user.phone, categories)
-                    .catch(err => console.error('[ERROR] Loyalty tagger failed:', err));
-            }
-        });
+        // Queued before answering so a restart can't lose it; the worker
+        // sends the notifications and books the courier (provider picked by
+        // the selection policy). The order stands even if queueing fails.
+        // Prepaid orders not yet Paid are booked when the payment settles.
+        const jobPayload = { orderId: createdOrder._id };
+        const readyToShip = createdOrder.paymentMethod === 'Cash on Delivery' || createdOrder.paymentStatus === 'Paid';
+        const categories = [...new Set(items.map(item => item.categoryName))].filter(Boolean);
+        try {
+            await Promise.all([
+                jobQueue.enqueue('notify.order-placed', jobPayload),
+                // Botbiz WhatsApp Confirmation
+                jobQueue.enqueue('whatsapp.order-confirmation', jobPayload),
+                // Loyalty Tagger
+                categories.length > 0 && jobQueue.enqueue('whatsapp.labels', {
+                    phone: req.user.whatsapp || req.user.phone,
+                    labels: categories
+                }),
+                readyToShip && jobQueue.enqueue('shipping.ship-order', jobPayload, { key: `ship-order:${createdOrder._id}` })
+            ]);
+        } catch (queueErr) {
+            console.error(`[ERROR] Queueing background jobs for ${createdOrder.orderId} failed:`, queueErr);
+        }
 
-        // Return response IMMEDIATELY without waiting for notification
         res.status(201).json(createdOrder);
 
-        // Shiprocket Automation (Steps 2-4)
-        process.nextTick(async () => {
-            try {
-                await shiprocketService.automateShipping(createdOrder._id);
-            } catch (srErr) {
-                console.error('[SHIPROCKET] Automation background error:', srErr);
-            }
-        });
-
     } catch (error) {
         console.error('[ERROR] Order Creation:', error);
         res.status(400).json({ message: error.message });
@@ -316,7 +386,7 @@ router.get('/', protect, checkPermission('orders', 'view'), async (req, res) =>
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50;
         const skip = (page - 1) * limit;
-        const { status, paymentStatus, search } = req.query;
+        const { status, paymentStatus, paymentMethod, needsReview, search } = req.query;
 
         // AUTO-CLOSE LOGIC (Lazy Check)
 
@@ -324,7 +394,19 @@ router.get('/', protect, checkPermission('orders', 'view'), async (req, res) =>
         const query = {};
         if (status) query.orderStatus = status;
         if (paymentStatus) query.paymentStatus = paymentStatus;
-        if (search) query.orderId = { $regex: search, $options: 'i' };
+        if (paymentMethod) query['payment.method'] = paymentMethod;
+        if (needsReview === 'true') query['payment.needsReview'] = true;
+        if (search) {
+            // Order id (partial) or any Razorpay id (exact): order_, pay_, rfnd_
+            const term = String(search).trim();
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { orderId: mongoose.trusted({ $regex: escaped, $options: 'i' }) },
+                { 'payment.gatewayOrderId': term },
+                { 'payment.paymentId': term },
+                { 'refunds.gatewayRefundId': term }
+            ];
+        }
 
         // OPTIMIZATION: Execute with lean() and field selection
         const [orders, total] = await Promise.all([
@@ -396,19 +478,98 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // ========================================
-// TRACK ORDER (SHIPROCKET)
+// TRACK ORDER (COURIER TIMELINE)
 // ========================================
+// Courier scans newest first. Polls the courier when webhooks have been
+// quiet for a while; trackingSteps stay as the fallback before dispatch.
 router.get('/:id/track', protect, async (req, res) => {
     try {
-        const order = await Order.findById(req.params.id).select('shipping orderStatus');
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        let order = await Order.findById(req.params.id).select('user orderId shipping orderStatus trackingSteps');
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
+
+        const canView = req.user.role === 'admin' || (req.user.permissions && ['view', 'limited', 'full'].includes(req.user.permissions.orders));
+        if (order.user.toString() !== req.user._id.toString() && !canView) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const inFlight = order.shipping && order.shipping.awb
+            && !['delivered', 'returned', 'cancelled'].includes(order.shipping.status);
+        const stale = !order.shipping.lastUpdate || Date.now() - order.shipping.lastUpdate.getTime() > TRACK_REFRESH_MS;
+
+        if (inFlight && stale) {
+            try {
+                const result = await shipping.trackShipment(order);
+                if (result && result.order) order = result.order;
+            } catch (trackErr) {
+                // Serve what we have
+                console.error(`[TRACK] Courier poll failed for ${order.orderId}:`, trackErr.message);
+            }
+        }
+
         res.json({
             status: order.orderStatus,
-            shipping: order.shipping
+            shipping: {
+                provider: order.shipping.provider,
+                awb: order.shipping.awb,
+                courierName: order.shipping.courierName,
+                trackingUrl: order.shipping.trackingUrl,
+                status: order.shipping.status,
+                lastUpdate: order.shipping.lastUpdate
+            },
+            events: shipping.publicTimeline(order),
+            trackingSteps: order.trackingSteps
+        });
+    } catch (error) {
+        console.error('[ERROR] Track order:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// TAX INVOICE PDF (CUSTOMER / ADMIN)
+// ========================================
+router.get('/:id/invoice.pdf', protect, async (req, res) => {
+    try {
+        const order = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Order.findById(req.params.id)
+            : await Order.findOne({ orderId: req.params.id });
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const canView = req.user.role === 'admin' || (req.user.permissions && ['view', 'limited', 'full'].includes(req.user.permissions.orders));
+        if (order.user.toString() !== req.user._id.toString() && !canView) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        // Numbers are only issued for real sales; once issued the invoice stays downloadable
+        if (!order.invoiceNumber) {
+            if (order.orderStatus === 'Cancelled') {
+                return res.status(400).json({ message: 'No invoice for a cancelled order' });
+            }
+            if (order.paymentMethod !== 'Cash on Delivery' && order.paymentStatus !== 'Paid') {
+                return res.status(400).json({ message: 'Invoice is available once payment is received' });
+            }
+        }
+
+        await order.generateInvoice();
+        const pdf = await invoiceService.renderInvoicePdf(order);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${order.invoiceNumber.replace(/\//g, '-')}.pdf"`,
+            'Content-Length': pdf.length
         });
+        res.send(pdf);
     } catch (error) {
+        console.error('[ERROR] Invoice PDF:', error);
         res.status(500).json({ message: error.message });
     }
 });
@@ -454,16 +615,10 @@ router.put('/:id/confirm', protect, checkPermission('orders', 'limited'), async
         }
 
         // ========================================
-        // OPTIMIZATION: Deduct stock in parallel (non-blocking)
+        // NO STOCK DEDUCTION HERE
         // ========================================
-        // ========================================
-        // STOCK DEDUCTION REMOVED
-        // ========================================
-        // Stock is now deducted when adding to cart.
-        // We do strictly NOT check or deduct stock here to avoid double deduction.
-        // Only if we implemented "Expires in 15min" logic would we need to re-check.
-
-
+        // Stock is committed at order placement (cart holds are converted
+        // by stockReservation.commitOrderLines), so confirming doesn't touch it.
 
         // Save order
         await order.save();
@@ -474,13 +629,9 @@ router.put('/:id/confirm', protect, checkPermission('orders', 'limited'), async
             order.user = { name: 'Customer', email: '', phone: '' };
         }
 
-        // OPTIMIZATION: Send notification asynchronously (truly non-blocking)
-        process.nextTick(() => {
-            if (order.user.email || order.user.phone || order.deliveryAddress?.phone) {
-                notificationService.sendOrderConfirmed(order, order.user)
-                    .catch(err => console.error('[ERROR] Confirmation notification failed:', err));
-            }
-        });
+        // Sent by the job worker
+        jobQueue.enqueue('notify.order-confirmed', { orderId: order._id })
+            .catch(err => console.error('[ERROR] Queueing confirmation notification failed:', err));
 
         // Return immediately
         res.json(order);
@@ -543,27 +694,21 @@ router.put('/:id/status', protect, checkPermission('orders', 'limited'), async (
         // Use instance method for status update
         await order.updateStatus(status, req.body.notes, req.user._id);
 
-        // OPTIMIZATION: Send notification asynchronously (non-blocking)
-        process.nextTick(() => {
-            if (order.user && (order.user.email || order.user.phone)) {
-                notificationService.sendOrderStatusUpdate(order, order.user, status)
-                    .catch(err => console.error('[ERROR] Status update notification failed:', err));
-
-                // Trigger Review Request if Delivered
-                if (status === 'Delivered') {
-                    if (order.user) {
-                        notificationService.sendReviewRequest(order, order.user)
-                            .catch(err => console.error('[ERROR] Review request notification failed:', err));
-                    }
-                }
-
-                // Botbiz WhatsApp Status Update (Shipped/Delivered)
-                if (['Shipped', 'Delivered'].includes(status) && order.user) {
-                    whatsappService.sendStatusNotification(order, order.user, status)
-                        .catch(err => console.error('[ERROR] WhatsApp Status notification failed:', err));
-                }
+        // Notifications go through the job worker
+        if (order.user && (order.user.email || order.user.phone)) {
+            try {
+                await Promise.all([
+                    jobQueue.enqueue('notify.order-status', { orderId: order._id, status }),
+                    // Trigger Review Request if Delivered
+                    status === 'Delivered' && jobQueue.enqueue('notify.review-request', { orderId: order._id }),
+                    // Botbiz WhatsApp Status Update (Shipped/Delivered)
+                    ['Shipped', 'Delivered'].includes(status)
+                        && jobQueue.enqueue('whatsapp.status-update', { orderId: order._id, status })
+                ]);
+            } catch (queueErr) {
+                console.error('[ERROR] Queueing status notifications failed:', queueErr);
             }
-        });
+        }
 
         // Return immediately
         res.json(order);
@@ -581,42 +726,198 @@ router.put('/:id/status', protect, checkPermission('orders', 'limited'), async (
 // ========================================
 router.put('/:id/cancel', protect, async (req, res) => {
     try {
-        const order = await Order.findById(req.params.id)
-            .populate('user', 'name email phone whatsapp')
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const existing = await Order.findById(req.params.id)
+            .select('user orderStatus')
             .maxTimeMS(5000)
             .exec();
 
-        if (!order) {
+        if (!existing) {
             return res.status(404).json({ message: 'Order not found' });
         }
 
         // Check authorization
         const canManage = req.user.role === 'admin' || (req.user.permissions && ['limited', 'full'].includes(req.user.permissions.orders));
 
-        if (order.user._id.toString() !== req.user._id.toString() && !canManage) {
+        if (existing.user.toString() !== req.user._id.toString() && !canManage) {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        if (order.orderStatus === 'Delivered') {
+        if (existing.orderStatus === 'Delivered') {
             return res.status(400).json({ message: 'Cannot cancel delivered order' });
         }
 
-        order.orderStatus = 'Cancelled';
-        await order.save();
+        if (existing.orderStatus === 'Returned to Origin') {
+            return res.status(400).json({ message: 'Cannot cancel an order that was returned to origin' });
+        }
 
-        // OPTIMIZATION: Send notification asynchronously (non-blocking)
-        process.nextTick(() => {
-            notificationService.sendOrderCancelled(order, order.user)
-                .catch(err => console.error('[ERROR] Cancellation notification failed:', err));
-        });
+        // Customers can only cancel before the order ships
+        if (!canManage && existing.orderStatus !== 'Cancelled' && !existing.canBeCancelled()) {
+            return res.status(400).json({ message: `Cannot cancel an order that is ${existing.orderStatus}` });
+        }
 
-        res.json(order);
+        // Claim the cancellation atomically: only the request that flips the
+        // status gives the coupon back and refunds
+        const blocked = canManage
+            ? ['Cancelled', 'Delivered', 'Returned to Origin']
+            : ['Cancelled', 'Shipped', 'Out for Delivery', 'Delivered', 'Returned to Origin', 'Closed'];
+
+        const order = await Order.findOneAndUpdate(
+            { _id: existing._id, orderStatus: mongoose.trusted({ $nin: blocked }) },
+            { $set: { orderStatus: 'Cancelled', cancelledAt: new Date(), cancelledBy: req.user._id } },
+            { new: true }
+        ).populate('user', 'name email phone whatsapp');
+
+        if (!order) {
+            const current = await Order.findById(existing._id).populate('user', 'name email phone whatsapp');
+            if (current && current.orderStatus === 'Cancelled') {
+                return res.json(current);
+            }
+            return res.status(409).json({ message: 'Order status changed, please refresh and try again' });
+        }
+
+        // Give the coupon use back so the customer can reuse it
+        if (order.couponCode) {
+            await couponService.releaseCoupon(order.couponCode, order.user._id);
+        }
+
+        // Stop the courier too if a shipment was booked. Money only goes
+        // back automatically once the goods are known to have stopped.
+        let shipmentStopped = !(order.shipping && order.shipping.awb) || order.shipping.status === 'cancelled';
+        if (!shipmentStopped && !['delivered', 'returned'].includes(order.shipping.status)) {
+            try {
+                await shipping.cancelShipment(order);
+                shipmentStopped = true;
+            } catch (shipErr) {
+                console.error(`[ERROR] Shipment cancel failed for ${order.orderId}:`, shipErr.message);
+            }
+        }
+
+        // Prepaid orders get their money back automatically
+        let responseOrder = order;
+        if (order.paymentStatus === 'Paid' && order.refundableAmount > 0) {
+            if (!shipmentStopped) {
+                // An admin refunds from POST /:id/refund once the courier confirms
+                await Order.updateOne(
+                    { _id: order._id },
+                    {
+                        $set: {
+                            'payment.needsReview': true,
+                            'payment.reviewReason': 'Cancelled but the shipment could not be stopped; refund held'
+                        }
+                    }
+                );
+            } else {
+                try {
+                    const result = await refundService.createRefund(order._id, {
+                        reason: 'Order cancelled',
+                        initiatedBy: req.user._id
+                    });
+                    responseOrder = result.order;
+                    if (result.refund.status !== 'failed') {
+                        refundService.notifyRefund(result.order, result.refund);
+                    }
+                } catch (refundErr) {
+                    // Cancellation stands; the refund can be retried from POST /:id/refund
+                    console.error(`[ERROR] Auto-refund failed for ${order.orderId}:`, refundErr.message);
+                }
+            }
+        }
+
+        // Sent by the job worker
+        jobQueue.enqueue('notify.order-cancelled', { orderId: order._id })
+            .catch(err => console.error('[ERROR] Queueing cancellation notification failed:', err));
+
+        res.json(responseOrder);
     } catch (error) {
         console.error('[ERROR] Order Cancellation:', error);
         res.status(500).json({ message: error.message });
     }
 });
 
+// ========================================
+// REFUND ORDER (FULL / PARTIAL) - ADMIN
+// ========================================
+// Body: { items?: [{ itemId, quantity }], amount?, reason, mode? }
+// No items and no amount refunds the remaining balance.
+router.post('/:id/refund', protect, checkPermission('orders', 'full'), async (req, res) => {
+    try {
+        const { items, amount, reason, mode } = req.body;
+
+        if (mode && !['gateway', 'manual'].includes(mode)) {
+            return res.status(400).json({ message: 'Invalid refund mode' });
+        }
+
+        const { order, refund } = await refundService.createRefund(req.params.id, {
+            items,
+            amount,
+            reason,
+            mode,
+            initiatedBy: req.user._id
+        });
+
+        if (refund.status === 'failed') {
+            return res.status(502).json({
+                message: `Refund failed at payment gateway: ${refund.failureReason}`,
+                refund,
+                order
+            });
+        }
+
+        refundService.notifyRefund(order, refund);
+
+        res.status(201).json({ refund, order });
+    } catch (error) {
+        console.error('[ERROR] Order Refund:', error);
+        const status = error.message === 'Order not found' ? 404 : 400;
+        res.status(status).json({ message: error.message });
+    }
+});
+
+// ========================================
+// RETURN TO ORIGIN (ADMIN)
+// ========================================
+// Body: { stage?: 'initiated'|'returned' (default), note? }
+// For couriers that don't report RTO scans, and to retry a restock or
+// refund that failed (see rto.error).
+router.post('/:id/rto', protect, checkPermission('orders', 'full'), async (req, res) => {
+    try {
+        const { stage, note } = req.body;
+        const result = await rtoService.processRto(req.params.id, {
+            stage,
+            note,
+            by: req.user._id
+        });
+
+        res.json({
+            order: result.order,
+            restocked: result.restocked,
+            refund: result.refund,
+            errors: result.errors
+        });
+    } catch (error) {
+        console.error('[ERROR] Order RTO:', error);
+        const status = error.message === 'Order not found' ? 404 : 400;
+        res.status(status).json({ message: error.message });
+    }
+});
+
+// Body: { forwardFreight?, returnFreight? } - the courier's actual charges
+router.put('/:id/rto/freight', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const { forwardFreight, returnFreight } = req.body;
+        const order = await rtoService.setFreight(req.params.id, { forwardFreight, returnFreight });
+        res.json({ rto: order.rto });
+    } catch (error) {
+        console.error('[ERROR] Order RTO freight:', error);
+        const status = error.message === 'Order not found' ? 404 : 400;
+        res.status(status).json({ message: error.message });
+    }
+});
+
 // ========================================
 // GET ORDER STATISTICS (ADMIN) - HIGHLY OPTIMIZED
 // ========================================
@@ -636,6 +937,18 @@ router.get('/stats/summary', protect, checkPermission('orders', 'view'), async (
                         { $match: { orderStatus: { $ne: 'Cancelled' } } },
                         { $group: { _id: null, total: { $sum: '$total' } } }
                     ],
+                    couponUsage: [
+                        { $match: { orderStatus: { $ne: 'Cancelled' }, couponCode: { $exists: true, $ne: null } } },
+                        {
+                            $group: {
+                                _id: '$couponCode',
+                                orders: { $sum: 1 },
+                                discount: { $sum: '$discount' },
+                                revenue: { $sum: '$total' }
+                            }
+                        },
+                        { $sort: { orders: -1 } }
+                    ],
                     recentOrders: [
                         { $sort: { createdAt: -1 } },
                         { $limit: 10 },
@@ -643,6 +956,8 @@ router.get('/stats/summary', protect, checkPermission('orders', 'view'), async (
                             $project: {
                                 orderId: 1,
                                 total: 1,
+                                discount: 1,
+                                couponCode: 1,
                                 orderStatus: 1,
                                 createdAt: 1,
                                 user: 1
@@ -677,6 +992,8 @@ router.get('/stats/summary', protect, checkPermission('orders', 'view'), async (
             statusBreakdown: stats[0].statusCount,
             paymentBreakdown: stats[0].paymentCount,
             totalRevenue: stats[0].totalRevenue[0]?.total || 0,
+            totalDiscount: stats[0].couponUsage.reduce((sum, c) => sum + c.discount, 0),
+            couponUsage: stats[0].couponUsage,
             recentOrders: stats[0].recentOrders,
             todayOrders: stats[0].todayStats[0]?.count || 0,
             todayRevenue: stats[0].todayStats[0]?.revenue || 0
@@ -718,7 +1035,7 @@ router.get('/recent/list', protect, checkPermission('orders', 'view'), async (re
 // ========================================
 
 // Trigger Review Request
-router.post('/:id/notify/review', protect, checkPermission('orders', 'edit'), async (req, res) => {
+router.post('/:id/notify/review', protect, checkPermission('orders', 'limited'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id)
             .populate('user')
@@ -746,7 +1063,7 @@ router.post('/:id/notify/review', protect, checkPermission('orders', 'edit'), as
 });
 
 // Send Custom Message
-router.post('/:id/notify/message', protect, checkPermission('orders', 'edit'), async (req, res) => {
+router.post('/:id/notify/message', protect, checkPermission('orders', 'limited'), async (req, res) => {
     try {
         const { message } = req.body;
         if (!message) {
@@ -772,8 +1089,8 @@ router.post('/:id/notify/message', protect, checkPermission('orders', 'edit'), a
     }
 });
 
-// Ship Order via Shiprocket (Manual Trigger)
-router.post('/:id/ship', protect, checkPermission('orders', 'edit'), async (req, res) => {
+// Ship Order (Manual Trigger) - body.provider overrides the selection policy
+router.post('/:id/ship', protect, checkPermission('orders', 'limited'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
 
@@ -785,20 +1102,58 @@ router.post('/:id/ship', protect, checkPermission('orders', 'edit'), async (req,
             return res.status(400).json({ message: `Order is already ${order.orderStatus}` });
         }
 
-        const result = await shiprocketService.automateShipping(order._id);
+        if (order.orderStatus === 'Returned to Origin') {
+            return res.status(400).json({ message: 'Cannot ship an order that was returned to origin' });
+        }
+
+        const result = await shipping.shipOrder(order._id, { provider: req.body.provider });
 
         if (result.success) {
-            res.json({ message: 'Shipment created successfully via Shiprocket', awb: result.awb });
+            res.json({ message: `Shipment created successfully via ${result.provider}`, awb: result.awb, provider: result.provider });
         } else {
-            res.status(400).json({ message: 'Failed to create Shiprocket shipment', error: result.error });
+            res.status(400).json({ message: 'Failed to create shipment', error: result.error });
         }
 
     } catch (error) {
-        console.error('Shiprocket shipment creation failed:', error);
+        console.error('Shipment creation failed:', error);
         res.status(500).json({ message: 'Shipment creation failed', error: error.message });
     }
 });
 
+// Cancel the courier shipment (order itself is left as is)
+router.post('/:id/cancel-shipment', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const updated = await shipping.cancelShipment(order);
+        res.json({ message: 'Shipment cancelled', shipping: updated.shipping });
+    } catch (error) {
+        console.error('Shipment cancellation failed:', error);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Box and weights the order ships (or shipped) with
+router.get('/:id/parcel', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).select('orderId items shipping.parcel').lean();
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const computed = await shipping.packOrder(order);
+        res.json({ declared: order.shipping?.parcel || null, computed });
+    } catch (error) {
+        console.error('[ERROR] Order parcel:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // ========================================
 // DELETE ORDER (ADMIN)
 // ========================================
@@ -809,32 +1164,17 @@ router.delete('/:id', protect, checkPermission('orders', 'full'), async (req, re
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        // Restore Stock
-        for (const item of order.items) {
+        // Restore Stock, once: an RTO order may already have been restocked
+        // (rtoService claims rto.restockedAt the same way)
+        const claimed = await Order.updateOne(
+            { _id: order._id, 'rto.restockedAt': null },
+            { $set: { 'rto.restockedAt': new Date() } }
+        );
+        if (claimed.modifiedCount > 0) {
             try {
-                let productDoc = await Product.findById(item.product);
-                if (!productDoc) {
-                    productDoc = await Combo.findById(item.product);
-                }
-
-                if (productDoc) {
-                    // Check if it has variants
-                    if (productDoc.variants && productDoc.variants.length > 0) {
-                        const variant = productDoc.variants.find(v => v.price === item.price);
-                        if (variant) {
-                            variant.stock += item.quantity;
-                        }
-                        // Restore root stock as well
-                        productDoc.stock += item.quantity;
-                        productDoc.markModified('variants');
-                    } else {
-                        // Simple product
-                        productDoc.stock += item.quantity;
-                    }
-                    await productDoc.save();
-                }
+                await stockReservation.restoreStock(order.items);
             } catch (err) {
-                console.error(`Failed to restore stock for item ${item.name}:`, err);
+                console.error(`Failed to restore stock for order ${order.orderId}:`, err);
             }
         }
 
@@ -1,22 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
-const { protect } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const paymentService = require('../services/paymentService');
 
-// Initialize Razorpay
-// NOTE: Make sure RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are in .env
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder',
-    key_secret: process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder'
-});
+const { razorpay } = paymentService;
 
 // ========================================
 // CREATE RAZORPAY ORDER
 // ========================================
 router.post('/create-order', protect, async (req, res) => {
     try {
-        const { amount, currency = 'INR' } = req.body;
+        const { currency = 'INR', orderId } = req.body;
+        let { amount } = req.body;
+
+        // Paying for an order that's already placed: amount comes from the
+        // order, and the Razorpay order id is linked so webhooks can find it
+        let existingOrder = null;
+        if (orderId) {
+            existingOrder = await Order.findOne({ orderId, user: req.user._id });
+            if (!existingOrder) {
+                return res.status(404).json({ message: 'Order not found' });
+            }
+            if (existingOrder.paymentStatus === 'Paid') {
+                return res.status(400).json({ message: 'Order is already paid' });
+            }
+            if (existingOrder.paymentStatus === 'Under Review') {
+                return res.status(400).json({ message: 'A payment for this order is under review' });
+            }
+            amount = existingOrder.total;
+        }
 
         if (!amount) {
             return res.status(400).json({ message: 'Amount is required' });
@@ -25,11 +40,18 @@ router.post('/create-order', protect, async (req, res) => {
         const options = {
             amount: Math.round(amount * 100), // amount in smallest currency unit (paise)
             currency,
-            receipt: `receipt_${Date.now()}`
+            receipt: existingOrder ? existingOrder.orderId : `receipt_${Date.now()}`,
+            notes: existingOrder ? { orderId: existingOrder.orderId } : undefined
         };
 
         const order = await razorpay.orders.create(options);
 
+        if (existingOrder) {
+            existingOrder.set('payment.gateway', 'razorpay');
+            existingOrder.set('payment.gatewayOrderId', order.id);
+            await existingOrder.save();
+        }
+
         res.json(order);
     } catch (error) {
         console.error('[ERROR] Razorpay Create Order:', error);
@@ -61,4 +83,87 @@ router.post('/verify', protect, async (req, res) => {
     }
 });
 
+// ========================================
+// RAZORPAY WEBHOOK
+// ========================================
+// Server-to-server, so no auth: the HMAC of the raw body is the auth.
+// Always 200 once the signature checks out unless processing threw, so
+// Razorpay only retries deliveries we actually failed on.
+router.post('/webhook', async (req, res) => {
+    try {
+        const signature = req.get('X-Razorpay-Signature');
+
+        if (!paymentService.verifyWebhookSignature(req.rawBody, signature)) {
+            console.warn('[PAYMENT] Webhook rejected: invalid signature');
+            return res.status(400).json({ message: 'Invalid signature' });
+        }
+
+        // Fall back to a body hash for deliveries without an event id
+        const eventId = req.get('X-Razorpay-Event-Id')
+            || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+        const result = await paymentService.handleWebhookEvent(eventId, req.body);
+
+        res.json({ received: true, ...result });
+    } catch (error) {
+        console.error('[ERROR] Razorpay Webhook:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// PAYMENTS NEEDING REVIEW (ADMIN)
+// ========================================
+router.get('/review', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const orders = await Order.find({ 'payment.needsReview': true })
+            .select('orderId user total paymentMethod paymentStatus orderStatus payment createdAt')
+            .populate('user', 'name email phone')
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .lean()
+            .maxTimeMS(10000)
+            .exec();
+
+        res.json(orders);
+    } catch (error) {
+        console.error('[ERROR] Payment review list:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// SETTLE A PAYMENT UNDER REVIEW (ADMIN)
+// ========================================
+router.put('/review/:id', protect, checkPermission('orders', 'full'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const order = await paymentService.resolveReview(req.params.id, req.body.paymentStatus, req.user._id);
+        if (!order) {
+            return res.status(404).json({ message: 'No payment under review for this order' });
+        }
+
+        res.json(order);
+    } catch (error) {
+        console.error('[ERROR] Payment review:', error);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ========================================
+// RUN RECONCILIATION NOW (ADMIN)
+// ========================================
+router.post('/reconcile', protect, checkPermission('orders', 'full'), async (req, res) => {
+    try {
+        const summary = await paymentService.reconcilePendingPayments();
+        res.json(summary);
+    } catch (error) {
+        console.error('[ERROR] Payment reconcile:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const PriceSchedule = require('../models/PriceSchedule');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const priceScheduler = require('../services/priceScheduler');
+
+// ========================================
+// PRICE SCHEDULES (ADMIN)
+// ========================================
+// Scheduled price and offer changes (services/priceScheduler).
+// ========================================
+
+// ?status= groups for the list
+const STATUS_GROUPS = {
+    upcoming: ['scheduled'],
+    active: ['active'],
+    past: ['completed', 'cancelled', 'failed']
+};
+
+const errorStatus = (error) => {
+    if (['Product not found', 'Schedule not found'].includes(error.message)) return 404;
+    if (error.message.startsWith('Overlaps')) return 409;
+    return 400;
+};
+
+// ========================================
+// LIST SCHEDULES
+// ========================================
+// ?status=upcoming|active|past (default: upcoming and active)
+router.get('/', protect, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+        const { status } = req.query;
+
+        if (status && !STATUS_GROUPS[status]) {
+            return res.status(400).json({ message: 'Status must be upcoming, active or past' });
+        }
+
+        const statuses = status ? STATUS_GROUPS[status] : [...STATUS_GROUPS.upcoming, ...STATUS_GROUPS.active];
+        const query = { status: mongoose.trusted({ $in: statuses }) };
+
+        const [schedules, total] = await Promise.all([
+            PriceSchedule.find(query)
+                .select('-__v')
+                .populate('product', 'name slug image')
+                .sort(status === 'past' ? { startAt: -1 } : { startAt: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+                .maxTimeMS(15000)
+                .exec(),
+            PriceSchedule.countDocuments(query)
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            schedules,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + schedules.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get price schedules:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// SCHEDULES FOR ONE PRODUCT
+// ========================================
+// Upcoming, active and past schedules plus recent price history
+router.get('/product/:productId', protect, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const result = await priceScheduler.listForProduct(req.params.productId);
+        res.json(result);
+    } catch (error) {
+        console.error('[ERROR] Get product price schedules:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// CREATE SCHEDULE
+// ========================================
+// { product, variant | sku, price?, offerPrice?, offerText?, startAt, endAt?, note? }
+router.post('/', protect, checkPermission('products', 'limited'), async (req, res) => {
+    try {
+        const schedule = await priceScheduler.createSchedule(req.body || {}, req.user._id);
+
+        // Starts now: don't wait for the next scheduler tick (which retries
+        // if this fails)
+        if (schedule.startAt <= new Date()) {
+            await priceScheduler.applySchedule(schedule._id)
+                .catch(err => console.error('[PRICE] Immediate apply failed:', err.message));
+        }
+
+        const saved = await PriceSchedule.findById(schedule._id).select('-__v').lean();
+        res.status(201).json(saved);
+    } catch (error) {
+        console.error('[ERROR] Create price schedule:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// CANCEL SCHEDULE
+// ========================================
+// An active schedule is undone immediately
+router.post('/:id/cancel', protect, checkPermission('products', 'limited'), async (req, res) => {
+    try {
+        const schedule = await priceScheduler.cancelSchedule(req.params.id, req.user._id);
+        res.json(schedule);
+    } catch (error) {
+        console.error('[ERROR] Cancel price schedule:', error.message);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+module.exports = router;
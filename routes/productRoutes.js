@@ -1,10 +1,44 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 // Force restart 7
 const router = express.Router();
 const { Product, Combo } = require('../models/Product');
+const Category = require('../models/Category');
 const Notification = require('../models/Notification');
 const { sendBulkWhatsApp } = require('../utils/sendWhatsApp');
 const { protect, admin, checkPermission } = require('../middleware/authMiddleware');
+const jobQueue = require('../services/jobQueue');
+const catalogSheet = require('../services/catalogSheet');
+const productSearch = require('../services/productSearch');
+const { cache, clearProductCache } = require('../utils/productCache');
+
+// Catalog spreadsheets (import)
+const sheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|xlsx|xls)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV and Excel files are allowed'), false);
+        }
+    }
+});
+
+/**
+ * Category by id or slug (lean, with its tree path)
+ */
+const findCategory = (value) => Category.findOne(
+    mongoose.Types.ObjectId.isValid(value) ? { _id: value } : { slug: String(value) }
+)
+    .select('name slug path')
+    .lean()
+    .maxTimeMS(3000)
+    .exec();
 
 // ========================================
 // ULTRA-FAST PRODUCT ROUTES
@@ -20,8 +54,6 @@ const { protect, admin, checkPermission } = require('../middleware/authMiddlewar
 // ========================================
 // ENHANCED CACHE MIDDLEWARE
 // ========================================
-const cache = new Map();
-
 const cacheMiddleware = (duration = 600000) => { // 10 minutes default
     return (req, res, next) => {
         if (req.method !== 'GET') return next();
@@ -58,20 +90,6 @@ const cacheMiddleware = (duration = 600000) => { // 10 minutes default
     };
 };
 
-const clearProductCache = () => {
-    // OPTIMIZATION: Clear cache asynchronously (non-blocking)
-    setImmediate(() => {
-        let cleared = 0;
-        for (const key of cache.keys()) {
-            if (key.includes('/api/products')) {
-                cache.delete(key);
-                cleared++;
-            }
-        }
-        console.log(`[CACHE] Cleared ${cleared} product cache entries`);
-    });
-};
-
 // ========================================
 // GET ALL PRODUCTS - HIGHLY OPTIMIZED
 // ========================================
@@ -83,25 +101,50 @@ router.get('/', cacheMiddleware(600000), async (req, res) => {
 
         const { category, search, featured, sort, inStock } = req.query;
 
+        // Typed searches go through the search service (typos, synonyms)
+        if (search) {
+            const result = await productSearch.search({
+                q: String(search),
+                filters: { category, inStock },
+                sort,
+                page,
+                limit,
+                featured: featured === 'true'
+            });
+
+            return res.json({
+                products: result.products,
+                pagination: {
+                    page: result.page,
+                    limit: result.limit,
+                    total: result.total,
+                    pages: result.pages,
+                    hasMore: result.hasMore
+                },
+                facets: result.facets,
+                query: result.query
+            });
+        }
+
         const query = { isActive: true };
 
-        if (category) query.category = category;
+        // A category includes its subcategories
+        if (category) {
+            const found = await findCategory(category);
+            const ids = found ? await Category.withDescendantIds(found._id) : [];
+            query.category = mongoose.trusted({ $in: ids });
+        }
         if (featured === 'true') query.isFeatured = true;
         if (inStock === 'true') query.stock = { $gt: 0 };
 
-        if (search) {
-            query.$text = { $search: search };
-        }
-
         let sortOption = { createdAt: -1 };
         if (sort === 'price_asc') sortOption = { price: 1 };
         if (sort === 'price_desc') sortOption = { price: -1 };
         if (sort === 'name') sortOption = { name: 1 };
         if (sort === 'popular') sortOption = { rating: -1, numReviews: -1 };
-        if (search) sortOption = { score: { $meta: 'textScore' } };
 
         const products = await Product.find(query)
-            .select('name slug price offerPrice image images category featured rating numReviews stock isOffer weight description ingredients howToUse storage nutrition compliance highlights sub_category short_description isActive variants isNewArrival')
+            .select('name slug price offerPrice image images category featured rating numReviews stock isOffer weight description ingredients howToUse storage nutrition compliance highlights short_description isActive variants isNewArrival')
             .sort(sortOption)
             .skip(skip)
             .limit(limit)
@@ -152,6 +195,43 @@ router.get('/featured/list', cacheMiddleware(600000), async (req, res) => {
     }
 });
 
+// ========================================
+// AUTOCOMPLETE
+// ========================================
+// GET /suggest?q=ulu - completions and matching products while typing.
+// Declared before /:id so the path isn't taken for a slug.
+router.get('/suggest', cacheMiddleware(300000), async (req, res) => {
+    try {
+        const result = await productSearch.suggest(String(req.query.q || ''), { limit: req.query.limit });
+        res.json(result);
+    } catch (error) {
+        console.error('[ERROR] Suggest products:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// EXPORT CATALOG SPREADSHEET (ADMIN)
+// ========================================
+// One row per variant; edit and send back to POST /import.
+// Declared before /:id so the path isn't taken for a slug.
+router.get('/export.xlsx', protect, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const file = await catalogSheet.exportCatalog();
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+        res.set({
+            'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'Content-Disposition': `attachment; filename="catalog-${today}.xlsx"`,
+            'Content-Length': file.length
+        });
+        res.send(file);
+    } catch (error) {
+        console.error('[ERROR] Export catalog:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // ========================================
 // GET SINGLE PRODUCT (OPTIMIZED)
 // ========================================
@@ -179,6 +259,9 @@ router.get('/:id', cacheMiddleware(600000), async (req, res) => {
             return res.status(404).json({ message: 'Product not found' });
         }
 
+        // Root-to-category trail for the storefront
+        product.breadcrumbs = await Category.breadcrumbs(product.category);
+
         res.json(product);
     } catch (error) {
         console.error('[ERROR] Get single product:', error);
@@ -195,27 +278,35 @@ router.get('/category/:category', cacheMiddleware(600000), async (req, res) => {
         const limit = Math.min(parseInt(req.query.limit) || 20, 100);
         const skip = (page - 1) * limit;
 
-        const [products, total] = await Promise.all([
-            Product.find({
-                category: req.params.category,
-                isActive: true
-            })
-                .select('name slug price offerPrice image images rating numReviews stock weight variants isNewArrival')
+        // Id or slug; products in subcategories are included
+        const category = await findCategory(req.params.category);
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found' });
+        }
+
+        const query = {
+            category: mongoose.trusted({ $in: await Category.withDescendantIds(category._id) }),
+            isActive: true
+        };
+
+        const [products, total, breadcrumbs] = await Promise.all([
+            Product.find(query)
+                .select('name slug price offerPrice image images rating numReviews stock weight variants isNewArrival category')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(limit)
                 .lean()
                 .maxTimeMS(10000)
                 .exec(),
-            Product.countDocuments({
-                category: req.params.category,
-                isActive: true
-            })
+            Product.countDocuments(query)
                 .maxTimeMS(5000)
-                .exec()
+                .exec(),
+            Category.breadcrumbs(category._id)
         ]);
 
         res.json({
+            category: { _id: category._id, name: category.name, slug: category.slug },
+            breadcrumbs,
             products,
             pagination: {
                 page,
@@ -232,47 +323,24 @@ router.get('/category/:category', cacheMiddleware(600000), async (req, res) => {
 });
 
 // ========================================
-// SEARCH PRODUCTS (OPTIMIZED)
+// SEARCH PRODUCTS (FACETED)
 // ========================================
+// GET /search/query?q=ulundu&category=&price=100-250&weight=200g
+//     &certification=&tasteProfile=&inStock=true&sort=relevance&page=1
+// q may be empty to browse with facets (services/productSearch)
 router.get('/search/query', cacheMiddleware(300000), async (req, res) => {
     try {
-        const { q, limit = 20, page = 1 } = req.query;
-
-        if (!q || q.trim().length === 0) {
-            return res.status(400).json({ message: 'Search query required' });
-        }
-
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const [products, total] = await Promise.all([
-            Product.find(
-                {
-                    $text: { $search: q },
-                    isActive: true
-                },
-                { score: { $meta: 'textScore' } }
-            )
-                .select('name slug price offerPrice image images rating numReviews stock variants isNewArrival')
-                .sort({ score: { $meta: 'textScore' } })
-                .skip(skip)
-                .limit(parseInt(limit))
-                .lean()
-                .maxTimeMS(10000)
-                .exec(),
-            Product.countDocuments({
-                $text: { $search: q },
-                isActive: true
-            })
-                .maxTimeMS(5000)
-                .exec()
-        ]);
-
-        res.json({
-            products,
-            total,
-            page: parseInt(page),
-            pages: Math.ceil(total / parseInt(limit))
+        const { q = '', page = 1, limit = 20, sort, category, price, priceMin, priceMax, weight, certification, tasteProfile, inStock } = req.query;
+
+        const result = await productSearch.search({
+            q: String(q),
+            filters: { category, price, priceMin, priceMax, weight, certification, tasteProfile, inStock },
+            sort,
+            page,
+            limit
         });
+
+        res.json(result);
     } catch (error) {
         console.error('[ERROR] Search products:', error);
         res.status(500).json({ message: error.message });
@@ -380,16 +448,9 @@ router.put('/:id', protect, checkPermission('products', 'limited'), async (req,
 
         // 3. Trigger Stock Alert if stock increased from 0
         if (oldProduct.stock === 0 && (req.body.stock > 0 || product.stock > 0)) {
-            // Re-fetch full product if needed or just pass partial if name/slug didn't change (safer to fetch or use updated doc)
-            // 'product' is the updated doc (lean)
-            setImmediate(() => {
-                const notificationService = require('../utils/notificationService'); // Lazy load to avoid circular deps if any
-                notificationService.sendStockAlert(product)
-                    .then(count => {
-                        if (count > 0) console.log(`[NOTIFY] Sent ${count} alert(s) for ${product.name}`);
-                    })
-                    .catch(err => console.error('[NOTIFY] Failed:', err));
-            });
+            // The job worker loads the product and messages subscribers
+            jobQueue.enqueue('notify.stock-alert', { productId: product._id })
+                .catch(err => console.error('[NOTIFY] Queueing stock alert failed:', err));
         }
 
         // Send response immediately
@@ -400,6 +461,49 @@ router.put('/:id', protect, checkPermission('products', 'limited'), async (req,
     }
 });
 
+// ========================================
+// IMPORT CATALOG SPREADSHEET (ADMIN)
+// ========================================
+// multipart/form-data: file, mode (dry-run | apply; default dry-run).
+// Always returns the per-row diff; apply writes it only when no row has an
+// error (services/catalogSheet).
+router.post('/import', protect, checkPermission('products', 'limited'), (req, res, next) => {
+    sheetUpload.single('file')(req, res, (err) => {
+        if (err) return res.status(400).json({ message: err.message });
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const mode = String(req.query.mode || req.body?.mode || 'dry-run');
+        if (!['dry-run', 'apply'].includes(mode)) {
+            return res.status(400).json({ message: 'Mode must be dry-run or apply' });
+        }
+
+        const result = await catalogSheet.importCatalog(req.file.buffer, { apply: mode === 'apply' });
+
+        if (result.applied) {
+            clearProductCache();
+            console.log(`[PRODUCT] ✓ Catalog import updated ${result.summary.products} products`);
+
+            for (const productId of result.restocked) {
+                jobQueue.enqueue('notify.stock-alert', { productId })
+                    .catch(err => console.error('[NOTIFY] Queueing stock alert failed:', err));
+            }
+        }
+
+        // Asked to apply but held back by row errors
+        const status = mode === 'apply' && result.summary.errors > 0 ? 422 : 200;
+        res.status(status).json({ mode, ...result });
+    } catch (error) {
+        console.error('[ERROR] Import catalog:', error.message);
+        res.status(400).json({ message: error.message });
+    }
+});
+
 // ========================================
 // BULK UPDATE PRODUCTS (ADMIN) - OPTIMIZED
 // ========================================
@@ -414,6 +518,12 @@ router.put('/bulk/update', protect, checkPermission('products', 'limited'), asyn
         console.log(`[PRODUCT] Bulk updating ${ids.length} products`);
         const startTime = Date.now();
 
+        // bulkWrite skips model middleware, so category counts are redone here
+        const recount = updates && ('category' in updates || 'isActive' in updates);
+        const previousCategories = recount
+            ? await Product.distinct('category', { _id: mongoose.trusted({ $in: ids }) })
+            : [];
+
         // OPTIMIZATION: Use bulkWrite for batch updates
         const result = await Product.bulkWrite(
             ids.map(id => ({
@@ -425,6 +535,10 @@ router.put('/bulk/update', protect, checkPermission('products', 'limited'), asyn
             { ordered: false } // Continue on error
         );
 
+        if (recount) {
+            await Category.refreshProductCounts([...previousCategories, updates.category]);
+        }
+
         clearProductCache();
 
         const duration = Date.now() - startTime;
@@ -527,14 +641,8 @@ router.patch('/:id/stock', protect, checkPermission('stocks', 'limited'), async
 
         // NOTIFICATION TRIGGER: If stock was 0/low and is now available
         if (oldStock === 0 && stock > 0) {
-            setImmediate(() => {
-                const notificationService = require('../utils/notificationService');
-                notificationService.sendStockAlert(product)
-                    .then(count => {
-                        if (count > 0) console.log(`[NOTIFY] Sent ${count} alert(s) for ${product.name}`);
-                    })
-                    .catch(err => console.error('[NOTIFY] Failed:', err));
-            });
+            jobQueue.enqueue('notify.stock-alert', { productId: product._id })
+                .catch(err => console.error('[NOTIFY] Queueing stock alert failed:', err));
         }
 
         res.json({ stock: product.stock });
@@ -0,0 +1,275 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ReturnRequest = require('../models/ReturnRequest');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const returnService = require('../services/returnService');
+
+// ========================================
+// RETURNS / RMA
+// ========================================
+// Customers open returns for delivered orders (photos are uploaded first
+// through /api/upload and sent as URLs). Admins approve or reject, the
+// reverse pickup is booked with the courier, and the refund goes through
+// the order's refund flow.
+// ========================================
+
+// Errors thrown by returnService that map to something other than 400
+const errorStatus = (error) => {
+    if (error.message === 'Return request not found' || error.message === 'Order not found') return 404;
+    if (error.message === 'Not authorized') return 403;
+    return 400;
+};
+
+// ========================================
+// OPEN A RETURN (CUSTOMER)
+// ========================================
+// Body: { orderId, items: [{ itemId, quantity }], reason, description, images: [url] }
+router.post('/', protect, async (req, res) => {
+    try {
+        const { orderId, items, reason, description, images } = req.body;
+
+        if (!orderId) {
+            return res.status(400).json({ message: 'Order is required' });
+        }
+
+        const returnRequest = await returnService.openReturn(req.user, orderId, {
+            items,
+            reason,
+            description,
+            images
+        });
+
+        res.status(201).json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Open return:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// MY RETURNS (CUSTOMER)
+// ========================================
+router.get('/my', protect, async (req, res) => {
+    try {
+        const returns = await ReturnRequest.find({ user: req.user._id })
+            .select('-__v')
+            .sort({ createdAt: -1 })
+            .lean()
+            .maxTimeMS(5000)
+            .exec();
+
+        res.json(returns);
+    } catch (error) {
+        console.error('[ERROR] Get my returns:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// LIST RETURNS (ADMIN)
+// ========================================
+router.get('/', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+        const { status, search } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (search) {
+            const escaped = String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { rmaNumber: mongoose.trusted({ $regex: escaped, $options: 'i' }) },
+                { orderId: mongoose.trusted({ $regex: escaped, $options: 'i' }) }
+            ];
+        }
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(query)
+                .select('-__v')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user', 'name email phone whatsapp')
+                .lean()
+                .maxTimeMS(15000)
+                .exec(),
+            ReturnRequest.countDocuments(query)
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            returns,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + returns.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get returns:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// GET SINGLE RETURN (OWNER / ADMIN)
+// ========================================
+router.get('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Return request not found' });
+        }
+
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+            .populate('user', 'name email phone whatsapp')
+            .populate('order', 'orderId orderStatus paymentMethod paymentStatus total deliveryAddress')
+            .lean()
+            .maxTimeMS(5000)
+            .exec();
+
+        if (!returnRequest) {
+            return res.status(404).json({ message: 'Return request not found' });
+        }
+
+        const canView = req.user.role === 'admin' || (req.user.permissions && ['view', 'limited', 'full'].includes(req.user.permissions.orders));
+        if (returnRequest.user._id.toString() !== req.user._id.toString() && !canView) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Get return:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// CANCEL RETURN (CUSTOMER)
+// ========================================
+router.put('/:id/cancel', protect, async (req, res) => {
+    try {
+        const returnRequest = await returnService.cancelReturn(req.params.id, req.user);
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Cancel return:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// APPROVE RETURN (ADMIN)
+// ========================================
+// Body: { note?, schedulePickup? = true }
+// Skip the pickup for returns with nothing to collect (e.g. missing items).
+router.put('/:id/approve', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const { note, schedulePickup } = req.body;
+
+        const { returnRequest, pickupError } = await returnService.approveReturn(req.params.id, req.user._id, {
+            note,
+            schedulePickup: schedulePickup !== false
+        });
+
+        res.json({ returnRequest, pickupError });
+    } catch (error) {
+        console.error('[ERROR] Approve return:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// REJECT RETURN (ADMIN)
+// ========================================
+router.put('/:id/reject', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const returnRequest = await returnService.rejectReturn(req.params.id, req.user._id, req.body.reason);
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Reject return:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// (RE)TRY REVERSE PICKUP (ADMIN)
+// ========================================
+router.post('/:id/pickup', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const returnRequest = await returnService.schedulePickup(req.params.id, req.user._id);
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Return pickup:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// MARK PICKED UP (ADMIN)
+// ========================================
+router.put('/:id/picked-up', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const returnRequest = await returnService.markPickedUp(req.params.id, req.user._id);
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Return picked up:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// MARK RECEIVED (ADMIN)
+// ========================================
+// Body: { restock?: boolean, note? }
+router.put('/:id/receive', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const { restock, note } = req.body;
+        const returnRequest = await returnService.receiveReturn(req.params.id, req.user._id, {
+            restock: restock === true,
+            note
+        });
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('[ERROR] Receive return:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+// ========================================
+// REFUND RETURN (ADMIN)
+// ========================================
+// Body: { amount?, mode? } - amount can deduct e.g. return shipping
+router.post('/:id/refund', protect, checkPermission('orders', 'full'), async (req, res) => {
+    try {
+        const { amount, mode } = req.body;
+
+        if (mode && !['gateway', 'manual'].includes(mode)) {
+            return res.status(400).json({ message: 'Invalid refund mode' });
+        }
+
+        const { returnRequest, refund, order } = await returnService.refundReturn(req.params.id, req.user._id, {
+            amount,
+            mode
+        });
+
+        if (refund.status === 'failed') {
+            return res.status(502).json({
+                message: `Refund failed at payment gateway: ${refund.failureReason}`,
+                returnRequest,
+                refund
+            });
+        }
+
+        res.status(201).json({ returnRequest, refund, order });
+    } catch (error) {
+        console.error('[ERROR] Refund return:', error);
+        res.status(errorStatus(error)).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const SearchSynonym = require('../models/SearchSynonym');
+const { normaliseTerm } = require('../models/SearchSynonym');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const productSearch = require('../services/productSearch');
+const { clearProductCache } = require('../utils/productCache');
+
+// ========================================
+// SEARCH SYNONYMS (ADMIN)
+// ========================================
+// The regional-name dictionary used by product search
+// (services/productSearch). Edits take effect immediately.
+// ========================================
+
+const EDITABLE_FIELDS = ['term', 'matches', 'products', 'isActive', 'note'];
+
+const pickFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    if (typeof data.matches === 'string') data.matches = data.matches.split(',');
+    if (data.products) {
+        data.products = [].concat(data.products).filter(id => mongoose.Types.ObjectId.isValid(id));
+    }
+    return data;
+};
+
+// Search results are cached; drop them with the dictionary
+const refreshSearch = () => {
+    productSearch.invalidateDictionary();
+    clearProductCache();
+};
+
+const sendError = (res, error, label) => {
+    console.error(`[ERROR] ${label}:`, error.message);
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A synonym for this term already exists' });
+    }
+    res.status(400).json({ message: error.message });
+};
+
+// ========================================
+// LIST SYNONYMS
+// ========================================
+// ?q= filters by term
+router.get('/', protect, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        const q = normaliseTerm(req.query.q);
+        if (q) query.term = new RegExp(`^${q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+
+        const [synonyms, total] = await Promise.all([
+            SearchSynonym.find(query)
+                .select('-__v')
+                .populate('products', 'name slug image')
+                .sort({ term: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+                .maxTimeMS(10000)
+                .exec(),
+            SearchSynonym.countDocuments(query)
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            synonyms,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + synonyms.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get search synonyms:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ========================================
+// CREATE / UPDATE / DELETE
+// ========================================
+// { term, matches: ['urad'] | 'urad, black gram', products: [id], isActive, note }
+router.post('/', protect, checkPermission('products', 'limited'), async (req, res) => {
+    try {
+        const synonym = await SearchSynonym.create({ ...pickFields(req.body), createdBy: req.user._id });
+        refreshSearch();
+        res.status(201).json(synonym);
+    } catch (error) {
+        sendError(res, error, 'Create search synonym');
+    }
+});
+
+router.put('/:id', protect, checkPermission('products', 'limited'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Synonym not found' });
+        }
+
+        const synonym = await SearchSynonym.findById(req.params.id);
+        if (!synonym) {
+            return res.status(404).json({ message: 'Synonym not found' });
+        }
+
+        synonym.set(pickFields(req.body));
+        await synonym.save();
+        refreshSearch();
+        res.json(synonym);
+    } catch (error) {
+        sendError(res, error, 'Update search synonym');
+    }
+});
+
+router.delete('/:id', protect, checkPermission('products', 'limited'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Synonym not found' });
+        }
+
+        const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+        if (!synonym) {
+            return res.status(404).json({ message: 'Synonym not found' });
+        }
+
+        refreshSearch();
+        res.json({ message: 'Synonym removed' });
+    } catch (error) {
+        console.error('[ERROR] Delete search synonym:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
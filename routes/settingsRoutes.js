@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Setting = require('../models/Setting');
+const pricingService = require('../services/pricingService');
+const shipping = require('../services/shipping');
 const { protect, admin, checkPermission } = require('../middleware/authMiddleware');
 
 // ========================================
@@ -20,6 +22,9 @@ const CACHE_DURATION = 3600000; // 1 hour
 
 const clearSettingsCache = () => {
     cache.clear();
+    pricingService.clearSettingsCache();
+    shipping.clearPolicyCache();
+    shipping.clearEstimateCache();
     console.log('[CACHE] Settings cache cleared');
 };
 
@@ -62,8 +67,11 @@ router.get('/', async (req, res) => {
                 timezone: 'Asia/Kolkata',
                 metaDescription: 'Premium quality food products',
                 metaKeywords: [],
-                freeShippingThreshold: 0,
-                defaultShippingCharge: 0
+                freeShippingThreshold: 750,
+                defaultShippingCharge: 50,
+                businessState: 'Tamil Nadu',
+                defaultGstRate: 5,
+                shippingGstRate: 18
             };
         }
 
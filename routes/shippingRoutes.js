@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const ShipmentBatch = require('../models/ShipmentBatch');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+const shipping = require('../services/shipping');
+const manifest = require('../services/shipping/manifest');
+
+const batchErrorStatus = (error) => {
+    if (error.message === 'Batch not found') return 404;
+    if (error.message.startsWith('None of the labels')) return 502;
+    return 400;
+};
+
+const sendPdf = (res, pdf, filename) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+};
+
+// ========================================
+// DELIVERY ESTIMATE (PUBLIC)
+// ========================================
+// GET /api/shipping/estimate?pincode=600001&weight=1.5&cod=true
+// For the product page and checkout, before the customer pays. POST
+// /api/orders runs the same check.
+router.get('/estimate', async (req, res) => {
+    try {
+        const { pincode, weight, cod } = req.query;
+
+        if (!pincode) {
+            return res.status(400).json({ message: 'Pincode is required' });
+        }
+
+        const estimate = await shipping.estimateDelivery({
+            pincode,
+            weight: parseFloat(weight) || 0.5,
+            cod: cod === 'true' || cod === '1'
+        });
+
+        if (estimate.serviceable === null) {
+            return res.status(503).json(estimate);
+        }
+
+        res.json(estimate);
+    } catch (error) {
+        console.error('[ERROR] Delivery estimate:', error);
+        const status = error.message === 'Please enter a valid 6-digit pincode' ? 400 : 500;
+        res.status(status).json({ message: error.message });
+    }
+});
+
+// ========================================
+// PICKUP BATCHES (ADMIN)
+// ========================================
+// A batch fixes a set of shipped orders so the manifest, merged labels and
+// pick list can be downloaded (and downloaded again) for one pickup.
+
+// Body: { date?: 'YYYY-MM-DD' (IST, default today) } or { orderIds: [] }
+router.post('/batches', protect, checkPermission('orders', 'limited'), async (req, res) => {
+    try {
+        const { date, orderIds } = req.body;
+        const { batch, skipped } = await manifest.createBatch({
+            date,
+            orderIds,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({ batch, skipped });
+    } catch (error) {
+        console.error('[ERROR] Create shipment batch:', error.message);
+        res.status(batchErrorStatus(error)).json({ message: error.message });
+    }
+});
+
+router.get('/batches', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const [batches, total] = await Promise.all([
+            ShipmentBatch.find()
+                .select('-orders -__v')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('createdBy', 'name')
+                .lean()
+                .maxTimeMS(10000)
+                .exec(),
+            ShipmentBatch.countDocuments()
+                .maxTimeMS(5000)
+                .exec()
+        ]);
+
+        res.json({
+            batches,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + batches.length < total
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get shipment batches:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Shipments grouped by courier; ?format=pdf for the printable manifest
+router.get('/batches/:batchId/manifest', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const { batch, orders } = await manifest.loadBatch(req.params.batchId);
+        const groups = manifest.buildManifest(orders);
+
+        if (req.query.format === 'pdf') {
+            return sendPdf(res, await manifest.renderManifestPdf(batch, groups), `${batch.batchId}-manifest.pdf`);
+        }
+        res.json({ batchId: batch.batchId, pickupDate: batch.pickupDate, couriers: groups });
+    } catch (error) {
+        console.error('[ERROR] Batch manifest:', error.message);
+        res.status(batchErrorStatus(error)).json({ message: error.message });
+    }
+});
+
+// Units per SKU / variant; ?format=pdf for the printable pick list
+router.get('/batches/:batchId/picklist', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const { batch, orders } = await manifest.loadBatch(req.params.batchId);
+        const lines = manifest.buildPickList(orders);
+
+        if (req.query.format === 'pdf') {
+            return sendPdf(res, await manifest.renderPickListPdf(batch, lines), `${batch.batchId}-picklist.pdf`);
+        }
+        res.json({ batchId: batch.batchId, lines });
+    } catch (error) {
+        console.error('[ERROR] Batch pick list:', error.message);
+        res.status(batchErrorStatus(error)).json({ message: error.message });
+    }
+});
+
+// All labels in one PDF; orders whose label couldn't be added are listed
+// in the X-Missing-Labels header
+router.get('/batches/:batchId/labels', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const { batch, orders } = await manifest.loadBatch(req.params.batchId);
+        const { pdf, missing } = await manifest.mergeLabels(orders);
+
+        if (missing.length > 0) {
+            res.set('X-Missing-Labels', missing.map(m => m.orderId).join(','));
+        }
+        sendPdf(res, pdf, `${batch.batchId}-labels.pdf`);
+    } catch (error) {
+        console.error('[ERROR] Batch labels:', error.message);
+        res.status(batchErrorStatus(error)).json({ message: error.message });
+    }
+});
+
+module.exports = router;
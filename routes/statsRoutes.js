@@ -103,7 +103,7 @@ router.get('/', protect, checkPermission('orders', 'view'), async (req, res) =>
                             revenue: [
                                 {
                                     $match: {
-                                        orderStatus: { $ne: 'Cancelled' }
+                                        orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] }
                                     }
                                 },
                                 {
@@ -263,7 +263,7 @@ router.get('/sales', protect, checkPermission('orders', 'view'), async (req, res
                     {
                         $match: {
                             createdAt: { $gte: dateFilter },
-                            orderStatus: { $ne: 'Cancelled' }
+                            orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] }
                         }
                     },
                     {
@@ -311,7 +311,7 @@ router.get('/products', protect, checkPermission('products', 'view'), async (req
         const performance = await getCachedOrFetch(cacheKey, async () => {
             try {
                 const productStats = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     { $unwind: '$items' },
                     {
                         $group: {
@@ -367,7 +367,7 @@ router.get('/customers', protect, checkPermission('customers', 'view'), async (r
         const analytics = await getCachedOrFetch(cacheKey, async () => {
             try {
                 const customerStats = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     {
                         $group: {
                             _id: '$user',
@@ -464,7 +464,7 @@ router.get('/categories', protect, checkPermission('orders', 'view'), async (req
         const analytics = await getCachedOrFetch(cacheKey, async () => {
             try {
                 const categoryStats = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     { $unwind: '$items' },
                     {
                         $lookup: {
@@ -515,7 +515,7 @@ router.get('/payment-methods', protect, checkPermission('orders', 'view'), async
         const analytics = await getCachedOrFetch(cacheKey, async () => {
             try {
                 const paymentStats = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     {
                         $group: {
                             _id: '$paymentMethod',
@@ -586,7 +586,7 @@ router.get('/insights/bundling', protect, checkPermission('orders', 'view'), asy
                     {
                         $match: {
                             'items.1': { $exists: true },
-                            orderStatus: { $ne: 'Cancelled' }
+                            orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] }
                         }
                     },
                     { $project: { 'items.product': 1 } },
@@ -638,6 +638,121 @@ router.get('/insights/bundling', protect, checkPermission('orders', 'view'), asy
     }
 });
 
+// ========================================
+// GET RTO INSIGHTS
+// ========================================
+// Share of shipped orders that came back to origin, and what they cost,
+// by pincode, state, courier and payment method. ?days= window (default 90)
+router.get('/insights/rto', protect, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 365);
+        const cacheKey = `rto-insights-${days}`;
+        const insights = await getCachedOrFetch(cacheKey, async () => {
+            const since = new Date();
+            since.setDate(since.getDate() - days);
+
+            // One row per dimension value; pincodes need a few shipments to mean anything
+            const breakdown = (field, { minShipped = 1, limit = 50 } = {}) => [
+                {
+                    $group: {
+                        _id: field,
+                        shipped: { $sum: 1 },
+                        rto: { $sum: '$isRto' },
+                        rtoValue: { $sum: { $cond: ['$isRto', '$total', 0] } },
+                        loss: { $sum: { $cond: ['$isRto', { $ifNull: ['$rto.lossAmount', 0] }, 0] } }
+                    }
+                },
+                { $match: { shipped: { $gte: minShipped } } },
+                {
+                    $project: {
+                        _id: 0,
+                        key: { $ifNull: ['$_id', 'Unknown'] },
+                        shipped: 1,
+                        rto: 1,
+                        rtoRate: { $round: [{ $multiply: [{ $divide: ['$rto', '$shipped'] }, 100] }, 1] },
+                        rtoValue: { $round: ['$rtoValue', 2] },
+                        loss: { $round: ['$loss', 2] }
+                    }
+                },
+                { $sort: { rto: -1, rtoRate: -1 } },
+                { $limit: limit }
+            ];
+
+            const [result] = await Order.aggregate([
+                {
+                    $match: {
+                        createdAt: { $gte: since },
+                        'shipping.awb': { $nin: [null, ''] }
+                    }
+                },
+                {
+                    $project: {
+                        total: 1,
+                        'rto.lossAmount': 1,
+                        zip: '$deliveryAddress.zip',
+                        state: '$deliveryAddress.state',
+                        courier: '$shipping.courierName',
+                        paymentMethod: 1,
+                        // Orders from before RTO tracking only have the shipment status
+                        isRto: {
+                            $cond: [
+                                {
+                                    $or: [
+                                        { $eq: ['$orderStatus', 'Returned to Origin'] },
+                                        { $gt: ['$rto.initiatedAt', null] },
+                                        { $in: ['$shipping.status', ['rto_initiated', 'returned']] }
+                                    ]
+                                },
+                                1,
+                                0
+                            ]
+                        }
+                    }
+                },
+                {
+                    $facet: {
+                        summary: [
+                            {
+                                $group: {
+                                    _id: null,
+                                    shipped: { $sum: 1 },
+                                    rto: { $sum: '$isRto' },
+                                    rtoValue: { $sum: { $cond: ['$isRto', '$total', 0] } },
+                                    loss: { $sum: { $cond: ['$isRto', { $ifNull: ['$rto.lossAmount', 0] }, 0] } }
+                                }
+                            }
+                        ],
+                        byPincode: breakdown('$zip', { minShipped: 3, limit: 25 }),
+                        byState: breakdown('$state'),
+                        byCourier: breakdown('$courier'),
+                        byPaymentMethod: breakdown('$paymentMethod')
+                    }
+                }
+            ]).exec();
+
+            const summary = result.summary[0] || { shipped: 0, rto: 0, rtoValue: 0, loss: 0 };
+            return {
+                days,
+                summary: {
+                    shipped: summary.shipped,
+                    rto: summary.rto,
+                    rtoRate: summary.shipped > 0 ? Math.round((summary.rto / summary.shipped) * 1000) / 10 : 0,
+                    rtoValue: Math.round(summary.rtoValue * 100) / 100,
+                    loss: Math.round(summary.loss * 100) / 100
+                },
+                byPincode: result.byPincode,
+                byState: result.byState,
+                byCourier: result.byCourier,
+                byPaymentMethod: result.byPaymentMethod
+            };
+        }, 600000); // 10 minutes cache
+        res.json(insights);
+    } catch (error) {
+        console.error('[STATS ERROR] Get RTO insights failed:', error);
+        res.status(500).json({ message: 'Failed to fetch RTO insights' });
+    }
+});
+
 // ========================================
 // GET INACTIVE VIP CUSTOMERS
 // ========================================
@@ -650,7 +765,7 @@ router.get('/insights/inactive-customers', protect, checkPermission('customers',
                 fortyFiveDaysAgo.setDate(fortyFiveDaysAgo.getDate() - 45);
 
                 const inactiveVIPs = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     {
                         $group: {
                             _id: '$user',
@@ -726,7 +841,7 @@ router.get('/insights/slow-moving', protect, checkPermission('products', 'view')
                     {
                         $match: {
                             createdAt: { $gte: thirtyDaysAgo },
-                            orderStatus: { $ne: 'Cancelled' }
+                            orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] }
                         }
                     },
                     { $unwind: '$items' },
@@ -790,7 +905,7 @@ router.get('/insights/peak-times', protect, checkPermission('orders', 'view'), a
         const insights = await getCachedOrFetch(cacheKey, async () => {
             try {
                 const peakTimes = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     {
                         $project: {
                             dayOfWeek: { $dayOfWeek: '$createdAt' }, // 1 (Sun) - 7 (Sat)
@@ -831,7 +946,7 @@ router.get('/insights/customer-segments', protect, checkPermission('customers',
         const insights = await getCachedOrFetch(cacheKey, async () => {
             try {
                 const segments = await Order.aggregate([
-                    { $match: { orderStatus: { $ne: 'Cancelled' } } },
+                    { $match: { orderStatus: { $nin: ['Cancelled', 'Returned to Origin'] } } },
                     {
                         $group: {
                             _id: '$user',
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { Product } = require('../models/Product');
+
+dotenv.config();
+
+// Cart and order lines are keyed by variant id / SKU, so every variant
+// needs a SKU. The product pre-save hook fills in any that are missing.
+mongoose.connect(process.env.MONGODB_URI)
+    .then(async () => {
+        console.log('✅ Connected to MongoDB');
+
+        try {
+            const products = await Product.find({ 'variants.0': { $exists: true } });
+            console.log(`Checking ${products.length} products with variants...`);
+
+            let updatedCount = 0;
+
+            for (const product of products) {
+                const missing = product.variants.filter(v => !v.sku).length;
+                if (missing === 0) continue;
+
+                product.markModified('variants');
+                await product.save();
+
+                console.log(`  ${product.name}: ${product.variants.map(v => `${v.weight} -> ${v.sku}`).join(', ')}`);
+                updatedCount++;
+            }
+
+            console.log(`\n✅ Backfilled variant SKUs on ${updatedCount} products`);
+        } catch (error) {
+            console.error('❌ Error:', error);
+        } finally {
+            await mongoose.disconnect();
+            process.exit(0);
+        }
+    })
+    .catch(err => {
+        console.error('❌ MongoDB connection error:', err);
+        process.exit(1);
+    });
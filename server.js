@@ -59,6 +59,8 @@ app.use(cors({
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'X-Requested-With', 'Accept', 'Pragma'],
+    // Merged label downloads list the orders they couldn't include
+    exposedHeaders: ['X-Missing-Labels'],
 }));
 
 app.options(/(.*)/, cors());
@@ -67,8 +69,20 @@ app.options(/(.*)/, cors());
    BODY PARSERS
 ====================================================== */
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw bytes for webhook signature checks
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(express.urlencoded({
+    extended: true,
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 /* ======================================================
    DATABASE (SAFE & MODERN)
@@ -85,6 +99,19 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
     .then(() => {
         console.log('✅ Connected to MongoDB');
+
+        // Release cart stock holds that have passed their TTL
+        require('./services/stockReservation').startReservationSweeper();
+
+        // Catch online payments whose browser never came back
+        require('./services/paymentService').startPaymentReconciler();
+
+        // Courier booking and notifications queued by the routes
+        require('./services/jobHandlers');
+        require('./services/jobQueue').startJobWorker();
+
+        // Scheduled price and offer changes
+        require('./services/priceScheduler').startPriceScheduler();
     })
     .catch(err => {
         console.error('❌ MongoDB connection error:', err);
@@ -99,6 +126,9 @@ app.use('/api/combos', require('./routes/comboRoutes'));
 app.use('/api/categories', require('./routes/categoryRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/orders', require('./routes/orderRoutes'));
+app.use('/api/returns', require('./routes/returnRoutes'));
+app.use('/api/shipping', require('./routes/shippingRoutes'));
+app.use('/api/ndr', require('./routes/ndrRoutes'));
 app.use('/api/upload', require('./routes/uploadRoutes'));
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/contact', require('./routes/contactRoutes'));
@@ -106,6 +136,7 @@ app.use('/api/stats', require('./routes/statsRoutes'));
 app.use('/api/content', require('./routes/contentRoutes'));
 app.use('/api/settings', require('./routes/settingsRoutes'));
 app.use('/api/cart', require('./routes/cartRoutes'));
+app.use('/api/coupons', require('./routes/couponRoutes'));
 app.use('/api/blog', require('./routes/blogRoutes'));
 app.use('/api/press', require('./routes/pressRoutes'));
 app.use('/api/careers', require('./routes/careerRoutes'));
@@ -113,6 +144,10 @@ app.use('/api/reviews', require('./routes/reviewRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/payment', require('./routes/paymentRoutes'));
 app.use('/api/webhooks', require('./routes/webhookRoutes'));
+app.use('/api/jobs', require('./routes/jobRoutes'));
+app.use('/api/cod-remittances', require('./routes/codRemittanceRoutes'));
+app.use('/api/price-schedules', require('./routes/priceScheduleRoutes'));
+app.use('/api/search-synonyms', require('./routes/searchSynonymRoutes'));
 app.use('/api/whatsapp', require('./routes/whatsappRoutes'));
 
 /* ======================================================
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const { Product } = require('../models/Product');
+const Category = require('../models/Category');
+const withTransaction = require('../utils/withTransaction');
+
+// ========================================
+// CATALOG SPREADSHEET
+// ========================================
+// The catalog as one sheet, one row per variant (products without variants
+// get a single row), so prices, stock, flags and SEO text can be edited in
+// Excel and imported back instead of through one-off sync scripts.
+//
+// Import rules:
+//   - rows are matched to products by Slug; new products are still created
+//     in the admin (they need images and descriptions)
+//   - a row's variant is found by Variant SKU, then Weight; an unknown
+//     weight adds a variant
+//   - a blank cell leaves the value as it is; "-" clears an optional field
+//   - for products with variants, the product's stock is the sum of the
+//     variants and its price / offer price / MRP follow the first variant,
+//     as the storefront lists them
+// A dry run returns the per-row diff; applying it writes every product in
+// one transaction, or nothing if any row has an error.
+// ========================================
+
+const MAX_ROWS = 5000;
+const CLEAR = '-';
+
+// Sheet header -> field. Order is the export's column order.
+const COLUMNS = [
+    ['Slug', 'slug'],
+    ['Name', 'name'],
+    ['Category', 'category'],
+    ['SKU', 'sku'],
+    ['Variant SKU', 'variantSku'],
+    ['Weight', 'weight'],
+    ['Price', 'price'],
+    ['Offer Price', 'offerPrice'],
+    ['Original Price', 'originalPrice'],
+    ['Stock', 'stock'],
+    ['Active', 'isActive'],
+    ['Featured', 'isFeatured'],
+    ['New Arrival', 'isNewArrival'],
+    ['Offer', 'isOffer'],
+    ['Offer Text', 'offerText'],
+    ['Meta Title', 'metaTitle'],
+    ['Meta Description', 'metaDescription'],
+    ['Meta Keywords', 'metaKeywords']
+];
+
+// Same for every row of a product
+const PRODUCT_FIELDS = ['name', 'category', 'sku', 'isActive', 'isFeatured', 'isNewArrival', 'isOffer', 'offerText', 'metaTitle', 'metaDescription', 'metaKeywords'];
+// Per variant (or on the product itself when it has no variants)
+const LINE_FIELDS = ['weight', 'price', 'offerPrice', 'originalPrice', 'stock'];
+// Fields "-" may clear
+const CLEARABLE = ['offerPrice', 'originalPrice', 'offerText', 'metaTitle', 'metaDescription', 'metaKeywords'];
+
+// Base products only; combos are priced on their own screen
+const productFilter = () => ({ __t: mongoose.trusted({ $ne: 'Combo' }) });
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+const sameValue = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return (a || []).join('|') === (b || []).join('|');
+    }
+    if (a === undefined || a === null || a === '') return b === undefined || b === null || b === '';
+    return String(a) === String(b);
+};
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * The catalog as an .xlsx buffer
+ */
+const exportCatalog = async () => {
+    const products = await Product.find(productFilter())
+        .select('slug name category sku weight price offerPrice originalPrice stock isActive isFeatured isNewArrival isOffer offerText metaTitle metaDescription metaKeywords variants')
+        .populate('category', 'name')
+        .sort({ name: 1 })
+        .lean()
+        .maxTimeMS(30000);
+
+    const rows = [COLUMNS.map(([header]) => header)];
+
+    for (const product of products) {
+        const shared = {
+            slug: product.slug,
+            name: product.name,
+            category: product.category?.name || '',
+            sku: product.sku,
+            isActive: yesNo(product.isActive),
+            isFeatured: yesNo(product.isFeatured),
+            isNewArrival: yesNo(product.isNewArrival),
+            isOffer: yesNo(product.isOffer),
+            offerText: product.offerText,
+            metaTitle: product.metaTitle,
+            metaDescription: product.metaDescription,
+            metaKeywords: (product.metaKeywords || []).join(', ')
+        };
+        const lines = product.variants?.length > 0
+            ? product.variants.map(v => ({ ...v, variantSku: v.sku }))
+            : [{ weight: product.weight, price: product.price, offerPrice: product.offerPrice, originalPrice: product.originalPrice, stock: product.stock }];
+
+        for (const line of lines) {
+            const row = { ...shared, ...line, sku: shared.sku };
+            rows.push(COLUMNS.map(([, field]) => row[field] ?? ''));
+        }
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Catalog');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+// ========================================
+// PARSING
+// ========================================
+
+const parseNumber = (raw, field, errors, { integer = false } = {}) => {
+    const value = text(raw);
+    if (value === '') return undefined;
+    if (value === CLEAR && CLEARABLE.includes(field)) return null;
+
+    const number = Number(value.replace(/,/g, ''));
+    if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+        errors.push(`${field} must be a ${integer ? 'whole ' : ''}number of 0 or more`);
+        return undefined;
+    }
+    return number;
+};
+
+const parseBoolean = (raw, field, errors) => {
+    if (typeof raw === 'boolean') return raw;
+    const value = text(raw).toLowerCase();
+    if (value === '') return undefined;
+    if (['yes', 'y', 'true', '1'].includes(value)) return true;
+    if (['no', 'n', 'false', '0'].includes(value)) return false;
+    errors.push(`${field} must be Yes or No`);
+    return undefined;
+};
+
+const parseText = (raw, field) => {
+    const value = text(raw);
+    if (value === '') return undefined;
+    if (value === CLEAR && CLEARABLE.includes(field)) return null;
+    return value;
+};
+
+/**
+ * Sheet rows as { row, values, errors }; row is the spreadsheet row number
+ */
+const parseSheet = (buffer) => {
+    let workbook;
+    try {
+        workbook = XLSX.read(buffer, { type: 'buffer' });
+    } catch (err) {
+        throw new Error('Could not read the file; upload a CSV or Excel sheet');
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new Error('File is empty');
+
+    const raw = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    if (raw.length === 0) throw new Error('File has no rows');
+    if (raw.length > MAX_ROWS) throw new Error(`File has more than ${MAX_ROWS} rows`);
+    if (!Object.keys(raw[0]).includes('Slug')) throw new Error('File needs a Slug column');
+
+    return raw.map((cells, index) => {
+        const errors = [];
+        const values = {};
+
+        for (const [header, field] of COLUMNS) {
+            if (!(header in cells)) continue;
+            const cell = cells[header];
+
+            if (['price', 'offerPrice', 'originalPrice'].includes(field)) {
+                values[field] = parseNumber(cell, field, errors);
+            } else if (field === 'stock') {
+                values[field] = parseNumber(cell, field, errors, { integer: true });
+            } else if (field.startsWith('is')) {
+                values[field] = parseBoolean(cell, field, errors);
+            } else if (field === 'metaKeywords') {
+                const value = parseText(cell, field);
+                values[field] = value === null ? [] : value?.split(',').map(k => k.trim()).filter(Boolean);
+            } else {
+                values[field] = parseText(cell, field);
+            }
+        }
+
+        if (!values.slug) errors.push('Slug is required');
+        if (values.name === null) errors.push('name cannot be cleared');
+
+        return { row: index + 2, values, errors };
+    });
+};
+
+// ========================================
+// PLANNING
+// ========================================
+
+/**
+ * Set target[field] to a parsed cell value when it differs, noting the
+ * change. undefined leaves the field alone; null clears it.
+ */
+const assign = (target, field, value, changes, label = field) => {
+    if (value === undefined || sameValue(target[field], value)) return;
+    changes.push({ field: label, from: target[field] ?? null, to: value });
+    target.set(field, value === null ? undefined : value);
+};
+
+/**
+ * Load the products the rows name and apply the rows to them in memory.
+ * Returns the per-row results and the changed documents (with the stock
+ * they had before).
+ */
+const planImport = async (rows, session = null) => {
+    const slugs = [...new Set(rows.map(r => r.values.slug).filter(Boolean))];
+
+    const [products, categories] = await Promise.all([
+        Product.find({ ...productFilter(), slug: mongoose.trusted({ $in: slugs }) }).session(session),
+        Category.find().select('name slug').lean().session(session)
+    ]);
+
+    const productsBySlug = new Map(products.map(p => [p.slug, p]));
+    const categoryByKey = new Map();
+    for (const category of categories) {
+        categoryByKey.set(category.name.toLowerCase(), category);
+        if (category.slug) categoryByKey.set(category.slug.toLowerCase(), category);
+    }
+    const categoryName = (id) => categories.find(c => String(c._id) === String(id))?.name || String(id);
+
+    const results = rows.map(({ row, values, errors }) => ({
+        row,
+        slug: values.slug,
+        variant: values.variantSku || values.weight,
+        action: 'unchanged',
+        changes: [],
+        errors: [...errors]
+    }));
+
+    // Group rows by product; row errors found so far still get checked further
+    const groups = new Map();
+    rows.forEach((entry, index) => {
+        if (!entry.values.slug) return;
+        if (!groups.has(entry.values.slug)) groups.set(entry.values.slug, []);
+        groups.get(entry.values.slug).push({ ...entry, result: results[index] });
+    });
+
+    const changed = [];
+
+    for (const [slug, group] of groups) {
+        const product = productsBySlug.get(slug);
+        if (!product) {
+            group.forEach(({ result }) => result.errors.push('No product with this slug; create it in the admin first'));
+            continue;
+        }
+        const stockBefore = product.stock;
+
+        // Product fields: every row that fills one in must agree
+        const first = group[0].result;
+        const seen = {};
+        for (const { values, row, result } of group) {
+            for (const field of PRODUCT_FIELDS) {
+                if (values[field] === undefined) continue;
+                if (seen[field] && !sameValue(seen[field].value, values[field])) {
+                    result.errors.push(`${field} differs from row ${seen[field].row}`);
+                } else if (!seen[field]) {
+                    seen[field] = { value: values[field], row };
+                }
+            }
+        }
+
+        if (seen.category) {
+            const category = categoryByKey.get(String(seen.category.value).toLowerCase());
+            if (!category) {
+                first.errors.push(`Unknown category "${seen.category.value}"`);
+            } else if (String(product.category) !== String(category._id)) {
+                first.changes.push({ field: 'category', from: categoryName(product.category), to: category.name });
+                product.category = category._id;
+            }
+        }
+        for (const field of PRODUCT_FIELDS) {
+            if (field !== 'category' && seen[field]) assign(product, field, seen[field].value, first.changes);
+        }
+
+        // Lines: the product itself, or its variants
+        const hasVariants = product.variants.length > 0;
+        const claimed = new Map();
+        let variantStockChanged = false;
+
+        for (const { values, result } of group) {
+            let target = product;
+
+            if (hasVariants) {
+                target = (values.variantSku && product.variants.find(v => v.sku === values.variantSku))
+                    || (!values.variantSku && values.weight && product.variants.find(v => v.weight === values.weight));
+
+                if (!target && values.variantSku) {
+                    result.errors.push(`No variant with SKU ${values.variantSku}`);
+                    continue;
+                }
+                if (!target && !values.weight) {
+                    result.errors.push('Variant SKU or Weight is required');
+                    continue;
+                }
+                if (!target) {
+                    if (values.price === undefined || values.price === null) {
+                        result.errors.push('A new variant needs a price');
+                        continue;
+                    }
+                    product.variants.push({ weight: values.weight, stock: 0 });
+                    target = product.variants[product.variants.length - 1];
+                    result.action = 'add-variant';
+                }
+            } else if (values.variantSku) {
+                result.errors.push('Product has no variants; leave Variant SKU blank');
+                continue;
+            }
+
+            const key = String(target._id);
+            if (claimed.has(key)) {
+                result.errors.push(`Same ${hasVariants ? 'variant' : 'product'} as row ${claimed.get(key)}`);
+                continue;
+            }
+            claimed.set(key, result.row);
+
+            if (hasVariants && values.stock !== undefined && !sameValue(target.stock, values.stock)) {
+                variantStockChanged = true;
+            }
+            for (const field of LINE_FIELDS) {
+                assign(target, field, values[field], result.changes);
+            }
+
+            const held = hasVariants ? (target.reserved || 0) : (product.reservedStock || 0);
+            if (values.stock !== undefined && values.stock < held) {
+                result.errors.push(`Stock ${values.stock} is below the ${held} held in carts`);
+            }
+        }
+
+        // Product totals follow the variants
+        if (hasVariants) {
+            const totals = [];
+            if (variantStockChanged) {
+                const total = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+                if (total < (product.reservedStock || 0)) {
+                    first.errors.push(`Total stock ${total} is below the ${product.reservedStock} held in carts`);
+                }
+                assign(product, 'stock', total, totals, 'stock (total)');
+            }
+            const lead = product.variants[0];
+            for (const field of ['price', 'offerPrice', 'originalPrice']) {
+                if (lead[field] !== undefined && lead[field] !== null) {
+                    assign(product, field, lead[field], totals, `${field} (product)`);
+                }
+            }
+            first.changes.push(...totals);
+        }
+
+        if (group.some(({ result }) => result.errors.length > 0)) continue;
+
+        const validation = product.validateSync();
+        if (validation) {
+            first.errors.push(...Object.values(validation.errors).map(e => e.message));
+            continue;
+        }
+
+        if (group.some(({ result }) => result.changes.length > 0)) {
+            changed.push({ product, stockBefore });
+        }
+    }
+
+    for (const result of results) {
+        if (result.errors.length > 0) result.action = 'error';
+        else if (result.action === 'unchanged' && result.changes.length > 0) result.action = 'update';
+    }
+
+    return { results, changed };
+};
+
+// ========================================
+// IMPORT
+// ========================================
+
+const summarise = (results, changed) => ({
+    rows: results.length,
+    updated: results.filter(r => r.action === 'update').length,
+    variantsAdded: results.filter(r => r.action === 'add-variant').length,
+    unchanged: results.filter(r => r.action === 'unchanged').length,
+    errors: results.filter(r => r.action === 'error').length,
+    products: changed.length
+});
+
+/**
+ * Dry run (default) or apply a catalog sheet.
+ * Returns { applied, summary, rows, restocked } where restocked lists the
+ * products that came back into stock.
+ */
+const importCatalog = async (buffer, { apply = false } = {}) => {
+    if (!buffer || buffer.length === 0) throw new Error('No file uploaded');
+
+    const rows = parseSheet(buffer);
+    const plan = await planImport(rows);
+    const summary = summarise(plan.results, plan.changed);
+
+    if (!apply || summary.errors > 0 || plan.changed.length === 0) {
+        return { applied: false, summary, rows: plan.results, restocked: [] };
+    }
+
+    // Planned again inside the transaction, so edits made since the dry run
+    // are seen and a concurrent change aborts rather than being overwritten
+    const outcome = await withTransaction(async (session) => {
+        const { results, changed } = await planImport(rows, session);
+        if (results.some(r => r.action === 'error')) {
+            throw new Error('Catalog changed while importing; run the dry run again');
+        }
+
+        const restocked = [];
+        for (const { product, stockBefore } of changed) {
+            await product.save({ session });
+            if (stockBefore === 0 && product.stock > 0) restocked.push(product._id);
+        }
+        return { results, changed, restocked };
+    });
+
+    return {
+        applied: true,
+        summary: summarise(outcome.results, outcome.changed),
+        rows: outcome.results,
+        restocked: outcome.restocked
+    };
+};
+
+module.exports = {
+    exportCatalog,
+    importCatalog,
+    COLUMNS
+};
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const Order = require('../models/Order');
+const CodRemittance = require('../models/CodRemittance');
+const { REMITTANCE_PROVIDERS } = require('../models/CodRemittance');
+
+// ========================================
+// COD REMITTANCE RECONCILIATION
+// ========================================
+// Couriers collect cash on delivery and pay it over in batches, with a
+// settlement file (CSV / XLSX) listing what each remittance covered. An
+// uploaded file is matched row by row to our orders (AWB first, then order
+// id); the amount is recorded on the order and, once the remittances cover
+// the order total, the order is marked Paid with the remittance reference.
+// Column names differ per courier and per export, so headers are matched
+// against known aliases rather than a fixed layout.
+// ========================================
+
+const MAX_ROWS = 5000;
+// Rounding on the courier's side; anything short by more than this is reported
+const SHORT_TOLERANCE = 1;
+const DEFAULT_OVERDUE_DAYS = parseInt(process.env.COD_REMITTANCE_DAYS) || 10;
+const REPORT_OVERDUE_LIMIT = 200;
+
+const COD = 'Cash on Delivery';
+const NOT_REMITTABLE = ['Cancelled', 'Returned to Origin'];
+
+// Normalised header -> field. Earlier aliases win when a file has several.
+const COLUMN_ALIASES = {
+    awb: ['awb', 'awbno', 'awbnumber', 'awbcode', 'trackingnumber', 'trackingno', 'waybill'],
+    orderId: ['orderid', 'channelorderid', 'ordernumber', 'orderno', 'clientorderid'],
+    amount: ['codamount', 'remittedamount', 'remittanceamount', 'codvalue', 'collectableamount', 'netamount', 'amount'],
+    reference: ['utr', 'utrno', 'utrnumber', 'remittanceid', 'crfid', 'remittanceref', 'referenceno', 'transactionid', 'batchid'],
+    date: ['remittancedate', 'remitteddate', 'paymentdate', 'crfdate', 'date']
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * '₹1,234.50' / 1234.5 -> 1234.5; NaN when it isn't a number
+ */
+const parseAmount = (value) => {
+    if (typeof value === 'number') return value;
+    // Currency signs and labels may arrive mis-decoded, so take just the number
+    const match = text(value).match(/-?\d[\d,]*(\.\d+)?/);
+    return match ? Number(match[0].replace(/,/g, '')) : NaN;
+};
+
+const parseDate = (value) => {
+    if (!value) return undefined;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+// ========================================
+// PARSING
+// ========================================
+
+/**
+ * Map each field to the sheet column carrying it
+ */
+const resolveColumns = (headers) => {
+    const byName = new Map(headers.map(header => [normaliseHeader(header), header]));
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const alias = aliases.find(name => byName.has(name));
+        if (alias) columns[field] = byName.get(alias);
+    }
+
+    if (!columns.awb && !columns.orderId) {
+        throw new Error('File needs an AWB or order id column');
+    }
+    if (!columns.amount) {
+        throw new Error('File needs a COD / remitted amount column');
+    }
+    return columns;
+};
+
+/**
+ * Rows of the first sheet as { row, awb, orderId, amount, reference, date }.
+ * row is the spreadsheet row number (header is row 1).
+ */
+const parseFile = (buffer) => {
+    let workbook;
+    try {
+        workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    } catch (err) {
+        throw new Error('Could not read the file; upload a CSV or Excel sheet');
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new Error('File is empty');
+
+    const raw = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    if (raw.length === 0) throw new Error('File has no rows');
+    if (raw.length > MAX_ROWS) throw new Error(`File has more than ${MAX_ROWS} rows`);
+
+    const columns = resolveColumns(Object.keys(raw[0]));
+
+    return raw.map((values, index) => ({
+        row: index + 2,
+        awb: columns.awb ? text(values[columns.awb]) : '',
+        orderId: columns.orderId ? text(values[columns.orderId]) : '',
+        amount: parseAmount(values[columns.amount]),
+        reference: columns.reference ? text(values[columns.reference]) : '',
+        date: columns.date ? parseDate(values[columns.date]) : undefined
+    }));
+};
+
+// ========================================
+// MATCHING
+// ========================================
+
+/**
+ * Orders for the rows, looked up in two batches: by AWB (ours and the
+ * legacy tracking number) and by order id
+ */
+const loadOrders = async (rows) => {
+    const awbs = [...new Set(rows.map(r => r.awb).filter(Boolean))];
+    const orderIds = [...new Set(rows.map(r => r.orderId).filter(Boolean))];
+    const fields = 'orderId total paymentMethod paymentStatus orderStatus shipping.awb trackingNumber codRemittance.amount';
+
+    const [byAwb, byOrderId] = await Promise.all([
+        awbs.length === 0 ? [] : Order.find({
+            $or: [
+                { 'shipping.awb': mongoose.trusted({ $in: awbs }) },
+                { trackingNumber: mongoose.trusted({ $in: awbs }) }
+            ]
+        }).select(fields).lean(),
+        orderIds.length === 0 ? [] : Order.find({ orderId: mongoose.trusted({ $in: orderIds }) })
+            .select(fields).lean()
+    ]);
+
+    const awbIndex = new Map();
+    for (const order of byAwb) {
+        if (order.shipping?.awb) awbIndex.set(order.shipping.awb, order);
+        if (order.trackingNumber && !awbIndex.has(order.trackingNumber)) awbIndex.set(order.trackingNumber, order);
+    }
+    const orderIdIndex = new Map(byOrderId.map(order => [order.orderId, order]));
+
+    return (row) => (row.awb && awbIndex.get(row.awb)) || (row.orderId && orderIdIndex.get(row.orderId)) || null;
+};
+
+/**
+ * Why a row can't be applied to the order it matched, if it can't
+ */
+const rejectReason = (row, order) => {
+    if (!row.awb && !row.orderId) return 'No AWB or order id';
+    if (!Number.isFinite(row.amount) || row.amount <= 0) return 'Missing or invalid amount';
+    if (!order) return 'No matching order';
+    if (order.paymentMethod !== COD) return 'Not a COD order';
+    if (NOT_REMITTABLE.includes(order.orderStatus)) return `Order is ${order.orderStatus}`;
+    return null;
+};
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Import a settlement file. Each row is recorded on its order once (keyed
+ * by reference + AWB / order id), so a re-exported file that overlaps an
+ * earlier one only adds the new rows. The exact same file is refused.
+ *
+ * @returns {{ remittance, report: { unmatched, short, overdue } }}
+ */
+const importFile = async ({ buffer, fileName, provider, uploadedBy }) => {
+    if (!buffer || buffer.length === 0) throw new Error('No file uploaded');
+    if (provider && !REMITTANCE_PROVIDERS.includes(provider)) throw new Error('Invalid provider');
+
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (await CodRemittance.exists({ fileHash })) {
+        throw new Error('This file has already been imported');
+    }
+
+    const rows = parseFile(buffer);
+    const findOrder = await loadOrders(rows);
+
+    const remittance = new CodRemittance({ fileName, fileHash, provider: provider || 'other', uploadedBy });
+    const totals = { rows: rows.length, matched: 0, settled: 0, alreadyRecorded: 0, unmatched: 0, short: 0, amount: 0 };
+    const unmatched = [];
+    // order _id -> where the order stands after this file
+    const touched = new Map();
+
+    for (const row of rows) {
+        const order = findOrder(row);
+        const reason = rejectReason(row, order);
+        if (reason) {
+            unmatched.push({
+                row: row.row,
+                awb: row.awb,
+                orderId: row.orderId,
+                amount: Number.isFinite(row.amount) ? row.amount : undefined,
+                reference: row.reference,
+                reason
+            });
+            continue;
+        }
+
+        const amount = round2(row.amount);
+        const key = `${row.reference || remittance._id}:${row.awb || row.orderId}`;
+        const updated = await Order.findOneAndUpdate(
+            { _id: order._id, 'codRemittance.entries.key': mongoose.trusted({ $ne: key }) },
+            {
+                $push: {
+                    'codRemittance.entries': {
+                        key,
+                        reference: row.reference,
+                        amount,
+                        remittedAt: row.date || new Date(),
+                        provider: remittance.provider,
+                        upload: remittance._id
+                    }
+                },
+                $inc: { 'codRemittance.amount': amount }
+            },
+            { new: true, projection: 'orderId total paymentStatus shipping.awb codRemittance.amount' }
+        );
+
+        if (!updated) {
+            totals.alreadyRecorded++;
+            continue;
+        }
+
+        totals.matched++;
+        totals.amount = round2(totals.amount + amount);
+
+        const state = touched.get(String(order._id)) || { order: updated, row: row.row, reference: row.reference };
+        state.order = updated;
+        state.row = row.row;
+        state.reference = row.reference || state.reference;
+        touched.set(String(order._id), state);
+
+        if (updated.paymentStatus !== 'Paid' && updated.codRemittance.amount >= updated.total - SHORT_TOLERANCE) {
+            const set = { paymentStatus: 'Paid', 'codRemittance.settledAt': new Date() };
+            if (row.reference) set['codRemittance.reference'] = row.reference;
+
+            const paid = await Order.updateOne(
+                { _id: updated._id, paymentStatus: mongoose.trusted({ $ne: 'Paid' }) },
+                { $set: set }
+            );
+            if (paid.modifiedCount > 0) {
+                totals.settled++;
+                state.settled = true;
+            }
+        }
+    }
+
+    // Short is judged once the whole file is in: an order can be paid over
+    // several rows
+    const short = [];
+    for (const { order, row, reference, settled } of touched.values()) {
+        if (settled || order.paymentStatus === 'Paid') continue;
+        const remitted = round2(order.codRemittance?.amount || 0);
+        short.push({
+            row,
+            order: order._id,
+            orderId: order.orderId,
+            awb: order.shipping?.awb,
+            expected: order.total,
+            remitted,
+            shortBy: round2(order.total - remitted),
+            reference
+        });
+    }
+
+    totals.unmatched = unmatched.length;
+    totals.short = short.length;
+    remittance.set({ totals, unmatched, short });
+    try {
+        await remittance.save();
+    } catch (err) {
+        // The same file uploaded twice at once; its rows were recorded only once
+        if (err.code === 11000) throw new Error('This file has already been imported');
+        throw err;
+    }
+
+    const overdue = await findOverdue({ limit: REPORT_OVERDUE_LIMIT });
+    console.log(`[COD] Imported ${fileName || 'remittance file'}: ${totals.matched} matched, ${totals.settled} settled, ${totals.unmatched} unmatched, ${totals.short} short`);
+
+    return { remittance, report: { unmatched, short, overdue } };
+};
+
+// ========================================
+// OVERDUE
+// ========================================
+
+/**
+ * COD orders delivered at least `days` ago whose cash hasn't been remitted
+ * in full. Oldest delivery first.
+ */
+const findOverdue = async ({ days = DEFAULT_OVERDUE_DAYS, limit = REPORT_OVERDUE_LIMIT } = {}) => {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const query = {
+        paymentMethod: COD,
+        paymentStatus: mongoose.trusted({ $ne: 'Paid' }),
+        orderStatus: mongoose.trusted({ $in: ['Delivered', 'Closed'] }),
+        actualDeliveryDate: mongoose.trusted({ $lte: cutoff })
+    };
+
+    const [orders, total] = await Promise.all([
+        Order.find(query)
+            .select('orderId total actualDeliveryDate shipping.awb shipping.provider shipping.courierName codRemittance.amount')
+            .sort({ actualDeliveryDate: 1 })
+            .limit(limit)
+            .lean()
+            .maxTimeMS(15000),
+        Order.countDocuments(query).maxTimeMS(5000)
+    ]);
+
+    const now = Date.now();
+    return {
+        days,
+        total,
+        orders: orders.map(order => {
+            const remitted = round2(order.codRemittance?.amount || 0);
+            return {
+                _id: order._id,
+                orderId: order.orderId,
+                awb: order.shipping?.awb,
+                courier: order.shipping?.courierName || order.shipping?.provider,
+                deliveredAt: order.actualDeliveryDate,
+                daysSinceDelivery: Math.floor((now - new Date(order.actualDeliveryDate).getTime()) / (24 * 60 * 60 * 1000)),
+                expected: order.total,
+                remitted,
+                outstanding: round2(order.total - remitted)
+            };
+        })
+    };
+};
+
+module.exports = {
+    importFile,
+    findOverdue,
+    parseFile,
+    DEFAULT_OVERDUE_DAYS
+};
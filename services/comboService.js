@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { sellingPrice } = require('./pricingService');
+
+// ========================================
+// COMBO COMPONENTS
+// ========================================
+// A combo is sold as one line but ships its component packs, so its
+// stock is whatever its scarcest component allows and its discount is
+// measured against buying the components separately. Works on lean
+// documents; stock writes live in services/stockReservation.
+// ========================================
+
+const COMPONENT_FIELDS = 'name slug sku image price offerPrice originalPrice isOffer isActive stock reservedStock variants weight netWeightGrams grossWeightGrams dimensions __t';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Components of a combo, falling back to the legacy `products` list
+ * (one of each) for combos saved before components existed
+ */
+const componentsOf = (combo) => {
+    const source = combo.components && combo.components.length > 0
+        ? combo.components
+        : (combo.products || []).map(product => ({ product, quantity: 1 }));
+
+    const merged = new Map();
+    for (const component of source) {
+        const productId = String(component.product?._id || component.product);
+        const variantId = component.variantId ? String(component.variantId) : null;
+        const key = `${productId}:${variantId || ''}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.quantity += component.quantity || 1;
+        } else {
+            merged.set(key, { product: productId, variantId, sku: component.sku, quantity: component.quantity || 1 });
+        }
+    }
+    return Array.from(merged.values());
+};
+
+const findVariant = (product, variantId) =>
+    (product.variants || []).find(v => String(v._id) === String(variantId)) || null;
+
+/**
+ * Component products for a set of combos, keyed by id
+ */
+const loadComponentProducts = async (combos, session = null) => {
+    const ids = new Set();
+    for (const combo of combos) {
+        for (const component of componentsOf(combo)) ids.add(component.product);
+    }
+    if (ids.size === 0) return new Map();
+
+    const products = await Product.find({ _id: mongoose.trusted({ $in: Array.from(ids) }) })
+        .select(COMPONENT_FIELDS)
+        .session(session)
+        .lean()
+        .maxTimeMS(5000)
+        .exec();
+
+    return new Map(products.map(p => [String(p._id), p]));
+};
+
+/**
+ * How many combos one component can supply
+ */
+const availableFor = (component, product) => {
+    if (!product || product.isActive === false) return 0;
+
+    let free;
+    if (component.variantId) {
+        const variant = findVariant(product, component.variantId);
+        if (!variant) return 0;
+        free = (variant.stock || 0) - (variant.reserved || 0);
+    } else {
+        free = (product.stock || 0) - (product.reservedStock || 0);
+    }
+
+    return Math.max(0, Math.floor(free / component.quantity));
+};
+
+/**
+ * Availability and pricing of one combo from its loaded components
+ */
+const describeCombo = (combo, productsById) => {
+    const components = componentsOf(combo);
+    const inactiveComponents = [];
+    let availableStock = components.length > 0 ? Infinity : 0;
+    let componentsTotal = 0;
+
+    for (const component of components) {
+        const product = productsById.get(component.product);
+        const variant = product && component.variantId ? findVariant(product, component.variantId) : null;
+
+        if (!product || product.isActive === false || (component.variantId && !variant)) {
+            inactiveComponents.push({ product: component.product, name: product?.name });
+        }
+
+        availableStock = Math.min(availableStock, availableFor(component, product));
+        if (product) {
+            componentsTotal += (sellingPrice(product, variant) || 0) * component.quantity;
+        }
+    }
+
+    componentsTotal = round2(componentsTotal);
+    const comboPrice = combo.comboPrice || 0;
+    const savings = round2(Math.max(0, componentsTotal - comboPrice));
+
+    return {
+        components,
+        availableStock,
+        inactiveComponents,
+        pricing: {
+            componentsTotal,
+            comboPrice,
+            savings,
+            discountPercent: componentsTotal > 0 ? round2((savings / componentsTotal) * 100) : 0
+        }
+    };
+};
+
+/**
+ * Add computed stock and pricing (and, with `expand`, component detail)
+ * to lean combos for API responses. `stock` is replaced by what the
+ * components allow.
+ */
+const withComboDetails = async (combos, { expand = false } = {}) => {
+    const list = Array.isArray(combos) ? combos : [combos];
+    const productsById = await loadComponentProducts(list);
+
+    for (const combo of list) {
+        const details = describeCombo(combo, productsById);
+        combo.stock = details.availableStock;
+        combo.inStock = details.availableStock > 0;
+        combo.pricing = details.pricing;
+
+        if (expand) {
+            combo.components = details.components.map(component => {
+                const product = productsById.get(component.product);
+                const variant = product && component.variantId ? findVariant(product, component.variantId) : null;
+                return {
+                    ...component,
+                    name: product?.name,
+                    slug: product?.slug,
+                    image: product?.image,
+                    weight: variant?.weight,
+                    unitPrice: product ? sellingPrice(product, variant) : undefined,
+                    available: availableFor(component, product)
+                };
+            });
+            combo.inactiveComponents = details.inactiveComponents;
+        }
+    }
+
+    return combos;
+};
+
+/**
+ * Validate components from an admin request. Accepts
+ * [{ product, variantId | sku, quantity }]; throws with a message naming
+ * the first problem, including inactive components.
+ */
+const validateComponents = async (input) => {
+    if (!Array.isArray(input) || input.length === 0) {
+        throw new Error('A combo needs at least one component product');
+    }
+
+    const ids = input.map(c => String(c?.product?._id || c?.product || ''));
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Each component needs a valid product');
+    }
+
+    const products = await Product.find({ _id: mongoose.trusted({ $in: ids }) })
+        .select(COMPONENT_FIELDS)
+        .lean()
+        .maxTimeMS(5000)
+        .exec();
+    const productsById = new Map(products.map(p => [String(p._id), p]));
+
+    const components = input.map((raw, index) => {
+        const product = productsById.get(ids[index]);
+        if (!product) throw new Error(`Component product ${ids[index]} not found`);
+        if (product.__t === 'Combo') throw new Error(`${product.name} is a combo and can't be a component`);
+        if (product.isActive === false) throw new Error(`Component ${product.name} is inactive`);
+
+        const quantity = raw.quantity === undefined ? 1 : Number(raw.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(`Quantity for ${product.name} must be a whole number of 1 or more`);
+        }
+
+        let variant = null;
+        if (product.variants && product.variants.length > 0) {
+            variant = (raw.variantId && findVariant(product, raw.variantId))
+                || (raw.sku && product.variants.find(v => v.sku === raw.sku))
+                || null;
+            if (!variant) throw new Error(`Choose a pack size for ${product.name}`);
+        }
+
+        return {
+            product: product._id,
+            variantId: variant ? variant._id : null,
+            sku: variant ? variant.sku : product.sku,
+            quantity
+        };
+    });
+
+    // The same pack listed twice is one component
+    return componentsOf({ components }).map(c => ({
+        ...c,
+        product: new mongoose.Types.ObjectId(c.product),
+        variantId: c.variantId ? new mongoose.Types.ObjectId(c.variantId) : null
+    }));
+};
+
+/**
+ * Throw if any component of a saved combo is inactive or missing
+ */
+const assertComponentsActive = async (combo) => {
+    const productsById = await loadComponentProducts([combo]);
+    const { components, inactiveComponents } = describeCombo(combo, productsById);
+
+    if (components.length === 0) {
+        throw new Error('A combo needs at least one component product');
+    }
+    if (inactiveComponents.length > 0) {
+        const names = inactiveComponents.map(c => c.name || c.product).join(', ');
+        throw new Error(`Component ${names} is inactive or no longer available`);
+    }
+};
+
+module.exports = {
+    componentsOf,
+    loadComponentProducts,
+    availableFor,
+    describeCombo,
+    withComboDetails,
+    validateComponents,
+    assertComponentsActive
+};
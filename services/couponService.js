@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Order = require('../models/Order');
+
+// Per-user & first-order checks ignore cancelled orders.
+// sanitizeFilter is enabled globally, so operator filters must be trusted.
+const notCancelled = () => mongoose.trusted({ $ne: 'Cancelled' });
+
+/**
+ * Validate a coupon against priced cart lines and compute the discount.
+ * Lines come from pricingService.priceCart ({ product, category,
+ * quantity, lineTotal }), so there is one pricing path.
+ * Throws with a customer-facing message when the coupon can't be used.
+ */
+const validateCoupon = async (code, userId, items) => {
+    if (!code) {
+        throw new Error('Coupon code is required');
+    }
+
+    const coupon = await Coupon.findByCode(code);
+
+    if (!coupon || !coupon.isActive) {
+        throw new Error('Invalid coupon code');
+    }
+
+    if (!coupon.isWithinValidity()) {
+        throw new Error('This coupon has expired or is not active yet');
+    }
+
+    if (coupon.isExhausted) {
+        throw new Error('This coupon has reached its usage limit');
+    }
+
+    // Early answer for quotes; redeemCoupon enforces these at checkout
+    const [userUses, previousOrder] = await Promise.all([
+        Order.countDocuments({
+            user: userId,
+            couponCode: coupon.code,
+            orderStatus: notCancelled()
+        }),
+        coupon.firstOrderOnly
+            ? Order.exists({ user: userId, orderStatus: notCancelled() })
+            : null
+    ]);
+
+    if (userUses >= coupon.perUserLimit) {
+        throw new Error('You have already used this coupon');
+    }
+
+    if (previousOrder) {
+        throw new Error('This coupon is valid on your first order only');
+    }
+
+    const lines = items || [];
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+    if (subtotal < coupon.minCartValue) {
+        throw new Error(`Add items worth ₹${coupon.minCartValue - subtotal} more to use this coupon`);
+    }
+
+    const eligibleSubtotal = lines
+        .filter(line => coupon.appliesTo(line.product, line.category))
+        .reduce((sum, line) => sum + line.lineTotal, 0);
+
+    if (eligibleSubtotal <= 0) {
+        throw new Error('This coupon is not applicable to the items in your cart');
+    }
+
+    return {
+        coupon,
+        code: coupon.code,
+        subtotal,
+        eligibleSubtotal,
+        discount: coupon.calculateDiscount(eligibleSubtotal)
+    };
+};
+
+/**
+ * Claim one use of a coupon for a customer inside the order transaction:
+ * the global cap, first-order-only and the per-user limit. Throws with a
+ * customer-facing message when a parallel checkout got there first.
+ */
+const redeemCoupon = async (couponId, userId, session = null) => {
+    const coupon = await Coupon.findById(couponId).session(session);
+    if (!coupon) {
+        throw new Error('Invalid coupon code');
+    }
+
+    const claimed = await Coupon.updateOne(
+        {
+            _id: couponId,
+            $or: [
+                { usageLimit: null },
+                { $expr: mongoose.trusted({ $lt: ['$usedCount', '$usageLimit'] }) }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+    );
+    if (claimed.modifiedCount !== 1) {
+        throw new Error('This coupon has reached its usage limit');
+    }
+
+    // The order transaction also writes the customer's User document, so a
+    // parallel first order conflicts, is retried and then sees this one
+    if (coupon.firstOrderOnly
+        && await Order.exists({ user: userId, orderStatus: notCancelled() }).session(session)) {
+        throw new Error('This coupon is valid on your first order only');
+    }
+
+    // Guarded $inc: with the customer at their limit the filter misses and
+    // the upsert hits the unique index
+    try {
+        await CouponUsage.updateOne(
+            { coupon: coupon._id, user: userId, count: mongoose.trusted({ $lt: coupon.perUserLimit }) },
+            { $inc: { count: 1 } },
+            { upsert: true, session }
+        );
+    } catch (error) {
+        if (error.code === 11000) throw new Error('You have already used this coupon');
+        throw error;
+    }
+};
+
+/**
+ * Give back a coupon use (e.g. order cancelled)
+ */
+const releaseCoupon = async (code, userId) => {
+    if (!code) return;
+    const coupon = await Coupon.findOneAndUpdate(
+        { code, usedCount: mongoose.trusted({ $gt: 0 }) },
+        { $inc: { usedCount: -1 } }
+    );
+
+    if (coupon && userId) {
+        await CouponUsage.updateOne(
+            { coupon: coupon._id, user: userId, count: mongoose.trusted({ $gt: 0 }) },
+            { $inc: { count: -1 } }
+        );
+    }
+};
+
+module.exports = {
+    validateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
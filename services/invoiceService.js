@@ -0,0 +1,302 @@
+const PDFDocument = require('pdfkit');
+const Setting = require('../models/Setting');
+const pricingService = require('./pricingService');
+
+// ========================================
+// GST TAX INVOICE RENDERER
+// ========================================
+// Amounts are recomputed from the order snapshot with the same tax code
+// as the pricing engine, so invoice totals always equal order.total.
+// ========================================
+
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+    'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+    'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08', 'uttar pradesh': '09',
+    'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12', 'nagaland': '13', 'manipur': '14',
+    'mizoram': '15', 'tripura': '16', 'meghalaya': '17', 'assam': '18', 'west bengal': '19',
+    'jharkhand': '20', 'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+    'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+    'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33', 'puducherry': '34',
+    'andaman and nicobar islands': '35', 'telangana': '36', 'andhra pradesh': '37', 'ladakh': '38'
+};
+
+const stateCode = (state) => STATE_CODES[String(state || '').trim().toLowerCase()] || '';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const money = (value) => Number(value || 0).toFixed(2);
+
+// ========================================
+// AMOUNT IN WORDS (INDIAN NUMBERING)
+// ========================================
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+const integerInWords = (n) => {
+    if (n === 0) return 'Zero';
+
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    const rest = n % 1000;
+
+    if (crore) parts.push(`${integerInWords(crore)} Crore`);
+    if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+    if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+    if (rest) parts.push(belowThousand(rest));
+
+    return parts.join(' ');
+};
+
+/**
+ * 1234.5 -> "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+    const rupees = Math.floor(amount);
+    const paise = Math.round((amount - rupees) * 100);
+    const words = `Rupees ${integerInWords(rupees)}`;
+    return paise ? `${words} and ${belowHundred(paise)} Paise Only` : `${words} Only`;
+};
+
+// ========================================
+// INVOICE DATA
+// ========================================
+
+/**
+ * Lines, shipping and totals for an order, split by GST rate
+ */
+const buildInvoiceData = async (order) => {
+    const settings = await pricingService.getPricingSettings();
+    const amounts = pricingService.orderAmounts(order);
+
+    const lines = order.items.map(item => ({
+        name: item.weight ? `${item.name} (${item.weight})` : item.name,
+        sku: item.sku,
+        hsnCode: item.hsnCode || '',
+        quantity: item.quantity,
+        unitPrice: item.price,
+        lineTotal: round2(item.price * item.quantity),
+        gstRate: item.gstRate ?? settings.defaultGstRate
+    }));
+
+    // Mutates lines with taxableValue / taxAmount
+    const tax = pricingService.buildTax(
+        lines,
+        amounts.discount,
+        amounts.shippingCharge,
+        settings,
+        order.deliveryAddress?.state
+    );
+
+    let shipping = null;
+    if (amounts.shippingCharge > 0) {
+        const rate = settings.shippingGstRate;
+        const taxable = round2(amounts.shippingCharge / (1 + rate / 100));
+        shipping = {
+            gross: amounts.shippingCharge,
+            gstRate: rate,
+            taxableValue: taxable,
+            taxAmount: round2(amounts.shippingCharge - taxable)
+        };
+    }
+
+    return { settings, amounts, lines, shipping, tax };
+};
+
+// ========================================
+// PDF RENDERING
+// ========================================
+
+const COLUMNS = [
+    { key: 'index', label: '#', width: 20, align: 'left' },
+    { key: 'name', label: 'Item', width: 150, align: 'left' },
+    { key: 'hsn', label: 'HSN', width: 50, align: 'left' },
+    { key: 'qty', label: 'Qty', width: 30, align: 'right' },
+    { key: 'taxable', label: 'Taxable', width: 60, align: 'right' },
+    { key: 'rate', label: 'GST %', width: 35, align: 'right' },
+    { key: 'taxA', label: 'CGST', width: 55, align: 'right' },
+    { key: 'taxB', label: 'SGST', width: 55, align: 'right' },
+    { key: 'total', label: 'Total', width: 60, align: 'right' }
+];
+
+const drawRow = (doc, y, values, { bold = false } = {}) => {
+    let x = doc.page.margins.left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+    let height = 0;
+    for (const col of COLUMNS) {
+        const text = String(values[col.key] ?? '');
+        doc.text(text, x + 2, y, { width: col.width - 4, align: col.align });
+        height = Math.max(height, doc.heightOfString(text, { width: col.width - 4 }));
+        x += col.width;
+    }
+    return y + height + 6;
+};
+
+const rule = (doc, y) => {
+    doc.moveTo(doc.page.margins.left, y)
+        .lineTo(doc.page.width - doc.page.margins.right, y)
+        .strokeColor('#cccccc')
+        .stroke();
+};
+
+/**
+ * Render a tax invoice. Resolves with the PDF as a Buffer.
+ * The order must already have an invoice number (order.generateInvoice()).
+ */
+const renderInvoicePdf = async (order) => {
+    if (!order.invoiceNumber) {
+        throw new Error('Invoice number has not been generated');
+    }
+
+    const [{ settings, amounts, lines, shipping, tax }, site] = await Promise.all([
+        buildInvoiceData(order),
+        Setting.findOne({ key: 'site_settings' }).lean()
+    ]);
+
+    const seller = {
+        name: site?.website_name || 'MANSARA Foods',
+        address: site?.address || '',
+        phone: site?.phone_number || '',
+        email: site?.contact_email || '',
+        gstin: settings.gstin,
+        state: settings.businessState
+    };
+    const address = order.deliveryAddress || {};
+    const customerName = [address.firstName, address.lastName].filter(Boolean).join(' ');
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const contentWidth = doc.page.width - left - doc.page.margins.right;
+
+        // Header
+        doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', left, 40, { width: contentWidth, align: 'center' });
+        doc.moveDown(0.5);
+
+        doc.font('Helvetica-Bold').fontSize(11).text(seller.name, left);
+        doc.font('Helvetica').fontSize(9);
+        if (seller.address) doc.text(seller.address, { width: 260 });
+        doc.text(`State: ${seller.state}${stateCode(seller.state) ? ` (Code ${stateCode(seller.state)})` : ''}`);
+        doc.text(`GSTIN: ${seller.gstin || 'N/A'}`);
+        if (seller.phone) doc.text(`Phone: ${seller.phone}`);
+        if (seller.email) doc.text(`Email: ${seller.email}`);
+
+        const metaX = left + 300;
+        doc.font('Helvetica').fontSize(9);
+        doc.text(`Invoice No: ${order.invoiceNumber}`, metaX, 70);
+        doc.text(`Invoice Date: ${new Date(order.invoiceDate || Date.now()).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`, metaX);
+        doc.text(`Order ID: ${order.orderId}`, metaX);
+        doc.text(`Order Date: ${new Date(order.createdAt || order.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`, metaX);
+        doc.text(`Payment: ${order.paymentMethod}${order.paymentStatus === 'Paid' ? ' (Paid)' : ''}`, metaX);
+
+        // Bill / ship to
+        let y = Math.max(doc.y, 150) + 10;
+        rule(doc, y);
+        y += 8;
+        doc.font('Helvetica-Bold').fontSize(9).text('Bill To / Ship To', left, y);
+        doc.font('Helvetica').fontSize(9)
+            .text(customerName, left)
+            .text([address.street, address.city].filter(Boolean).join(', '), { width: 280 })
+            .text(`${address.state || ''} - ${address.zip || ''}`)
+            .text(`Phone: ${address.phone || ''}`);
+
+        const supplyCode = stateCode(address.state);
+        doc.text(`Place of Supply: ${address.state || ''}${supplyCode ? ` (${supplyCode})` : ''}`, metaX, y + 12);
+        doc.text(`Tax Type: ${tax.intraState ? 'CGST + SGST' : 'IGST'}`, metaX);
+
+        // Items table
+        y = Math.max(doc.y, y + 60) + 10;
+        rule(doc, y);
+        y += 6;
+        const headers = Object.fromEntries(COLUMNS.map(c => [c.key, c.label]));
+        if (!tax.intraState) {
+            headers.taxA = 'IGST';
+            headers.taxB = '';
+        }
+        y = drawRow(doc, y, headers, { bold: true });
+        rule(doc, y - 3);
+
+        const rowFor = (index, name, hsn, qty, line) => {
+            const half = round2(line.taxAmount / 2);
+            return {
+                index,
+                name,
+                hsn,
+                qty,
+                taxable: money(line.taxableValue),
+                rate: line.gstRate,
+                taxA: money(tax.intraState ? half : line.taxAmount),
+                taxB: tax.intraState ? money(line.taxAmount - half) : '',
+                total: money(line.taxableValue + line.taxAmount)
+            };
+        };
+
+        lines.forEach((line, i) => {
+            if (y > doc.page.height - 160) {
+                doc.addPage();
+                y = doc.page.margins.top;
+            }
+            y = drawRow(doc, y, rowFor(i + 1, line.name, line.hsnCode, line.quantity, line));
+        });
+
+        if (shipping) {
+            y = drawRow(doc, y, rowFor(lines.length + 1, 'Shipping & Handling', '996812', 1, shipping));
+        }
+        rule(doc, y - 3);
+
+        // Totals
+        y += 6;
+        const totalsX = left + 300;
+        const totalRow = (label, value, bold = false) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            doc.text(label, totalsX, y, { width: 120 });
+            doc.text(value, totalsX + 120, y, { width: contentWidth - 420, align: 'right' });
+            y += 14;
+        };
+
+        totalRow('Items Total', money(amounts.subtotal));
+        if (amounts.discount > 0) {
+            totalRow(`Discount${order.couponCode ? ` (${order.couponCode})` : ''}`, `-${money(amounts.discount)}`);
+        }
+        if (amounts.shippingCharge > 0) totalRow('Shipping', money(amounts.shippingCharge));
+        totalRow('Taxable Value', money(tax.taxable));
+        if (tax.intraState) {
+            totalRow('CGST', money(tax.cgst));
+            totalRow('SGST', money(tax.sgst));
+        } else {
+            totalRow('IGST', money(tax.igst));
+        }
+        totalRow('Grand Total (INR)', money(amounts.total), true);
+
+        y += 6;
+        doc.font('Helvetica-Bold').fontSize(9).text('Amount in words:', left, y);
+        doc.font('Helvetica').text(amountInWords(amounts.total), left, doc.y, { width: contentWidth });
+
+        doc.moveDown(2);
+        doc.fontSize(8).fillColor('#666666')
+            .text('All prices are inclusive of GST. This is a computer generated invoice and does not require a signature.', left, doc.y, { width: contentWidth, align: 'center' });
+
+        doc.end();
+    });
+};
+
+module.exports = {
+    renderInvoicePdf,
+    amountInWords
+};
@@ -0,0 +1,148 @@
+const Order = require('../models/Order');
+const { Product } = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const shipping = require('./shipping');
+const { defineJob } = require('./jobQueue');
+const ndrService = require('./ndrService');
+const notificationService = require('../utils/notificationService');
+const whatsappService = require('../utils/WhatsAppService');
+
+// ========================================
+// JOB HANDLERS
+// ========================================
+// Payloads carry ids only; each handler loads the current document so a
+// retry hours later works from fresh data. Documents that have since been
+// deleted complete the job as skipped.
+// ========================================
+
+// Fallback when the customer's account is gone (guest / deleted user)
+const NO_USER = { name: 'Customer', email: '', phone: '' };
+
+const loadOrder = (orderId) => Order.findById(orderId).populate('user', 'name email phone whatsapp');
+
+// ========================================
+// SHIPPING
+// ========================================
+
+// Book the courier. shipOrder resumes where a failed attempt stopped.
+// Prepaid orders only ship once Paid; paymentService queues this job
+// again when the payment settles.
+defineJob('shipping.ship-order', async ({ orderId }) => {
+    const order = await Order.findById(orderId).select('orderStatus paymentMethod paymentStatus').lean();
+    if (!order) return { skipped: 'Order not found' };
+    if (['Cancelled', 'Returned to Origin'].includes(order.orderStatus)) {
+        return { skipped: `Order is ${order.orderStatus}` };
+    }
+    if (order.paymentMethod !== 'Cash on Delivery' && order.paymentStatus !== 'Paid') {
+        return { skipped: `Payment is ${order.paymentStatus}` };
+    }
+
+    const result = await shipping.shipOrder(orderId);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return { awb: result.awb, provider: result.provider };
+}, { maxAttempts: 6 });
+
+// ========================================
+// ORDER NOTIFICATIONS
+// ========================================
+
+defineJob('notify.order-placed', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (!order) return { skipped: 'Order not found' };
+    await notificationService.sendOrderPlaced(order, order.user || NO_USER);
+});
+
+defineJob('notify.order-confirmed', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (!order) return { skipped: 'Order not found' };
+
+    const user = order.user || NO_USER;
+    if (user.email || user.phone || order.deliveryAddress?.phone) {
+        await notificationService.sendOrderConfirmed(order, user);
+    }
+});
+
+// status is the one the customer is told about, even if the order has moved on
+defineJob('notify.order-status', async ({ orderId, status }) => {
+    const order = await loadOrder(orderId);
+    if (!order || !order.user) return { skipped: 'Order or customer not found' };
+    await notificationService.sendOrderStatusUpdate(order, order.user, status || order.orderStatus);
+});
+
+defineJob('notify.order-cancelled', async ({ orderId, reason }) => {
+    const order = await loadOrder(orderId);
+    if (!order || !order.user) return { skipped: 'Order or customer not found' };
+    await notificationService.sendOrderCancelled(order, order.user, reason);
+});
+
+defineJob('notify.review-request', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (!order || !order.user) return { skipped: 'Order or customer not found' };
+    await notificationService.sendReviewRequest(order, order.user);
+});
+
+// ========================================
+// REFUNDS, RETURNS & FAILED DELIVERIES
+// ========================================
+
+// status is the one the customer is told about (initiated / processed)
+defineJob('notify.refund', async ({ orderId, refundId, status }) => {
+    const order = await loadOrder(orderId);
+    const refund = order && order.refunds.id(refundId);
+    if (!refund || !order.user) return { skipped: 'Refund or customer not found' };
+    await notificationService.sendRefundUpdate(order, order.user, { ...refund.toObject(), status: status || refund.status });
+});
+
+defineJob('notify.return-update', async ({ returnId, status }) => {
+    const returnRequest = await ReturnRequest.findById(returnId).lean();
+    if (!returnRequest) return { skipped: 'Return not found' };
+
+    const order = await Order.findById(returnRequest.order)
+        .select('orderId deliveryAddress')
+        .populate('user', 'name email phone whatsapp');
+    if (!order || !order.user) return { skipped: 'Order or customer not found' };
+
+    await notificationService.sendReturnUpdate({ ...returnRequest, status: status || returnRequest.status }, order, order.user);
+});
+
+// The customer's link to choose what happens after a failed delivery
+defineJob('notify.ndr', async ({ ndrCaseId }) => ndrService.sendActionLink(ndrCaseId));
+
+// ========================================
+// WHATSAPP (BOTBIZ)
+// ========================================
+// The BotBiz client throws on failure, so these are retried
+
+defineJob('whatsapp.order-confirmation', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (!order || !order.user) return { skipped: 'Order or customer not found' };
+    await whatsappService.sendOrderConfirmation(order, order.user);
+}, { maxAttempts: 3 });
+
+defineJob('whatsapp.status-update', async ({ orderId, status }) => {
+    const order = await loadOrder(orderId);
+    if (!order || !order.user) return { skipped: 'Order or customer not found' };
+    await whatsappService.sendStatusNotification(order, order.user, status || order.orderStatus);
+}, { maxAttempts: 3 });
+
+// Loyalty tagger
+defineJob('whatsapp.labels', async ({ phone, labels }) => {
+    if (!phone || !labels || labels.length === 0) return { skipped: 'Nothing to tag' };
+    await whatsappService.assignLabels(phone, labels);
+}, { maxAttempts: 3 });
+
+// ========================================
+// STOCK ALERTS
+// ========================================
+
+// Tell "notify me" subscribers a product is back
+defineJob('notify.stock-alert', async ({ productId }) => {
+    const product = await Product.findById(productId).select('name slug stock').lean();
+    if (!product) return { skipped: 'Product not found' };
+
+    const count = await notificationService.sendStockAlert(product);
+    if (count > 0) console.log(`[NOTIFY] Sent ${count} alert(s) for ${product.name}`);
+    return { sent: count || 0 };
+});
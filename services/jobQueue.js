@@ -0,0 +1,240 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+// ========================================
+// BACKGROUND JOB QUEUE
+// ========================================
+// Work that used to run in process.nextTick after the response (courier
+// booking, notifications) is stored as a Job first, so a restart or a
+// courier outage delays it instead of losing it.
+//
+//   defineJob(type, handler, { maxAttempts })  - register a handler
+//   enqueue(type, payload, { key, delayMs })   - store a job
+//
+// Handlers get (payload, job), must be safe to run twice, and throw to
+// have the job retried with exponential backoff. A job that runs out of
+// attempts is left 'dead' for an admin to retry or cancel.
+// Handlers are registered in services/jobHandlers.
+// ========================================
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_MS) || 5000;
+// A running job whose worker died is picked up again after this
+const LOCK_MS = 5 * 60 * 1000;
+// Jobs one tick runs before yielding to the next
+const BATCH_SIZE = 20;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const MAX_HISTORY = 20;
+
+// Identifies this instance's locks
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const handlers = new Map();
+let timer = null;
+let ticking = false;
+
+const historyEntry = (status, note, by) => ({
+    $each: [{ status, note, by, at: new Date() }],
+    $slice: -MAX_HISTORY
+});
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m... up to 6h, +/-20%
+ */
+const backoffMs = (attempts) => {
+    const delay = Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// ========================================
+// PRODUCERS
+// ========================================
+
+const defineJob = (type, handler, { maxAttempts } = {}) => {
+    handlers.set(type, { handler, maxAttempts });
+};
+
+/**
+ * Store a job. With a key, enqueueing the same work twice returns the
+ * first job instead of adding another.
+ */
+const enqueue = async (type, payload = {}, { key, delayMs = 0, maxAttempts } = {}) => {
+    let job;
+    try {
+        job = await Job.create({
+            type,
+            payload,
+            key,
+            runAt: new Date(Date.now() + delayMs),
+            maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts,
+            history: [{ status: 'pending', note: 'Queued' }]
+        });
+    } catch (error) {
+        if (error.code !== 11000 || !key) throw error;
+        return Job.findOne({ key });
+    }
+
+    // Start it now rather than at the next poll
+    if (timer && delayMs === 0) setImmediate(tick);
+    return job;
+};
+
+// ========================================
+// WORKER
+// ========================================
+
+/**
+ * Lock the next due job (or one whose worker's lock has lapsed)
+ */
+const claimNext = async () => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        {
+            $or: [
+                { status: mongoose.trusted({ $in: ['pending', 'failed'] }), runAt: mongoose.trusted({ $lte: now }) },
+                { status: 'running', lockedUntil: mongoose.trusted({ $lte: now }) }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+const runJob = async (job) => {
+    const definition = handlers.get(job.type);
+
+    try {
+        if (!definition) {
+            throw new Error(`No handler for job type ${job.type}`);
+        }
+
+        const result = await definition.handler(job.payload || {}, job);
+
+        await Job.updateOne(
+            { _id: job._id, lockedBy: WORKER_ID },
+            {
+                $set: { status: 'completed', completedAt: new Date(), result },
+                $unset: { lockedBy: 1, lockedUntil: 1 },
+                $push: { history: historyEntry('completed', `Attempt ${job.attempts}`) }
+            }
+        );
+        return true;
+    } catch (error) {
+        const dead = job.attempts >= job.maxAttempts;
+        const status = dead ? 'dead' : 'failed';
+
+        await Job.updateOne(
+            { _id: job._id, lockedBy: WORKER_ID },
+            {
+                $set: {
+                    status,
+                    lastError: error.message,
+                    failedAt: new Date(),
+                    runAt: dead ? job.runAt : new Date(Date.now() + backoffMs(job.attempts))
+                },
+                $unset: { lockedBy: 1, lockedUntil: 1 },
+                $push: { history: historyEntry(status, `Attempt ${job.attempts}: ${String(error.message).slice(0, 500)}`) }
+            }
+        );
+
+        console.error(`[JOBS] ${job.type} ${job._id} attempt ${job.attempts}/${job.maxAttempts} failed${dead ? ' - dead' : ''}: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Run due jobs one after another, up to `limit`.
+ * Returns the number run.
+ */
+const runDue = async (limit = BATCH_SIZE) => {
+    let ran = 0;
+    while (ran < limit) {
+        const job = await claimNext();
+        if (!job) break;
+        await runJob(job);
+        ran++;
+    }
+    return ran;
+};
+
+const tick = () => {
+    if (ticking) return;
+    ticking = true;
+    runDue()
+        .catch(err => console.error('[JOBS] Worker tick failed:', err.message))
+        .finally(() => { ticking = false; });
+};
+
+/**
+ * Background worker; every instance runs one
+ */
+const startJobWorker = () => {
+    if (timer) return timer;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    setImmediate(tick);
+    console.log(`[JOBS] Worker ${WORKER_ID} started (${handlers.size} job types)`);
+    return timer;
+};
+
+// ========================================
+// ADMIN
+// ========================================
+
+/**
+ * Atomically move a job from one of `from` to `to`
+ */
+const transition = async (id, from, to, { note, by, set = {} } = {}) => {
+    const job = await Job.findOneAndUpdate(
+        { _id: id, status: mongoose.trusted({ $in: from }) },
+        {
+            $set: { status: to, ...set },
+            $push: { history: historyEntry(to, note, by) }
+        },
+        { new: true }
+    );
+
+    if (!job) {
+        const existing = await Job.findById(id).select('status').lean();
+        if (!existing) throw new Error('Job not found');
+        throw new Error(`A ${existing.status} job can't be moved to ${to}`);
+    }
+
+    return job;
+};
+
+/**
+ * Run a failed, dead or cancelled job again now, with a fresh set of attempts
+ */
+const retryJob = async (id, adminId) => {
+    const job = await transition(id, ['failed', 'dead', 'cancelled'], 'pending', {
+        by: adminId,
+        note: 'Retried by admin',
+        set: { runAt: new Date(), attempts: 0, cancelledAt: null, cancelledBy: null }
+    });
+
+    if (timer) setImmediate(tick);
+    return job;
+};
+
+const cancelJob = async (id, adminId) => {
+    return transition(id, ['pending', 'failed', 'dead'], 'cancelled', {
+        by: adminId,
+        note: 'Cancelled by admin',
+        set: { cancelledAt: new Date(), cancelledBy: adminId }
+    });
+};
+
+module.exports = {
+    defineJob,
+    enqueue,
+    runDue,
+    startJobWorker,
+    retryJob,
+    cancelJob
+};
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const NdrCase = require('../models/NdrCase');
+const { NDR_ACTIONS, NDR_ACTIVE_STATUSES } = require('../models/NdrCase');
+const shipping = require('./shipping');
+const { parseDate } = require('./shipping/tracking');
+const notificationService = require('../utils/notificationService');
+const sendEmail = require('../utils/sendEmail');
+const jobQueue = require('./jobQueue');
+
+// The attempt that escalates a case to the team instead of the customer
+const ESCALATE_AFTER_ATTEMPTS = parseInt(process.env.NDR_ESCALATE_AFTER_ATTEMPTS) || 3;
+// How long the customer's link stays valid
+const RESPONSE_LINK_HOURS = parseInt(process.env.NDR_RESPONSE_LINK_HOURS) || 72;
+// Furthest a customer can push the delivery out
+const MAX_RESCHEDULE_DAYS = 7;
+
+// Cases an admin can push an action for
+const ACTIONABLE_STATUSES = ['open', 'responded', 'escalated'];
+
+// ========================================
+// HELPERS
+// ========================================
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Email the team about a failed delivery (non-blocking)
+ */
+const alertAdmin = (ndrCase, order, headline) => {
+    const adminEmail = process.env.EMAIL_FEEDBACK_TO || process.env.EMAIL_FROM;
+    if (!adminEmail) return;
+
+    sendEmail({
+        email: adminEmail,
+        subject: `${headline}: Order #${order.orderId}`,
+        html: `
+            <h2>${headline}</h2>
+            <p><strong>Order ID:</strong> ${order.orderId}</p>
+            <p><strong>Customer:</strong> ${order.deliveryAddress.firstName} ${order.deliveryAddress.lastName || ''} (${order.deliveryAddress.phone})</p>
+            <p><strong>Reason:</strong> ${ndrCase.reason || 'Not provided'}</p>
+            <p><strong>Attempt:</strong> ${ndrCase.attempt}</p>
+            <hr>
+            <p>Please contact the customer or courier partner.</p>
+        `
+    }).catch(err => console.error('[NDR] Admin alert failed', err));
+};
+
+/**
+ * Queue the customer's link to choose what happens next
+ */
+const notifyCustomer = (ndrCase) => {
+    jobQueue.enqueue('notify.ndr', { ndrCaseId: ndrCase._id })
+        .catch(err => console.error('[NDR] Queueing customer notification failed:', err));
+};
+
+/**
+ * Send the customer their link (job worker). The token is minted here so
+ * it never sits in the job queue; a retry replaces a link that was never
+ * delivered. Cases the customer or team has moved on from are skipped.
+ */
+const sendActionLink = async (ndrCaseId) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    const ndrCase = await NdrCase.findOneAndUpdate(
+        { _id: ndrCaseId, status: 'open' },
+        {
+            $set: {
+                responseToken: hashToken(token),
+                responseTokenExpire: new Date(Date.now() + RESPONSE_LINK_HOURS * 60 * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+    if (!ndrCase) return { skipped: 'Case is no longer open' };
+
+    const [order, user] = await Promise.all([
+        Order.findById(ndrCase.order).select('orderId deliveryAddress user'),
+        User.findById(ndrCase.user).select('name email phone whatsapp')
+    ]);
+    if (!order || !user) return { skipped: 'Order or customer not found' };
+
+    const frontendUrl = process.env.FRONTEND_URL || 'https://mansarafoods.com';
+    await notificationService.sendNdrActionRequest(ndrCase, order, user, `${frontendUrl}/delivery-issue/${token}`);
+    return { sent: true };
+};
+
+/**
+ * Atomically move a case from one of `from` to `to`
+ */
+const transition = async (filter, from, to, { note, by, set = {} } = {}) => {
+    const ndrCase = await NdrCase.findOneAndUpdate(
+        { ...filter, status: mongoose.trusted({ $in: from }) },
+        {
+            $set: { status: to, ...set },
+            $push: { history: { status: to, note, by, at: new Date() } }
+        },
+        { new: true }
+    );
+
+    if (!ndrCase) {
+        const existing = await NdrCase.findOne(filter).select('status').lean();
+        if (!existing) throw new Error('NDR case not found');
+        throw new Error(`NDR case is already ${existing.status}`);
+    }
+
+    return ndrCase;
+};
+
+/**
+ * Check a customer's or admin's chosen action.
+ * Returns the cleaned { action, preferredDate, address, phone, note }.
+ */
+const validateInstruction = ({ action, preferredDate, address, phone, note } = {}) => {
+    if (!NDR_ACTIONS.includes(action)) {
+        throw new Error('Please choose what we should do with this delivery');
+    }
+
+    const instruction = { action, note: note ? String(note).slice(0, 500) : undefined };
+
+    if (action === 'reschedule') {
+        const date = new Date(preferredDate);
+        const days = (date.getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+        // A bare date parses as midnight, so today is a day behind at most
+        if (isNaN(date.getTime()) || days < -1 || days > MAX_RESCHEDULE_DAYS) {
+            throw new Error(`Please pick a delivery date within the next ${MAX_RESCHEDULE_DAYS} days`);
+        }
+        instruction.preferredDate = date;
+    }
+
+    if (action === 'update_address') {
+        if (phone) {
+            const digits = String(phone).replace(/\D/g, '').slice(-10);
+            if (digits.length !== 10) {
+                throw new Error('Please enter a valid 10-digit phone number');
+            }
+            instruction.phone = digits;
+        }
+        if (address && address.street) {
+            if (!address.city || !/^[1-9][0-9]{5}$/.test(String(address.zip || ''))) {
+                throw new Error('Please enter the full address with a valid pincode');
+            }
+            instruction.address = {
+                street: String(address.street),
+                city: String(address.city),
+                state: address.state ? String(address.state) : undefined,
+                zip: String(address.zip)
+            };
+        }
+        if (!instruction.phone && !instruction.address) {
+            throw new Error('Please enter the corrected address or phone number');
+        }
+    }
+
+    return instruction;
+};
+
+// ========================================
+// COURIER REPORTS
+// ========================================
+
+/**
+ * Record a failed delivery attempt reported by the courier. Reports of an
+ * attempt that already has a case return it unchanged, so webhook retries
+ * don't message the customer twice.
+ * Returns { ndrCase, created }.
+ */
+const recordNdr = async (order, { provider, awb, attempt, reason, occurredAt }) => {
+    const validTime = parseDate(occurredAt);
+
+    const attemptNo = parseInt(attempt)
+        || (await NdrCase.countDocuments({ order: order._id })) + 1;
+
+    const key = parseInt(attempt)
+        ? `${order._id}:attempt:${attemptNo}`
+        : `${order._id}:at:${validTime ? validTime.toISOString() : String(reason || '').toLowerCase()}`;
+
+    const escalate = attemptNo >= ESCALATE_AFTER_ATTEMPTS;
+    const status = escalate ? 'escalated' : 'open';
+
+    let ndrCase;
+    try {
+        ndrCase = await NdrCase.create({
+            key,
+            order: order._id,
+            orderId: order.orderId,
+            user: order.user,
+            provider: provider || order.shipping?.provider,
+            awb: awb || order.shipping?.awb,
+            attempt: attemptNo,
+            reason,
+            occurredAt: validTime || new Date(),
+            status,
+            escalatedAt: escalate ? new Date() : undefined,
+            history: [{
+                status,
+                note: escalate
+                    ? `Attempt ${attemptNo} failed; escalated after ${ESCALATE_AFTER_ATTEMPTS} attempts`
+                    : `Attempt ${attemptNo} failed${reason ? `: ${reason}` : ''}`
+            }]
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { ndrCase: await NdrCase.findOne({ key }), created: false };
+    }
+
+    // An earlier attempt's case is overtaken by this one
+    await NdrCase.updateMany(
+        {
+            order: order._id,
+            _id: mongoose.trusted({ $ne: ndrCase._id }),
+            status: mongoose.trusted({ $in: NDR_ACTIVE_STATUSES })
+        },
+        {
+            $set: { status: 'closed', closedAt: new Date(), resolution: `Superseded by attempt ${attemptNo}` },
+            $push: { history: { status: 'closed', note: `Superseded by attempt ${attemptNo}`, at: new Date() } }
+        }
+    );
+
+    console.log(`[NDR] ${order.orderId} attempt ${attemptNo} failed (${reason || 'no reason'})${escalate ? ' - escalated' : ''}`);
+
+    if (escalate) {
+        alertAdmin(ndrCase, order, 'NDR Escalated');
+    } else {
+        alertAdmin(ndrCase, order, 'NDR Alert');
+        notifyCustomer(ndrCase);
+    }
+
+    return { ndrCase, created: true };
+};
+
+// ========================================
+// CUSTOMER RESPONSE
+// ========================================
+
+/**
+ * The case behind a customer's link, with the order details they need
+ */
+const getCaseForToken = async (token) => {
+    const ndrCase = await NdrCase.findOne({
+        responseToken: hashToken(token),
+        responseTokenExpire: mongoose.trusted({ $gt: new Date() })
+    })
+        .populate('order', 'orderId deliveryAddress items.name items.quantity items.weight')
+        .lean();
+
+    if (!ndrCase) {
+        throw new Error('This link has expired. Please contact us for help with your delivery.');
+    }
+
+    return ndrCase;
+};
+
+/**
+ * Customer chooses reattempt / reschedule / corrected details / return.
+ * They can change their mind until an admin has pushed it to the courier.
+ */
+const respond = async (token, body) => {
+    const ndrCase = await getCaseForToken(token);
+    const instruction = validateInstruction(body);
+
+    return transition({ _id: ndrCase._id }, ['open', 'responded'], 'responded', {
+        note: `Customer chose ${instruction.action.replace('_', ' ')}`,
+        set: { customerResponse: { ...instruction, respondedAt: new Date() } }
+    });
+};
+
+// ========================================
+// ADMIN ACTIONS
+// ========================================
+
+/**
+ * Send the next step to the courier. Uses the customer's choice unless the
+ * admin gives one; `manual` records an action taken in the courier panel.
+ * Corrected details are copied onto the order's delivery address.
+ */
+const pushAction = async (id, adminId, { manual = false, ...body } = {}) => {
+    const ndrCase = await NdrCase.findById(id);
+    if (!ndrCase) {
+        throw new Error('NDR case not found');
+    }
+    if (!ACTIONABLE_STATUSES.includes(ndrCase.status)) {
+        throw new Error(`NDR case is already ${ndrCase.status}`);
+    }
+
+    const chosen = body.action ? body : (ndrCase.customerResponse?.action ? ndrCase.customerResponse.toObject() : {});
+    const instruction = validateInstruction(chosen);
+
+    const order = await Order.findById(ndrCase.order);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+
+    if (!manual) {
+        try {
+            await shipping.pushNdrAction(order, instruction);
+        } catch (error) {
+            await NdrCase.updateOne({ _id: id }, { $set: { 'courierAction.error': error.message } });
+            throw new Error(`Courier rejected the NDR action: ${error.message}`);
+        }
+    }
+
+    if (instruction.address || instruction.phone) {
+        if (instruction.address) Object.assign(order.deliveryAddress, instruction.address);
+        if (instruction.phone) order.deliveryAddress.phone = instruction.phone;
+        await order.save();
+    }
+
+    return transition({ _id: id }, ACTIONABLE_STATUSES, 'actioned', {
+        by: adminId,
+        note: `${manual ? 'Recorded' : 'Sent'} ${instruction.action.replace('_', ' ')}${instruction.note ? `: ${instruction.note}` : ''}`,
+        set: {
+            courierAction: {
+                action: instruction.action,
+                manual,
+                pushedAt: new Date(),
+                pushedBy: adminId
+            },
+            // The link has done its job
+            responseTokenExpire: new Date()
+        }
+    });
+};
+
+const closeCase = async (id, adminId, resolution) => {
+    return transition({ _id: id }, NDR_ACTIVE_STATUSES, 'closed', {
+        by: adminId,
+        note: resolution,
+        set: { closedAt: new Date(), resolution, responseTokenExpire: new Date() }
+    });
+};
+
+module.exports = {
+    ESCALATE_AFTER_ATTEMPTS,
+    recordNdr,
+    sendActionLink,
+    getCaseForToken,
+    respond,
+    pushAction,
+    closeCase
+};
@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Razorpay = require('razorpay');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const jobQueue = require('./jobQueue');
+
+// Initialize Razorpay
+// NOTE: Make sure RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are in .env
+const razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder',
+    key_secret: process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder'
+});
+
+// Online orders still Pending after this long are checked against Razorpay
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 30;
+// ...and flagged for review if still unpaid after this long
+const REVIEW_AFTER_HOURS = parseInt(process.env.PAYMENT_REVIEW_AFTER_HOURS) || 24;
+const RECONCILE_INTERVAL_MS = 15 * 60 * 1000;
+
+// ========================================
+// SIGNATURES
+// ========================================
+
+/**
+ * Constant-time compare of two hex signatures
+ */
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Verify X-Razorpay-Signature against the raw request body
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('[PAYMENT] RAZORPAY_WEBHOOK_SECRET is not configured');
+        return false;
+    }
+    if (!rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(expected, signature);
+};
+
+// ========================================
+// ORDER UPDATES
+// ========================================
+
+/**
+ * Map a Razorpay payment entity onto Order.payment fields (paise -> rupees)
+ */
+const toPaymentFields = (entity) => {
+    const fields = {
+        gateway: 'razorpay',
+        paymentId: entity.id,
+        method: entity.method,
+        currency: entity.currency || 'INR'
+    };
+
+    if (entity.order_id) fields.gatewayOrderId = entity.order_id;
+    if (entity.amount !== undefined) fields.amount = entity.amount / 100;
+    if (entity.fee !== undefined && entity.fee !== null) fields.fee = entity.fee / 100;
+    if (entity.tax !== undefined && entity.tax !== null) fields.tax = entity.tax / 100;
+    if (entity.created_at) fields.initiatedAt = new Date(entity.created_at * 1000);
+
+    return fields;
+};
+
+/**
+ * Prefix payment fields for a $set on the order
+ */
+const paymentSet = (fields) => Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [`payment.${key}`, value])
+);
+
+/**
+ * Look up a payment at Razorpay. Returns null on any error so callers can
+ * fall back to what the client sent.
+ */
+const fetchPayment = async (paymentId) => {
+    try {
+        return await razorpay.payments.fetch(paymentId);
+    } catch (error) {
+        console.error(`[PAYMENT] Could not fetch ${paymentId} from Razorpay:`, error.error?.description || error.message);
+        return null;
+    }
+};
+
+/**
+ * Find the order a Razorpay payment belongs to
+ */
+const findOrderForPayment = async (payment) => {
+    if (payment.order_id) {
+        const order = await Order.findOne({ 'payment.gatewayOrderId': payment.order_id });
+        if (order) return order;
+    }
+
+    // Orders placed before payment carry our order id in the notes
+    if (payment.notes && payment.notes.orderId) {
+        return Order.findOne({ orderId: String(payment.notes.orderId) });
+    }
+
+    return null;
+};
+
+/**
+ * Book the courier for an order whose payment just settled. The order
+ * stays Paid even if queueing fails.
+ */
+const queueShipping = async (order) => {
+    try {
+        await jobQueue.enqueue('shipping.ship-order', { orderId: order._id }, { key: `ship-order:${order._id}` });
+    } catch (error) {
+        console.error(`[PAYMENT] Queueing shipping for ${order.orderId} failed:`, error.message);
+    }
+};
+
+/**
+ * Mark an order Paid (no-op if it already is, or is under review).
+ * A capture short of the order total puts it Under Review instead.
+ */
+const markOrderPaid = async (orderId, payment) => {
+    const order = await Order.findById(orderId).select('total').lean();
+    if (!order) return null;
+
+    const fields = toPaymentFields(payment);
+    const short = fields.amount !== undefined && fields.amount + 1 < order.total;
+
+    const set = {
+        paymentStatus: short ? 'Under Review' : 'Paid',
+        ...paymentSet(fields),
+        'payment.capturedAt': new Date(),
+        'payment.needsReview': short
+    };
+    const unset = { 'payment.failureReason': 1 };
+
+    if (short) {
+        console.warn(`[PAYMENT] Underpayment on ${orderId}: paid ${fields.amount}, order total ${order.total}`);
+        set['payment.reviewReason'] = `Paid ₹${fields.amount} against order total ₹${order.total}`;
+    } else {
+        unset['payment.reviewReason'] = 1;
+    }
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: mongoose.trusted({ $nin: ['Paid', 'Under Review'] }) },
+        { $set: set, $unset: unset },
+        { new: true }
+    );
+
+    if (updated && updated.paymentStatus === 'Paid') {
+        await queueShipping(updated);
+    }
+    return updated;
+};
+
+/**
+ * Settle an order under review: an admin has reconciled the payment and
+ * marks it Paid or Failed
+ */
+const resolveReview = async (orderId, paymentStatus, adminId) => {
+    if (!['Paid', 'Failed'].includes(paymentStatus)) {
+        throw new Error('Payment status must be Paid or Failed');
+    }
+
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, 'payment.needsReview': true },
+        {
+            $set: {
+                paymentStatus,
+                'payment.needsReview': false,
+                'payment.reviewedAt': new Date(),
+                'payment.reviewedBy': adminId
+            }
+        },
+        { new: true }
+    );
+
+    if (order && paymentStatus === 'Paid') {
+        await queueShipping(order);
+    }
+    return order;
+};
+
+// ========================================
+// WEBHOOK EVENTS
+// ========================================
+
+const handlers = {
+    'payment.captured': async (payload) => {
+        const payment = payload.payment.entity;
+        const order = await findOrderForPayment(payment);
+        if (!order) return { status: 'unmatched', gatewayOrderId: payment.order_id, paymentId: payment.id };
+
+        await markOrderPaid(order._id, payment);
+        return { status: 'processed', order: order._id, gatewayOrderId: payment.order_id, paymentId: payment.id };
+    },
+
+    'order.paid': async (payload) => {
+        // Same outcome as payment.captured; whichever arrives first wins
+        return handlers['payment.captured'](payload);
+    },
+
+    'payment.failed': async (payload) => {
+        const payment = payload.payment.entity;
+        const order = await findOrderForPayment(payment);
+        if (!order) return { status: 'unmatched', gatewayOrderId: payment.order_id, paymentId: payment.id };
+
+        // A later successful attempt on the same Razorpay order still wins
+        await Order.updateOne(
+            { _id: order._id, paymentStatus: 'Pending' },
+            {
+                $set: {
+                    paymentStatus: 'Failed',
+                    ...paymentSet(toPaymentFields(payment)),
+                    'payment.failedAt': new Date(),
+                    'payment.failureReason': payment.error_description || payment.error_code || 'Payment failed'
+                }
+            }
+        );
+        return { status: 'processed', order: order._id, gatewayOrderId: payment.order_id, paymentId: payment.id };
+    },
+
+    'refund.processed': async (payload) => {
+        const refund = payload.refund.entity;
+        // Required here: refundService depends on this module for the client
+        const order = await require('./refundService').applyGatewayRefund(refund, 'processed');
+        if (!order) return { status: 'unmatched', paymentId: refund.payment_id };
+
+        return { status: 'processed', order: order._id, paymentId: refund.payment_id };
+    },
+
+    'refund.failed': async (payload) => {
+        const refund = payload.refund.entity;
+        const order = await require('./refundService').applyGatewayRefund(refund, 'failed');
+        if (!order) return { status: 'unmatched', paymentId: refund.payment_id };
+
+        return { status: 'processed', order: order._id, paymentId: refund.payment_id };
+    }
+};
+
+/**
+ * Process one verified webhook delivery.
+ * Idempotent on the event id: a delivery already processed is skipped,
+ * one that failed half-way is retried.
+ */
+const handleWebhookEvent = async (eventId, body) => {
+    let record;
+
+    try {
+        record = await PaymentEvent.create({ eventId, event: body.event, payload: body.payload });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        record = await PaymentEvent.findOne({ eventId });
+        if (record.status === 'processed' || record.status === 'unmatched') {
+            return { duplicate: true, status: record.status };
+        }
+    }
+
+    const handler = handlers[body.event];
+    if (!handler) {
+        record.status = 'processed';
+        record.processedAt = new Date();
+        await record.save();
+        return { ignored: true };
+    }
+
+    try {
+        const result = await handler(body.payload || {});
+        Object.assign(record, result, { processedAt: new Date(), error: undefined });
+        await record.save();
+
+        if (result.status === 'unmatched') {
+            console.warn(`[PAYMENT] ${body.event} ${eventId} has no matching order (${result.gatewayOrderId || result.paymentId})`);
+        }
+        return { status: result.status };
+    } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        await record.save();
+        throw error;
+    }
+};
+
+// ========================================
+// RECONCILIATION
+// ========================================
+
+/**
+ * Re-check Online orders stuck in Pending against Razorpay. Captured
+ * payments mark the order Paid; anything still unpaid after
+ * REVIEW_AFTER_HOURS is flagged for review. Also re-links unmatched
+ * captures whose order has since been created.
+ */
+const reconcilePendingPayments = async () => {
+    const now = Date.now();
+    const summary = { checked: 0, paid: 0, flagged: 0, relinked: 0 };
+
+    const orders = await Order.find({
+        paymentMethod: mongoose.trusted({ $ne: 'Cash on Delivery' }),
+        paymentStatus: 'Pending',
+        orderStatus: mongoose.trusted({ $ne: 'Cancelled' }),
+        'payment.needsReview': mongoose.trusted({ $ne: true }),
+        createdAt: mongoose.trusted({ $lte: new Date(now - RECONCILE_AFTER_MINUTES * 60 * 1000) })
+    })
+        .select('orderId payment createdAt')
+        .limit(100);
+
+    for (const order of orders) {
+        summary.checked++;
+
+        try {
+            const gatewayOrderId = order.payment && order.payment.gatewayOrderId;
+
+            if (gatewayOrderId) {
+                const payments = await razorpay.orders.fetchPayments(gatewayOrderId);
+                const captured = (payments.items || []).find(p => p.status === 'captured');
+
+                if (captured) {
+                    await markOrderPaid(order._id, captured);
+                    summary.paid++;
+                    continue;
+                }
+            }
+
+            const ageHours = (now - order.createdAt.getTime()) / (60 * 60 * 1000);
+            const update = { 'payment.lastReconciledAt': new Date() };
+
+            if (ageHours >= REVIEW_AFTER_HOURS) {
+                update['payment.needsReview'] = true;
+                update['payment.reviewReason'] = gatewayOrderId
+                    ? `No captured payment after ${REVIEW_AFTER_HOURS}h`
+                    : 'No Razorpay order linked';
+                summary.flagged++;
+            }
+
+            await Order.updateOne({ _id: order._id }, { $set: update });
+        } catch (error) {
+            console.error(`[PAYMENT] Reconcile failed for ${order.orderId}:`, error.message);
+        }
+    }
+
+    // Captures that arrived before their order existed
+    const unmatched = await PaymentEvent.find({
+        status: 'unmatched',
+        event: mongoose.trusted({ $in: ['payment.captured', 'order.paid'] })
+    }).limit(100);
+
+    for (const record of unmatched) {
+        const payment = record.payload && record.payload.payment && record.payload.payment.entity;
+        if (!payment) continue;
+
+        const order = await findOrderForPayment(payment);
+        if (!order) continue;
+
+        await markOrderPaid(order._id, payment);
+        record.status = 'processed';
+        record.order = order._id;
+        record.processedAt = new Date();
+        await record.save();
+        summary.relinked++;
+    }
+
+    if (summary.paid || summary.flagged || summary.relinked) {
+        console.log(`[PAYMENT] Reconciled: ${summary.paid} paid, ${summary.flagged} flagged, ${summary.relinked} relinked`);
+    }
+    return summary;
+};
+
+/**
+ * Background reconciler
+ */
+const startPaymentReconciler = () => {
+    const timer = setInterval(() => {
+        reconcilePendingPayments().catch(err => console.error('[PAYMENT] Reconciliation failed:', err.message));
+    }, RECONCILE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    razorpay,
+    toPaymentFields,
+    fetchPayment,
+    verifyWebhookSignature,
+    handleWebhookEvent,
+    resolveReview,
+    reconcilePendingPayments,
+    startPaymentReconciler
+};
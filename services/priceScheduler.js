@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const PriceSchedule = require('../models/PriceSchedule');
+const PriceHistory = require('../models/PriceHistory');
+const withTransaction = require('../utils/withTransaction');
+const { clearProductCache } = require('../utils/productCache');
+
+// ========================================
+// PRICE SCHEDULER
+// ========================================
+// Applies scheduled price / offer changes at their start and undoes them
+// at their end. Each step claims the schedule, updates the product and
+// writes PriceHistory in one transaction.
+//
+// Undoing only restores a field the schedule still owns: if an admin has
+// changed the price since, their value is kept. For products priced per
+// variant, the product's own price / offer price follow the first variant,
+// as the storefront lists them.
+// ========================================
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Errors retrying won't fix; the schedule is marked failed
+const PERMANENT_ERRORS = ['Product not found', 'Variant not found'];
+
+const isPermanent = (error) => error.name === 'ValidationError' || PERMANENT_ERRORS.includes(error.message);
+
+const parseDate = (value, field) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) throw new Error(`${field} must be a valid date`);
+    return date;
+};
+
+const parsePrice = (value, field) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`${field} must be a number of 0 or more`);
+    return number;
+};
+
+/**
+ * The variant (or, without variants, the product) a schedule prices
+ */
+const targetOf = (product, variantId) => {
+    if (!variantId) return product;
+    const variant = product.findVariant({ variantId });
+    if (!variant) throw new Error('Variant not found');
+    return variant;
+};
+
+/**
+ * Product-level price follows the first variant
+ */
+const mirrorLeadVariant = (product) => {
+    const lead = product.variants?.[0];
+    if (!lead) return;
+    if (lead.price !== undefined && lead.price !== null) product.price = lead.price;
+    product.offerPrice = lead.offerPrice;
+};
+
+// ========================================
+// CREATE / CANCEL
+// ========================================
+
+/**
+ * Schedule a change. Schedules for the same product / variant may not
+ * overlap, or undoing one would undo the other.
+ */
+const createSchedule = async (data, createdBy) => {
+    if (!mongoose.Types.ObjectId.isValid(data.product)) throw new Error('Product not found');
+
+    const product = await Product.findById(data.product).select('name sku price offerPrice variants');
+    if (!product) throw new Error('Product not found');
+
+    let variant = null;
+    if (product.variants.length > 0) {
+        if (!data.variant && !data.sku) throw new Error('Choose a variant; this product is priced per variant');
+        variant = product.findVariant({
+            variantId: mongoose.Types.ObjectId.isValid(data.variant) ? data.variant : undefined,
+            sku: data.sku ? String(data.sku) : undefined
+        });
+        if (!variant) throw new Error('Variant not found');
+    } else if (data.variant || data.sku) {
+        throw new Error('This product has no variants');
+    }
+
+    const price = parsePrice(data.price, 'price');
+    const offerPrice = parsePrice(data.offerPrice, 'offerPrice');
+    if (price === undefined && offerPrice === undefined) {
+        throw new Error('Set a price or an offer price');
+    }
+    const effectivePrice = price ?? (variant || product).price;
+    if (offerPrice !== undefined && offerPrice > effectivePrice) {
+        throw new Error('Offer price cannot be above the price');
+    }
+
+    const startAt = parseDate(data.startAt, 'startAt');
+    const endAt = data.endAt ? parseDate(data.endAt, 'endAt') : undefined;
+    if (endAt && endAt <= startAt) throw new Error('endAt must be after startAt');
+    if (endAt && endAt <= new Date()) throw new Error('endAt must be in the future');
+
+    // A permanent change occupies only its start
+    const end = endAt || startAt;
+    const clash = await PriceSchedule.findOne({
+        product: product._id,
+        variant: variant ? variant._id : null,
+        status: mongoose.trusted({ $in: ['scheduled', 'active'] }),
+        startAt: mongoose.trusted({ $lt: end }),
+        $or: [
+            { endAt: mongoose.trusted({ $gt: startAt }) },
+            { endAt: null, startAt: mongoose.trusted({ $gt: startAt }) }
+        ]
+    }).select('_id startAt endAt').lean();
+    if (clash) {
+        throw new Error('Overlaps another schedule for this product');
+    }
+
+    return PriceSchedule.create({
+        product: product._id,
+        variant: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : product.sku,
+        price,
+        offerPrice,
+        offerText: data.offerText ? String(data.offerText).trim() : undefined,
+        startAt,
+        endAt,
+        note: data.note ? String(data.note) : undefined,
+        createdBy
+    });
+};
+
+/**
+ * Cancel a schedule. One that is already applied is undone now.
+ */
+const cancelSchedule = async (scheduleId, adminId) => {
+    if (!mongoose.Types.ObjectId.isValid(scheduleId)) throw new Error('Schedule not found');
+
+    const schedule = await PriceSchedule.findById(scheduleId).select('status').lean();
+    if (!schedule) throw new Error('Schedule not found');
+
+    if (schedule.status === 'scheduled') {
+        const cancelled = await PriceSchedule.findOneAndUpdate(
+            { _id: scheduleId, status: 'scheduled' },
+            { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: adminId } },
+            { new: true }
+        );
+        if (cancelled) return cancelled;
+    }
+
+    if (schedule.status === 'active' || schedule.status === 'scheduled') {
+        await PriceSchedule.updateOne({ _id: scheduleId, status: 'active' }, { $set: { endAt: new Date() } });
+        const reverted = await revertSchedule(scheduleId, { cancelledBy: adminId });
+        if (reverted) return reverted;
+    }
+
+    throw new Error('Only scheduled or active schedules can be cancelled');
+};
+
+// ========================================
+// APPLY / REVERT
+// ========================================
+
+/**
+ * Apply a due schedule. Returns it, or null when another run got there first.
+ */
+const applySchedule = async (scheduleId) => {
+    const now = new Date();
+
+    try {
+        const schedule = await withTransaction(async (session) => {
+            const claimed = await PriceSchedule.findOneAndUpdate(
+                { _id: scheduleId, status: 'scheduled', startAt: mongoose.trusted({ $lte: now }) },
+                { $set: { status: 'active', appliedAt: now } },
+                { new: true, session }
+            );
+            if (!claimed) return null;
+
+            const product = await Product.findById(claimed.product).session(session);
+            if (!product) throw new Error('Product not found');
+            const target = targetOf(product, claimed.variant);
+
+            const before = { price: target.price, offerPrice: target.offerPrice };
+            claimed.previous = { ...before, offerText: product.offerText, isOffer: product.isOffer };
+
+            if (claimed.price !== undefined) target.price = claimed.price;
+            if (claimed.offerPrice !== undefined) {
+                target.offerPrice = claimed.offerPrice;
+                product.isOffer = claimed.offerPrice < target.price;
+            }
+            if (claimed.offerText) product.offerText = claimed.offerText;
+            if (target !== product && product.variants[0]._id.equals(target._id)) mirrorLeadVariant(product);
+
+            await product.save({ session });
+
+            // Nothing to undo for a permanent change
+            if (!claimed.endAt) claimed.status = 'completed';
+            await claimed.save({ session });
+
+            await PriceHistory.create([{
+                product: product._id,
+                variant: claimed.variant,
+                sku: claimed.sku,
+                price: target.price,
+                offerPrice: target.offerPrice,
+                offerText: product.offerText,
+                previousPrice: before.price,
+                previousOfferPrice: before.offerPrice,
+                reason: 'schedule_applied',
+                schedule: claimed._id,
+                changedAt: now
+            }], { session });
+
+            return claimed;
+        });
+
+        if (schedule) {
+            clearProductCache();
+            console.log(`[PRICE] Applied schedule ${schedule._id} to ${schedule.sku || schedule.product}`);
+        }
+        return schedule;
+    } catch (error) {
+        if (!isPermanent(error)) throw error;
+
+        await PriceSchedule.updateOne(
+            { _id: scheduleId, status: 'scheduled' },
+            { $set: { status: 'failed', error: error.message } }
+        );
+        console.error(`[PRICE] Schedule ${scheduleId} failed: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Undo an active schedule whose end has passed. With cancelledBy the
+ * schedule ends as cancelled rather than completed.
+ */
+const revertSchedule = async (scheduleId, { cancelledBy } = {}) => {
+    const now = new Date();
+
+    const schedule = await withTransaction(async (session) => {
+        const set = cancelledBy
+            ? { status: 'cancelled', revertedAt: now, cancelledAt: now, cancelledBy }
+            : { status: 'completed', revertedAt: now };
+
+        const claimed = await PriceSchedule.findOneAndUpdate(
+            { _id: scheduleId, status: 'active', endAt: mongoose.trusted({ $lte: now }) },
+            { $set: set },
+            { new: true, session }
+        );
+        if (!claimed) return null;
+
+        const product = await Product.findById(claimed.product).session(session);
+        let target = null;
+        try {
+            target = product && targetOf(product, claimed.variant);
+        } catch (err) {
+            // Variant deleted while the schedule ran; nothing left to undo
+        }
+        if (!target) {
+            claimed.error = 'Product or variant no longer exists; nothing was reverted';
+            await claimed.save({ session });
+            return claimed;
+        }
+
+        const previous = claimed.previous || {};
+        const before = { price: target.price, offerPrice: target.offerPrice };
+
+        if (claimed.price !== undefined && target.price === claimed.price) {
+            target.price = previous.price;
+        }
+        if (claimed.offerPrice !== undefined && target.offerPrice === claimed.offerPrice) {
+            target.offerPrice = previous.offerPrice;
+
+            // Another variant's offer may still be running
+            const otherOffer = await PriceSchedule.exists({
+                product: product._id,
+                _id: mongoose.trusted({ $ne: claimed._id }),
+                status: 'active',
+                offerPrice: mongoose.trusted({ $exists: true })
+            }).session(session);
+            product.isOffer = !!previous.isOffer || !!otherOffer;
+        }
+        if (claimed.offerText && product.offerText === claimed.offerText) {
+            product.offerText = previous.offerText;
+        }
+        if (target !== product && product.variants[0]._id.equals(target._id)) mirrorLeadVariant(product);
+
+        if (product.isModified()) {
+            await product.save({ session });
+
+            await PriceHistory.create([{
+                product: product._id,
+                variant: claimed.variant,
+                sku: claimed.sku,
+                price: target.price,
+                offerPrice: target.offerPrice,
+                offerText: product.offerText,
+                previousPrice: before.price,
+                previousOfferPrice: before.offerPrice,
+                reason: 'schedule_reverted',
+                schedule: claimed._id,
+                changedAt: now
+            }], { session });
+        }
+
+        return claimed;
+    });
+
+    if (schedule) {
+        clearProductCache();
+        console.log(`[PRICE] Reverted schedule ${schedule._id} on ${schedule.sku || schedule.product}`);
+    }
+    return schedule;
+};
+
+// ========================================
+// SCHEDULER
+// ========================================
+
+/**
+ * Undo ended schedules, then apply started ones (so back-to-back
+ * schedules hand over cleanly)
+ */
+const runDue = async () => {
+    const now = new Date();
+    const counts = { applied: 0, reverted: 0 };
+
+    const ending = await PriceSchedule.find({ status: 'active', endAt: mongoose.trusted({ $lte: now }) })
+        .select('_id')
+        .sort({ endAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+    for (const { _id } of ending) {
+        try {
+            if (await revertSchedule(_id)) counts.reverted++;
+        } catch (err) {
+            console.error(`[PRICE] Reverting schedule ${_id} failed:`, err.message);
+        }
+    }
+
+    const starting = await PriceSchedule.find({ status: 'scheduled', startAt: mongoose.trusted({ $lte: now }) })
+        .select('_id')
+        .sort({ startAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+    for (const { _id } of starting) {
+        try {
+            if (await applySchedule(_id)) counts.applied++;
+        } catch (err) {
+            console.error(`[PRICE] Applying schedule ${_id} failed:`, err.message);
+        }
+    }
+
+    return counts;
+};
+
+/**
+ * Background scheduler
+ */
+const startPriceScheduler = () => {
+    const timer = setInterval(() => {
+        runDue().catch(err => console.error('[PRICE] Scheduler run failed:', err.message));
+    }, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+// ========================================
+// LISTING
+// ========================================
+
+/**
+ * A product's schedules split into upcoming / active / past, with its
+ * recent price history
+ */
+const listForProduct = async (productId) => {
+    if (!mongoose.Types.ObjectId.isValid(productId)) throw new Error('Product not found');
+
+    const product = await Product.findById(productId).select('name slug sku price offerPrice variants.sku variants.weight variants.price variants.offerPrice').lean();
+    if (!product) throw new Error('Product not found');
+
+    const [schedules, history] = await Promise.all([
+        PriceSchedule.find({ product: product._id })
+            .select('-__v')
+            .populate('createdBy cancelledBy', 'name email')
+            .sort({ startAt: -1 })
+            .limit(200)
+            .lean()
+            .maxTimeMS(10000),
+        PriceHistory.find({ product: product._id })
+            .select('-__v')
+            .sort({ changedAt: -1 })
+            .limit(100)
+            .lean()
+            .maxTimeMS(10000)
+    ]);
+
+    return {
+        product,
+        upcoming: schedules.filter(s => s.status === 'scheduled').reverse(),
+        active: schedules.filter(s => s.status === 'active'),
+        past: schedules.filter(s => !['scheduled', 'active'].includes(s.status)).slice(0, 50),
+        history
+    };
+};
+
+module.exports = {
+    createSchedule,
+    cancelSchedule,
+    applySchedule,
+    revertSchedule,
+    runDue,
+    startPriceScheduler,
+    listForProduct
+};
@@ -0,0 +1,323 @@
+const Setting = require('../models/Setting');
+const { Product, Combo } = require('../models/Product');
+const couponService = require('./couponService');
+
+// ========================================
+// PRICING ENGINE
+// ========================================
+// Single source of truth for what a cart costs. Cart quotes, order
+// creation and courier payloads all go through here so the numbers
+// can't drift. All prices are GST-inclusive (Indian MRP convention);
+// the GST breakdown is carved out of them, never added on top.
+// ========================================
+
+const SETTINGS_CACHE_MS = 5 * 60 * 1000;
+let settingsCache = null;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pricing-related settings (cached; cleared when settings are saved)
+ */
+const getPricingSettings = async () => {
+    if (settingsCache && Date.now() - settingsCache.timestamp < SETTINGS_CACHE_MS) {
+        return settingsCache.data;
+    }
+
+    const doc = await Setting.findOne({ key: 'site_settings' })
+        .select('freeShippingThreshold defaultShippingCharge gstin businessState defaultGstRate shippingGstRate currency')
+        .lean()
+        .maxTimeMS(3000)
+        .exec();
+
+    // Missing document -> schema defaults
+    const defaults = new Setting().toObject();
+    const data = {
+        freeShippingThreshold: doc?.freeShippingThreshold ?? defaults.freeShippingThreshold,
+        defaultShippingCharge: doc?.defaultShippingCharge ?? defaults.defaultShippingCharge,
+        gstin: doc?.gstin || '',
+        businessState: doc?.businessState || defaults.businessState,
+        defaultGstRate: doc?.defaultGstRate ?? defaults.defaultGstRate,
+        shippingGstRate: doc?.shippingGstRate ?? defaults.shippingGstRate,
+        currency: doc?.currency || defaults.currency
+    };
+
+    settingsCache = { data, timestamp: Date.now() };
+    return data;
+};
+
+const clearSettingsCache = () => {
+    settingsCache = null;
+};
+
+/**
+ * Selling price for a product or variant: the offer price when the
+ * product is on offer and it's a real reduction, otherwise the list price
+ */
+const sellingPrice = (product, variant) => {
+    const source = variant || product;
+
+    // Combos are sold at their bundle price
+    if (product.comboPrice !== undefined && product.comboPrice !== null && !variant) {
+        return product.comboPrice;
+    }
+
+    if (product.isOffer && source.offerPrice > 0 && (!source.price || source.offerPrice < source.price)) {
+        return source.offerPrice;
+    }
+    return source.price;
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax
+ */
+const splitInclusive = (gross, rate) => {
+    const taxable = rate > 0 ? gross / (1 + rate / 100) : gross;
+    return { taxable: round2(taxable), tax: round2(gross - taxable) };
+};
+
+const sameState = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Resolve cart lines against the catalog. Throws with a customer-facing
+ * message for missing products or an unselected pack size.
+ * Lines are { id|product, type, variantId|sku|weight, quantity }.
+ */
+const resolveLines = async (lines, settings) => {
+    const items = [];
+
+    for (const line of lines) {
+        const quantity = parseInt(line.quantity);
+        if (!quantity || quantity < 1) {
+            throw new Error(`Invalid quantity for ${line.name || 'item'}`);
+        }
+
+        const product = await Product.findById(line.product || line.id);
+
+        if (!product || product.isActive === false) {
+            throw new Error(line.name ? `Product ${line.name} not found` : 'Product not found');
+        }
+
+        // From the stored document, never the client's `type`: a combo
+        // priced as a plain product would skip its component stock
+        const isCombo = product instanceof Combo;
+
+        let variant = null;
+        if (product.variants && product.variants.length > 0) {
+            // Resolve by variantId / SKU (weight only for legacy carts)
+            variant = product.findVariant(line);
+            if (!variant) {
+                throw new Error(`Please select a pack size for ${product.name}`);
+            }
+        }
+
+        const unitPrice = sellingPrice(product, variant);
+        if (!(unitPrice >= 0)) {
+            throw new Error(`${product.name} is not available for sale`);
+        }
+
+        // Combos ship their component packs; each must still be on sale
+        let components;
+        if (isCombo) {
+            // Required here: comboService prices components with sellingPrice
+            const comboService = require('./comboService');
+            const combo = product.toObject();
+            const productsById = await comboService.loadComponentProducts([combo]);
+            const { components: parts, inactiveComponents } = comboService.describeCombo(combo, productsById);
+            if (parts.length === 0 || inactiveComponents.length > 0) {
+                throw new Error(`${product.name} is not available for sale`);
+            }
+            components = parts.map(part => {
+                const component = productsById.get(part.product);
+                const componentPack = (part.variantId && (component.variants || [])
+                    .find(v => String(v._id) === String(part.variantId))) || component;
+                return {
+                    product: part.product,
+                    variantId: part.variantId || undefined,
+                    sku: part.sku || componentPack.sku || component.sku,
+                    name: component.name,
+                    quantity: part.quantity,
+                    // Parcel data: a combo ships as these packs
+                    weight: componentPack.weight,
+                    netWeightGrams: componentPack.netWeightGrams,
+                    grossWeightGrams: componentPack.grossWeightGrams,
+                    dimensions: componentPack.dimensions
+                };
+            });
+        }
+
+        const mrp = Math.max(unitPrice, (variant || product).originalPrice || 0, (variant || product).price || 0);
+        const pack = variant || product;
+
+        items.push({
+            product: product._id,
+            type: isCombo ? 'combo' : 'product',
+            category: product.category,
+            name: product.name,
+            image: product.image,
+            variantId: variant ? variant._id : undefined,
+            sku: variant ? variant.sku : product.sku,
+            weight: variant ? variant.weight : product.weight,
+            netWeightGrams: pack.netWeightGrams,
+            grossWeightGrams: pack.grossWeightGrams,
+            dimensions: pack.dimensions && pack.dimensions.toObject ? pack.dimensions.toObject() : pack.dimensions,
+            quantity,
+            unitPrice,
+            mrp,
+            lineTotal: round2(unitPrice * quantity),
+            hsnCode: product.hsnCode,
+            gstRate: product.gstRate ?? settings.defaultGstRate,
+            components
+        });
+    }
+
+    return items;
+};
+
+/**
+ * GST breakdown. The coupon discount is spread over lines in proportion
+ * to their value before tax is carved out, so tax is on what was paid.
+ */
+const buildTax = (items, discount, shippingCharge, settings, deliveryState) => {
+    const intraState = !deliveryState || sameState(deliveryState, settings.businessState);
+    const subtotal = items.reduce((sum, i) => sum + i.lineTotal, 0);
+    const byRate = new Map();
+
+    const add = (rate, gross) => {
+        const { taxable, tax } = splitInclusive(gross, rate);
+        const row = byRate.get(rate) || { rate, taxable: 0, tax: 0 };
+        row.taxable += taxable;
+        row.tax += tax;
+        byRate.set(rate, row);
+        return { taxable, tax };
+    };
+
+    for (const item of items) {
+        const share = subtotal > 0 ? (item.lineTotal / subtotal) * discount : 0;
+        const net = Math.max(0, item.lineTotal - share);
+        const { taxable, tax } = add(item.gstRate, net);
+        item.taxableValue = taxable;
+        item.taxAmount = tax;
+    }
+
+    if (shippingCharge > 0) {
+        add(settings.shippingGstRate, shippingCharge);
+    }
+
+    const rates = Array.from(byRate.values())
+        .sort((a, b) => a.rate - b.rate)
+        .map(row => {
+            const tax = round2(row.tax);
+            const half = round2(tax / 2);
+            return {
+                rate: row.rate,
+                taxable: round2(row.taxable),
+                cgst: intraState ? half : 0,
+                sgst: intraState ? round2(tax - half) : 0,
+                igst: intraState ? 0 : tax,
+                tax
+            };
+        });
+
+    const sum = (key) => round2(rates.reduce((total, r) => total + r[key], 0));
+
+    return {
+        intraState,
+        rates,
+        taxable: sum('taxable'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        total: sum('tax')
+    };
+};
+
+/**
+ * Price a cart.
+ * @param {Array} lines - Cart or checkout lines
+ * @param {Object} options
+ * @param {string} options.userId - Needed for coupon checks
+ * @param {string} options.couponCode - Optional coupon
+ * @param {boolean} options.strictCoupon - Throw on an invalid coupon (checkout)
+ *   instead of returning couponError (cart quote)
+ * @param {string} options.deliveryState - Decides CGST+SGST vs IGST
+ */
+const priceCart = async (lines, { userId, couponCode, strictCoupon = false, deliveryState } = {}) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new Error('No order items');
+    }
+
+    const settings = await getPricingSettings();
+    const items = await resolveLines(lines, settings);
+
+    const subtotal = round2(items.reduce((sum, i) => sum + i.lineTotal, 0));
+    const mrpTotal = round2(items.reduce((sum, i) => sum + i.mrp * i.quantity, 0));
+
+    // Coupon is validated against server prices, never the client's
+    let coupon = null;
+    let couponError = null;
+    let discount = 0;
+
+    if (couponCode) {
+        try {
+            coupon = await couponService.validateCoupon(couponCode, userId, items);
+            discount = round2(Math.min(coupon.discount, subtotal));
+        } catch (error) {
+            if (strictCoupon) throw error;
+            couponError = error.message;
+        }
+    }
+
+    // Shipping threshold is on the item value before the coupon
+    const threshold = settings.freeShippingThreshold;
+    const shippingCharge = threshold > 0 && subtotal < threshold ? settings.defaultShippingCharge : 0;
+
+    const tax = buildTax(items, discount, shippingCharge, settings, deliveryState);
+    const total = round2(Math.max(0, subtotal - discount) + shippingCharge);
+
+    return {
+        items,
+        currency: settings.currency,
+        mrpTotal,
+        offerSavings: round2(mrpTotal - subtotal),
+        subtotal,
+        coupon: coupon ? {
+            id: coupon.coupon._id,
+            code: coupon.code,
+            description: coupon.coupon.description
+        } : null,
+        couponError,
+        discount,
+        shipping: {
+            charge: shippingCharge,
+            freeShippingThreshold: threshold,
+            amountToFreeShipping: shippingCharge > 0 ? round2(threshold - subtotal) : 0
+        },
+        tax,
+        total
+    };
+};
+
+/**
+ * Amounts for a saved order, for courier payloads and invoices.
+ * Orders from before the pricing engine have no shippingCharge stored,
+ * so it is derived from the total.
+ */
+const orderAmounts = (order) => {
+    const subtotal = round2(order.items.reduce((sum, i) => sum + i.price * i.quantity, 0));
+    const discount = order.discount || 0;
+    const shippingCharge = order.shippingCharge !== undefined && order.shippingCharge !== null
+        ? order.shippingCharge
+        : Math.max(0, round2(order.total - (subtotal - discount)));
+
+    return { subtotal, discount, shippingCharge, total: order.total };
+};
+
+module.exports = {
+    priceCart,
+    orderAmounts,
+    buildTax,
+    sellingPrice,
+    getPricingSettings,
+    clearSettingsCache
+};
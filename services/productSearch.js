@@ -0,0 +1,515 @@
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const Category = require('../models/Category');
+const SearchSynonym = require('../models/SearchSynonym');
+const { normaliseTerm } = require('../models/SearchSynonym');
+
+// ========================================
+// PRODUCT SEARCH
+// ========================================
+// Search behind GET /api/products(?search=), /search/query and /suggest.
+// A query is split into words; each word matches the start of a word in
+// the name, tags or brand, and every word must match (if nothing does,
+// any word will). Each word is widened before matching:
+//   typos     - a word not in the catalog vocabulary is also tried as the
+//               closest vocabulary word (1 edit, 2 for long words)
+//   synonyms  - SearchSynonym maps regional / transliterated words to
+//               catalog words and to products
+// Results come with facet counts; each facet is counted with the other
+// facets' filters applied but not its own, so choosing one category still
+// shows how many results the others have.
+// ========================================
+
+const DICTIONARY_TTL_MS = 5 * 60 * 1000;
+const MAX_QUERY_WORDS = 8;
+const MIN_FUZZY_LENGTH = 4;
+
+// Effective (offer) price bands; the last has no upper bound
+const PRICE_BANDS = [
+    { key: 'under-100', min: 0, max: 100 },
+    { key: '100-250', min: 100, max: 250 },
+    { key: '250-500', min: 250, max: 500 },
+    { key: '500-1000', min: 500, max: 1000 },
+    { key: '1000-plus', min: 1000 }
+];
+
+const SORTS = {
+    relevance: { score: -1, salesCount: -1 },
+    price_asc: { effectivePrice: 1 },
+    price_desc: { effectivePrice: -1 },
+    name: { name: 1 },
+    popular: { rating: -1, numReviews: -1 },
+    newest: { createdAt: -1 }
+};
+
+const RESULT_FIELDS = {
+    name: 1, slug: 1, price: 1, offerPrice: 1, image: 1, images: 1, category: 1, rating: 1,
+    numReviews: 1, stock: 1, isOffer: 1, weight: 1, variants: 1, isNewArrival: 1,
+    short_description: 1, tasteProfile: 1, certifications: 1, effectivePrice: 1, inStock: 1, score: 1
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Start of a word; \b is ASCII-only in the server's regex engine
+const wordStart = (word) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(word)}`, 'iu');
+
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+};
+
+// ========================================
+// DICTIONARY (VOCABULARY + SYNONYMS)
+// ========================================
+
+let dictionary = null;
+let dictionaryLoadedAt = 0;
+
+/**
+ * Catalog vocabulary (words of names, tags and brands) and the active
+ * synonyms, cached for a few minutes
+ */
+const loadDictionary = async () => {
+    if (dictionary && Date.now() - dictionaryLoadedAt < DICTIONARY_TTL_MS) return dictionary;
+
+    const [products, synonyms] = await Promise.all([
+        Product.find({ isActive: true }).select('name tags brand').lean().maxTimeMS(10000),
+        SearchSynonym.find({ isActive: true }).select('term matches products').lean().maxTimeMS(5000)
+    ]);
+
+    const vocabulary = new Set();
+    for (const product of products) {
+        const text = [product.name, product.brand, ...(product.tags || [])].join(' ');
+        for (const word of normaliseTerm(text).split(' ')) {
+            if (word.length >= 3) vocabulary.add(word);
+        }
+    }
+
+    const synonymMap = new Map();
+    for (const synonym of synonyms) {
+        synonymMap.set(synonym.term, {
+            matches: synonym.matches || [],
+            products: (synonym.products || []).map(String)
+        });
+        if (!synonym.term.includes(' ')) vocabulary.add(synonym.term);
+    }
+
+    dictionary = { vocabulary, synonyms: synonymMap };
+    dictionaryLoadedAt = Date.now();
+    return dictionary;
+};
+
+/**
+ * Drop the cached dictionary (after synonym edits)
+ */
+const invalidateDictionary = () => {
+    dictionary = null;
+};
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Closest vocabulary word within the allowed edits, for a word the catalog
+ * doesn't know
+ */
+const correct = (word, vocabulary) => {
+    if (word.length < MIN_FUZZY_LENGTH || vocabulary.has(word)) return null;
+    // Still being typed: a prefix of a known word is fine as it is
+    for (const known of vocabulary) {
+        if (known.startsWith(word)) return null;
+    }
+
+    const max = word.length >= 7 ? 2 : 1;
+    let best = null;
+    let bestDistance = max + 1;
+    for (const known of vocabulary) {
+        const distance = editDistance(word, known, max);
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+// ========================================
+// QUERY EXPANSION
+// ========================================
+
+/**
+ * Turn a query into word groups: each group is the alternatives for one
+ * typed word (the word, its correction, synonym words) and the products
+ * synonyms point at. A synonym for the whole phrase or two adjacent words
+ * gives `phraseProducts`, which match regardless of the groups.
+ */
+const expandQuery = async (q) => {
+    const { vocabulary, synonyms } = await loadDictionary();
+    const words = normaliseTerm(q).split(' ').filter(Boolean).slice(0, MAX_QUERY_WORDS);
+
+    const corrections = [];
+    const applied = [];
+    const phraseProducts = new Set();
+    const phraseWords = new Set();
+
+    const addSynonym = (term, group) => {
+        const synonym = synonyms.get(term);
+        if (!synonym) return false;
+        applied.push(term);
+        synonym.matches.forEach(match => group.words.add(match));
+        synonym.products.forEach(id => group.products.add(id));
+        return true;
+    };
+
+    // Whole phrase and adjacent pairs
+    const phrases = words.length > 1 ? [words.join(' ')] : [];
+    for (let i = 0; i < words.length - 1; i++) phrases.push(`${words[i]} ${words[i + 1]}`);
+    for (const phrase of new Set(phrases)) {
+        const group = { words: new Set(), products: new Set() };
+        if (!addSynonym(phrase, group)) continue;
+        group.products.forEach(id => phraseProducts.add(id));
+        group.words.forEach(word => phraseWords.add(word));
+    }
+
+    const groups = words.map(word => {
+        const group = { word, words: new Set([word]), products: new Set() };
+        addSynonym(word, group);
+
+        const fixed = correct(word, vocabulary);
+        if (fixed) {
+            corrections.push({ from: word, to: fixed });
+            group.words.add(fixed);
+            addSynonym(fixed, group);
+        }
+        return group;
+    });
+
+    return { words, groups, corrections, synonyms: [...new Set(applied)], phraseProducts, phraseWords };
+};
+
+/**
+ * $match for one group: any of its words at a word start in name, tags or
+ * brand, or one of its products
+ */
+const groupMatch = (words, productIds) => {
+    const clauses = [];
+    for (const word of words) {
+        const regex = wordStart(word);
+        clauses.push({ name: regex }, { tags: regex }, { brand: regex });
+    }
+    if (productIds.size > 0) {
+        clauses.push({ _id: { $in: [...productIds].map(id => new mongoose.Types.ObjectId(id)) } });
+    }
+    return { $or: clauses };
+};
+
+/**
+ * Relevance: name hits over tag hits over brand hits, plus synonym products
+ */
+const scoreExpression = (groups) => {
+    const terms = [];
+    for (const group of groups) {
+        for (const word of group.words) {
+            const regex = `(^|[^\\p{L}\\p{N}])${escapeRegex(word)}`;
+            const original = word === group.word ? 2 : 1;
+            terms.push({ $cond: [{ $regexMatch: { input: { $ifNull: ['$name', ''] }, regex, options: 'i' } }, 10 * original, 0] });
+            terms.push({
+                $cond: [{
+                    $anyElementTrue: [{
+                        $map: {
+                            input: { $ifNull: ['$tags', []] },
+                            as: 'tag',
+                            in: { $regexMatch: { input: '$$tag', regex, options: 'i' } }
+                        }
+                    }]
+                }, 5 * original, 0]
+            });
+            terms.push({ $cond: [{ $regexMatch: { input: { $ifNull: ['$brand', ''] }, regex, options: 'i' } }, 3 * original, 0] });
+        }
+        if (group.products.size > 0) {
+            const ids = [...group.products].map(id => new mongoose.Types.ObjectId(id));
+            terms.push({ $cond: [{ $in: ['$_id', ids] }, 15, 0] });
+        }
+    }
+    return terms.length > 0 ? { $add: terms } : 0;
+};
+
+// ========================================
+// FILTERS
+// ========================================
+
+/**
+ * Category ids from ids or slugs, including their subcategories
+ */
+const resolveCategories = async (values) => {
+    const ids = values.filter(v => mongoose.Types.ObjectId.isValid(v)).map(v => new mongoose.Types.ObjectId(v));
+    const slugs = values.filter(v => !mongoose.Types.ObjectId.isValid(v));
+    if (slugs.length > 0) {
+        const found = await Category.find({ slug: mongoose.trusted({ $in: slugs }) }).select('_id').lean();
+        ids.push(...found.map(c => c._id));
+    }
+    return Category.withDescendantIds(ids);
+};
+
+/**
+ * Facet filters as { dimension: $match clause }
+ */
+const buildFilters = async (filters = {}) => {
+    const clauses = {};
+
+    const categories = toList(filters.category);
+    if (categories.length > 0) {
+        clauses.category = { category: { $in: await resolveCategories(categories) } };
+    }
+
+    const band = PRICE_BANDS.find(b => b.key === filters.price);
+    const min = band ? band.min : parseFloat(filters.priceMin);
+    const max = band ? band.max : parseFloat(filters.priceMax);
+    if (Number.isFinite(min) || Number.isFinite(max)) {
+        const range = {};
+        if (Number.isFinite(min)) range.$gte = min;
+        if (Number.isFinite(max)) range.$lt = max;
+        clauses.price = { effectivePrice: range };
+    }
+
+    const weights = toList(filters.weight);
+    if (weights.length > 0) clauses.weight = { weights: { $in: weights } };
+
+    const certifications = toList(filters.certification);
+    if (certifications.length > 0) clauses.certification = { certifications: { $in: certifications } };
+
+    const tastes = toList(filters.tasteProfile);
+    if (tastes.length > 0) clauses.tasteProfile = { tasteProfile: { $in: tastes } };
+
+    if (String(filters.inStock) === 'true') clauses.inStock = { inStock: true };
+
+    return clauses;
+};
+
+const matchExcept = (clauses, dimension) => {
+    const parts = Object.entries(clauses).filter(([key]) => key !== dimension).map(([, clause]) => clause);
+    return { $match: parts.length > 0 ? { $and: parts } : {} };
+};
+
+const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } }
+];
+
+// ========================================
+// SEARCH
+// ========================================
+
+/**
+ * Search (or browse, without q) active products.
+ * @param {Object} options
+ * @param {string} options.q - What the customer typed
+ * @param {Object} options.filters - category, price (band key) or priceMin/priceMax, weight, certification, tasteProfile, inStock
+ * @param {string} options.sort - relevance (default with q), price_asc, price_desc, name, popular, newest
+ * @param {boolean} options.featured - Featured products only
+ */
+const search = async ({ q = '', filters = {}, sort, page = 1, limit = 20, featured = false } = {}) => {
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const base = { isActive: true };
+    if (featured) base.isFeatured = true;
+
+    const expanded = q && normaliseTerm(q) ? await expandQuery(q) : null;
+    const clauses = await buildFilters(filters);
+
+    const run = async (mode) => {
+        const match = { ...base };
+        if (expanded) {
+            const groupClauses = expanded.groups.map(g => groupMatch([...g.words], g.products));
+            const words = mode === 'all'
+                ? { $and: groupClauses }
+                : { $or: groupClauses };
+            const phrase = expanded.phraseProducts.size > 0 || expanded.phraseWords.size > 0
+                ? [groupMatch([...expanded.phraseWords], expanded.phraseProducts)]
+                : [];
+            match.$or = [words, ...phrase];
+        }
+
+        const sortBy = SORTS[sort] || (expanded ? SORTS.relevance : SORTS.newest);
+        const all = matchExcept(clauses, null);
+
+        const [result] = await Product.aggregate([
+            { $match: match },
+            {
+                $addFields: {
+                    effectivePrice: {
+                        $cond: [
+                            { $and: [{ $gt: ['$offerPrice', 0] }, { $lt: ['$offerPrice', '$price'] }] },
+                            '$offerPrice',
+                            '$price'
+                        ]
+                    },
+                    weights: {
+                        $cond: [
+                            { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                            '$variants.weight',
+                            { $cond: [{ $ifNull: ['$weight', false] }, ['$weight'], []] }
+                        ]
+                    },
+                    inStock: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, 0] },
+                    score: expanded ? scoreExpression(expanded.groups) : 0
+                }
+            },
+            {
+                $facet: {
+                    products: [all, { $sort: { ...sortBy, _id: 1 } }, { $skip: skip }, { $limit: limit }, { $project: RESULT_FIELDS }],
+                    total: [all, { $count: 'count' }],
+                    category: [matchExcept(clauses, 'category'), ...countBy('$category')],
+                    price: [
+                        matchExcept(clauses, 'price'),
+                        {
+                            $bucket: {
+                                groupBy: '$effectivePrice',
+                                boundaries: [...PRICE_BANDS.map(b => b.min), Number.MAX_SAFE_INTEGER],
+                                default: 'other',
+                                output: { count: { $sum: 1 } }
+                            }
+                        }
+                    ],
+                    weight: [matchExcept(clauses, 'weight'), { $unwind: '$weights' }, ...countBy('$weights')],
+                    certification: [matchExcept(clauses, 'certification'), { $unwind: '$certifications' }, ...countBy('$certifications')],
+                    tasteProfile: [matchExcept(clauses, 'tasteProfile'), ...countBy('$tasteProfile')],
+                    inStock: [matchExcept(clauses, 'inStock'), { $group: { _id: '$inStock', count: { $sum: 1 } } }]
+                }
+            }
+        ]).option({ maxTimeMS: 15000 });
+
+        return result;
+    };
+
+    let relaxed = false;
+    let result = await run('all');
+    if (expanded && expanded.groups.length > 1 && result.total.length === 0) {
+        relaxed = true;
+        result = await run('any');
+    }
+
+    const categoryIds = result.category.map(c => c._id);
+    const categories = categoryIds.length === 0 ? [] : await Category.find({ _id: mongoose.trusted({ $in: categoryIds }) })
+        .select('name slug')
+        .lean();
+    const categoryById = new Map(categories.map(c => [String(c._id), c]));
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+        products: result.products,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + result.products.length < total,
+        facets: {
+            category: result.category.map(c => ({
+                value: c._id,
+                name: categoryById.get(String(c._id))?.name,
+                slug: categoryById.get(String(c._id))?.slug,
+                count: c.count
+            })),
+            price: result.price
+                .filter(b => b._id !== 'other')
+                .map(b => {
+                    const band = PRICE_BANDS.find(p => p.min === b._id);
+                    return { value: band.key, min: band.min, max: band.max, count: b.count };
+                }),
+            weight: result.weight.map(w => ({ value: w._id, count: w.count })),
+            certification: result.certification.map(c => ({ value: c._id, count: c.count })),
+            tasteProfile: result.tasteProfile.map(t => ({ value: t._id, count: t.count })),
+            inStock: {
+                inStock: result.inStock.find(s => s._id === true)?.count || 0,
+                outOfStock: result.inStock.find(s => s._id === false)?.count || 0
+            }
+        },
+        query: expanded ? {
+            text: q,
+            words: expanded.words,
+            corrections: expanded.corrections,
+            synonyms: expanded.synonyms,
+            relaxed
+        } : null
+    };
+};
+
+// ========================================
+// AUTOCOMPLETE
+// ========================================
+
+/**
+ * Completions for a partly typed query: vocabulary / synonym words that
+ * start with the last word, and products whose name (or a synonym of it)
+ * does
+ */
+const suggest = async (q, { limit = 8 } = {}) => {
+    const text = normaliseTerm(q);
+    const words = text.split(' ').filter(Boolean);
+    const prefix = words[words.length - 1];
+    if (!prefix || prefix.length < 2) return { query: text, terms: [], products: [] };
+
+    const { vocabulary, synonyms } = await loadDictionary();
+
+    const terms = [...vocabulary].filter(word => word.startsWith(prefix) && word !== prefix)
+        .sort((a, b) => a.length - b.length || a.localeCompare(b))
+        .slice(0, 5);
+
+    // Synonym terms being typed point at catalog words and products
+    const viaSynonym = { words: new Set(), products: new Set() };
+    for (const [term, synonym] of synonyms) {
+        if (!term.startsWith(prefix) && !term.startsWith(text)) continue;
+        synonym.matches.forEach(word => viaSynonym.words.add(word));
+        synonym.products.forEach(id => viaSynonym.products.add(id));
+    }
+
+    const earlier = words.slice(0, -1).map(word => ({ name: wordStart(word) }));
+    const nameClauses = [{ name: wordStart(prefix) }];
+    for (const word of viaSynonym.words) nameClauses.push({ name: wordStart(word) }, { tags: wordStart(word) });
+    if (viaSynonym.products.size > 0) {
+        nameClauses.push({ _id: mongoose.trusted({ $in: [...viaSynonym.products] }) });
+    }
+
+    const products = await Product.find({
+        isActive: true,
+        $and: [...earlier, { $or: nameClauses }]
+    })
+        .select('name slug image price offerPrice')
+        .sort({ salesCount: -1, name: 1 })
+        .limit(Math.min(parseInt(limit) || 8, 20))
+        .lean()
+        .maxTimeMS(5000);
+
+    return { query: text, terms, products };
+};
+
+module.exports = {
+    search,
+    suggest,
+    invalidateDictionary,
+    PRICE_BANDS
+};
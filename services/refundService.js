@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { razorpay } = require('./paymentService');
+const jobQueue = require('./jobQueue');
+
+// Sum of non-failed refund amounts, as an aggregation expression
+const refundedExpr = {
+    $sum: {
+        $map: {
+            input: {
+                $filter: {
+                    input: { $ifNull: ['$refunds', []] },
+                    as: 'r',
+                    cond: { $ne: ['$$r.status', 'failed'] }
+                }
+            },
+            as: 'r',
+            in: '$$r.amount'
+        }
+    }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Quantity of each order line already refunded (failed refunds excluded)
+ */
+const refundedQuantities = (order) => {
+    const map = new Map();
+    for (const refund of order.refunds || []) {
+        if (refund.status === 'failed') continue;
+        for (const line of refund.items || []) {
+            const key = line.item.toString();
+            map.set(key, (map.get(key) || 0) + line.quantity);
+        }
+    }
+    return map;
+};
+
+/**
+ * Work out refund lines and amount.
+ * - items: [{ itemId, quantity }] refunds those lines at the price paid
+ * - amount alone refunds an arbitrary amount (goodwill, shipping)
+ * - neither refunds whatever is left on the order
+ * Line amounts are scaled down by the order's coupon discount so a
+ * customer never gets back more than they paid for the line.
+ */
+const buildRefund = (order, { items, amount }) => {
+    const refundable = order.refundableAmount;
+
+    if (refundable <= 0) {
+        throw new Error('Nothing left to refund on this order');
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        const value = amount !== undefined ? round2(Number(amount)) : refundable;
+        if (!(value > 0)) {
+            throw new Error('Refund amount must be greater than zero');
+        }
+        if (value > refundable) {
+            throw new Error(`Refund amount exceeds the refundable balance of ₹${refundable}`);
+        }
+        return { lines: [], amount: value };
+    }
+
+    const alreadyRefunded = refundedQuantities(order);
+    const subtotal = order.items.reduce((sum, i) => sum + i.price * i.quantity, 0);
+    const discountRatio = subtotal > 0 ? Math.max(0, 1 - (order.discount || 0) / subtotal) : 1;
+
+    const lines = items.map(({ itemId, quantity }) => {
+        const line = order.items.id(itemId);
+        if (!line) {
+            throw new Error(`Order line ${itemId} not found`);
+        }
+
+        const qty = parseInt(quantity) || line.quantity;
+        const remaining = line.quantity - (alreadyRefunded.get(line._id.toString()) || 0);
+        if (qty < 1 || qty > remaining) {
+            throw new Error(`Only ${remaining} of ${line.name} can be refunded`);
+        }
+
+        return { item: line._id, quantity: qty, amount: round2(line.price * qty * discountRatio) };
+    });
+
+    let value = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+    if (amount !== undefined) {
+        // Explicit amount overrides (e.g. deduct return shipping) but can't exceed the lines
+        value = Math.min(value, round2(Number(amount)));
+    }
+    value = Math.min(value, refundable);
+
+    if (!(value > 0)) {
+        throw new Error('Refund amount must be greater than zero');
+    }
+    return { lines, amount: value };
+};
+
+/**
+ * Refund an order (fully or partially).
+ * The refund row is pushed first under a guard so two concurrent requests
+ * can't refund more than the order total; the gateway is called after.
+ * Returns { order, refund }.
+ */
+const createRefund = async (orderId, { items, amount, reason, mode, initiatedBy, returnRequest } = {}) => {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+
+    const paidOnline = order.paymentStatus === 'Paid' && order.payment && order.payment.paymentId;
+    const paidCod = order.paymentMethod === 'Cash on Delivery' && order.orderStatus === 'Delivered';
+
+    if (order.paymentStatus !== 'Paid' && !paidCod) {
+        throw new Error('Only paid orders can be refunded');
+    }
+
+    const refundMode = mode || (paidOnline ? 'gateway' : 'manual');
+    if (refundMode === 'gateway' && !paidOnline) {
+        throw new Error('No Razorpay payment on this order - use a manual refund');
+    }
+
+    const { lines, amount: value } = buildRefund(order, { items, amount });
+    const refundId = new mongoose.Types.ObjectId();
+
+    // Claim the amount atomically against the order total
+    const claimed = await Order.updateOne(
+        {
+            _id: order._id,
+            $expr: mongoose.trusted({ $lte: [{ $add: [refundedExpr, value] }, '$total'] })
+        },
+        {
+            $push: {
+                refunds: {
+                    _id: refundId,
+                    amount: value,
+                    reason,
+                    items: lines,
+                    mode: refundMode,
+                    status: refundMode === 'manual' ? 'processed' : 'pending',
+                    processedAt: refundMode === 'manual' ? new Date() : undefined,
+                    initiatedBy,
+                    returnRequest
+                }
+            }
+        }
+    );
+
+    if (claimed.modifiedCount !== 1) {
+        throw new Error('Refund exceeds the refundable balance (another refund may be in progress)');
+    }
+
+    if (refundMode === 'gateway') {
+        const set = {};
+        try {
+            const gatewayRefund = await razorpay.payments.refund(order.payment.paymentId, {
+                amount: Math.round(value * 100), // paise
+                receipt: `${order.orderId}-${refundId.toString().slice(-6)}`,
+                notes: { orderId: order.orderId, reason: reason || '' }
+            });
+
+            set['refunds.$[r].gatewayRefundId'] = gatewayRefund.id;
+            if (gatewayRefund.status === 'processed') {
+                set['refunds.$[r].status'] = 'processed';
+                set['refunds.$[r].processedAt'] = new Date();
+            }
+        } catch (error) {
+            const message = error.error?.description || error.message;
+            set['refunds.$[r].status'] = 'failed';
+            set['refunds.$[r].failureReason'] = message;
+            console.error(`[REFUND] Razorpay refund failed for ${order.orderId}:`, message);
+        }
+
+        await Order.updateOne(
+            { _id: order._id },
+            { $set: set },
+            { arrayFilters: [{ 'r._id': refundId }] }
+        );
+    }
+
+    await syncRefundedAmount(order._id);
+
+    const updated = await Order.findById(order._id).populate('user', 'name email phone whatsapp');
+    return { order: updated, refund: updated.refunds.id(refundId) };
+};
+
+/**
+ * Record a refund reported by Razorpay (webhook). Updates our row when we
+ * initiated it, otherwise (dashboard refund) adds one.
+ * Returns the order, or null when no order matches.
+ */
+const applyGatewayRefund = async (gatewayRefund, status = 'processed') => {
+    let order = await Order.findOne({ 'refunds.gatewayRefundId': gatewayRefund.id });
+
+    if (order) {
+        const refund = order.refunds.find(r => r.gatewayRefundId === gatewayRefund.id);
+        if (refund.status === status) return order; // Already applied
+        refund.status = status;
+        if (status === 'processed') refund.processedAt = refund.processedAt || new Date();
+        if (status === 'failed') refund.failureReason = gatewayRefund.error_description || 'Refund failed at gateway';
+    } else {
+        order = await Order.findOne({ 'payment.paymentId': gatewayRefund.payment_id });
+        if (!order) return null;
+
+        // The webhook can beat createRefund to storing the refund id
+        const amount = (gatewayRefund.amount || 0) / 100;
+        const inFlight = order.refunds.find(r =>
+            r.mode === 'gateway' && r.status === 'pending' && !r.gatewayRefundId && r.amount === amount
+        );
+
+        if (inFlight) {
+            inFlight.gatewayRefundId = gatewayRefund.id;
+            inFlight.status = status;
+            if (status === 'processed') inFlight.processedAt = new Date();
+            await order.save();
+            await syncRefundedAmount(order._id);
+            if (status === 'processed') notifyRefund(order, inFlight);
+            return order;
+        }
+
+        order.refunds.push({
+            amount,
+            reason: gatewayRefund.notes?.reason || 'Refunded from Razorpay dashboard',
+            mode: 'gateway',
+            gatewayRefundId: gatewayRefund.id,
+            status,
+            processedAt: status === 'processed' ? new Date() : undefined
+        });
+    }
+
+    await order.save();
+    await syncRefundedAmount(order._id);
+
+    const refund = order.refunds.find(r => r.gatewayRefundId === gatewayRefund.id);
+    if (status === 'processed') notifyRefund(order, refund);
+    return order;
+};
+
+/**
+ * Tell the customer about a refund (sent by the job worker)
+ */
+const notifyRefund = (order, refund) => {
+    jobQueue.enqueue('notify.refund', { orderId: order._id, refundId: refund._id, status: refund.status })
+        .catch(err => console.error('[ERROR] Queueing refund notification failed:', err));
+};
+
+/**
+ * Keep payment.refundedAmount equal to the processed refunds
+ */
+const syncRefundedAmount = async (orderId) => {
+    await Order.updateOne({ _id: orderId }, [{
+        $set: {
+            'payment.refundedAmount': {
+                $sum: {
+                    $map: {
+                        input: {
+                            $filter: {
+                                input: { $ifNull: ['$refunds', []] },
+                                as: 'r',
+                                cond: { $eq: ['$$r.status', 'processed'] }
+                            }
+                        },
+                        as: 'r',
+                        in: '$$r.amount'
+                    }
+                }
+            }
+        }
+    }]);
+};
+
+module.exports = {
+    createRefund,
+    applyGatewayRefund,
+    notifyRefund
+};
@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { RETURN_REASONS } = require('../models/ReturnRequest');
+const shipping = require('./shipping');
+const stockReservation = require('./stockReservation');
+const refundService = require('./refundService');
+const jobQueue = require('./jobQueue');
+
+// Days after delivery a return can be opened
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+const MAX_IMAGES = 6;
+
+// Statuses that can move on to a refund
+const REFUNDABLE_STATUSES = ['approved', 'picked_up', 'received'];
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * True for a URL on our own Cloudinary account
+ * (https://res.cloudinary.com/<cloud_name>/...)
+ */
+const isUploadedPhoto = (value) => {
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    if (!cloudName || typeof value !== 'string') return false;
+
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:'
+            && url.host === 'res.cloudinary.com'
+            && url.pathname.startsWith(`/${cloudName}/`);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Tell the customer about a status change (sent by the job worker)
+ */
+const notifyReturn = (returnRequest) => {
+    jobQueue.enqueue('notify.return-update', { returnId: returnRequest._id, status: returnRequest.status })
+        .catch(err => console.error('[ERROR] Queueing return notification failed:', err));
+};
+
+/**
+ * Atomically move a return from one of `from` to `to`. Throws with the
+ * current status when the return has already moved on.
+ */
+const transition = async (id, from, to, { note, by, set = {} } = {}) => {
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+        { _id: id, status: mongoose.trusted({ $in: from }) },
+        {
+            $set: { status: to, ...set },
+            $push: { history: { status: to, note, by, at: new Date() } }
+        },
+        { new: true }
+    );
+
+    if (!returnRequest) {
+        const existing = await ReturnRequest.findById(id).select('status').lean();
+        if (!existing) throw new Error('Return request not found');
+        throw new Error(`Return is already ${existing.status.replace('_', ' ')}`);
+    }
+
+    notifyReturn(returnRequest);
+    return returnRequest;
+};
+
+/**
+ * Quantity of each order line already covered by open returns
+ */
+const returnedQuantities = async (orderId) => {
+    const open = await ReturnRequest.find({
+        order: orderId,
+        status: mongoose.trusted({ $nin: ['rejected', 'cancelled'] })
+    }).select('items').lean();
+
+    const map = new Map();
+    for (const returnRequest of open) {
+        for (const line of returnRequest.items) {
+            const key = line.item.toString();
+            map.set(key, (map.get(key) || 0) + line.quantity);
+        }
+    }
+    return map;
+};
+
+// ========================================
+// CUSTOMER ACTIONS
+// ========================================
+
+/**
+ * Open a return for a delivered order.
+ * Body: { items: [{ itemId, quantity }], reason, description, images: [url] }
+ */
+const openReturn = async (user, orderRef, { items, reason, description, images } = {}) => {
+    const order = mongoose.Types.ObjectId.isValid(orderRef)
+        ? await Order.findById(orderRef)
+        : await Order.findOne({ orderId: orderRef });
+
+    if (!order) {
+        throw new Error('Order not found');
+    }
+    if (order.user.toString() !== user._id.toString()) {
+        throw new Error('Not authorized');
+    }
+    if (order.orderStatus !== 'Delivered') {
+        throw new Error('Returns can only be requested for delivered orders');
+    }
+
+    const deliveredAt = order.actualDeliveryDate || order.updatedAt;
+    if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+    }
+
+    if (!RETURN_REASONS.includes(reason)) {
+        throw new Error('Please select a reason for the return');
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Select at least one item to return');
+    }
+
+    const photos = Array.isArray(images) ? images : [];
+    if (!photos.every(isUploadedPhoto)) {
+        throw new Error('Photos must be uploaded through the store');
+    }
+    if (photos.length > MAX_IMAGES) {
+        throw new Error(`A maximum of ${MAX_IMAGES} photos can be attached`);
+    }
+    if (['damaged', 'wrong_item', 'expired'].includes(reason) && photos.length === 0) {
+        throw new Error('Please attach a photo of the item');
+    }
+
+    const alreadyReturned = await returnedQuantities(order._id);
+    const lines = items.map(({ itemId, quantity }) => {
+        const line = order.items.id(itemId);
+        if (!line) {
+            throw new Error(`Order line ${itemId} not found`);
+        }
+
+        const qty = parseInt(quantity) || line.quantity;
+        const remaining = line.quantity - (alreadyReturned.get(line._id.toString()) || 0);
+        if (qty < 1 || qty > remaining) {
+            throw new Error(`Only ${remaining} of ${line.name} can be returned`);
+        }
+
+        return {
+            item: line._id,
+            product: line.product,
+            variantId: line.variantId,
+            name: line.name,
+            sku: line.sku,
+            weight: line.weight,
+            price: line.price,
+            quantity: qty,
+            components: line.components
+        };
+    });
+
+    const returnRequest = new ReturnRequest({
+        rmaNumber: `RMA${Date.now()}${Math.floor(Math.random() * 1000)}`,
+        order: order._id,
+        orderId: order.orderId,
+        user: user._id,
+        items: lines,
+        reason,
+        description,
+        images: photos
+    });
+    returnRequest.transition('requested', { by: user._id });
+    await returnRequest.save();
+
+    notifyReturn(returnRequest);
+    return returnRequest;
+};
+
+/**
+ * Withdraw a return before the pickup is booked
+ */
+const cancelReturn = async (id, user) => {
+    const returnRequest = await ReturnRequest.findById(id).select('user');
+    if (!returnRequest) {
+        throw new Error('Return request not found');
+    }
+    if (returnRequest.user.toString() !== user._id.toString()) {
+        throw new Error('Not authorized');
+    }
+
+    return transition(id, ['requested', 'approved'], 'cancelled', { by: user._id, note: 'Cancelled by customer' });
+};
+
+// ========================================
+// ADMIN ACTIONS
+// ========================================
+
+/**
+ * Book the reverse pickup with the courier. Failures are stored on the return
+ * (pickup.error) and leave it 'approved' so the pickup can be retried.
+ */
+const schedulePickup = async (id, adminId) => {
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+        throw new Error('Return request not found');
+    }
+    if (returnRequest.status !== 'approved') {
+        throw new Error('Pickup can only be scheduled for approved returns');
+    }
+
+    const order = await Order.findById(returnRequest.order).select('orderId deliveryAddress paymentMethod items shipping');
+
+    let pickup;
+    try {
+        pickup = await shipping.createReturn(returnRequest, order);
+    } catch (error) {
+        await ReturnRequest.updateOne({ _id: id }, { $set: { 'pickup.error': error.message } });
+        throw new Error(`Reverse pickup failed: ${error.message}`);
+    }
+
+    return transition(id, ['approved'], 'pickup_scheduled', {
+        by: adminId,
+        note: pickup.awb ? `AWB ${pickup.awb}` : undefined,
+        set: { pickup: { ...pickup, scheduledAt: new Date() } }
+    });
+};
+
+/**
+ * Approve a return and (by default) book the reverse pickup.
+ * Returns { returnRequest, pickupError }.
+ */
+const approveReturn = async (id, adminId, { note, schedulePickup: withPickup = true } = {}) => {
+    let returnRequest = await transition(id, ['requested'], 'approved', {
+        by: adminId,
+        note,
+        set: { adminNote: note }
+    });
+
+    let pickupError = null;
+    if (withPickup) {
+        try {
+            returnRequest = await schedulePickup(id, adminId);
+        } catch (error) {
+            console.error(`[RETURNS] ${returnRequest.rmaNumber}:`, error.message);
+            pickupError = error.message;
+        }
+    }
+
+    return { returnRequest, pickupError };
+};
+
+const rejectReturn = async (id, adminId, reason) => {
+    if (!reason) {
+        throw new Error('A reason is required to reject a return');
+    }
+    return transition(id, ['requested', 'approved'], 'rejected', {
+        by: adminId,
+        note: reason,
+        set: { rejectionReason: reason }
+    });
+};
+
+const markPickedUp = async (id, adminId) => {
+    return transition(id, ['pickup_scheduled'], 'picked_up', {
+        by: adminId,
+        set: { 'pickup.pickedUpAt': new Date() }
+    });
+};
+
+/**
+ * Items are back at the warehouse; optionally put them back on sale
+ */
+const receiveReturn = async (id, adminId, { restock = false, note } = {}) => {
+    const returnRequest = await transition(id, ['approved', 'pickup_scheduled', 'picked_up'], 'received', {
+        by: adminId,
+        note,
+        set: { receivedAt: new Date() }
+    });
+
+    if (restock) {
+        await stockReservation.restoreStock(returnRequest.items);
+        returnRequest.restocked = true;
+        await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { restocked: true } });
+    }
+
+    return returnRequest;
+};
+
+/**
+ * Refund the returned lines through the order's refund flow.
+ * Returns { returnRequest, refund, order }; when the gateway rejects the
+ * refund the return stays where it was and refund.status is 'failed'.
+ */
+const refundReturn = async (id, adminId, { amount, mode } = {}) => {
+    // Claim so two clicks can't refund the same return twice
+    const claimed = await ReturnRequest.findOneAndUpdate(
+        {
+            _id: id,
+            status: mongoose.trusted({ $in: REFUNDABLE_STATUSES }),
+            refund: null,
+            refundStartedAt: null
+        },
+        { $set: { refundStartedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        const existing = await ReturnRequest.findById(id).select('status refundStartedAt').lean();
+        if (!existing) throw new Error('Return request not found');
+        if (existing.refundStartedAt) throw new Error('A refund for this return is already in progress');
+        throw new Error(`A ${existing.status.replace('_', ' ')} return can't be refunded`);
+    }
+
+    let result;
+    try {
+        result = await refundService.createRefund(claimed.order, {
+            items: claimed.items.map(line => ({ itemId: line.item, quantity: line.quantity })),
+            amount,
+            mode,
+            reason: `Return ${claimed.rmaNumber}`,
+            initiatedBy: adminId,
+            returnRequest: claimed._id
+        });
+    } catch (error) {
+        await ReturnRequest.updateOne({ _id: id }, { $unset: { refundStartedAt: 1 } });
+        throw error;
+    }
+
+    const { order, refund } = result;
+    if (refund.status === 'failed') {
+        await ReturnRequest.updateOne({ _id: id }, { $unset: { refundStartedAt: 1 } });
+        return { returnRequest: claimed, refund, order };
+    }
+
+    const returnRequest = await transition(id, REFUNDABLE_STATUSES, 'refunded', {
+        by: adminId,
+        note: `Refund of ₹${refund.amount} (${refund.mode})`,
+        set: { refund: refund._id, refundAmount: refund.amount }
+    });
+
+    return { returnRequest, refund, order };
+};
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    openReturn,
+    cancelReturn,
+    approveReturn,
+    rejectReturn,
+    schedulePickup,
+    markPickedUp,
+    receiveReturn,
+    refundReturn
+};
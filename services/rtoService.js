@@ -0,0 +1,228 @@
+const Order = require('../models/Order');
+const stockReservation = require('./stockReservation');
+const refundService = require('./refundService');
+const couponService = require('./couponService');
+const jobQueue = require('./jobQueue');
+
+// ========================================
+// RETURN TO ORIGIN (RTO)
+// ========================================
+// A shipment the courier couldn't deliver comes back to us in two steps:
+//   initiated - the order moves to 'Returned to Origin' and the coupon use
+//               is given back
+//   returned  - the parcel is back: stock is restored per line and prepaid
+//               orders are refunded
+// Both run from courier scans (tracking.recordEvents) and can be run again
+// by an admin; each step is claimed so repeats do nothing.
+// ========================================
+
+const RTO_STAGES = ['initiated', 'returned'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Queue the customer's "coming back to us" notification
+ */
+const notifyCustomer = (order) => {
+    jobQueue.enqueue('notify.order-status', { orderId: order._id, status: 'Returned to Origin' })
+        .catch(err => console.error('[RTO] Queueing status notification failed:', err));
+};
+
+/**
+ * Freight both ways plus the gateway fee on a prepaid order. Without the
+ * courier's RTO charge the return leg is taken to cost the same as the
+ * forward one.
+ */
+const lossFor = (order, { forwardFreight, returnFreight } = {}) => {
+    const forward = forwardFreight ?? order.rto?.forwardFreight ?? order.shipping?.freightCharge ?? 0;
+    const entered = returnFreight ?? (order.rto?.returnFreightEstimated === false ? order.rto.returnFreight : undefined);
+    const back = entered ?? forward;
+    const gatewayFee = order.paymentStatus === 'Paid' ? (order.payment?.fee || 0) : 0;
+
+    return {
+        'rto.forwardFreight': round2(forward),
+        'rto.returnFreight': round2(back),
+        'rto.returnFreightEstimated': entered == null,
+        'rto.gatewayFee': round2(gatewayFee),
+        'rto.lossAmount': round2(forward + back + gatewayFee)
+    };
+};
+
+// ========================================
+// STEPS
+// ========================================
+
+/**
+ * Move the order to 'Returned to Origin'. Cancelled orders keep their
+ * status (and already gave the coupon back).
+ */
+const markInitiated = async (order, { by, note }) => {
+    if (!order.rto?.initiatedAt) {
+        order.set('rto.initiatedAt', new Date());
+    }
+
+    if (['Cancelled', 'Returned to Origin'].includes(order.orderStatus)) {
+        await order.save();
+        return false;
+    }
+
+    await order.updateStatus('Returned to Origin', note || 'Shipment returned to origin by the courier', by);
+    if (order.couponCode) {
+        await couponService.releaseCoupon(order.couponCode, order.user._id);
+    }
+    notifyCustomer(order);
+    return true;
+};
+
+/**
+ * Put every line back in stock, once
+ */
+const restock = async (orderId) => {
+    const claimed = await Order.findOneAndUpdate(
+        { _id: orderId, 'rto.restockedAt': null },
+        { $set: { 'rto.restockedAt': new Date() } },
+        { new: true }
+    );
+    if (!claimed) return false;
+
+    try {
+        await stockReservation.restoreStock(claimed.items);
+    } catch (error) {
+        await Order.updateOne({ _id: orderId }, { $unset: { 'rto.restockedAt': 1 } });
+        throw new Error(`Restock failed: ${error.message}`);
+    }
+    return true;
+};
+
+/**
+ * Refund what is left on a prepaid order, once. A gateway failure leaves
+ * the claim released so the next run retries it.
+ */
+const refund = async (order, { by }) => {
+    if (order.paymentStatus !== 'Paid' || order.refundableAmount <= 0) return null;
+
+    const claimed = await Order.updateOne(
+        { _id: order._id, 'rto.refundStartedAt': null },
+        { $set: { 'rto.refundStartedAt': new Date() } }
+    );
+    if (claimed.modifiedCount === 0) return null;
+
+    let result;
+    try {
+        result = await refundService.createRefund(order._id, {
+            reason: 'Returned to origin',
+            initiatedBy: by
+        });
+    } catch (error) {
+        await Order.updateOne({ _id: order._id }, { $unset: { 'rto.refundStartedAt': 1 } });
+        throw new Error(`Refund failed: ${error.message}`);
+    }
+
+    if (result.refund.status === 'failed') {
+        await Order.updateOne({ _id: order._id }, { $unset: { 'rto.refundStartedAt': 1 } });
+        throw new Error(`Refund failed: ${result.refund.failureReason || 'rejected by the gateway'}`);
+    }
+
+    await Order.updateOne({ _id: order._id }, { $set: { 'rto.refund': result.refund._id } });
+    refundService.notifyRefund(result.order, result.refund);
+    return result.refund;
+};
+
+// ========================================
+// ENTRY POINTS
+// ========================================
+
+/**
+ * Apply an RTO stage to an order. 'returned' runs the 'initiated' step too
+ * when the courier skipped it. Restock and refund failures are kept on
+ * rto.error rather than thrown, so the courier scan still lands; running
+ * the stage again retries them.
+ * Returns { order, statusChanged, restocked, refund, errors }.
+ */
+const processRto = async (orderId, { stage = 'returned', by, note } = {}) => {
+    if (!RTO_STAGES.includes(stage)) {
+        throw new Error(`RTO stage must be one of: ${RTO_STAGES.join(', ')}`);
+    }
+
+    let order = await Order.findById(orderId);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+    if (order.orderStatus === 'Delivered') {
+        throw new Error('Delivered orders come back through a return request, not RTO');
+    }
+
+    const statusChanged = await markInitiated(order, { by, note });
+    const errors = [];
+    let restocked = false;
+    let refunded = null;
+
+    if (stage === 'returned') {
+        if (!order.rto?.returnedAt) {
+            await Order.updateOne({ _id: order._id }, { $set: { 'rto.returnedAt': new Date() } });
+        }
+
+        try {
+            restocked = await restock(order._id);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        try {
+            refunded = await refund(order, { by });
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    order = await Order.findById(order._id);
+    order = await Order.findByIdAndUpdate(
+        order._id,
+        errors.length > 0
+            ? { $set: { ...lossFor(order), 'rto.error': errors.join('; ') } }
+            : { $set: lossFor(order), $unset: { 'rto.error': 1 } },
+        { new: true }
+    );
+
+    if (errors.length > 0) {
+        console.error(`[RTO] ${order.orderId} ${stage}: ${errors.join('; ')}`);
+    } else {
+        console.log(`[RTO] ${order.orderId} ${stage}${restocked ? ', restocked' : ''}${refunded ? `, refunded ₹${refunded.amount}` : ''}`);
+    }
+
+    return { order, statusChanged, restocked, refund: refunded, errors };
+};
+
+/**
+ * Record the courier's actual freight (admin) and recompute the loss
+ */
+const setFreight = async (orderId, { forwardFreight, returnFreight }) => {
+    const amounts = { forwardFreight, returnFreight };
+    for (const [field, value] of Object.entries(amounts)) {
+        if (value === undefined || value === null || value === '') {
+            amounts[field] = undefined;
+            continue;
+        }
+        const amount = Number(value);
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw new Error(`${field} must be a positive amount`);
+        }
+        amounts[field] = amount;
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+    if (!order.rto?.initiatedAt) {
+        throw new Error('This order has not been returned to origin');
+    }
+
+    return Order.findByIdAndUpdate(order._id, { $set: lossFor(order, amounts) }, { new: true });
+};
+
+module.exports = {
+    RTO_STAGES,
+    processRto,
+    setFreight
+};
@@ -0,0 +1,117 @@
+const { mapCourierStatus } = require('./statusMap');
+
+// ========================================
+// FAKE ADAPTER (LOCAL TESTING)
+// ========================================
+// Makes no network calls. AWBs embed their creation time and tracking
+// walks through the delivery lifecycle as time passes, so the full flow
+// can be exercised without courier credentials.
+// Pincodes in FAKE_UNSERVICEABLE_PINCODES are reported unserviceable.
+// ========================================
+
+const HOUR = 60 * 60 * 1000;
+
+// [age, courier status] - the last entry whose age has passed wins
+const TIMELINE = [
+    [0, 'Pickup Scheduled'],
+    [1 * HOUR, 'Picked Up'],
+    [6 * HOUR, 'In Transit'],
+    [24 * HOUR, 'Out For Delivery'],
+    [30 * HOUR, 'Delivered']
+];
+
+const unserviceable = () => (process.env.FAKE_UNSERVICEABLE_PINCODES || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+
+const createdAt = (awb) => parseInt(String(awb || '').replace(/^FAKE/, '')) || Date.now();
+
+const fakeProvider = {
+    name: 'fake',
+    capabilities: ['serviceability', 'create', 'awb', 'label', 'pickup', 'track', 'cancel', 'return', 'ndr'],
+
+    // Never picked in production unless forced with SHIPPING_PROVIDER=fake
+    isConfigured: () => process.env.NODE_ENV !== 'production' || process.env.SHIPPING_PROVIDER === 'fake',
+
+    checkServiceability: async ({ deliveryPincode, weight, cod }) => {
+        if (unserviceable().includes(String(deliveryPincode))) {
+            return { serviceable: false, cod: false, couriers: [] };
+        }
+
+        return {
+            serviceable: true,
+            cod: true,
+            couriers: [{
+                id: 'fake-surface',
+                name: 'Fake Surface',
+                rate: Math.round(40 + Math.max(0, weight - 0.5) * 30),
+                cod: true,
+                codCharge: cod ? 30 : 0,
+                etdDays: 3
+            }]
+        };
+    },
+
+    createShipment: async (order) => {
+        return {
+            providerOrderId: `FAKE-${order.orderId}`,
+            shipmentId: `FAKE-SHP-${order.orderId}`
+        };
+    },
+
+    assignAwb: async (shipping, { weight }) => {
+        return {
+            awb: `FAKE${Date.now()}`,
+            courierId: 'fake-surface',
+            courierName: 'Fake Surface',
+            freightCharge: Math.round(40 + Math.max(0, weight - 0.5) * 30)
+        };
+    },
+
+    generateLabel: async (shipping) => {
+        return { labelUrl: `https://example.com/labels/${shipping.awb}.pdf` };
+    },
+
+    schedulePickup: async () => {
+        return { scheduledAt: new Date() };
+    },
+
+    track: async (shipping) => {
+        const start = createdAt(shipping.awb);
+        const age = Date.now() - start;
+        const reached = TIMELINE.filter(([after]) => age >= after);
+        const current = reached[reached.length - 1][1];
+
+        return {
+            rawStatus: current,
+            ...mapCourierStatus(current),
+            trackingUrl: `https://example.com/track/${shipping.awb}`,
+            events: reached.map(([after, status]) => ({
+                rawStatus: status,
+                description: status,
+                location: 'Test Hub',
+                occurredAt: new Date(start + after)
+            }))
+        };
+    },
+
+    cancel: async () => {
+        return { cancelledAt: new Date() };
+    },
+
+    ndrAction: async () => {
+        return { pushedAt: new Date() };
+    },
+
+    createReturn: async (returnRequest) => {
+        return {
+            providerOrderId: `FAKE-${returnRequest.rmaNumber}`,
+            shipmentId: `FAKE-SHP-${returnRequest.rmaNumber}`,
+            awb: `FAKE${Date.now()}`,
+            courierName: 'Fake Surface'
+        };
+    }
+};
+
+module.exports = fakeProvider;
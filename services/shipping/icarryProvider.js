@@ -0,0 +1,51 @@
+const iCarryService = require('../../utils/iCarryService');
+
+// ========================================
+// ICARRY ADAPTER
+// ========================================
+// iCarry books the courier and returns the AWB in one call, and pushes
+// status changes to /api/webhooks/shipping-updates. Labels, pickups,
+// tracking, cancellation and NDR actions are handled from the iCarry
+// panel, so those capabilities are not offered here.
+// ========================================
+
+const icarryProvider = {
+    name: 'icarry',
+    capabilities: ['serviceability', 'create'],
+
+    isConfigured: () => !!(process.env.ICARRY_API_KEY && process.env.ICARRY_USERNAME),
+
+    checkServiceability: async ({ deliveryPincode }) => {
+        const data = await iCarryService.checkServiceability(deliveryPincode);
+        if (!data) {
+            throw new Error('iCarry serviceability check failed');
+        }
+
+        const serviceable = data.success === 1 || data.success === true || data.status === 'success'
+            || data.serviceable === true || data.serviceable === 1;
+
+        // COD support is only known when iCarry reports it
+        const codFlag = data.cod ?? data.cod_available ?? data.is_cod;
+        const cod = codFlag === undefined || codFlag === null
+            ? null
+            : codFlag === true || codFlag === 1 || String(codFlag).toLowerCase() === 'yes' || codFlag === '1';
+
+        return { serviceable, cod, couriers: [] };
+    },
+
+    createShipment: async (order, { parcel }) => {
+        const result = await iCarryService.createShipment(order, parcel);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to create shipment in iCarry');
+        }
+
+        return {
+            providerOrderId: result.data?.shipment_id ? String(result.data.shipment_id) : undefined,
+            shipmentId: result.data?.shipment_id ? String(result.data.shipment_id) : undefined,
+            awb: result.trackingNumber ? String(result.trackingNumber) : undefined,
+            courierName: result.courier
+        };
+    }
+};
+
+module.exports = icarryProvider;
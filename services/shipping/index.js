@@ -0,0 +1,554 @@
+const Order = require('../../models/Order');
+const Setting = require('../../models/Setting');
+const shiprocketProvider = require('./shiprocketProvider');
+const icarryProvider = require('./icarryProvider');
+const fakeProvider = require('./fakeProvider');
+const { mapCourierStatus } = require('./statusMap');
+const timeline = require('./tracking');
+const { packItems } = require('./packing');
+
+// ========================================
+// SHIPPING PROVIDER LAYER
+// ========================================
+// Order code talks to this module, never to a courier directly. Every
+// adapter exposes:
+//   name, capabilities[], isConfigured()
+//   checkServiceability({ deliveryPincode, weight, cod }) -> { serviceable, cod, couriers[] }
+//     (cod: whether any courier collects cash, null when unknown;
+//     couriers carry etdDays where the courier quotes one)
+//   createShipment(order, { weight, parcel }) -> { providerOrderId, shipmentId, awb?, courierName? }
+//     (weight is the dead weight in kg, parcel the packed box from packing.js)
+//   assignAwb(shipping, { order, weight }) -> { awb, courierId, courierName, freightCharge? }
+//   generateLabel(shipping) -> { labelUrl, invoiceUrl? }
+//   schedulePickup(shipping) -> { scheduledAt }
+//   track(shipping) -> { rawStatus, status, orderStatus, trackingUrl, events[] }
+//     (events as taken by tracking.recordEvents)
+//   cancel(shipping) -> { cancelledAt }
+//   createReturn(returnRequest, order, { parcel }) -> { providerOrderId, shipmentId, awb?, courierName? }
+//   ndrAction(shipping, { action, preferredDate, address, phone, note }) -> { pushedAt }
+// Methods an adapter can't do are left out of its capabilities.
+// ========================================
+
+const PROVIDERS = {
+    [shiprocketProvider.name]: shiprocketProvider,
+    [icarryProvider.name]: icarryProvider,
+    [fakeProvider.name]: fakeProvider
+};
+
+const POLICY_CACHE_MS = 5 * 60 * 1000;
+let policyCache = null;
+
+// Delivery estimates are cached per pincode and weight slab
+const ESTIMATE_CACHE_MS = (parseInt(process.env.SERVICEABILITY_CACHE_MINUTES) || 360) * 60 * 1000;
+const MAX_ESTIMATE_ENTRIES = 5000;
+const estimateCache = new Map();
+
+// Days before a paid order is handed to the courier
+const DISPATCH_DAYS = parseInt(process.env.SHIPPING_DISPATCH_DAYS) || 1;
+// Used when no courier quotes a delivery time
+const DEFAULT_ETD_DAYS = { min: 3, max: 7 };
+
+// ========================================
+// PROVIDER SELECTION
+// ========================================
+
+const getProvider = (name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown shipping provider: ${name}`);
+    }
+    return provider;
+};
+
+const supports = (provider, capability) => provider.capabilities.includes(capability);
+
+/**
+ * Selection policy from settings (cached; cleared when settings are saved)
+ */
+const getPolicy = async () => {
+    if (policyCache && Date.now() - policyCache.timestamp < POLICY_CACHE_MS) {
+        return policyCache.data;
+    }
+
+    const doc = await Setting.findOne({ key: 'site_settings' })
+        .select('shippingProvider shippingRules packagingProfiles volumetricDivisor')
+        .lean()
+        .maxTimeMS(3000)
+        .exec();
+
+    const data = {
+        defaultProvider: doc?.shippingProvider || 'shiprocket',
+        rules: doc?.shippingRules || [],
+        packagingProfiles: doc?.packagingProfiles || [],
+        volumetricDivisor: doc?.volumetricDivisor || 5000
+    };
+
+    policyCache = { data, timestamp: Date.now() };
+    return data;
+};
+
+const clearPolicyCache = () => {
+    policyCache = null;
+};
+
+const ruleMatches = (rule, { pincode, cod, weight }) => {
+    const prefixes = rule.pincodePrefixes || [];
+    if (prefixes.length > 0 && !prefixes.some(prefix => String(pincode).startsWith(prefix))) return false;
+    if (rule.cod !== undefined && rule.cod !== null && rule.cod !== cod) return false;
+    if (rule.minWeightKg !== undefined && rule.minWeightKg !== null && weight < rule.minWeightKg) return false;
+    if (rule.maxWeightKg !== undefined && rule.maxWeightKg !== null && weight > rule.maxWeightKg) return false;
+    return true;
+};
+
+/**
+ * Providers to try for a shipment, best first: matching rules in order,
+ * then the default. SHIPPING_PROVIDER overrides everything (e.g. 'fake'
+ * for local development).
+ */
+const selectProviders = async ({ pincode, cod, weight }) => {
+    if (process.env.SHIPPING_PROVIDER) {
+        return [getProvider(process.env.SHIPPING_PROVIDER)];
+    }
+
+    const policy = await getPolicy();
+    const names = [
+        ...policy.rules.filter(rule => ruleMatches(rule, { pincode, cod, weight })).map(rule => rule.provider),
+        policy.defaultProvider
+    ];
+
+    const providers = [...new Set(names)]
+        .map(name => PROVIDERS[name])
+        .filter(provider => provider && provider.isConfigured());
+
+    if (providers.length === 0) {
+        throw new Error('No shipping provider is configured');
+    }
+    return providers;
+};
+
+/**
+ * First selected provider that can deliver to the pincode.
+ * Returns { provider, serviceability }.
+ */
+const chooseProvider = async (shipment) => {
+    const candidates = await selectProviders(shipment);
+    let lastError = null;
+
+    for (const provider of candidates) {
+        if (!supports(provider, 'serviceability')) {
+            return { provider, serviceability: null };
+        }
+
+        try {
+            const serviceability = await provider.checkServiceability({
+                deliveryPincode: shipment.pincode,
+                weight: shipment.weight,
+                cod: shipment.cod
+            });
+            if (serviceability.serviceable) {
+                return { provider, serviceability };
+            }
+        } catch (error) {
+            console.warn(`[SHIPPING] ${provider.name} serviceability failed: ${error.message}`);
+            lastError = error;
+        }
+    }
+
+    throw new Error(lastError && candidates.length === 1
+        ? lastError.message
+        : `No courier can deliver to ${shipment.pincode}`);
+};
+
+/**
+ * Box and weights for an order (or anything with priced items), using the
+ * configured packaging profiles
+ */
+const packOrder = async (order) => {
+    const policy = await getPolicy();
+    return packItems(order.items || [], {
+        profiles: policy.packagingProfiles,
+        divisor: policy.volumetricDivisor
+    });
+};
+
+const shipmentFacts = async (order) => {
+    const parcel = await packOrder(order);
+    return {
+        pincode: order.deliveryAddress.zip,
+        cod: order.paymentMethod === 'Cash on Delivery',
+        weight: parcel.chargeableWeightKg,
+        parcel
+    };
+};
+
+/**
+ * Serviceability for a pincode via the provider the policy would use
+ */
+const checkServiceability = async ({ pincode, cod = false, weight = 0.5 }) => {
+    try {
+        const { provider, serviceability } = await chooseProvider({ pincode, cod, weight });
+        return { provider: provider.name, serviceable: true, couriers: serviceability?.couriers || [] };
+    } catch (error) {
+        return { provider: null, serviceable: false, couriers: [], error: error.message };
+    }
+};
+
+// ========================================
+// DELIVERY ESTIMATE
+// ========================================
+
+/**
+ * Providers asked for estimates: every configured courier the policy could
+ * pick, plus Shiprocket and iCarry (admins can still ship with either)
+ */
+const estimateProviders = async () => {
+    if (process.env.SHIPPING_PROVIDER) {
+        return [getProvider(process.env.SHIPPING_PROVIDER)];
+    }
+
+    const policy = await getPolicy();
+    const names = [
+        policy.defaultProvider,
+        ...policy.rules.map(rule => rule.provider),
+        shiprocketProvider.name,
+        icarryProvider.name
+    ];
+
+    return [...new Set(names)]
+        .map(name => PROVIDERS[name])
+        .filter(provider => provider && supports(provider, 'serviceability') && provider.isConfigured());
+};
+
+/**
+ * Ask every provider in parallel. A provider that errors is left out of the
+ * answer rather than counted as unserviceable.
+ */
+const askProviders = async (pincode, weight) => {
+    const providers = await estimateProviders();
+
+    return Promise.all(providers.map(async (provider) => {
+        try {
+            const result = await provider.checkServiceability({ deliveryPincode: pincode, weight, cod: false });
+            return {
+                provider: provider.name,
+                serviceable: !!result.serviceable,
+                cod: result.cod ?? null,
+                etdDays: (result.couriers || []).map(c => c.etdDays).filter(days => days > 0)
+            };
+        } catch (error) {
+            console.warn(`[SHIPPING] ${provider.name} serviceability failed for ${pincode}: ${error.message}`);
+            return { provider: provider.name, error: error.message };
+        }
+    }));
+};
+
+// Calendar date (IST) a number of days from now
+const istDate = (days) => new Date(Date.now() + (5.5 * 60 + days * 24 * 60) * 60 * 1000)
+    .toISOString()
+    .split('T')[0];
+
+/**
+ * Whether we deliver to a pincode, whether COD is possible there and when
+ * the parcel should arrive. `serviceable` is null when no courier could be
+ * reached; `available` answers for the requested payment method.
+ */
+const estimateDelivery = async ({ pincode, weight = 0.5, cod = false }) => {
+    pincode = String(pincode || '').trim();
+    if (!/^[1-9][0-9]{5}$/.test(pincode)) {
+        throw new Error('Please enter a valid 6-digit pincode');
+    }
+
+    const slab = Math.max(1, Math.ceil(Number(weight) || 0));
+    const key = `${pincode}:${slab}`;
+
+    let entry = estimateCache.get(key);
+    const cached = !!entry && Date.now() - entry.timestamp < ESTIMATE_CACHE_MS;
+
+    if (!cached) {
+        entry = { results: await askProviders(pincode, slab), timestamp: Date.now() };
+
+        // Only cache real answers, not a courier outage
+        if (entry.results.some(r => !r.error)) {
+            if (estimateCache.size >= MAX_ESTIMATE_ENTRIES) {
+                estimateCache.delete(estimateCache.keys().next().value);
+            }
+            estimateCache.set(key, entry);
+        }
+    }
+
+    const answered = entry.results.filter(r => !r.error);
+    if (answered.length === 0) {
+        return {
+            pincode,
+            serviceable: null,
+            codAvailable: null,
+            available: null,
+            estimatedDelivery: null,
+            message: 'Delivery check is unavailable right now'
+        };
+    }
+
+    const serviceableBy = answered.filter(r => r.serviceable);
+    const serviceable = serviceableBy.length > 0;
+
+    let codAvailable = false;
+    if (serviceableBy.some(r => r.cod === true)) codAvailable = true;
+    else if (serviceableBy.some(r => r.cod === null)) codAvailable = null;
+
+    const etds = serviceableBy.flatMap(r => r.etdDays);
+    const minDays = DISPATCH_DAYS + (etds.length > 0 ? Math.min(...etds) : DEFAULT_ETD_DAYS.min);
+    const maxDays = DISPATCH_DAYS + (etds.length > 0 ? Math.max(...etds) : DEFAULT_ETD_DAYS.max);
+
+    const available = serviceable && (!cod || codAvailable !== false);
+    let message = 'Delivery available';
+    if (!serviceable) message = `Sorry, we don't deliver to ${pincode} yet`;
+    else if (!available) message = 'Cash on Delivery is not available for this pincode';
+
+    return {
+        pincode,
+        serviceable,
+        codAvailable,
+        available,
+        estimatedDelivery: serviceable
+            ? { minDays, maxDays, from: istDate(minDays), to: istDate(maxDays) }
+            : null,
+        message,
+        cached
+    };
+};
+
+const clearEstimateCache = () => {
+    estimateCache.clear();
+};
+
+// ========================================
+// OPERATIONS
+// ========================================
+
+/**
+ * Ship an order end to end: create shipment, assign AWB, label, pickup.
+ * Each step is saved as it completes so a retry resumes where the last
+ * attempt stopped, with the provider that already holds the shipment.
+ * Returns { success, awb, provider } or { success: false, error }.
+ */
+const shipOrder = async (orderId, { provider: forced } = {}) => {
+    try {
+        const order = await Order.findById(orderId);
+        if (!order) throw new Error('Order not found');
+
+        const facts = await shipmentFacts(order);
+        const existing = order.shipping.provider || (order.shipping.srOrderId ? 'shiprocket' : null);
+
+        let provider;
+        if (existing) {
+            provider = getProvider(existing);
+        } else if (forced) {
+            provider = getProvider(forced);
+            if (!provider.isConfigured()) {
+                throw new Error(`${provider.name} is not configured`);
+            }
+        } else {
+            provider = (await chooseProvider(facts)).provider;
+        }
+
+        console.log(`[SHIPPING] Shipping ${order.orderId} via ${provider.name}`);
+        order.shipping.provider = provider.name;
+
+        // 1. Create the shipment
+        if (!order.shipping.shipmentId && !order.shipping.awb) {
+            order.shipping.parcel = facts.parcel;
+            if (facts.parcel.oversize) {
+                console.warn(`[SHIPPING] ${order.orderId} doesn't fit any packaging profile; declaring box ${facts.parcel.profile}`);
+            }
+
+            const created = await provider.createShipment(order, { weight: facts.parcel.deadWeightKg, parcel: facts.parcel });
+
+            order.shipping.providerOrderId = created.providerOrderId;
+            order.shipping.shipmentId = created.shipmentId;
+            if (provider.name === 'shiprocket') order.shipping.srOrderId = created.providerOrderId;
+            if (created.awb) {
+                order.shipping.awb = created.awb;
+                order.shipping.courierName = created.courierName;
+            }
+            await order.save();
+        }
+
+        // 2. Assign an AWB
+        if (!order.shipping.awb) {
+            if (!supports(provider, 'awb')) {
+                throw new Error(`${provider.name} did not return an AWB`);
+            }
+            const assigned = await provider.assignAwb(order.shipping, { order, weight: facts.weight });
+            order.shipping.awb = assigned.awb;
+            order.shipping.courierId = assigned.courierId;
+            order.shipping.courierName = assigned.courierName;
+            if (assigned.freightCharge != null) order.shipping.freightCharge = assigned.freightCharge;
+            await order.save();
+        }
+
+        // 3. Label
+        if (!order.shipping.labelUrl && supports(provider, 'label')) {
+            const label = await provider.generateLabel(order.shipping);
+            order.shipping.labelUrl = label.labelUrl;
+            if (label.invoiceUrl) order.shipping.invoiceUrl = label.invoiceUrl;
+            await order.save();
+        }
+
+        // 4. Pickup
+        if (!order.shipping.pickupScheduledAt && supports(provider, 'pickup')) {
+            const pickup = await provider.schedulePickup(order.shipping);
+            order.shipping.pickupScheduledAt = pickup.scheduledAt;
+        }
+
+        order.shipping.status = 'picked_up'; // Initial status after pickup schedule
+        order.shipping.error = undefined;
+        if (!order.shipping.bookedAt) order.shipping.bookedAt = new Date();
+        order.orderStatus = 'Shipped';
+        await order.save();
+
+        console.log(`[SHIPPING] ${order.orderId} shipped via ${provider.name}. AWB: ${order.shipping.awb}`);
+        return { success: true, awb: order.shipping.awb, provider: provider.name };
+    } catch (error) {
+        console.error(`[SHIPPING ERROR] ${error.message}`);
+        try {
+            await Order.updateOne(
+                { _id: orderId },
+                { $set: { 'shipping.status': 'pending', 'shipping.error': error.message } }
+            );
+        } catch (dbErr) {
+            console.error('Failed to update order status after shipping failure:', dbErr);
+        }
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Poll the courier and record its scans on the order timeline.
+ * Returns the recordEvents result, or null when the provider can't track.
+ */
+const trackShipment = async (order) => {
+    if (!order.shipping || !order.shipping.awb) {
+        throw new Error('Order has not been shipped yet');
+    }
+
+    const provider = getProvider(order.shipping.provider || 'shiprocket');
+    if (!supports(provider, 'track')) {
+        return null;
+    }
+
+    const tracking = await provider.track(order.shipping);
+
+    // Marks the poll even when nothing new came back
+    const set = { 'shipping.lastUpdate': new Date() };
+    if (tracking.trackingUrl) set['shipping.trackingUrl'] = tracking.trackingUrl;
+    await Order.updateOne({ _id: order._id }, { $set: set });
+
+    // Couriers without a scan history still report the current status
+    const events = tracking.events && tracking.events.length > 0
+        ? tracking.events
+        : [{ rawStatus: tracking.rawStatus }];
+
+    return timeline.recordEvents(order._id, events, {
+        provider: provider.name,
+        awb: order.shipping.awb,
+        source: 'poll'
+    });
+};
+
+/**
+ * Cancel a shipment with its courier (before it is delivered)
+ */
+const cancelShipment = async (order) => {
+    if (!order.shipping || (!order.shipping.provider && !order.shipping.srOrderId)) {
+        throw new Error('Order has no shipment');
+    }
+    if (['delivered', 'returned', 'cancelled'].includes(order.shipping.status)) {
+        throw new Error(`Shipment is already ${order.shipping.status}`);
+    }
+
+    const provider = getProvider(order.shipping.provider || 'shiprocket');
+    if (!supports(provider, 'cancel')) {
+        throw new Error(`${provider.name} shipments must be cancelled from the courier panel`);
+    }
+
+    const result = await provider.cancel(order.shipping);
+    order.shipping.status = 'cancelled';
+    order.shipping.cancelledAt = result.cancelledAt;
+    order.shipping.lastUpdate = new Date();
+    await order.save();
+    return order;
+};
+
+/**
+ * Push the next step for a failed delivery (see services/ndrService) to the
+ * courier that holds the shipment
+ */
+const pushNdrAction = async (order, instruction) => {
+    if (!order.shipping || !order.shipping.awb) {
+        throw new Error('Order has not been shipped yet');
+    }
+
+    const provider = getProvider(order.shipping.provider || 'shiprocket');
+    if (!supports(provider, 'ndr')) {
+        throw new Error(`${provider.name} NDRs must be actioned from the courier panel`);
+    }
+
+    return provider.ndrAction(order.shipping, instruction);
+};
+
+/**
+ * Book a reverse pickup. Uses the provider that delivered the order when it
+ * handles returns, otherwise the first selected provider that does.
+ * Returns the pickup fields plus `provider`.
+ */
+const createReturn = async (returnRequest, order) => {
+    let provider = order.shipping && order.shipping.provider ? PROVIDERS[order.shipping.provider] : null;
+
+    if (!provider || !supports(provider, 'return') || !provider.isConfigured()) {
+        const candidates = await selectProviders(await shipmentFacts(order));
+        provider = candidates.find(p => supports(p, 'return'))
+            || Object.values(PROVIDERS).find(p => supports(p, 'return') && p.isConfigured());
+    }
+
+    if (!provider) {
+        throw new Error('No shipping provider can book return pickups');
+    }
+
+    // Returned lines carry the parcel data of the order lines they came from
+    const parcel = await packOrder({
+        items: returnRequest.items.map(line => {
+            const source = (order.items && order.items.id && order.items.id(line.item)) || line;
+            return {
+                name: source.name,
+                quantity: line.quantity,
+                weight: source.weight,
+                netWeightGrams: source.netWeightGrams,
+                grossWeightGrams: source.grossWeightGrams,
+                dimensions: source.dimensions,
+                components: source.components
+            };
+        })
+    });
+
+    const pickup = await provider.createReturn(returnRequest, order, { parcel });
+    return { ...pickup, provider: provider.name };
+};
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    selectProviders,
+    checkServiceability,
+    estimateDelivery,
+    clearEstimateCache,
+    packOrder,
+    shipOrder,
+    trackShipment,
+    cancelShipment,
+    createReturn,
+    pushNdrAction,
+    recordEvents: timeline.recordEvents,
+    publicTimeline: timeline.publicTimeline,
+    mapCourierStatus,
+    clearPolicyCache
+};
@@ -0,0 +1,409 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const { PDFDocument: PdfLibDocument } = require('pdf-lib');
+const Order = require('../../models/Order');
+const Counter = require('../../models/Counter');
+const ShipmentBatch = require('../../models/ShipmentBatch');
+
+// ========================================
+// PICKUP BATCHES
+// ========================================
+// A batch is the day's (or one bulk-ship run's) shipped orders. From it:
+//   manifest  - shipments grouped by courier, for the pickup hand-over
+//   labels    - every order's courier label merged into one PDF
+//   pick list - units per SKU / variant across the batch, for packing
+// Only the order ids are stored, so a batch can be downloaded again later.
+// ========================================
+
+const MAX_BATCH_ORDERS = 500;
+const LABEL_FETCH_TIMEOUT_MS = 15000;
+
+// Orders that no longer go out with a pickup
+const EXCLUDED_STATUSES = ['Cancelled', 'Returned to Origin'];
+
+const ORDER_FIELDS = 'orderId items deliveryAddress paymentMethod paymentStatus total orderStatus shipping.provider shipping.awb shipping.courierName shipping.labelUrl shipping.parcel shipping.bookedAt';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const money = (value) => Number(value || 0).toFixed(2);
+
+/**
+ * [start, end) of an IST calendar day. Takes 'YYYY-MM-DD'; today by default.
+ */
+const istDay = (date) => {
+    const day = date || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(day))) {
+        throw new Error('Date must be in YYYY-MM-DD format');
+    }
+    const start = new Date(`${day}T00:00:00+05:30`);
+    if (isNaN(start.getTime())) {
+        throw new Error('Date must be in YYYY-MM-DD format');
+    }
+    return { day, start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+const isCod = (order) => order.paymentMethod === 'Cash on Delivery' && order.paymentStatus !== 'Paid';
+
+const courierOf = (order) => order.shipping?.courierName || order.shipping?.provider || 'Unassigned';
+
+// ========================================
+// BUILDING
+// ========================================
+
+/**
+ * Shipments grouped by courier, largest group first
+ */
+const buildManifest = (orders) => {
+    const groups = new Map();
+
+    for (const order of orders) {
+        const courier = courierOf(order);
+        if (!groups.has(courier)) {
+            groups.set(courier, {
+                courier,
+                provider: order.shipping?.provider,
+                shipments: [],
+                count: 0,
+                weightKg: 0,
+                codOrders: 0,
+                codAmount: 0
+            });
+        }
+        const group = groups.get(courier);
+        const address = order.deliveryAddress || {};
+        const cod = isCod(order);
+        const weightKg = order.shipping?.parcel?.deadWeightKg || 0;
+
+        group.shipments.push({
+            orderId: order.orderId,
+            awb: order.shipping?.awb,
+            consignee: [address.firstName, address.lastName].filter(Boolean).join(' '),
+            city: address.city,
+            pincode: address.zip,
+            phone: address.phone,
+            paymentMethod: order.paymentMethod,
+            codAmount: cod ? order.total : 0,
+            weightKg,
+            box: order.shipping?.parcel?.profile
+        });
+        group.count += 1;
+        group.weightKg = round2(group.weightKg + weightKg);
+        if (cod) {
+            group.codOrders += 1;
+            group.codAmount = round2(group.codAmount + order.total);
+        }
+    }
+
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Physical packs an order line ships: a combo is picked as its components
+ */
+const pickUnits = (item) => {
+    if (!item.components || item.components.length === 0) return [item];
+    return item.components.map(component => ({
+        ...component,
+        quantity: component.quantity * item.quantity
+    }));
+};
+
+/**
+ * Units to pick per SKU / variant across the batch, by name
+ */
+const buildPickList = (orders) => {
+    const lines = new Map();
+
+    for (const order of orders) {
+        for (const item of (order.items || []).flatMap(pickUnits)) {
+            const key = item.sku || `${item.product}:${item.variantId || item.weight || ''}`;
+            if (!lines.has(key)) {
+                lines.set(key, {
+                    sku: item.sku || null,
+                    product: item.product,
+                    variantId: item.variantId || null,
+                    name: item.name || item.sku || String(item.product),
+                    variant: item.weight || null,
+                    quantity: 0,
+                    orders: new Set()
+                });
+            }
+            const line = lines.get(key);
+            line.quantity += item.quantity;
+            line.orders.add(order.orderId);
+        }
+    }
+
+    return [...lines.values()]
+        .map(line => ({ ...line, orders: line.orders.size }))
+        .sort((a, b) => a.name.localeCompare(b.name) || String(a.variant).localeCompare(String(b.variant)));
+};
+
+const summarize = (orders) => {
+    const manifest = buildManifest(orders);
+    return {
+        orders: orders.length,
+        units: orders.reduce((sum, o) => sum + (o.items || []).reduce((n, i) => n + i.quantity, 0), 0),
+        couriers: manifest.map(g => g.courier),
+        codOrders: manifest.reduce((sum, g) => sum + g.codOrders, 0),
+        codAmount: round2(manifest.reduce((sum, g) => sum + g.codAmount, 0))
+    };
+};
+
+// ========================================
+// BATCHES
+// ========================================
+
+/**
+ * Create a batch from order ids, or from the orders booked on an IST day.
+ * Orders without an AWB (or cancelled / returned) are left out and listed
+ * in `skipped`.
+ * Returns { batch, skipped }.
+ */
+const createBatch = async ({ orderIds, date, createdBy, source = 'manual' } = {}) => {
+    const { day, start, end } = istDay(date);
+    let orders;
+    const skipped = [];
+
+    if (orderIds) {
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            throw new Error('No orders provided for the batch');
+        }
+        if (orderIds.length > MAX_BATCH_ORDERS) {
+            throw new Error(`A batch can hold at most ${MAX_BATCH_ORDERS} orders`);
+        }
+        const ids = orderIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+        const found = await Order.find({ _id: mongoose.trusted({ $in: ids }) }).select(ORDER_FIELDS).lean();
+
+        orders = [];
+        for (const order of found) {
+            if (!order.shipping?.awb) {
+                skipped.push({ orderId: order.orderId, reason: 'Not shipped yet' });
+            } else if (EXCLUDED_STATUSES.includes(order.orderStatus)) {
+                skipped.push({ orderId: order.orderId, reason: `Order is ${order.orderStatus}` });
+            } else {
+                orders.push(order);
+            }
+        }
+    } else {
+        orders = await Order.find({
+            'shipping.awb': mongoose.trusted({ $nin: [null, ''] }),
+            'shipping.bookedAt': mongoose.trusted({ $gte: start, $lt: end }),
+            orderStatus: mongoose.trusted({ $nin: EXCLUDED_STATUSES })
+        })
+            .select(ORDER_FIELDS)
+            .limit(MAX_BATCH_ORDERS)
+            .lean();
+    }
+
+    if (orders.length === 0) {
+        throw new Error(orderIds ? 'None of these orders can go in a batch' : `No orders were shipped on ${day}`);
+    }
+
+    const seq = await Counter.next(`manifest-${day}`);
+    const batch = await ShipmentBatch.create({
+        batchId: `MAN-${day.replace(/-/g, '')}-${String(seq).padStart(3, '0')}`,
+        pickupDate: start,
+        orders: orders.map(o => o._id),
+        source,
+        summary: summarize(orders),
+        createdBy
+    });
+
+    console.log(`[MANIFEST] ${batch.batchId}: ${orders.length} order(s)${skipped.length ? `, ${skipped.length} skipped` : ''}`);
+    return { batch, skipped };
+};
+
+/**
+ * A batch and its orders as they are now
+ */
+const loadBatch = async (batchId) => {
+    const batch = await ShipmentBatch.findOne({ batchId: String(batchId) }).lean();
+    if (!batch) {
+        throw new Error('Batch not found');
+    }
+
+    const orders = await Order.find({ _id: mongoose.trusted({ $in: batch.orders }) })
+        .select(ORDER_FIELDS)
+        .sort({ 'shipping.courierName': 1, orderId: 1 })
+        .lean();
+
+    return { batch, orders };
+};
+
+// ========================================
+// PDF OUTPUT
+// ========================================
+
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    draw(doc);
+    doc.end();
+});
+
+/**
+ * Draw a table row; returns the y below it. New page when near the end.
+ */
+const drawRow = (doc, y, columns, values, { bold = false } = {}) => {
+    if (y > doc.page.height - 80) {
+        doc.addPage();
+        y = doc.page.margins.top;
+    }
+
+    let x = doc.page.margins.left;
+    let height = 0;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    for (const col of columns) {
+        const text = String(values[col.key] ?? '');
+        doc.text(text, x + 2, y, { width: col.width - 4, align: col.align || 'left' });
+        height = Math.max(height, doc.heightOfString(text, { width: col.width - 4 }));
+        x += col.width;
+    }
+    return y + height + 6;
+};
+
+const MANIFEST_COLUMNS = [
+    { key: 'index', label: '#', width: 22 },
+    { key: 'orderId', label: 'Order', width: 80 },
+    { key: 'awb', label: 'AWB', width: 95 },
+    { key: 'consignee', label: 'Consignee', width: 100 },
+    { key: 'destination', label: 'City / PIN', width: 90 },
+    { key: 'cod', label: 'COD (INR)', width: 55, align: 'right' },
+    { key: 'weight', label: 'Kg', width: 35, align: 'right' },
+    { key: 'box', label: 'Box', width: 46 }
+];
+
+/**
+ * Pickup manifest: one section per courier with a hand-over signature block
+ */
+const renderManifestPdf = (batch, manifest) => renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const day = new Date(batch.pickupDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+    manifest.forEach((group, g) => {
+        if (g > 0) doc.addPage();
+
+        doc.font('Helvetica-Bold').fontSize(14).text('PICKUP MANIFEST', left, doc.page.margins.top, { width, align: 'center' });
+        doc.font('Helvetica').fontSize(9)
+            .text(`Batch: ${batch.batchId}    Pickup date: ${day}`, { width, align: 'center' });
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(11)
+            .text(`${group.courier} - ${group.count} shipment(s), ${group.weightKg} kg`, left);
+        if (group.codOrders > 0) {
+            doc.font('Helvetica').fontSize(9).text(`COD: ${group.codOrders} order(s), INR ${money(group.codAmount)} to collect`);
+        }
+
+        let y = doc.y + 8;
+        y = drawRow(doc, y, MANIFEST_COLUMNS, Object.fromEntries(MANIFEST_COLUMNS.map(c => [c.key, c.label])), { bold: true });
+        group.shipments.forEach((s, i) => {
+            y = drawRow(doc, y, MANIFEST_COLUMNS, {
+                index: i + 1,
+                orderId: s.orderId,
+                awb: s.awb,
+                consignee: s.consignee,
+                destination: `${s.city || ''} ${s.pincode || ''}`.trim(),
+                cod: s.codAmount ? money(s.codAmount) : '-',
+                weight: s.weightKg || '',
+                box: s.box || ''
+            });
+        });
+
+        y = Math.max(y + 30, doc.y + 30);
+        if (y > doc.page.height - 80) {
+            doc.addPage();
+            y = doc.page.margins.top;
+        }
+        doc.font('Helvetica').fontSize(9)
+            .text(`Handed over: ${group.count} package(s)`, left, y)
+            .text('Pickup executive: ____________________    Signature: ____________    Time: ________', left, y + 20);
+    });
+});
+
+const PICK_COLUMNS = [
+    { key: 'check', label: '', width: 20 },
+    { key: 'sku', label: 'SKU', width: 120 },
+    { key: 'name', label: 'Item', width: 200 },
+    { key: 'variant', label: 'Variant', width: 70 },
+    { key: 'quantity', label: 'Qty', width: 50, align: 'right' },
+    { key: 'orders', label: 'Orders', width: 50, align: 'right' }
+];
+
+/**
+ * Warehouse pick list, one row per SKU / variant
+ */
+const renderPickListPdf = (batch, pickList) => renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const units = pickList.reduce((sum, line) => sum + line.quantity, 0);
+
+    doc.font('Helvetica-Bold').fontSize(14).text('PICK LIST', left, doc.page.margins.top, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`Batch: ${batch.batchId}    Orders: ${batch.orders.length}    Units: ${units}`, { width, align: 'center' });
+
+    let y = doc.y + 12;
+    y = drawRow(doc, y, PICK_COLUMNS, Object.fromEntries(PICK_COLUMNS.map(c => [c.key, c.label])), { bold: true });
+    for (const line of pickList) {
+        doc.rect(left + 4, y, 8, 8).strokeColor('#666666').stroke();
+        y = drawRow(doc, y, PICK_COLUMNS, {
+            sku: line.sku || '-',
+            name: line.name,
+            variant: line.variant || '',
+            quantity: line.quantity,
+            orders: line.orders
+        });
+    }
+});
+
+/**
+ * Every order's courier label in one PDF, in manifest order. Labels that
+ * can't be fetched are listed in `missing`.
+ * Returns { pdf, included, missing }.
+ */
+const mergeLabels = async (orders) => {
+    const merged = await PdfLibDocument.create();
+    const missing = [];
+    let included = 0;
+
+    const sequence = buildManifest(orders).flatMap(group => group.shipments.map(s => s.orderId));
+    const ordered = [...orders].sort((a, b) => sequence.indexOf(a.orderId) - sequence.indexOf(b.orderId));
+
+    for (const order of ordered) {
+        const url = order.shipping?.labelUrl;
+        if (!url) {
+            missing.push({ orderId: order.orderId, reason: 'No label generated' });
+            continue;
+        }
+
+        try {
+            const response = await axios.get(url, { responseType: 'arraybuffer', timeout: LABEL_FETCH_TIMEOUT_MS });
+            const label = await PdfLibDocument.load(response.data);
+            const pages = await merged.copyPages(label, label.getPageIndices());
+            pages.forEach(page => merged.addPage(page));
+            included++;
+        } catch (error) {
+            console.warn(`[MANIFEST] Label for ${order.orderId} could not be added: ${error.message}`);
+            missing.push({ orderId: order.orderId, reason: 'Label could not be downloaded' });
+        }
+    }
+
+    if (included === 0) {
+        throw new Error('None of the labels in this batch could be downloaded');
+    }
+
+    return { pdf: Buffer.from(await merged.save()), included, missing };
+};
+
+module.exports = {
+    createBatch,
+    loadBatch,
+    buildManifest,
+    buildPickList,
+    renderManifestPdf,
+    renderPickListPdf,
+    mergeLabels
+};
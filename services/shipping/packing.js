@@ -0,0 +1,133 @@
+const { parseWeightKg } = require('../shiprocket');
+
+// ========================================
+// PACKING CALCULATOR
+// ========================================
+// Picks the box an order ships in and works out what the courier will
+// weigh: dead weight (contents + box) and volumetric weight (box volume /
+// divisor). Couriers bill whichever is higher.
+//
+// Unit weights come from the variant's numeric grossWeightGrams /
+// netWeightGrams, falling back to the weight label ("250g") for older
+// catalog entries and orders. A combo line is packed as its component
+// packs. A line with no weight at all is an error, not 0 g: declaring
+// too little gets the parcel re-weighed and surcharged.
+// ========================================
+
+// Share of a box's volume that can actually be filled
+const FILL_FACTOR = 0.85;
+
+// Used when no packaging profiles are configured
+const DEFAULT_BOX = { code: 'default', name: 'Default box', lengthCm: 10, breadthCm: 10, heightCm: 10, tareWeightGrams: 0 };
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Per-unit { netGrams, grossGrams } of a pack. Throws when the pack has
+ * no weight.
+ */
+const unitWeights = (item) => {
+    const labelGrams = parseWeightKg(item.weight) * 1000;
+    const netGrams = item.netWeightGrams || labelGrams;
+    if (!(netGrams > 0)) {
+        throw new Error(`No weight for ${item.name || item.sku || 'an item'}; set its pack weight before shipping`);
+    }
+    return { netGrams, grossGrams: item.grossWeightGrams || netGrams };
+};
+
+/**
+ * The packs a line ships: a combo's components (per-combo quantity times
+ * combos ordered), otherwise the line itself
+ */
+const packsOf = (item) => {
+    const quantity = item.quantity || 1;
+    if (!item.components || item.components.length === 0) return [{ item, quantity }];
+
+    return item.components.map(component => ({
+        item: {
+            name: component.name || component.sku || item.name,
+            sku: component.sku,
+            weight: component.weight,
+            netWeightGrams: component.netWeightGrams,
+            grossWeightGrams: component.grossWeightGrams,
+            dimensions: component.dimensions
+        },
+        quantity: (component.quantity || 1) * quantity
+    }));
+};
+
+// Dimensions largest first, or null when any is missing
+const sortedDims = (dims) => {
+    if (!dims) return null;
+    const values = [dims.lengthCm, dims.breadthCm, dims.heightCm];
+    if (values.some(v => !(v > 0))) return null;
+    return values.sort((a, b) => b - a);
+};
+
+const boxVolume = (box) => box.lengthCm * box.breadthCm * box.heightCm;
+
+/**
+ * Choose a box for the items and compute parcel weights.
+ * @param {Array} items - Lines with quantity, weight label and optional
+ *   netWeightGrams / grossWeightGrams / dimensions
+ * @param {Object} options - { profiles, divisor }
+ * @returns {Object} { profile, lengthCm, breadthCm, heightCm, netWeightKg,
+ *   deadWeightKg, volumetricWeightKg, chargeableWeightKg, oversize }
+ */
+const packItems = (items, { profiles = [], divisor = 5000 } = {}) => {
+    let netGrams = 0;
+    let contentGrams = 0;
+    let contentVolume = 0;
+    const itemDims = [];
+
+    for (const { item, quantity } of items.flatMap(packsOf)) {
+        const weights = unitWeights(item);
+        netGrams += weights.netGrams * quantity;
+        contentGrams += weights.grossGrams * quantity;
+
+        const dims = sortedDims(item.dimensions);
+        if (dims) {
+            contentVolume += dims[0] * dims[1] * dims[2] * quantity;
+            itemDims.push(dims);
+        }
+    }
+
+    const boxes = profiles
+        .filter(box => box.isActive !== false && sortedDims(box))
+        .sort((a, b) => boxVolume(a) - boxVolume(b));
+
+    const fits = (box) => {
+        const inner = sortedDims(box);
+        if (box.maxWeightGrams && contentGrams > box.maxWeightGrams) return false;
+        if (contentVolume > boxVolume(box) * FILL_FACTOR) return false;
+        return itemDims.every(dims => dims.every((side, i) => side <= inner[i]));
+    };
+
+    let box = boxes.find(fits);
+    const oversize = !box && boxes.length > 0;
+    if (!box) {
+        // Nothing fits: declare the largest box and flag it for a look
+        box = boxes.length > 0 ? boxes[boxes.length - 1] : DEFAULT_BOX;
+    }
+
+    const deadWeightKg = round3((contentGrams + (box.tareWeightGrams || 0)) / 1000);
+    const volumetricWeightKg = round3(boxVolume(box) / divisor);
+
+    return {
+        profile: box.code,
+        lengthCm: box.lengthCm,
+        breadthCm: box.breadthCm,
+        heightCm: box.heightCm,
+        netWeightKg: round3(netGrams / 1000),
+        deadWeightKg,
+        volumetricWeightKg,
+        chargeableWeightKg: Math.max(deadWeightKg, volumetricWeightKg),
+        oversize
+    };
+};
+
+module.exports = {
+    packItems,
+    unitWeights,
+    packsOf
+};
@@ -0,0 +1,289 @@
+const { srRequest } = require('../shiprocket');
+const pricingService = require('../pricingService');
+const { mapCourierStatus } = require('./statusMap');
+
+// ========================================
+// SHIPROCKET ADAPTER
+// ========================================
+
+const PICKUP_LOCATION = () => process.env.SR_PICKUP_LOCATION || 'Primary';
+const PICKUP_PINCODE = () => process.env.SR_PICKUP_PINCODE;
+
+// AWB assignment tries the cheapest couriers first, up to this many
+const MAX_COURIER_TRIES = 3;
+
+const shiprocketProvider = {
+    name: 'shiprocket',
+    capabilities: ['serviceability', 'create', 'awb', 'label', 'pickup', 'track', 'cancel', 'return', 'ndr'],
+
+    isConfigured: () => !!(process.env.SR_EMAIL && process.env.SR_PASSWORD),
+
+    /**
+     * Couriers available between our pickup pincode and the delivery pincode
+     */
+    checkServiceability: async ({ deliveryPincode, weight, cod }) => {
+        const response = await srRequest('GET', `/courier/serviceability?pickup_postcode=${PICKUP_PINCODE()}&delivery_postcode=${deliveryPincode}&weight=${weight}&cod=${cod ? 1 : 0}`);
+        const companies = response?.data?.available_courier_companies || [];
+
+        return {
+            serviceable: companies.length > 0,
+            cod: companies.some(c => c.cod === 1),
+            couriers: companies
+                .map(c => ({
+                    id: c.courier_company_id,
+                    name: c.courier_name,
+                    rate: c.freight_charge,
+                    cod: c.cod === 1,
+                    codCharge: c.cod_charges,
+                    etdDays: parseInt(c.estimated_delivery_days) || null,
+                    etd: c.etd
+                }))
+                .sort((a, b) => a.rate - b.rate)
+        };
+    },
+
+    createShipment: async (order, { weight, parcel }) => {
+        const amounts = pricingService.orderAmounts(order);
+
+        const srOrder = await srRequest('POST', '/orders/create/adhoc', {
+            order_id: order.orderId,
+            order_date: new Date(order.createdAt).toISOString().split('T')[0],
+            pickup_location: PICKUP_LOCATION(),
+            billing_customer_name: order.deliveryAddress.firstName,
+            billing_last_name: order.deliveryAddress.lastName || '',
+            billing_address: order.deliveryAddress.street,
+            billing_city: order.deliveryAddress.city,
+            billing_pincode: order.deliveryAddress.zip,
+            billing_state: order.deliveryAddress.state,
+            billing_country: 'India',
+            billing_email: 'contact@mansarafoods.com', // As per request
+            billing_phone: order.deliveryAddress.phone,
+            shipping_is_billing: true,
+            order_items: order.items.map(item => ({
+                name: item.weight ? `${item.name} (${item.weight})` : item.name,
+                sku: item.sku || item.product.toString(),
+                units: item.quantity,
+                selling_price: item.price,
+                hsn: item.hsnCode || '',
+                tax: item.gstRate ?? ''
+            })),
+            payment_method: order.paymentMethod === 'Cash on Delivery' ? 'COD' : 'Prepaid',
+            // Same numbers as the order: sub_total - discount + shipping = total
+            sub_total: amounts.subtotal,
+            total_discount: amounts.discount,
+            shipping_charges: amounts.shippingCharge,
+            // Box from the packing calculator; dead weight in KG
+            length: parcel.lengthCm,
+            breadth: parcel.breadthCm,
+            height: parcel.heightCm,
+            weight
+        });
+
+        if (!srOrder || !srOrder.order_id) {
+            console.error('[SHIPROCKET ERROR] Create Order Failed:', JSON.stringify(srOrder));
+            throw new Error(srOrder?.message || 'Failed to create order in Shiprocket');
+        }
+
+        console.log(`[SHIPROCKET] Order Created: SR_ID ${srOrder.order_id}`);
+        return {
+            providerOrderId: String(srOrder.order_id),
+            shipmentId: String(srOrder.shipment_id)
+        };
+    },
+
+    /**
+     * Assign an AWB, trying the cheapest serviceable couriers in turn
+     */
+    assignAwb: async (shipping, { order, weight }) => {
+        const { couriers } = await shiprocketProvider.checkServiceability({
+            deliveryPincode: order.deliveryAddress.zip,
+            weight,
+            cod: order.paymentMethod === 'Cash on Delivery'
+        });
+
+        if (couriers.length === 0) {
+            throw new Error('No couriers available for this location');
+        }
+
+        const tries = Math.min(couriers.length, MAX_COURIER_TRIES);
+        let lastError = null;
+
+        for (let i = 0; i < tries; i++) {
+            const courier = couriers[i];
+            console.log(`[SHIPROCKET] Selected Courier ${i + 1}/${tries}: ${courier.name} (Cost: ${courier.rate})`);
+
+            try {
+                const awbAssignment = await srRequest('POST', '/courier/assign/awb', {
+                    shipment_id: shipping.shipmentId,
+                    courier_id: courier.id
+                });
+
+                let awb = awbAssignment.response?.data?.awb_code;
+                if (!awb) {
+                    const errorMsg = awbAssignment.response?.data?.awb_assign_error;
+                    const match = errorMsg && errorMsg.includes('already assigned') && errorMsg.match(/awb - ([a-zA-Z0-9]+)/i);
+                    if (!match) {
+                        throw new Error('Failed to assign AWB: ' + (errorMsg || JSON.stringify(awbAssignment)));
+                    }
+                    awb = match[1];
+                }
+
+                console.log(`[SHIPROCKET] Successfully assigned AWB: ${awb} using courier: ${courier.name}`);
+                return { awb, courierId: String(courier.id), courierName: courier.name, freightCharge: courier.rate };
+            } catch (err) {
+                console.warn(`[SHIPROCKET WARNING] Failed to assign AWB with courier ${courier.name}: ${err.message}`);
+                lastError = err;
+            }
+        }
+
+        throw new Error(`Failed to assign AWB after trying ${tries} couriers. Last error: ${lastError?.message}`);
+    },
+
+    /**
+     * Shipping label, plus Shiprocket's invoice when it can make one
+     */
+    generateLabel: async (shipping) => {
+        const labelData = await srRequest('POST', '/courier/generate/label', {
+            shipment_id: [shipping.shipmentId]
+        });
+        const result = { labelUrl: labelData.label_url };
+
+        try {
+            const invoiceData = await srRequest('POST', '/orders/print/invoice', {
+                ids: [shipping.providerOrderId || shipping.srOrderId]
+            });
+            if (invoiceData && invoiceData.is_invoice_created && invoiceData.invoice_url) {
+                result.invoiceUrl = invoiceData.invoice_url;
+            }
+        } catch (invoiceErr) {
+            console.error('[SHIPROCKET] Failed to generate invoice:', invoiceErr.message);
+        }
+
+        return result;
+    },
+
+    schedulePickup: async (shipping) => {
+        await srRequest('POST', '/courier/generate/pickup', {
+            shipment_id: [shipping.shipmentId]
+        });
+        return { scheduledAt: new Date() };
+    },
+
+    track: async (shipping) => {
+        const response = await srRequest('GET', `/courier/track/awb/${encodeURIComponent(shipping.awb)}`);
+        const data = response?.tracking_data || {};
+        const current = (data.shipment_track || [])[0] || {};
+
+        return {
+            rawStatus: current.current_status,
+            ...mapCourierStatus(current.current_status),
+            trackingUrl: data.track_url,
+            events: (data.shipment_track_activities || []).map(a => ({
+                rawStatus: a['sr-status-label'] || a.status,
+                description: a.activity,
+                location: a.location,
+                occurredAt: a.date,
+                payload: a
+            }))
+        };
+    },
+
+    cancel: async (shipping) => {
+        // Shiprocket cancels the AWB along with the order
+        await srRequest('POST', '/orders/cancel', {
+            ids: [shipping.providerOrderId || shipping.srOrderId]
+        });
+        return { cancelledAt: new Date() };
+    },
+
+    /**
+     * Tell Shiprocket what to do after a failed delivery. Reschedules and
+     * address fixes are re-attempts carrying the new date / details.
+     */
+    ndrAction: async (shipping, { action, preferredDate, address, phone, note }) => {
+        const body = {
+            action: action === 'return' ? 'return' : 're-attempt',
+            comments: note || `Customer requested ${action.replace('_', ' ')}`
+        };
+        if (preferredDate) body.deferred_date = new Date(preferredDate).toISOString().split('T')[0];
+        if (phone) body.phone = phone;
+        if (address && address.street) {
+            body.address1 = address.street;
+            body.address2 = [address.city, address.state, address.zip].filter(Boolean).join(', ');
+        }
+
+        await srRequest('POST', `/ndr/${encodeURIComponent(shipping.awb)}/action`, body);
+        return { pushedAt: new Date() };
+    },
+
+    /**
+     * Reverse pickup from the customer's delivery address to our warehouse.
+     * The AWB may be missing if Shiprocket couldn't assign one yet.
+     */
+    createReturn: async (returnRequest, order, { parcel }) => {
+        const address = order.deliveryAddress;
+        const lines = returnRequest.items;
+
+        const srReturn = await srRequest('POST', '/orders/create/return', {
+            order_id: returnRequest.rmaNumber,
+            order_date: new Date().toISOString().split('T')[0],
+            pickup_customer_name: address.firstName,
+            pickup_last_name: address.lastName || '',
+            pickup_address: address.street,
+            pickup_city: address.city,
+            pickup_state: address.state,
+            pickup_country: 'India',
+            pickup_pincode: address.zip,
+            pickup_email: 'contact@mansarafoods.com',
+            pickup_phone: address.phone,
+            shipping_customer_name: process.env.SR_WAREHOUSE_NAME || 'Mansara Foods',
+            shipping_address: process.env.SR_WAREHOUSE_ADDRESS,
+            shipping_city: process.env.SR_WAREHOUSE_CITY,
+            shipping_state: process.env.SR_WAREHOUSE_STATE,
+            shipping_country: 'India',
+            shipping_pincode: PICKUP_PINCODE(),
+            shipping_phone: process.env.SR_WAREHOUSE_PHONE,
+            order_items: lines.map(line => ({
+                name: line.weight ? `${line.name} (${line.weight})` : line.name,
+                sku: line.sku || line.product.toString(),
+                units: line.quantity,
+                selling_price: line.price
+            })),
+            payment_method: 'Prepaid',
+            sub_total: lines.reduce((sum, line) => sum + line.price * line.quantity, 0),
+            length: parcel.lengthCm,
+            breadth: parcel.breadthCm,
+            height: parcel.heightCm,
+            weight: parcel.deadWeightKg
+        });
+
+        if (!srReturn || !srReturn.order_id) {
+            console.error('[SHIPROCKET ERROR] Create Return Failed:', JSON.stringify(srReturn));
+            throw new Error(srReturn?.message || 'Failed to create return in Shiprocket');
+        }
+
+        const pickup = {
+            providerOrderId: String(srReturn.order_id),
+            shipmentId: srReturn.shipment_id ? String(srReturn.shipment_id) : undefined
+        };
+        console.log(`[SHIPROCKET] Return Created: SR_ID ${pickup.providerOrderId} for ${returnRequest.rmaNumber}`);
+
+        // Courier is auto-selected for returns; the pickup is still booked if this fails
+        if (pickup.shipmentId) {
+            try {
+                const awbAssignment = await srRequest('POST', '/courier/assign/awb', {
+                    shipment_id: pickup.shipmentId,
+                    is_return: 1
+                });
+                pickup.awb = awbAssignment.response?.data?.awb_code;
+                pickup.courierName = awbAssignment.response?.data?.courier_name;
+            } catch (err) {
+                console.warn(`[SHIPROCKET WARNING] Return AWB not assigned for ${returnRequest.rmaNumber}: ${err.message}`);
+            }
+        }
+
+        return pickup;
+    }
+};
+
+module.exports = shiprocketProvider;
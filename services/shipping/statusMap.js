@@ -0,0 +1,37 @@
+// ========================================
+// COURIER STATUS MAPPING
+// ========================================
+// Couriers report free-text statuses ("Out For Delivery", "RTO Initiated",
+// "SHIPPED"...). Everything is normalised to Order.shipping.status, and to
+// the customer-facing Order.orderStatus where there is one.
+// ========================================
+
+// Checked in order - 'rto delivered' must win over 'delivered'
+const RULES = [
+    { match: ['rto delivered', 'returned to origin', 'rto received'], status: 'returned' },
+    { match: ['rto', 'return to origin'], status: 'rto_initiated' },
+    { match: ['cancel'], status: 'cancelled' },
+    // Failed attempts stay in transit (before 'delivered' - "undelivered")
+    { match: ['undelivered', 'not delivered', 'delivery failed', 'failed delivery'], status: 'in_transit' },
+    { match: ['out for delivery', 'ofd'], status: 'out_for_delivery', orderStatus: 'Out for Delivery' },
+    { match: ['delivered'], status: 'delivered', orderStatus: 'Delivered' },
+    { match: ['picked up', 'pickup done', 'picked'], status: 'picked_up' },
+    { match: ['in transit', 'shipped', 'dispatch', 'reached', 'transit'], status: 'in_transit', orderStatus: 'Shipped' },
+    { match: ['pickup scheduled', 'pickup generated', 'awb assigned', 'manifest', 'pending'], status: 'pending' }
+];
+
+/**
+ * Map a courier status string to { status, orderStatus }.
+ * Returns null for statuses we don't recognise.
+ */
+const mapCourierStatus = (raw) => {
+    const text = String(raw || '').toLowerCase().trim();
+    if (!text) return null;
+
+    const rule = RULES.find(r => r.match.some(m => text.includes(m)));
+    return rule ? { status: rule.status, orderStatus: rule.orderStatus || null } : null;
+};
+
+module.exports = {
+    mapCourierStatus
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const NdrCase = require('../../models/NdrCase');
+const { NDR_ACTIVE_STATUSES } = require('../../models/NdrCase');
+const rtoService = require('../rtoService');
+const jobQueue = require('../jobQueue');
+const { mapCourierStatus } = require('./statusMap');
+
+// ========================================
+// SHIPMENT TRACKING TIMELINE
+// ========================================
+// Every courier scan (webhook or poll) is appended to
+// Order.shipping.events. The same scan delivered twice is dropped, and
+// shipping.status / orderStatus follow the latest scan by courier time.
+// ========================================
+
+// Oldest events are dropped past this many
+const MAX_EVENTS = 200;
+
+const STATUS_ORDER = ['Ordered', 'Processing', 'Shipped', 'Out for Delivery', 'Delivered'];
+
+// Shipment outcomes that end any open failed-delivery (NDR) case
+const NDR_OUTCOMES = {
+    delivered: { status: 'resolved', resolution: 'Delivered' },
+    rto_initiated: { status: 'closed', resolution: 'Returned to origin' },
+    returned: { status: 'closed', resolution: 'Returned to origin' }
+};
+
+// Shipment statuses that start the RTO flow, and the stage each one runs
+const RTO_STAGE_FOR = {
+    rto_initiated: 'initiated',
+    returned: 'returned'
+};
+
+// Order statuses courier scans no longer move
+const END_STATUSES = ['Cancelled', 'Returned to Origin'];
+
+/**
+ * Courier timestamps: Dates, epoch seconds/ms, ISO strings, and zone-less
+ * IST wall-clock strings ("2024-05-19 15:06:20", "19 05 2024 15:06:20")
+ */
+const parseDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)$/);
+    if (match) return new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}+05:30`);
+
+    match = text.match(/^(\d{2})[ -/](\d{2})[ -/](\d{4}) (\d{2}:\d{2}(?::\d{2})?)$/);
+    if (match) return new Date(`${match[3]}-${match[2]}-${match[1]}T${match[4]}+05:30`);
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const eventKey = (event) => crypto
+    .createHash('sha1')
+    .update([
+        event.provider,
+        event.awb,
+        String(event.rawStatus || '').toLowerCase().trim(),
+        event.occurredAt ? event.occurredAt.toISOString() : '',
+        String(event.location || '').toLowerCase().trim()
+    ].join('|'))
+    .digest('hex');
+
+/**
+ * Build a timeline event from courier fields
+ */
+const buildEvent = ({ rawStatus, description, location, occurredAt, payload }, { provider, awb, source }) => {
+    const courierTime = parseDate(occurredAt);
+    return {
+        rawStatus,
+        status: mapCourierStatus(rawStatus)?.status,
+        description,
+        location,
+        occurredAt: courierTime || new Date(),
+        receivedAt: new Date(),
+        source,
+        provider,
+        payload,
+        // Untimed statuses de-duplicate on the status alone
+        key: eventKey({ provider, awb, rawStatus, occurredAt: courierTime, location })
+    };
+};
+
+/**
+ * Queue the customer's "order moved on" notifications
+ */
+const notifyStatusChange = async (order) => {
+    try {
+        await jobQueue.enqueue('notify.order-status', { orderId: order._id, status: order.orderStatus });
+        if (order.orderStatus === 'Delivered') {
+            await jobQueue.enqueue('notify.review-request', { orderId: order._id });
+        }
+    } catch (err) {
+        console.error('[SHIPPING] Queueing status notification failed:', err);
+    }
+};
+
+/**
+ * Append courier events ({ rawStatus, description, location, occurredAt,
+ * payload }) to an order and move its status on. The customer is notified
+ * when the order status changes.
+ * Returns { added, order, orderStatusChanged, previousStatus }.
+ */
+const recordEvents = async (orderId, rawEvents, { provider, awb, source = 'webhook' } = {}) => {
+    let added = 0;
+
+    for (const raw of rawEvents) {
+        if (!raw || !raw.rawStatus) continue;
+        const event = buildEvent(raw, { provider, awb, source });
+
+        // The key guard makes the append idempotent under concurrent deliveries
+        const result = await Order.updateOne(
+            { _id: orderId, 'shipping.events.key': mongoose.trusted({ $ne: event.key }) },
+            {
+                $push: {
+                    'shipping.events': {
+                        $each: [event],
+                        $sort: { occurredAt: 1 },
+                        $slice: -MAX_EVENTS
+                    }
+                }
+            }
+        );
+        added += result.modifiedCount;
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || added === 0) {
+        return { added, order, orderStatusChanged: false };
+    }
+
+    const result = await applyLatestStatus(order);
+    if (result.orderStatusChanged) await notifyStatusChange(result.order);
+    await settleNdrCases(result.order);
+
+    const rtoStage = RTO_STAGE_FOR[result.order.shipping.status];
+    if (rtoStage) {
+        try {
+            const rto = await rtoService.processRto(orderId, { stage: rtoStage });
+            return { added, ...result, order: rto.order, orderStatusChanged: result.orderStatusChanged || rto.statusChanged };
+        } catch (error) {
+            console.error(`[SHIPPING] RTO handling failed for ${result.order.orderId}:`, error.message);
+        }
+    }
+
+    return { added, ...result };
+};
+
+/**
+ * Set shipping.status from the latest recognised scan, and the order status
+ * when the scan moves it forward. Cancelled and returned-to-origin orders
+ * keep their status.
+ */
+const applyLatestStatus = async (order) => {
+    const previousStatus = order.orderStatus;
+    const latest = [...order.shipping.events].reverse().find(e => e.status);
+
+    order.shipping.lastUpdate = new Date();
+    if (!latest) {
+        await order.save();
+        return { order, orderStatusChanged: false, previousStatus };
+    }
+
+    order.shipping.status = latest.status;
+    const orderStatus = mapCourierStatus(latest.rawStatus)?.orderStatus;
+
+    const forward = orderStatus
+        && !END_STATUSES.includes(previousStatus)
+        && STATUS_ORDER.indexOf(orderStatus) > STATUS_ORDER.indexOf(previousStatus);
+
+    if (forward) {
+        await order.updateStatus(orderStatus, `Courier: ${latest.rawStatus}${latest.location ? ` (${latest.location})` : ''}`);
+    } else {
+        await order.save();
+    }
+
+    return { order, orderStatusChanged: !!forward, previousStatus };
+};
+
+/**
+ * Close the order's open NDR cases once the parcel is delivered or on its
+ * way back to us
+ */
+const settleNdrCases = async (order) => {
+    const outcome = NDR_OUTCOMES[order.shipping.status];
+    if (!outcome) return;
+
+    const now = new Date();
+    await NdrCase.updateMany(
+        { order: order._id, status: mongoose.trusted({ $in: NDR_ACTIVE_STATUSES }) },
+        {
+            $set: { status: outcome.status, resolution: outcome.resolution, closedAt: now, responseTokenExpire: now },
+            $push: { history: { status: outcome.status, note: outcome.resolution, at: now } }
+        }
+    );
+};
+
+/**
+ * Timeline for customers (newest first, raw payloads left out)
+ */
+const publicTimeline = (order) => (order.shipping?.events || [])
+    .slice()
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt))
+    .map(e => ({
+        status: e.status,
+        rawStatus: e.rawStatus,
+        description: e.description,
+        location: e.location,
+        occurredAt: e.occurredAt
+    }));
+
+module.exports = {
+    parseDate,
+    recordEvents,
+    publicTimeline
+};
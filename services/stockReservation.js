@@ -0,0 +1,478 @@
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const { Product } = require('../models/Product');
+const comboService = require('./comboService');
+
+// How long an untouched cart line holds stock
+const RESERVATION_TTL_MS = (parseInt(process.env.CART_RESERVATION_MINUTES) || 30) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const toObjectId = (id) => (id ? new mongoose.Types.ObjectId(String(id)) : null);
+
+// ========================================
+// ATOMIC STOCK PRIMITIVES
+// ========================================
+// All writes are single guarded updateOne calls - no read-modify-save.
+// sanitizeFilter is enabled globally, so every $expr guard is trusted.
+
+/**
+ * $expr that is true when the matching variant satisfies `cond`
+ */
+const variantExpr = (variantId, cond) => ({
+    $anyElementTrue: [{
+        $map: {
+            input: { $ifNull: ['$variants', []] },
+            as: 'v',
+            in: { $and: [{ $eq: ['$$v._id', variantId] }, cond('$$v')] }
+        }
+    }]
+});
+
+/**
+ * Guard: on-hand minus reserved (plus what the caller already holds) >= quantity
+ */
+const availableGuard = (variantId, quantity, alreadyHeld = 0) => {
+    const conditions = [{
+        $gte: [
+            { $add: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, alreadyHeld] },
+            quantity
+        ]
+    }];
+
+    if (variantId) {
+        conditions.push(variantExpr(variantId, v => ({
+            $gte: [
+                { $add: [{ $subtract: [{ $ifNull: [`${v}.stock`, 0] }, { $ifNull: [`${v}.reserved`, 0] }] }, alreadyHeld] },
+                quantity
+            ]
+        })));
+    }
+
+    return mongoose.trusted({ $and: conditions });
+};
+
+/**
+ * Apply stock/reserved deltas to a product (and its variant) in one update
+ */
+const incStock = async (productId, variantId, { stock = 0, reserved = 0 }, guard = null, session = null) => {
+    const inc = {};
+    const options = { session };
+
+    if (stock) inc.stock = stock;
+    if (reserved) inc.reservedStock = reserved;
+
+    if (variantId) {
+        if (stock) inc['variants.$[v].stock'] = stock;
+        if (reserved) inc['variants.$[v].reserved'] = reserved;
+        options.arrayFilters = [{ 'v._id': variantId }];
+    }
+
+    if (Object.keys(inc).length === 0) return true;
+
+    const filter = { _id: productId };
+    if (guard) filter.$expr = guard;
+
+    const result = await Product.updateOne(filter, { $inc: inc }, options);
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Release reserved quantity, clamped at zero so drift can't go negative
+ */
+const releaseReserved = async (productId, variantId, quantity, session = null) => {
+    const clamp = (field) => ({ $max: [0, { $subtract: [{ $ifNull: [field, 0] }, quantity] }] });
+    const set = { reservedStock: clamp('$reservedStock') };
+
+    if (variantId) {
+        set.variants = {
+            $map: {
+                input: { $ifNull: ['$variants', []] },
+                as: 'v',
+                in: {
+                    $cond: [
+                        { $eq: ['$$v._id', variantId] },
+                        { $mergeObjects: ['$$v', { reserved: clamp('$$v.reserved') }] },
+                        '$$v'
+                    ]
+                }
+            }
+        };
+    }
+
+    await Product.updateOne({ _id: productId }, [{ $set: set }], { session });
+};
+
+// ========================================
+// STOCK TARGETS
+// ========================================
+// A line's stock sits on its product / variant - or, for a combo, on each
+// component pack, `per` packs for every combo.
+
+const targetsFrom = (productId, variantId, components) => {
+    if (components && components.length > 0) {
+        return components.map(c => ({
+            product: toObjectId(c.product),
+            variantId: toObjectId(c.variantId),
+            per: c.quantity || 1
+        }));
+    }
+    return [{ product: toObjectId(productId), variantId: toObjectId(variantId), per: 1 }];
+};
+
+const sameTargets = (a, b) => a.length === b.length && a.every((target, i) =>
+    String(target.product) === String(b[i].product) &&
+    String(target.variantId) === String(b[i].variantId) &&
+    target.per === b[i].per);
+
+/**
+ * Current components when the line is a combo, else none
+ */
+const currentComponents = async (productId) => {
+    const product = await Product.findById(productId)
+        .select('__t components products')
+        .lean()
+        .maxTimeMS(3000)
+        .exec();
+    if (!product || product.__t !== 'Combo') return [];
+
+    return comboService.componentsOf(product).map(c => ({
+        product: toObjectId(c.product),
+        variantId: toObjectId(c.variantId),
+        quantity: c.quantity
+    }));
+};
+
+/**
+ * Hold `quantity` lines on every target, or on none of them
+ */
+const holdTargets = async (targets, quantity) => {
+    const held = [];
+    for (const target of targets) {
+        const amount = quantity * target.per;
+        const ok = await incStock(target.product, target.variantId, { reserved: amount }, availableGuard(target.variantId, amount));
+        if (!ok) {
+            for (const done of held) {
+                await releaseReserved(done.product, done.variantId, quantity * done.per);
+            }
+            return false;
+        }
+        held.push(target);
+    }
+    return true;
+};
+
+const releaseTargets = async (targets, quantity) => {
+    for (const target of targets) {
+        await releaseReserved(target.product, target.variantId, quantity * target.per);
+    }
+};
+
+// ========================================
+// CART RESERVATIONS
+// ========================================
+
+/**
+ * Normalise a cart/order line into reservation keys
+ */
+const lineKeys = (userId, line) => ({
+    user: toObjectId(userId),
+    product: toObjectId(line.product || line.id),
+    variantId: toObjectId(line.variantId)
+});
+
+const HOLD_ATTEMPTS = 3;
+
+/**
+ * Record a hold's new quantity, but only if nobody changed it since it
+ * was read (compare-and-set on quantity). Returns false on a lost race.
+ */
+const recordHold = async (keys, existing, quantity, components) => {
+    if (existing) {
+        const update = quantity <= 0
+            ? { $set: { status: 'released', closedAt: new Date() } }
+            : { $set: { quantity, expiresAt: new Date(Date.now() + RESERVATION_TTL_MS) } };
+        const result = await StockReservation.updateOne(
+            { _id: existing._id, status: 'active', quantity: existing.quantity },
+            update
+        );
+        return result.matchedCount === 1;
+    }
+
+    if (quantity <= 0) return true;
+
+    try {
+        await StockReservation.create({
+            ...keys,
+            quantity,
+            expiresAt: new Date(Date.now() + RESERVATION_TTL_MS),
+            components
+        });
+        return true;
+    } catch (error) {
+        // Another request opened this line's hold first
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Move one cart line's hold to `nextQuantity(current)`.
+ * Product stock is held before the reservation is recorded and given
+ * back if recording fails or loses a race, so reservedStock never
+ * outlives its reservation. Returns false when there isn't enough
+ * available stock.
+ */
+const changeLineReservation = async (userId, line, nextQuantity) => {
+    const keys = lineKeys(userId, line);
+
+    for (let attempt = 1; attempt <= HOLD_ATTEMPTS; attempt++) {
+        const existing = await StockReservation.findOne({ ...keys, status: 'active' })
+            .select('quantity components')
+            .lean();
+        const current = existing ? existing.quantity : 0;
+        const quantity = Math.max(0, nextQuantity(current));
+        if (!Number.isInteger(quantity)) {
+            throw new Error('Quantity must be a whole number');
+        }
+        const delta = quantity - current;
+
+        // An existing hold keeps the packs it was taken on
+        const components = existing ? existing.components : await currentComponents(keys.product);
+        const targets = targetsFrom(keys.product, keys.variantId, components);
+
+        if (delta > 0) {
+            const ok = await holdTargets(targets, delta);
+            if (!ok) return false;
+        }
+
+        let recorded;
+        try {
+            recorded = await recordHold(keys, existing, quantity, components);
+        } catch (error) {
+            if (delta > 0) await releaseTargets(targets, delta);
+            throw error;
+        }
+
+        if (!recorded) {
+            if (delta > 0) await releaseTargets(targets, delta);
+            continue;
+        }
+
+        // Released only once this request's new quantity is recorded
+        if (delta < 0) await releaseTargets(targets, -delta);
+        return true;
+    }
+
+    throw new Error('This cart line is being updated elsewhere, please try again');
+};
+
+/**
+ * Set the held quantity for one cart line (0 releases it).
+ * Returns false when there isn't enough available stock.
+ */
+const setLineReservation = (userId, line, quantity) =>
+    changeLineReservation(userId, line, () => quantity);
+
+/**
+ * Add to an existing hold
+ */
+const reserveLine = (userId, line, quantity) =>
+    changeLineReservation(userId, line, current => current + Number(quantity));
+
+/**
+ * Release every active hold for a user (cart cleared)
+ */
+const releaseUserReservations = async (userId) => {
+    const reservations = await StockReservation.find({ user: userId, status: 'active' }).lean();
+
+    let released = 0;
+    for (const reservation of reservations) {
+        // Claim first so a concurrent sweep can't release the same hold twice
+        const claimed = await StockReservation.findOneAndUpdate(
+            { _id: reservation._id, status: 'active' },
+            { $set: { status: 'released', closedAt: new Date() } }
+        );
+        if (!claimed) continue;
+
+        await releaseTargets(targetsFrom(claimed.product, claimed.variantId, claimed.components), claimed.quantity);
+        released++;
+    }
+
+    return released;
+};
+
+/**
+ * Bring reservations in line with a full cart replacement.
+ * Lines that can't be held are returned so the caller can warn.
+ */
+const syncCartReservations = async (userId, oldCart, newCart) => {
+    const key = (item) => `${item.id}:${item.variantId || ''}`;
+    const newKeys = new Set(newCart.map(key));
+    const shortfalls = [];
+
+    // Removed lines first so their stock is free for the rest
+    for (const oldItem of oldCart) {
+        if (!newKeys.has(key(oldItem))) {
+            await setLineReservation(userId, oldItem, 0);
+        }
+    }
+
+    for (const newItem of newCart) {
+        const ok = await setLineReservation(userId, newItem, newItem.quantity);
+        if (!ok) shortfalls.push(newItem);
+    }
+
+    return shortfalls;
+};
+
+// ========================================
+// CHECKOUT / RESTOCK
+// ========================================
+
+/**
+ * Convert the user's holds into committed deductions for an order.
+ * Lines are { product, variantId, quantity, name, components? }; combo
+ * lines deduct each component. Lines without a hold (e.g. guest
+ * checkout) are deducted from available stock directly.
+ * All-or-nothing: inside a transaction the abort undoes everything,
+ * otherwise a failed line rolls back the lines before it by hand.
+ */
+const commitOrderLines = async (userId, lines, orderId = null, session = null) => {
+    const undo = [];
+    const claimed = [];
+
+    try {
+        for (const line of lines) {
+            const keys = lineKeys(userId, line);
+            const targets = targetsFrom(keys.product, keys.variantId, line.components);
+
+            const reservation = await StockReservation.findOneAndUpdate(
+                { ...keys, status: 'active' },
+                { $set: { status: 'committed', closedAt: new Date(), order: orderId } },
+                { session }
+            );
+            if (reservation) claimed.push(reservation._id);
+            let held = reservation ? reservation.quantity : 0;
+
+            // Combo edited since it was held: give the old packs back and
+            // deduct the current ones from available stock
+            if (held > 0) {
+                const heldTargets = targetsFrom(reservation.product, reservation.variantId, reservation.components);
+                if (!sameTargets(heldTargets, targets)) {
+                    for (const target of heldTargets) {
+                        await releaseReserved(target.product, target.variantId, held * target.per, session);
+                        undo.push({ target, stock: 0, reserved: held * target.per });
+                    }
+                    held = 0;
+                }
+            }
+
+            const used = Math.min(held, line.quantity);
+
+            for (const target of targets) {
+                const amount = line.quantity * target.per;
+                const usedAmount = used * target.per;
+
+                const ok = await incStock(
+                    target.product,
+                    target.variantId,
+                    { stock: -amount, reserved: -usedAmount },
+                    availableGuard(target.variantId, amount, usedAmount),
+                    session
+                );
+                if (!ok) {
+                    throw new Error(`Insufficient stock for ${line.name || 'item'}`);
+                }
+                undo.push({ target, stock: amount, reserved: usedAmount });
+
+                // Held more than was ordered - free the rest
+                if (held > used) {
+                    const extra = (held - used) * target.per;
+                    await releaseReserved(target.product, target.variantId, extra, session);
+                    undo.push({ target, stock: 0, reserved: extra });
+                }
+            }
+        }
+    } catch (error) {
+        if (session) throw error;
+
+        for (const entry of undo.reverse()) {
+            await incStock(entry.target.product, entry.target.variantId, { stock: entry.stock, reserved: entry.reserved });
+        }
+        if (claimed.length > 0) {
+            await StockReservation.updateMany(
+                { _id: mongoose.trusted({ $in: claimed }) },
+                { $set: { status: 'active' }, $unset: { closedAt: 1, order: 1 } }
+            );
+        }
+        throw error;
+    }
+};
+
+/**
+ * Put ordered quantities back on hand (order deleted / returned)
+ */
+const restoreStock = async (lines) => {
+    for (const line of lines) {
+        for (const target of targetsFrom(line.product, line.variantId, line.components)) {
+            await incStock(target.product, target.variantId, { stock: line.quantity * target.per });
+        }
+    }
+};
+
+// ========================================
+// EXPIRY
+// ========================================
+
+/**
+ * Release holds whose TTL has passed
+ */
+const releaseExpired = async (batchSize = 200) => {
+    const now = new Date();
+    const expired = await StockReservation.find({
+        status: 'active',
+        expiresAt: mongoose.trusted({ $lte: now })
+    })
+        .limit(batchSize)
+        .lean();
+
+    let released = 0;
+    for (const reservation of expired) {
+        // Claim it first so two instances can't release the same hold
+        const claimed = await StockReservation.findOneAndUpdate(
+            { _id: reservation._id, status: 'active', expiresAt: mongoose.trusted({ $lte: now }) },
+            { $set: { status: 'expired', closedAt: now } }
+        );
+        if (!claimed) continue;
+
+        await releaseTargets(targetsFrom(claimed.product, claimed.variantId, claimed.components), claimed.quantity);
+        released++;
+    }
+
+    if (released > 0) {
+        console.log(`[STOCK] Released ${released} expired cart reservation(s)`);
+    }
+    return released;
+};
+
+/**
+ * Background sweeper for expired holds
+ */
+const startReservationSweeper = () => {
+    const timer = setInterval(() => {
+        releaseExpired().catch(err => console.error('[STOCK] Reservation sweep failed:', err.message));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    setLineReservation,
+    reserveLine,
+    releaseUserReservations,
+    syncCartReservations,
+    commitOrderLines,
+    restoreStock,
+    releaseExpired,
+    startReservationSweeper
+};
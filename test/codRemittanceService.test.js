@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFile } = require('../services/codRemittanceService');
+
+const csv = (text) => Buffer.from(text.trim() + '\n');
+
+describe('codRemittanceService.parseFile', () => {
+    it('maps courier column names onto our fields', () => {
+        const rows = parseFile(csv(`
+AWB No.,Channel Order ID,COD Amount,UTR No,Remittance Date
+12345,ORD250101-1,"₹1,234.50",UTR9,2025-01-10
+        `));
+
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].row, 2);
+        assert.equal(rows[0].awb, '12345');
+        assert.equal(rows[0].orderId, 'ORD250101-1');
+        assert.equal(rows[0].amount, 1234.5);
+        assert.equal(rows[0].reference, 'UTR9');
+        assert.ok(rows[0].date instanceof Date);
+    });
+
+    it('prefers the earlier alias when a file has several amount columns', () => {
+        const [row] = parseFile(csv(`
+Order ID,Amount,COD Amount
+ORD1,10,250
+        `));
+
+        assert.equal(row.amount, 250);
+        assert.equal(row.awb, '');
+    });
+
+    it('leaves an unreadable amount as NaN for the matcher to report', () => {
+        const [row] = parseFile(csv(`
+AWB,COD Amount
+777,n/a
+        `));
+
+        assert.ok(Number.isNaN(row.amount));
+    });
+
+    it('requires an id column and an amount column', () => {
+        assert.throws(() => parseFile(csv('Amount\n10')), /AWB or order id column/);
+        assert.throws(() => parseFile(csv('AWB\n777')), /amount column/);
+    });
+});
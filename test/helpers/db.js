@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// ========================================
+// IN-MEMORY REPLICA SET FOR TESTS
+// ========================================
+// Transactions need a replica set; a single wiredTiger member is enough.
+// Require the models under test before calling connect() so their
+// collections and indexes exist up front (creating them inside a
+// transaction is not allowed on every server version).
+// ========================================
+
+let replSet = null;
+
+const connect = async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+
+    // Same as server.js
+    mongoose.set('sanitizeFilter', true);
+    await mongoose.connect(replSet.getUri());
+
+    for (const model of Object.values(mongoose.models)) {
+        await model.createCollection().catch(() => {});
+        await model.init();
+    }
+};
+
+const clear = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+    replSet = null;
+};
+
+module.exports = { connect, clear, disconnect };
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { amountInWords } = require('../services/invoiceService');
+
+describe('invoiceService.amountInWords', () => {
+    it('writes whole rupees', () => {
+        assert.equal(amountInWords(0), 'Rupees Zero Only');
+        assert.equal(amountInWords(7), 'Rupees Seven Only');
+        assert.equal(amountInWords(110), 'Rupees One Hundred Ten Only');
+    });
+
+    it('adds paise', () => {
+        assert.equal(amountInWords(1234.5), 'Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only');
+        // 2500000.05 is 4.999... paise in floating point
+        assert.equal(amountInWords(2500000.05), 'Rupees Twenty Five Lakh and Five Paise Only');
+    });
+
+    it('uses lakh and crore', () => {
+        assert.equal(amountInWords(100000), 'Rupees One Lakh Only');
+        assert.equal(
+            amountInWords(12345678),
+            'Rupees One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight Only'
+        );
+    });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Category = require('../models/Category');
+const { Product } = require('../models/Product');
+require('../models/StockReservation');
+require('../models/Setting');
+require('../models/Job');
+const shipping = require('../services/shipping');
+const orderRoutes = require('../routes/orderRoutes');
+const db = require('./helpers/db');
+
+// No courier calls from tests: every pincode is serviceable
+shipping.estimateDelivery = async () => ({ available: true });
+
+const ADDRESS = {
+    firstName: 'Test',
+    street: '1 Main Road',
+    city: 'Chennai',
+    state: 'Tamil Nadu',
+    zip: '600001',
+    phone: '9000000000'
+};
+
+describe('POST /api/orders', () => {
+    let server;
+    let baseUrl;
+    let token;
+    let category;
+
+    const placeOrder = async (items, extra = {}) => {
+        const res = await fetch(`${baseUrl}/api/orders`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({
+                items,
+                total: 0,
+                paymentMethod: 'Cash on Delivery',
+                deliveryAddress: ADDRESS,
+                ...extra
+            })
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    const createProduct = (name, stock) => Product.create({
+        name,
+        description: name,
+        price: 100,
+        category: category._id,
+        image: 'https://example.com/p.jpg',
+        stock,
+        netWeightGrams: 250
+    });
+
+    before(async () => {
+        await db.connect();
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/orders', orderRoutes);
+        server = app.listen(0);
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.close();
+        await db.disconnect();
+    });
+
+    beforeEach(async () => {
+        await db.clear();
+
+        const user = await User.create({ name: 'Buyer', email: 'buyer@example.com' });
+        token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+        category = await Category.create({ name: 'Podi', slug: 'podi' });
+        await Coupon.create({ code: 'SAVE10', discountType: 'percentage', discountValue: 10, usageLimit: 5 });
+    });
+
+    it('deducts stock and uses the coupon when the order commits', async () => {
+        const idly = await createProduct('Idly Podi', 5);
+
+        const { status, body } = await placeOrder(
+            [{ product: idly._id, quantity: 2 }],
+            { couponCode: 'SAVE10' }
+        );
+
+        assert.equal(status, 201, body.message);
+        assert.equal(body.discount, 20);
+        assert.equal((await Product.findById(idly._id).lean()).stock, 3);
+        assert.equal((await Coupon.findOne({ code: 'SAVE10' }).lean()).usedCount, 1);
+        assert.equal((await CouponUsage.findOne({}).lean()).count, 1);
+        assert.equal(await Order.countDocuments({}), 1);
+    });
+
+    it('refuses a second use of a coupon past the per-customer limit', async () => {
+        const idly = await createProduct('Idly Podi', 5);
+
+        const first = await placeOrder([{ product: idly._id, quantity: 1 }], { couponCode: 'SAVE10' });
+        assert.equal(first.status, 201, first.body.message);
+
+        const { status, body } = await placeOrder([{ product: idly._id, quantity: 1 }], { couponCode: 'SAVE10' });
+
+        assert.equal(status, 400);
+        assert.match(body.message, /already used this coupon/);
+        assert.equal((await Product.findById(idly._id).lean()).stock, 4);
+        assert.equal((await Coupon.findOne({ code: 'SAVE10' }).lean()).usedCount, 1);
+    });
+
+    it('rolls back stock and the coupon use when a later line is short', async () => {
+        const idly = await createProduct('Idly Podi', 5);
+        const garlic = await createProduct('Garlic Podi', 1);
+
+        // The first line deducts and the coupon is claimed before the
+        // second line fails
+        const { status, body } = await placeOrder(
+            [{ product: idly._id, quantity: 2 }, { product: garlic._id, quantity: 3 }],
+            { couponCode: 'SAVE10' }
+        );
+
+        assert.equal(status, 400);
+        assert.match(body.message, /Insufficient stock for Garlic Podi/);
+        assert.equal((await Product.findById(idly._id).lean()).stock, 5);
+        assert.equal((await Product.findById(garlic._id).lean()).stock, 1);
+        assert.equal((await Coupon.findOne({ code: 'SAVE10' }).lean()).usedCount, 0);
+        assert.equal(await CouponUsage.countDocuments({}), 0);
+        assert.equal(await Order.countDocuments({}), 0);
+    });
+
+    it('rolls back when the order itself fails to save', async () => {
+        const idly = await createProduct('Idly Podi', 5);
+
+        // deliveryAddress.street is required: validation fails at order.save,
+        // after the stock and coupon writes
+        const { status } = await placeOrder(
+            [{ product: idly._id, quantity: 2 }],
+            { couponCode: 'SAVE10', deliveryAddress: { ...ADDRESS, street: '' } }
+        );
+
+        assert.equal(status, 400);
+        assert.equal((await Product.findById(idly._id).lean()).stock, 5);
+        assert.equal((await Coupon.findOne({ code: 'SAVE10' }).lean()).usedCount, 0);
+        assert.equal(await Order.countDocuments({}), 0);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTax, orderAmounts, sellingPrice } = require('../services/pricingService');
+
+const SETTINGS = { businessState: 'Tamil Nadu', shippingGstRate: 18 };
+
+describe('pricingService.buildTax', () => {
+    it('carves CGST and SGST out of inclusive prices within the state', () => {
+        const tax = buildTax(
+            [{ lineTotal: 105, gstRate: 5 }, { lineTotal: 118, gstRate: 18 }],
+            0, 0, SETTINGS, ' tamil nadu'
+        );
+
+        assert.equal(tax.intraState, true);
+        assert.deepEqual(tax.rates, [
+            { rate: 5, taxable: 100, cgst: 2.5, sgst: 2.5, igst: 0, tax: 5 },
+            { rate: 18, taxable: 100, cgst: 9, sgst: 9, igst: 0, tax: 18 }
+        ]);
+        assert.equal(tax.taxable, 200);
+        assert.equal(tax.total, 23);
+    });
+
+    it('charges IGST for another state and taxes shipping at its own rate', () => {
+        const tax = buildTax([{ lineTotal: 105, gstRate: 5 }], 0, 59, SETTINGS, 'Kerala');
+
+        assert.equal(tax.intraState, false);
+        assert.equal(tax.cgst, 0);
+        assert.equal(tax.sgst, 0);
+        assert.deepEqual(tax.rates.map(r => [r.rate, r.taxable, r.igst]), [[5, 100, 5], [18, 50, 9]]);
+        assert.equal(tax.igst, 14);
+    });
+
+    it('spreads the discount over lines before carving out tax', () => {
+        const items = [{ lineTotal: 100, gstRate: 5 }, { lineTotal: 100, gstRate: 5 }];
+        const tax = buildTax(items, 20, 0, SETTINGS, 'Tamil Nadu');
+
+        // Each line is paid 90, of which 85.71 is taxable
+        assert.deepEqual(items.map(i => [i.taxableValue, i.taxAmount]), [[85.71, 4.29], [85.71, 4.29]]);
+        assert.equal(tax.taxable, 171.42);
+        assert.equal(tax.total, 8.58);
+        assert.equal(tax.cgst + tax.sgst, tax.total);
+    });
+
+    it('treats a missing delivery state as within the state', () => {
+        assert.equal(buildTax([{ lineTotal: 100, gstRate: 0 }], 0, 0, SETTINGS).intraState, true);
+    });
+});
+
+describe('pricingService.orderAmounts', () => {
+    it('uses the stored shipping charge', () => {
+        const amounts = orderAmounts({ items: [{ price: 100, quantity: 2 }], discount: 0, shippingCharge: 0, total: 200 });
+        assert.deepEqual(amounts, { subtotal: 200, discount: 0, shippingCharge: 0, total: 200 });
+    });
+
+    it('derives shipping from the total for orders saved before the pricing engine', () => {
+        const amounts = orderAmounts({ items: [{ price: 100, quantity: 2 }], discount: 20, total: 230 });
+        assert.deepEqual(amounts, { subtotal: 200, discount: 20, shippingCharge: 50, total: 230 });
+    });
+});
+
+describe('pricingService.sellingPrice', () => {
+    it('uses the offer price only when the product is on offer and it is lower', () => {
+        assert.equal(sellingPrice({ price: 100, offerPrice: 80, isOffer: true }), 80);
+        assert.equal(sellingPrice({ price: 100, offerPrice: 80, isOffer: false }), 100);
+        assert.equal(sellingPrice({ price: 100, offerPrice: 120, isOffer: true }), 100);
+    });
+
+    it('prices a variant from the variant and a combo at its bundle price', () => {
+        const product = { price: 100, isOffer: true };
+        assert.equal(sellingPrice(product, { price: 250, offerPrice: 225 }), 225);
+        assert.equal(sellingPrice({ price: 300, comboPrice: 270 }), 270);
+    });
+});
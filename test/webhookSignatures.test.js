@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const paymentService = require('../services/paymentService');
+const courierWebhooks = require('../services/shipping/webhooks');
+
+const ENV_KEYS = ['RAZORPAY_WEBHOOK_SECRET', 'ICARRY_WEBHOOK_SECRET', 'ICARRY_WEBHOOK_TOKEN', 'SHIPROCKET_WEBHOOK_SECRET', 'SHIPROCKET_WEBHOOK_TOKEN'];
+
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Missing-secret paths log a configuration error; keep test output clean
+const quietly = (fn) => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        console.error = error;
+    }
+};
+
+let savedEnv;
+const saveEnv = () => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+};
+const restoreEnv = () => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+};
+
+describe('paymentService.verifyWebhookSignature', () => {
+    const body = Buffer.from('{"event":"payment.captured"}');
+
+    beforeEach(saveEnv);
+    afterEach(restoreEnv);
+
+    it('accepts the HMAC of the raw body', () => {
+        process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec';
+        assert.equal(paymentService.verifyWebhookSignature(body, hmac('whsec', body)), true);
+    });
+
+    it('rejects a wrong signature, a changed body or a missing signature', () => {
+        process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec';
+        assert.equal(paymentService.verifyWebhookSignature(body, hmac('other', body)), false);
+        assert.equal(paymentService.verifyWebhookSignature(Buffer.from('{}'), hmac('whsec', body)), false);
+        assert.equal(paymentService.verifyWebhookSignature(body, undefined), false);
+    });
+
+    it('rejects everything when no secret is configured', () => {
+        assert.equal(quietly(() => paymentService.verifyWebhookSignature(body, hmac('', body))), false);
+    });
+});
+
+describe('courier webhook verify', () => {
+    const rawBody = Buffer.from('{"order_id":"ORD1","status":"Delivered"}');
+
+    beforeEach(saveEnv);
+    afterEach(restoreEnv);
+
+    it('checks the HMAC header when a secret is set, with or without a sha256= prefix', () => {
+        process.env.ICARRY_WEBHOOK_SECRET = 'ic-secret';
+        const signature = hmac('ic-secret', rawBody);
+
+        assert.deepEqual(
+            courierWebhooks.verify('icarry', { rawBody, headers: { 'x-icarry-signature': signature } }),
+            { ok: true }
+        );
+        assert.deepEqual(
+            courierWebhooks.verify('icarry', { rawBody, headers: { 'x-icarry-signature': `sha256=${signature}` } }),
+            { ok: true }
+        );
+        assert.deepEqual(
+            courierWebhooks.verify('icarry', { rawBody, headers: { 'x-icarry-signature': hmac('other', rawBody) } }),
+            { ok: false, reason: 'Invalid signature' }
+        );
+    });
+
+    it('prefers the secret over a token when both are set', () => {
+        process.env.ICARRY_WEBHOOK_SECRET = 'ic-secret';
+        process.env.ICARRY_WEBHOOK_TOKEN = 'ic-token';
+
+        const result = courierWebhooks.verify('icarry', { rawBody, headers: { 'x-api-key': 'ic-token' } });
+        assert.equal(result.ok, false);
+    });
+
+    it('accepts the shared token from the header or the query', () => {
+        process.env.ICARRY_WEBHOOK_TOKEN = 'ic-token';
+
+        assert.equal(courierWebhooks.verify('icarry', { rawBody, headers: { 'x-api-key': 'ic-token' } }).ok, true);
+        assert.equal(courierWebhooks.verify('icarry', { rawBody, headers: {}, query: { token: 'ic-token' } }).ok, true);
+        assert.deepEqual(
+            courierWebhooks.verify('icarry', { rawBody, headers: { 'x-api-key': 'wrong' } }),
+            { ok: false, reason: 'Invalid token' }
+        );
+    });
+
+    it('only takes the token from the query for providers that allow it', () => {
+        process.env.SHIPROCKET_WEBHOOK_TOKEN = 'sr-token';
+        assert.equal(courierWebhooks.verify('shiprocket', { rawBody, headers: {}, query: { token: 'sr-token' } }).ok, false);
+    });
+
+    it('rejects unknown and unconfigured providers', () => {
+        assert.deepEqual(courierWebhooks.verify('nobody', { rawBody, headers: {} }), { ok: false, reason: 'Unknown provider' });
+
+        assert.deepEqual(
+            quietly(() => courierWebhooks.verify('shiprocket', { rawBody, headers: {} })),
+            { ok: false, reason: 'Webhook secret not configured' }
+        );
+    });
+});
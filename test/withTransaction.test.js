@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const withTransaction = require('../utils/withTransaction');
+const db = require('./helpers/db');
+
+const transientError = () => {
+    const error = new mongoose.mongo.MongoError('Write conflict');
+    error.addErrorLabel('TransientTransactionError');
+    return error;
+};
+
+const createCategory = (name, session) =>
+    Category.create([{ name, slug: name.toLowerCase() }], { session });
+
+describe('withTransaction', () => {
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(db.clear);
+
+    it('commits the work and returns its result', async () => {
+        const result = await withTransaction(async (session) => {
+            await createCategory('Spices', session);
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.equal(await Category.countDocuments({ name: 'Spices' }), 1);
+    });
+
+    it('aborts and rethrows when the work fails', async () => {
+        await assert.rejects(
+            withTransaction(async (session) => {
+                await createCategory('Spices', session);
+                throw new Error('boom');
+            }),
+            { message: 'boom' }
+        );
+
+        assert.equal(await Category.countDocuments({}), 0);
+    });
+
+    it('retries the whole callback on a TransientTransactionError', async () => {
+        let attempts = 0;
+
+        await withTransaction(async (session) => {
+            attempts++;
+            await createCategory('Spices', session);
+            if (attempts === 1) throw transientError();
+        });
+
+        // The first attempt's write was rolled back, not kept twice
+        assert.equal(attempts, 2);
+        assert.equal(await Category.countDocuments({ name: 'Spices' }), 1);
+    });
+
+    it('gives up after the configured retries', async () => {
+        let attempts = 0;
+
+        await assert.rejects(
+            withTransaction(async (session) => {
+                attempts++;
+                await createCategory('Spices', session);
+                throw transientError();
+            }, { retries: 1 }),
+            { message: 'Write conflict' }
+        );
+
+        assert.equal(attempts, 2);
+        assert.equal(await Category.countDocuments({}), 0);
+    });
+});
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const dotenv = require('dotenv');
+const { packItems } = require('../services/shipping/packing');
 dotenv.config();
 
 const API_KEY = process.env.ICARRY_API_KEY;
@@ -57,36 +58,20 @@ const iCarryService = {
     /**
      * Create a shipment in iCarry
      * @param {Object} order - The order object from DB
+     * @param {Object} [parcel] - Box and weights from services/shipping/packing
+     *   (packed here with the default box when not given)
      * @returns {Promise<Object>} - The API response with AWB/Tracking info
      */
-    createShipment: async (order) => {
+    createShipment: async (order, parcel) => {
         try {
             if (!API_KEY || !USERNAME) {
                 throw new Error('iCarry API credentials not configured');
             }
 
-            // Calculate total weight
-            let totalWeight = 0;
-            if (order.items) {
-                order.items.forEach(item => {
-                    const productWeight = item.weight || (item.product ? item.product.weight : '0');
-                    if (productWeight) {
-                        const str = productWeight.toString().toLowerCase().replace(/\s/g, '');
-                        let val = parseFloat(str);
-                        if (!isNaN(val)) {
-                            if (str.includes('gm') || (str.includes('g') && !str.includes('kg'))) {
-                                val = val / 1000;
-                            } else if (str.includes('ml')) {
-                                val = val / 1000;
-                            }
-                            totalWeight += (val * item.quantity);
-                        }
-                    }
-                });
+            if (!parcel) {
+                parcel = packItems(order.items || []);
             }
 
-            if (totalWeight < 0.05) totalWeight = 0.5;
-
             // 1. Get Session API Token
             const sessionToken = await iCarryService.getSessionToken();
 
@@ -114,13 +99,13 @@ const iCarryService = {
                 parcel_type: order.paymentMethod === 'Cash on Delivery' ? 'C' : 'P', // C=COD, P=Prepaid
                 parcel_value: order.total,
                 parcel_contents: order.items ? order.items.map(i => i.name).join(', ') : 'Food Items',
-                weight: Math.round(totalWeight * 1000), // Convert to grams
+                weight: Math.round(parcel.deadWeightKg * 1000), // Convert to grams
                 weight_unit: 'gm',
                 pickup_address: 'Mansara Foods', // Default pickup name
                 pickup_pincode: process.env.ICARRY_PICKUP_PINCODE || '600001',
-                length: 10,
-                breadth: 10,
-                height: 5,
+                length: parcel.lengthCm,
+                breadth: parcel.breadthCm,
+                height: parcel.heightCm,
                 package_type: 'Parcel'
             };
 
@@ -459,7 +459,8 @@ Thank you for choosing Mansara Foods! 🙏`;
                 'Shipped': { emoji: '📦', color: '#9b59b6', bg: '#f4ecf7' },
                 'Out for Delivery': { emoji: '🚚', color: '#e67e22', bg: '#fdebd0' },
                 'Delivered': { emoji: '✅', color: '#27ae60', bg: '#d5f4e6' },
-                'Cancelled': { emoji: '❌', color: '#e74c3c', bg: '#fadbd8' }
+                'Cancelled': { emoji: '❌', color: '#e74c3c', bg: '#fadbd8' },
+                'Returned to Origin': { emoji: '↩️', color: '#7f8c8d', bg: '#eaeded' }
             };
 
             const config = statusConfig[newStatus] || statusConfig['Ordered'];
@@ -518,6 +519,13 @@ Thank you for choosing Mansara Foods! 🙏`;
                                     </div>
                                     ` : ''}
 
+                                    ${newStatus === 'Returned to Origin' ? `
+                                    <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                                        <p style="margin: 0; color: #666; text-align: center;">↩️ The courier couldn't deliver your order and is returning it to us.</p>
+                                        <p style="margin: 10px 0 0 0; color: #666; text-align: center;">If you paid online, your refund will be started once it reaches us.</p>
+                                    </div>
+                                    ` : ''}
+
                                     <!-- CTA Button -->
                                     <div style="text-align: center; margin: 35px 0;">
                                         <a href="${trackingLink}" style="display: inline-block; background-color: ${config.color}; color: white; padding: 14px 35px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">Track Order</a>
@@ -567,6 +575,8 @@ Thank you for choosing Mansara Foods! 🙏`;
                         message += `Your order will be delivered today! 🚚\n\n`;
                     } else if (newStatus === 'Delivered') {
                         message += `Your order has been delivered! Thank you for shopping with us! ✅\n\n`;
+                    } else if (newStatus === 'Returned to Origin') {
+                        message += `The courier couldn't deliver your order and is returning it to us. If you paid online, your refund will be started once it reaches us.\n\n`;
                     }
 
                     message += `📦 Track: ${trackingLink}\n\nThank you! 🙏`;
@@ -1281,6 +1291,322 @@ Thank you for your support! 🙏`;
         } catch (error) {
             console.error('[ERROR] sendContactMessage:', error.message);
         }
+    },
+
+    // 12. Refund Update (Initiated / Processed)
+    sendRefundUpdate: async (order, user, refund) => {
+        try {
+            const amount = notificationService._formatCurrency(refund.amount);
+            const processed = refund.status === 'processed';
+            const headline = processed ? 'Refund Processed' : 'Refund Initiated';
+            const timeline = refund.mode === 'manual'
+                ? 'Our team will contact you with the transfer details.'
+                : processed
+                    ? 'It should reflect in your account within 5-7 working days.'
+                    : 'It will be credited to your original payment method within 5-7 working days.';
+
+            // EMAIL NOTIFICATION
+            const emailPromise = (async () => {
+                if (!user.email) {
+                    console.log('[ℹ] No email address available');
+                    return;
+                }
+
+                try {
+                    const emailMessage = `
+                        <!DOCTYPE html>
+                        <html>
+                        <head>
+                            <meta charset="UTF-8">
+                            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                        </head>
+                        <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+                            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+
+                                <!-- Header -->
+                                <div style="background-color: #27ae60; padding: 30px; text-align: center;">
+                                    <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${headline} 💸</h1>
+                                </div>
+
+                                <!-- Content -->
+                                <div style="padding: 30px;">
+                                    <p style="font-size: 16px; color: #333; margin-bottom: 20px;">Hi <strong>${user.name}</strong>,</p>
+                                    <p style="font-size: 14px; color: #666; line-height: 1.6;">A refund of <strong>${amount}</strong> for your order <strong>#${order.orderId}</strong> has been ${processed ? 'processed' : 'initiated'}.</p>
+
+                                    <!-- Refund Box -->
+                                    <div style="background-color: #e8f8f0; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #27ae60;">
+                                        <p style="margin: 0 0 8px 0; color: #1e8449;"><strong>Amount:</strong> ${amount}</p>
+                                        ${refund.reason ? `<p style="margin: 0 0 8px 0; color: #1e8449;"><strong>Reason:</strong> ${refund.reason}</p>` : ''}
+                                        <p style="margin: 0; color: #1e8449;">${timeline}</p>
+                                    </div>
+
+                                    <p style="font-size: 14px; color: #666; line-height: 1.6;">If you have any questions, please don't hesitate to contact us.</p>
+                                </div>
+
+                                <!-- Footer -->
+                                <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #dee2e6;">
+                                    <p style="margin: 5px 0; color: #666; font-size: 14px;"><strong>Mansara Foods</strong> 🌿</p>
+                                </div>
+                            </div>
+                        </body>
+                        </html>
+                    `;
+
+                    await sendEmail({
+                        email: user.email,
+                        name: user.name,
+                        subject: `${headline}: ${order.orderId} | Mansara Foods`,
+                        html: emailMessage
+                    });
+                    console.log('[✓] Refund email sent');
+                } catch (err) {
+                    console.error('[✗] Email failed:', err.message);
+                }
+            })();
+
+            // WHATSAPP NOTIFICATION
+            const whatsappPromise = (async () => {
+                const whatsappNumber = notificationService._getWhatsAppNumber(order, user);
+                if (!whatsappNumber) {
+                    console.log('[ℹ] No WhatsApp number available');
+                    return;
+                }
+
+                try {
+                    const message = `*Mansara Foods* 🌿
+
+💸 *${headline}*
+
+Hi *${user.name}*,
+
+A refund of *${amount}* for your order *${order.orderId}* has been ${processed ? 'processed' : 'initiated'}.
+${refund.reason ? `\n*Reason:* ${refund.reason}\n` : ''}
+${timeline}
+
+Thank you for your patience! 🙏`;
+
+                    await whatsappService.sendMessage(whatsappNumber, message);
+                    console.log('[✓] Refund WhatsApp sent via BotBiz');
+                } catch (err) {
+                    console.error('[✗] WhatsApp failed:', err.message);
+                }
+            })();
+
+            await Promise.allSettled([emailPromise, whatsappPromise]);
+
+        } catch (error) {
+            console.error('[ERROR] sendRefundUpdate:', error.message);
+        }
+    },
+
+    // 13. Return Update (RMA status change)
+    sendReturnUpdate: async (returnRequest, order, user) => {
+        try {
+            const messages = {
+                requested: ['Return Request Received', 'We have received your return request and will review it within 48 hours.'],
+                approved: ['Return Approved', 'Your return has been approved. We will arrange a pickup from your delivery address.'],
+                rejected: ['Return Request Declined', `Unfortunately we could not accept this return${returnRequest.rejectionReason ? `: ${returnRequest.rejectionReason}` : '.'}`],
+                cancelled: ['Return Cancelled', 'Your return request has been cancelled.'],
+                pickup_scheduled: ['Return Pickup Scheduled', `A courier will collect the items from your delivery address${returnRequest.pickup?.awb ? ` (AWB ${returnRequest.pickup.awb})` : ''}. Please keep them packed and ready.`],
+                picked_up: ['Return Picked Up', 'The items have been picked up and are on their way to us.'],
+                received: ['Return Received', 'We have received the returned items. Your refund will be processed shortly.'],
+                refunded: ['Return Refunded', `A refund${returnRequest.refundAmount ? ` of ${notificationService._formatCurrency(returnRequest.refundAmount)}` : ''} has been issued for this return.`]
+            };
+
+            const [headline, detail] = messages[returnRequest.status] || ['Return Update', `Your return is now ${returnRequest.status}.`];
+            const itemsList = returnRequest.items.map(i => `${i.name}${i.weight ? ` (${i.weight})` : ''} x ${i.quantity}`);
+
+            // EMAIL NOTIFICATION
+            const emailPromise = (async () => {
+                if (!user.email) {
+                    console.log('[ℹ] No email address available');
+                    return;
+                }
+
+                try {
+                    const emailMessage = `
+                        <!DOCTYPE html>
+                        <html>
+                        <head>
+                            <meta charset="UTF-8">
+                            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                        </head>
+                        <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+                            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+
+                                <!-- Header -->
+                                <div style="background-color: #2c3e50; padding: 30px; text-align: center;">
+                                    <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${headline} 📦</h1>
+                                </div>
+
+                                <!-- Content -->
+                                <div style="padding: 30px;">
+                                    <p style="font-size: 16px; color: #333; margin-bottom: 20px;">Hi <strong>${user.name}</strong>,</p>
+                                    <p style="font-size: 14px; color: #666; line-height: 1.6;">Update on return <strong>${returnRequest.rmaNumber}</strong> for order <strong>#${order.orderId}</strong>.</p>
+
+                                    <!-- Return Box -->
+                                    <div style="background-color: #f0f4f8; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2c3e50;">
+                                        <p style="margin: 0 0 12px 0; color: #2c3e50;">${detail}</p>
+                                        ${itemsList.map(line => `<p style="margin: 0 0 4px 0; color: #555; font-size: 13px;">• ${line}</p>`).join('')}
+                                    </div>
+
+                                    <p style="font-size: 14px; color: #666; line-height: 1.6;">If you have any questions, please don't hesitate to contact us.</p>
+                                </div>
+
+                                <!-- Footer -->
+                                <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #dee2e6;">
+                                    <p style="margin: 5px 0; color: #666; font-size: 14px;"><strong>Mansara Foods</strong> 🌿</p>
+                                </div>
+                            </div>
+                        </body>
+                        </html>
+                    `;
+
+                    await sendEmail({
+                        email: user.email,
+                        name: user.name,
+                        subject: `${headline}: ${returnRequest.rmaNumber} | Mansara Foods`,
+                        html: emailMessage
+                    });
+                    console.log('[✓] Return email sent');
+                } catch (err) {
+                    console.error('[✗] Email failed:', err.message);
+                }
+            })();
+
+            // WHATSAPP NOTIFICATION
+            const whatsappPromise = (async () => {
+                const whatsappNumber = notificationService._getWhatsAppNumber(order, user);
+                if (!whatsappNumber) {
+                    console.log('[ℹ] No WhatsApp number available');
+                    return;
+                }
+
+                try {
+                    const message = `*Mansara Foods* 🌿
+
+📦 *${headline}*
+
+Hi *${user.name}*,
+
+Return *${returnRequest.rmaNumber}* (order *${order.orderId}*):
+${detail}
+
+${itemsList.map(line => `• ${line}`).join('\n')}
+
+Thank you for your patience! 🙏`;
+
+                    await whatsappService.sendMessage(whatsappNumber, message);
+                    console.log('[✓] Return WhatsApp sent via BotBiz');
+                } catch (err) {
+                    console.error('[✗] WhatsApp failed:', err.message);
+                }
+            })();
+
+            await Promise.allSettled([emailPromise, whatsappPromise]);
+
+        } catch (error) {
+            console.error('[ERROR] sendReturnUpdate:', error.message);
+        }
+    },
+
+    // 14. NDR Action Request (failed delivery - ask the customer what to do)
+    sendNdrActionRequest: async (ndrCase, order, user, link) => {
+        try {
+            const reason = ndrCase.reason ? ` (${ndrCase.reason})` : '';
+
+            // EMAIL NOTIFICATION
+            const emailPromise = (async () => {
+                if (!user.email) {
+                    console.log('[ℹ] No email address available');
+                    return;
+                }
+
+                try {
+                    const emailMessage = `
+                        <!DOCTYPE html>
+                        <html>
+                        <head>
+                            <meta charset="UTF-8">
+                            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                        </head>
+                        <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+                            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+
+                                <!-- Header -->
+                                <div style="background-color: #e67e22; padding: 30px; text-align: center;">
+                                    <h1 style="color: #ffffff; margin: 0; font-size: 28px;">We Missed You 🚚</h1>
+                                </div>
+
+                                <!-- Content -->
+                                <div style="padding: 30px;">
+                                    <p style="font-size: 16px; color: #333; margin-bottom: 20px;">Hi <strong>${user.name}</strong>,</p>
+                                    <p style="font-size: 14px; color: #666; line-height: 1.6;">The courier could not deliver your order <strong>#${order.orderId}</strong>${reason}.</p>
+                                    <p style="font-size: 14px; color: #666; line-height: 1.6;">Please tell us how you'd like us to proceed: try again, deliver on another day, or use a corrected address or phone number.</p>
+
+                                    <!-- CTA Button -->
+                                    <div style="text-align: center; margin: 30px 0;">
+                                        <a href="${link}" style="background-color: #e67e22; color: #ffffff; padding: 14px 32px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">Choose Delivery Option</a>
+                                    </div>
+
+                                    <p style="font-size: 13px; color: #999; line-height: 1.6;">If we don't hear from you, the courier will try again on the next working day.</p>
+                                </div>
+
+                                <!-- Footer -->
+                                <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #dee2e6;">
+                                    <p style="margin: 5px 0; color: #666; font-size: 14px;"><strong>Mansara Foods</strong> 🌿</p>
+                                </div>
+                            </div>
+                        </body>
+                        </html>
+                    `;
+
+                    await sendEmail({
+                        email: user.email,
+                        name: user.name,
+                        subject: `Delivery attempt failed: Order #${order.orderId} | Mansara Foods`,
+                        html: emailMessage
+                    });
+                    console.log('[✓] NDR email sent');
+                } catch (err) {
+                    console.error('[✗] Email failed:', err.message);
+                }
+            })();
+
+            // WHATSAPP NOTIFICATION
+            const whatsappPromise = (async () => {
+                const whatsappNumber = notificationService._getWhatsAppNumber(order, user);
+                if (!whatsappNumber) {
+                    console.log('[ℹ] No WhatsApp number available');
+                    return;
+                }
+
+                try {
+                    const message = `*Mansara Foods* 🌿
+
+🚚 *We Missed You*
+
+Hi *${user.name}*,
+
+The courier could not deliver your order *${order.orderId}*${reason}.
+
+Tell us how to proceed (try again, another day, or corrected address/phone):
+${link}
+
+Thank you! 🙏`;
+
+                    await whatsappService.sendMessage(whatsappNumber, message);
+                    console.log('[✓] NDR WhatsApp sent via BotBiz');
+                } catch (err) {
+                    console.error('[✗] WhatsApp failed:', err.message);
+                }
+            })();
+
+            await Promise.allSettled([emailPromise, whatsappPromise]);
+
+        } catch (error) {
+            console.error('[ERROR] sendNdrActionRequest:', error.message);
+        }
     }
 };
 
@@ -0,0 +1,28 @@
+// ========================================
+// PRODUCT RESPONSE CACHE
+// ========================================
+// In-memory cache of product GET responses (filled by productRoutes'
+// cacheMiddleware). Shared here so code outside the routes that changes
+// products - e.g. the price scheduler - can clear it.
+// ========================================
+
+const cache = new Map();
+
+const clearProductCache = () => {
+    // OPTIMIZATION: Clear cache asynchronously (non-blocking)
+    setImmediate(() => {
+        let cleared = 0;
+        for (const key of cache.keys()) {
+            if (key.includes('/api/products')) {
+                cache.delete(key);
+                cleared++;
+            }
+        }
+        console.log(`[CACHE] Cleared ${cleared} product cache entries`);
+    });
+};
+
+module.exports = {
+    cache,
+    clearProductCache
+};
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// TRANSACTION HELPER WITH RETRY
+// ========================================
+
+/**
+ * Errors the server marks as safe to retry (write conflicts, elections, etc.)
+ */
+const isTransient = (error) =>
+    !!error && typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+
+const isUnknownCommit = (error) =>
+    !!error && typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('UnknownTransactionCommitResult');
+
+/**
+ * Run `work(session)` inside a MongoDB transaction.
+ * The whole callback is retried on transient errors, and the commit is
+ * retried when its outcome is unknown. Any other error aborts and is
+ * rethrown untouched so routes can surface their own messages.
+ * `work` may run more than once - build documents inside it.
+ * @param {Function} work - async (session) => result
+ * @param {Object} options
+ * @param {number} options.retries - Extra attempts after the first (default: 3)
+ */
+const withTransaction = async (work, { retries = 3 } = {}) => {
+    const session = await mongoose.startSession();
+
+    try {
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            const isLastAttempt = attempt === retries + 1;
+            let result;
+
+            session.startTransaction({
+                readConcern: { level: 'snapshot' },
+                writeConcern: { w: 'majority' }
+            });
+
+            try {
+                result = await work(session);
+            } catch (error) {
+                if (session.inTransaction()) {
+                    await session.abortTransaction().catch(() => {});
+                }
+
+                if (isTransient(error) && !isLastAttempt) {
+                    const waitTime = Math.min(50 * Math.pow(2, attempt - 1), 1000);
+                    console.warn(`[TXN] Transient error, retrying in ${waitTime}ms (attempt ${attempt}/${retries + 1}): ${error.message}`);
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                    continue;
+                }
+                throw error;
+            }
+
+            // Commit (retry only the commit when its result is unknown)
+            for (let commitAttempt = 1; ; commitAttempt++) {
+                try {
+                    await session.commitTransaction();
+                    return result;
+                } catch (error) {
+                    if (isUnknownCommit(error) && commitAttempt <= retries) {
+                        console.warn(`[TXN] Commit result unknown, retrying commit (${commitAttempt}/${retries})`);
+                        continue;
+                    }
+                    if (isTransient(error) && !isLastAttempt) {
+                        break; // Re-run the whole transaction
+                    }
+                    throw error;
+                }
+            }
+        }
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = withTransaction;